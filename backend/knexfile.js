@@ -15,6 +15,9 @@ module.exports = {
     migrations: {
       directory: __dirname + '/src/database/migrations'
     },
+    seeds: {
+      directory: __dirname + '/src/database/seeds'
+    },
     useNullAsDefault: true
   },
   
@@ -0,0 +1,34 @@
+const ActivityLogService = require('../services/ActivityLogService');
+
+const activityLog = new ActivityLogService();
+
+module.exports = {
+  async index(request, response) {
+    try {
+      const page = Math.max(parseInt(request.query.page, 10) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(request.query.limit, 10) || 20, 1), 100);
+
+      const result = await activityLog.list({
+        type: request.query.type,
+        status: request.query.status,
+        action: request.query.action,
+        page,
+        limit
+      });
+
+      return response.json(result);
+    } catch (error) {
+      console.error(error);
+      return response.status(500).json({ error: 'Erro interno do servidor' });
+    }
+  },
+
+  async summary(request, response) {
+    try {
+      return response.json(await activityLog.summary());
+    } catch (error) {
+      console.error(error);
+      return response.status(500).json({ error: 'Erro interno do servidor' });
+    }
+  }
+};
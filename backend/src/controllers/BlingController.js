@@ -1,9 +1,36 @@
 const BlingService = require('../services/BlingService');
-const connection = require('../database/connection');
+const ProductSyncService = require('../services/ProductSyncService');
+const SyncJobService = require('../services/SyncJobService');
+const SyncScheduler = require('../services/SyncScheduler');
+const BlingConfigService = require('../services/BlingConfigService');
+const WebhookService = require('../services/WebhookService');
+const OAuthStateService = require('../services/OAuthStateService');
+const OrderService = require('../services/OrderService');
+const PaymentMethodService = require('../services/PaymentMethodService');
+const CheckoutService = require('../services/CheckoutService');
+const { getCookie } = require('../utils/cookies');
+const { normalizeSyncRules, getSyncRuleOptions } = require('../utils/syncRules');
+const { getAuthorizeUrl } = require('../utils/blingUrls');
+const { getPaymentOptions } = require('../utils/paymentMapping');
+
+// Cookie que vincula o state OAuth à sessão do admin que iniciou o fluxo
+const OAUTH_SESSION_COOKIE = 'bling_oauth_session';
+
+// Painel administrativo para onde o callback OAuth redireciona
+const ADMIN_URL = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/admin`;
 
 class BlingController {
   constructor() {
     this.blingService = new BlingService();
+    this.productSyncService = new ProductSyncService(this.blingService);
+    this.orderService = new OrderService(this.blingService);
+    this.paymentMethodService = new PaymentMethodService(this.blingService);
+    this.checkoutService = new CheckoutService(this.orderService);
+    this.syncJobService = new SyncJobService(this.productSyncService);
+    this.syncScheduler = new SyncScheduler(this.syncJobService);
+    this.configService = new BlingConfigService();
+    this.webhookService = new WebhookService();
+    this.oauthStateService = new OAuthStateService();
   }
 
   /**
@@ -14,9 +41,20 @@ class BlingController {
     try {
       const clientId = process.env.BLING_CLIENT_ID;
       const redirectUri = process.env.BLING_REDIRECT_URI || 'http://localhost:3333/api/bling/auth/callback';
-      const state = Date.now().toString(); // State para segurança
+
+      // Sessão do admin que iniciou o fluxo, reaproveitada se ainda existir
+      const sessionId = getCookie(req, OAUTH_SESSION_COOKIE) || this.oauthStateService.createSessionId();
+      const state = await this.oauthStateService.create(sessionId);
+
+      res.cookie(OAUTH_SESSION_COOKIE, sessionId, {
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: process.env.NODE_ENV === 'production',
+        path: '/api/bling/auth',
+        maxAge: this.oauthStateService.ttl
+      });
       
-      const authUrl = `https://www.bling.com.br/Api/v3/oauth/authorize?` +
+      const authUrl = `${getAuthorizeUrl()}?` +
         `response_type=code&` +
         `client_id=${clientId}&` +
         `redirect_uri=${encodeURIComponent(redirectUri)}&` +
@@ -39,34 +77,38 @@ class BlingController {
   /**
    * Callback de autenticação OAuth2
    * GET /api/bling/auth/callback?code=...&state=...
+   * Redireciona para o painel administrativo com o resultado
    */
   async authCallback(req, res) {
+    const redirectToAdmin = (status, message) => {
+      const params = new URLSearchParams({ bling_auth: status, message });
+      res.redirect(`${ADMIN_URL}?${params.toString()}`);
+    };
+
     try {
       const { code, state, error } = req.query;
 
+      // O state é validado antes de qualquer outra coisa e nunca pode ser reutilizado
+      try {
+        await this.oauthStateService.consume(state, getCookie(req, OAUTH_SESSION_COOKIE));
+      } catch (stateError) {
+        console.warn('State OAuth rejeitado:', stateError.message);
+        return redirectToAdmin('error', stateError.message);
+      }
+
+      res.clearCookie(OAUTH_SESSION_COOKIE, { path: '/api/bling/auth' });
+
       if (error) {
-        return res.status(400).json({
-          error: 'Autorização negada',
-          message: 'Usuário negou acesso ao Bling'
-        });
+        return redirectToAdmin('error', 'Usuário negou acesso ao Bling');
       }
 
       if (!code) {
-        return res.status(400).json({
-          error: 'Código inválido',
-          message: 'Código de autorização não recebido'
-        });
+        return redirectToAdmin('error', 'Código de autorização não recebido');
       }
 
-      // Troca o código pelo token
+      // Troca o código pelo token (salvo em bling_config pelo serviço)
       const tokenData = await this.blingService.authenticate(code);
-      
-      // Salva o token no banco de dados (ou variável de ambiente)
-      // TODO: Implementar armazenamento seguro do token
-      console.log('Token Bling obtido:', {
-        access_token: tokenData.access_token.substring(0, 10) + '...',
-        expires_in: tokenData.expires_in
-      });
+      console.log('Token Bling obtido e salvo, expira em', tokenData.expires_in, 'segundos');
 
       // Testa a conexão
       const connectionTest = await this.blingService.testConnection();
@@ -74,37 +116,27 @@ class BlingController {
       if (connectionTest) {
         // Busca dados da empresa
         const companyInfo = await this.blingService.getCompanyInfo();
-        
-        res.json({
-          success: true,
-          message: 'Integração com Bling configurada com sucesso!',
-          company: companyInfo?.razaoSocial || 'Empresa conectada',
-          expiresIn: tokenData.expires_in
-        });
+        const company = companyInfo?.razaoSocial || 'Empresa conectada';
+
+        redirectToAdmin('success', `Integração com Bling configurada com sucesso! (${company})`);
       } else {
-        res.status(500).json({
-          error: 'Falha na conexão',
-          message: 'Token obtido mas não foi possível conectar com a API'
-        });
+        redirectToAdmin('error', 'Token obtido mas não foi possível conectar com a API');
       }
 
     } catch (error) {
       console.error('Erro no callback de autenticação:', error);
-      res.status(500).json({
-        error: 'Erro na autenticação',
-        message: error.message
-      });
+      redirectToAdmin('error', `Erro na autenticação: ${error.message}`);
     }
   }
 
   /**
-   * Sincroniza produtos do Bling
+   * Inicia a sincronização de produtos do Bling em segundo plano
    * POST /api/bling/sync/products
+   * POST /api/bling/sync/jobs
+   * Body: { mode: 'full' | 'incremental', reconcile: boolean }
    */
   async syncProducts(req, res) {
     try {
-      console.log('Iniciando sincronização de produtos do Bling...');
-      
       // Verifica conexão
       const isConnected = await this.blingService.testConnection();
       if (!isConnected) {
@@ -114,87 +146,319 @@ class BlingController {
         });
       }
 
-      // Sincroniza produtos
-      const blingProducts = await this.blingService.syncProducts();
-      
-      if (!blingProducts || blingProducts.length === 0) {
-        return res.json({
-          success: true,
-          message: 'Nenhum produto encontrado no Bling',
-          synchronized: 0
+      const { mode, reconcile, dry_run: dryRun } = req.body || {};
+      const { job, alreadyRunning } = await this.syncJobService.start({
+        mode: ['full', 'incremental'].includes(mode) ? mode : undefined,
+        reconcile: Boolean(reconcile),
+        dryRun: Boolean(dryRun),
+        trigger: 'manual'
+      });
+
+      if (alreadyRunning) {
+        return res.status(409).json({
+          error: 'Sincronização em andamento',
+          message: 'Já existe uma sincronização em andamento',
+          job
+        });
+      }
+
+      console.log(`${dryRun ? 'Prévia' : 'Sincronização'} de produtos iniciada (job ${job.id})`);
+      res.status(202).json({
+        success: true,
+        message: dryRun ? 'Prévia da sincronização iniciada' : 'Sincronização iniciada',
+        job
+      });
+
+    } catch (error) {
+      console.error('Erro ao iniciar sincronização de produtos:', error);
+      res.status(500).json({
+        error: 'Erro na sincronização',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Lista os jobs de sincronização mais recentes
+   * GET /api/bling/sync/jobs?limit=...&status=...
+   */
+  async listSyncJobs(req, res) {
+    try {
+      const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+      const jobs = await this.syncJobService.list({ limit, status: req.query.status });
+
+      res.json({ jobs });
+    } catch (error) {
+      console.error('Erro ao listar sincronizações:', error);
+      res.status(500).json({
+        error: 'Erro ao listar sincronizações',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Progresso de um job de sincronização
+   * GET /api/bling/sync/jobs/:id
+   */
+  async getSyncJob(req, res) {
+    try {
+      const job = await this.syncJobService.get(req.params.id);
+
+      if (!job) {
+        return res.status(404).json({
+          error: 'Sincronização não encontrada',
+          message: `Job ${req.params.id} não existe`
         });
       }
 
-      // Salva produtos no banco local
-      let synchronized = 0;
-      const errors = [];
-
-      for (const product of blingProducts) {
-        try {
-          // Verifica se produto já existe
-          const existingProduct = await connection('products')
-            .where('bling_id', product.id)
-            .first();
-
-          if (existingProduct) {
-            // Atualiza produto existente
-            await connection('products')
-              .where('bling_id', product.id)
-              .update({
-                nome: product.nome,
-                preco: product.preco,
-                preco_promocional: product.precoPromocional,
-                descricao: product.descricao,
-                categoria: product.categoria,
-                imagem: product.imagem,
-                codigo: product.codigo,
-                estoque: product.estoque,
-                ativo: product.ativo,
-                bling_data: JSON.stringify(product.blingData),
-                updated_at: connection.fn.now()
-              });
-          } else {
-            // Insere novo produto
-            await connection('products').insert({
-              nome: product.nome,
-              preco: product.preco,
-              preco_promocional: product.precoPromocional,
-              descricao: product.descricao,
-              categoria: product.categoria,
-              imagem: product.imagem,
-              codigo: product.codigo,
-              estoque: product.estoque,
-              ativo: product.ativo,
-              bling_id: product.id,
-              bling_data: JSON.stringify(product.blingData),
-              created_at: connection.fn.now(),
-              updated_at: connection.fn.now()
-            });
-          }
-          
-          synchronized++;
-        } catch (productError) {
-          console.error(`Erro ao salvar produto ${product.id}:`, productError);
-          errors.push({
-            productId: product.id,
-            productName: product.nome,
-            error: productError.message
-          });
-        }
+      res.json({ job });
+    } catch (error) {
+      console.error('Erro ao buscar sincronização:', error);
+      res.status(500).json({
+        error: 'Erro ao buscar sincronização',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Alterações calculadas por uma prévia (dry-run)
+   * GET /api/bling/sync/jobs/:id/changes?action=update&page=1&limit=50
+   */
+  async listSyncJobChanges(req, res) {
+    try {
+      const job = await this.syncJobService.get(req.params.id);
+
+      if (!job) {
+        return res.status(404).json({
+          error: 'Sincronização não encontrada',
+          message: `Job ${req.params.id} não existe`
+        });
+      }
+
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+      const result = await this.syncJobService.listChanges(job.id, {
+        action: req.query.action,
+        page,
+        limit
+      });
+
+      res.json({ job, ...result });
+    } catch (error) {
+      console.error('Erro ao listar alterações da prévia:', error);
+      res.status(500).json({
+        error: 'Erro ao listar alterações da prévia',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Aplica as alterações de uma prévia
+   * POST /api/bling/sync/jobs/:id/apply
+   * Body: { change_ids: [...] } para aplicar apenas as selecionadas (sem o campo, aplica todas)
+   */
+  async applySyncJobChanges(req, res) {
+    try {
+      const job = await this.syncJobService.get(req.params.id);
+
+      if (!job) {
+        return res.status(404).json({
+          error: 'Sincronização não encontrada',
+          message: `Job ${req.params.id} não existe`
+        });
+      }
+
+      if (!this.syncJobService.isApplicablePreview(job)) {
+        return res.status(400).json({
+          error: 'Prévia inválida',
+          message: 'Apenas prévias concluídas podem ser aplicadas'
+        });
+      }
+
+      const activeJob = await this.syncJobService.findActive();
+      if (activeJob) {
+        return res.status(409).json({
+          error: 'Sincronização em andamento',
+          message: 'Aguarde a sincronização em andamento terminar para aplicar a prévia',
+          job: activeJob
+        });
+      }
+
+      const changeIds = req.body?.change_ids;
+      if (changeIds !== undefined && (!Array.isArray(changeIds) || changeIds.some(id => !Number.isInteger(id)))) {
+        return res.status(400).json({
+          error: 'Seleção inválida',
+          message: 'change_ids deve ser uma lista de IDs'
+        });
+      }
+
+      const result = await this.syncJobService.applyChanges(job.id, changeIds || null);
+
+      res.json({
+        success: result.errors.length === 0 && result.stale === 0,
+        message: `${result.applied} alteração(ões) aplicada(s): ${result.created} novos, ` +
+          `${result.updated} atualizados, ${result.deactivated} inativados` +
+          (result.stale > 0 ? `; ${result.stale} desatualizada(s) pela última alteração do produto, gere uma nova prévia` : ''),
+        ...result
+      });
+    } catch (error) {
+      console.error('Erro ao aplicar prévia:', error);
+      res.status(500).json({
+        error: 'Erro ao aplicar prévia',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Cancela um job de sincronização em andamento
+   * POST /api/bling/sync/jobs/:id/cancel
+   */
+  async cancelSyncJob(req, res) {
+    try {
+      const job = await this.syncJobService.cancel(req.params.id);
+
+      if (!job) {
+        return res.status(404).json({
+          error: 'Sincronização não encontrada',
+          message: `Job ${req.params.id} não existe`
+        });
       }
 
       res.json({
         success: true,
-        message: `Sincronização concluída: ${synchronized} produtos processados`,
-        synchronized,
-        total: blingProducts.length,
-        errors: errors.length > 0 ? errors : undefined
+        message: job.cancelRequested
+          ? 'Cancelamento solicitado, a sincronização para no próximo lote'
+          : 'A sincronização já foi finalizada',
+        job
       });
+    } catch (error) {
+      console.error('Erro ao cancelar sincronização:', error);
+      res.status(500).json({
+        error: 'Erro ao cancelar sincronização',
+        message: error.message
+      });
+    }
+  }
 
+  /**
+   * Configuração da sincronização automática
+   * GET /api/bling/sync/schedule
+   */
+  async getSyncSchedule(req, res) {
+    try {
+      const schedule = await this.syncScheduler.getSchedule();
+      res.json({ schedule });
     } catch (error) {
-      console.error('Erro na sincronização de produtos:', error);
+      console.error('Erro ao buscar agendamento:', error);
       res.status(500).json({
-        error: 'Erro na sincronização',
+        error: 'Erro ao buscar agendamento',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Atualiza a sincronização automática (bling_config.sync_enabled / sync_settings.schedule)
+   * PUT /api/bling/sync/schedule
+   * Body: { enabled, interval_minutes, mode, reconcile }
+   */
+  async updateSyncSchedule(req, res) {
+    try {
+      const { enabled, interval_minutes: intervalMinutes, mode, reconcile } = req.body || {};
+      const interval = parseInt(intervalMinutes, 10);
+
+      if (intervalMinutes !== undefined && (!interval || interval < 5)) {
+        return res.status(400).json({
+          error: 'Intervalo inválido',
+          message: 'O intervalo mínimo entre sincronizações é de 5 minutos'
+        });
+      }
+
+      const current = await this.syncScheduler.getSchedule();
+      const config = await this.configService.updateSyncSettings('schedule', {
+        interval_minutes: interval || current.interval_minutes,
+        mode: ['full', 'incremental'].includes(mode) ? mode : null,
+        reconcile: Boolean(reconcile)
+      }, {
+        sync_enabled: enabled === undefined ? current.enabled : Boolean(enabled)
+      });
+
+      if (!config) {
+        return res.status(400).json({
+          error: 'Bling não conectado',
+          message: 'Configure a integração com o Bling primeiro'
+        });
+      }
+
+      res.json({
+        success: true,
+        schedule: await this.syncScheduler.getSchedule()
+      });
+    } catch (error) {
+      console.error('Erro ao atualizar agendamento:', error);
+      res.status(500).json({
+        error: 'Erro ao atualizar agendamento',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Regras de sincronização (mapeamento de campos e filtros de produtos)
+   * GET /api/bling/sync/rules
+   */
+  async getSyncRules(req, res) {
+    try {
+      res.json({
+        rules: await this.productSyncService.getRules(),
+        options: getSyncRuleOptions()
+      });
+    } catch (error) {
+      console.error('Erro ao buscar regras de sincronização:', error);
+      res.status(500).json({
+        error: 'Erro ao buscar regras de sincronização',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Atualiza as regras de sincronização (bling_config.sync_settings.rules)
+   * PUT /api/bling/sync/rules
+   * Body: { fields, product_type, categories, tags, without_image, placeholder_image, default_category, overwrite_local_changes }
+   */
+  async updateSyncRules(req, res) {
+    try {
+      const { rules, errors } = normalizeSyncRules(req.body || {});
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: 'Regras inválidas',
+          message: errors.join('; ')
+        });
+      }
+
+      const config = await this.configService.updateSyncSettings('rules', rules);
+
+      if (!config) {
+        return res.status(400).json({
+          error: 'Bling não conectado',
+          message: 'Configure a integração com o Bling primeiro'
+        });
+      }
+
+      res.json({
+        success: true,
+        rules: await this.productSyncService.getRules()
+      });
+    } catch (error) {
+      console.error('Erro ao atualizar regras de sincronização:', error);
+      res.status(500).json({
+        error: 'Erro ao atualizar regras de sincronização',
         message: error.message
       });
     }
@@ -250,59 +514,132 @@ class BlingController {
   }
 
   /**
-   * Cria pedido no Bling a partir de um pedido da vitrine
+   * Formas de pagamento do Bling e vínculo com as opções da vitrine
+   * GET /api/bling/payment-methods
+   */
+  async getPaymentMethods(req, res) {
+    try {
+      const [methods, settings] = await Promise.all([
+        this.paymentMethodService.list(),
+        this.paymentMethodService.getSettings()
+      ]);
+
+      res.json({
+        success: true,
+        methods,
+        settings,
+        ...getPaymentOptions()
+      });
+    } catch (error) {
+      console.error('Erro ao buscar formas de pagamento:', error);
+      res.status(500).json({
+        error: 'Erro ao buscar formas de pagamento',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Importa as formas de pagamento cadastradas no Bling
+   * POST /api/bling/payment-methods/sync
+   */
+  async syncPaymentMethods(req, res) {
+    try {
+      const result = await this.paymentMethodService.sync();
+
+      res.json({
+        success: true,
+        message: `${result.total} forma(s) de pagamento sincronizada(s), ${result.ativas} ativa(s)`,
+        methods: await this.paymentMethodService.list()
+      });
+    } catch (error) {
+      console.error('Erro ao sincronizar formas de pagamento:', error);
+      res.status(500).json({
+        error: 'Erro ao sincronizar formas de pagamento',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Atualiza o vínculo das formas de pagamento e as regras de parcelamento
+   * PUT /api/bling/payment-methods/settings
+   */
+  async updatePaymentSettings(req, res) {
+    try {
+      const { settings, errors, connected } = await this.paymentMethodService.updateSettings(req.body || {});
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: 'Configuração de pagamento inválida',
+          message: errors.join('; ')
+        });
+      }
+
+      if (!connected) {
+        return res.status(400).json({
+          error: 'Bling não conectado',
+          message: 'Configure a integração com o Bling primeiro'
+        });
+      }
+
+      res.json({
+        success: true,
+        settings
+      });
+    } catch (error) {
+      console.error('Erro ao atualizar formas de pagamento:', error);
+      res.status(500).json({
+        error: 'Erro ao atualizar formas de pagamento',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Registra um pedido com itens identificados pelo ID do Bling e o envia ao Bling
    * POST /api/bling/orders
+   * Mesmo fluxo do checkout (POST /api/checkout), sem carrinho; sem `envio`, o pedido é para retirada
    */
   async createOrder(req, res) {
     try {
-      const { 
-        cliente, 
-        itens, 
-        total, 
-        formaPagamento,
-        observacoes 
-      } = req.body;
+      const { cliente, itens, envio, formaPagamento, observacoes } = req.body;
 
       // Valida dados obrigatórios
-      if (!cliente || !itens || !total) {
+      if (!cliente || !itens) {
         return res.status(400).json({
           error: 'Dados incompletos',
-          message: 'Cliente, itens e total são obrigatórios'
+          message: 'Cliente e itens são obrigatórios'
         });
       }
 
-      // Cria contato no Bling se necessário
-      let blingContact = null;
-      if (cliente.email) {
-        try {
-          blingContact = await this.blingService.createOrUpdateContact(cliente);
-        } catch (contactError) {
-          console.warn('Erro ao criar contato no Bling:', contactError.message);
-        }
+      // Preços e total enviados pelo cliente são ignorados: o checkout recalcula tudo com os dados do banco
+      const { lines, errors } = await this.checkoutService.linesFromBlingItems(itens);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: 'Itens inválidos',
+          message: errors.join('; ')
+        });
       }
 
-      // Cria o pedido no Bling
-      const orderData = {
-        numero: `WEB-${Date.now()}`,
+      const result = await this.checkoutService.placeOrder(lines, {
         cliente,
-        itens,
-        total,
+        endereco: cliente.endereco,
+        envio: envio || 'retirada',
         formaPagamento,
         observacoes,
-        contactId: blingContact?.id
-      };
+        idempotencyKey: req.get('Idempotency-Key') || null
+      });
 
-      const blingOrder = await this.blingService.createOrder(orderData);
+      if (result.error) {
+        const [status, title] = CheckoutService.CHECKOUT_ERRORS[result.error.code] || [400, 'Pedido inválido'];
+        return res.status(status).json({ error: title, message: result.error.message });
+      }
 
-      res.json({
-        success: true,
-        message: 'Pedido criado no Bling com sucesso',
-        blingOrderId: blingOrder.id,
-        orderNumber: blingOrder.numero
-      });
+      res.status(result.duplicate ? 200 : 201).json(this.checkoutService.receipt(result));
 
     } catch (error) {
-      console.error('Erro ao criar pedido no Bling:', error);
+      console.error('Erro ao criar pedido:', error);
       res.status(500).json({
         error: 'Erro ao criar pedido',
         message: error.message
@@ -313,34 +650,34 @@ class BlingController {
   /**
    * Webhook para receber atualizações do Bling
    * POST /api/bling/webhook
+   * Aceita apenas eventos assinados (X-Bling-Signature-256) e ignora reentregas do mesmo evento
    */
   async webhook(req, res) {
     try {
-      const { evento, dados } = req.body;
-      
-      console.log('Webhook recebido do Bling:', { evento, dados });
-
-      switch (evento) {
-        case 'produto.atualizado':
-          // Atualiza produto no banco local
-          await this.handleProductUpdate(dados);
-          break;
-          
-        case 'estoque.alterado':
-          // Atualiza estoque no banco local
-          await this.handleStockUpdate(dados);
-          break;
-          
-        case 'pedido.alterado':
-          // Processa alteração de status do pedido
-          await this.handleOrderUpdate(dados);
-          break;
-          
-        default:
-          console.log('Evento não tratado:', evento);
+      const signature = req.get('X-Bling-Signature-256');
+
+      if (!this.webhookService.verifySignature(req.rawBody, signature)) {
+        console.warn('Webhook rejeitado: assinatura inválida ou ausente');
+        return res.status(401).json({
+          error: 'Assinatura inválida',
+          message: 'Não foi possível verificar a autenticidade do webhook'
+        });
+      }
+
+      const parsed = this.webhookService.parse(req.body, req.rawBody);
+      const { record, duplicate } = await this.webhookService.record(parsed, req.body);
+
+      console.log('Webhook recebido do Bling:', { evento: parsed.event, eventId: parsed.eventId, duplicate });
+
+      // Reentrega de um evento já recebido: só reprocessa se a tentativa anterior falhou
+      if (duplicate && record.status !== 'failed') {
+        return res.json({ received: true, duplicate: true });
       }
 
-      res.json({ received: true });
+      const processed = await this.webhookService.process(record, this.dispatchWebhookEvent.bind(this));
+
+      // Falhas ficam registradas para reprocessamento no painel; o Bling não precisa reenviar
+      res.json({ received: true, status: processed.status });
 
     } catch (error) {
       console.error('Erro no webhook:', error);
@@ -350,46 +687,148 @@ class BlingController {
     }
   }
 
-  // Métodos auxiliares para webhook
-  async handleProductUpdate(data) {
+  /**
+   * Executa o tratamento de um evento de webhook
+   * @param {string} evento - Tipo do evento
+   * @param {Object} dados - Dados do evento
+   * @returns {Promise<boolean>} false quando o evento não é tratado
+   */
+  async dispatchWebhookEvent(evento, dados) {
+    switch (evento) {
+      case 'produto.criado':
+      case 'produto.atualizado':
+        await this.handleProductUpdate(dados);
+        return true;
+
+      case 'produto.excluido':
+        await this.handleProductDelete(dados);
+        return true;
+
+      case 'estoque.alterado':
+        await this.handleStockUpdate(dados);
+        return true;
+
+      case 'pedido.criado':
+      case 'pedido.alterado':
+        await this.handleOrderUpdate(dados);
+        return true;
+
+      case 'pedido.excluido':
+        await this.handleOrderDelete(dados);
+        return true;
+
+      default:
+        console.log('Evento não tratado:', evento);
+        return false;
+    }
+  }
+
+  /**
+   * Lista eventos de webhook recebidos
+   * GET /api/bling/webhooks/events?status=failed&event=...&page=1&limit=20
+   */
+  async listWebhookEvents(req, res) {
     try {
-      if (data.id) {
-        const product = await this.blingService.getProduct(data.id);
-        if (product) {
-          await connection('products')
-            .where('bling_id', data.id)
-            .update({
-              nome: product.nome,
-              preco: product.preco,
-              updated_at: connection.fn.now()
-            });
-        }
-      }
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+      const result = await this.webhookService.list({
+        status: req.query.status,
+        event: req.query.event,
+        page,
+        limit
+      });
+
+      res.json(result);
     } catch (error) {
-      console.error('Erro ao atualizar produto via webhook:', error);
+      console.error('Erro ao listar eventos de webhook:', error);
+      res.status(500).json({
+        error: 'Erro ao listar eventos de webhook',
+        message: error.message
+      });
     }
   }
 
-  async handleStockUpdate(data) {
+  /**
+   * Reprocessa um evento de webhook registrado
+   * POST /api/bling/webhooks/events/:id/replay
+   */
+  async replayWebhookEvent(req, res) {
     try {
-      if (data.produtoId) {
-        const stock = await this.blingService.checkStock(data.produtoId);
-        await connection('products')
-          .where('bling_id', data.produtoId)
-          .update({
-            estoque: stock.saldo || 0,
-            updated_at: connection.fn.now()
-          });
+      const record = await this.webhookService.get(req.params.id);
+
+      if (!record) {
+        return res.status(404).json({
+          error: 'Evento não encontrado',
+          message: `Evento ${req.params.id} não existe`
+        });
+      }
+
+      if (record.status === 'processing') {
+        return res.status(409).json({
+          error: 'Evento em processamento',
+          message: 'Aguarde o processamento atual terminar'
+        });
       }
+
+      const event = await this.webhookService.process(record, this.dispatchWebhookEvent.bind(this));
+
+      res.json({
+        success: event.status !== 'failed',
+        message: event.status === 'failed'
+          ? `Falha ao reprocessar: ${event.error}`
+          : 'Evento reprocessado com sucesso',
+        event
+      });
     } catch (error) {
-      console.error('Erro ao atualizar estoque via webhook:', error);
+      console.error('Erro ao reprocessar webhook:', error);
+      res.status(500).json({
+        error: 'Erro ao reprocessar webhook',
+        message: error.message
+      });
     }
   }
 
+  // Métodos auxiliares para webhook (erros são propagados e registrados no evento).
+  // Produtos passam pelo ProductSyncService para usar o mesmo mapeamento da sincronização completa.
+  async handleProductUpdate(data) {
+    const productId = this.requireWebhookId(data.id, 'produto');
+    const result = await this.productSyncService.syncProduct(productId);
+    console.log(`Produto ${productId} sincronizado via webhook (${result})`);
+  }
+
+  async handleProductDelete(data) {
+    const productId = this.requireWebhookId(data.id, 'produto');
+    await this.productSyncService.deactivate([productId]);
+  }
+
+  async handleStockUpdate(data) {
+    const productId = this.requireWebhookId(data.produto?.id || data.produtoId, 'produto');
+    await this.productSyncService.syncStock(productId, data);
+  }
+
   async handleOrderUpdate(data) {
-    // Implementar lógica de atualização de pedidos conforme necessário
-    console.log('Pedido atualizado no Bling:', data);
+    const orderId = this.requireWebhookId(data.id, 'pedido');
+    await this.orderService.syncFromBling(orderId);
+  }
+
+  async handleOrderDelete(data) {
+    const orderId = this.requireWebhookId(data.id, 'pedido');
+    await this.orderService.markDeleted(orderId);
+  }
+
+  /**
+   * Garante que o evento trouxe o ID do registro afetado
+   * @param {number} id - ID recebido no evento
+   * @param {string} entity - Nome do registro, usado na mensagem de erro
+   * @returns {number}
+   */
+  requireWebhookId(id, entity) {
+    if (!id) {
+      throw new Error(`Evento sem ID do ${entity}`);
+    }
+    return id;
   }
 }
 
-module.exports = BlingController;
\ No newline at end of file
+module.exports = BlingController;
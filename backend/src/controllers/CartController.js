@@ -0,0 +1,90 @@
+const CartService = require('../services/CartService');
+
+const cartService = new CartService();
+
+// Status HTTP de cada erro do carrinho
+const ERROR_RESPONSES = {
+  not_found: [404, 'Não encontrado'],
+  unavailable: [409, 'Produto indisponível'],
+  insufficient_stock: [409, 'Estoque insuficiente'],
+  invalid_quantity: [400, 'Quantidade inválida']
+};
+
+/**
+ * Dono do carrinho: token do visitante (X-Cart-Token); a loja ainda não tem login de clientes
+ */
+const getOwner = (request) => ({
+  token: request.get('X-Cart-Token') || null
+});
+
+const sendResult = (response, { cart, error }) => {
+  if (error) {
+    const [status, title] = ERROR_RESPONSES[error.code] || [400, 'Erro no carrinho'];
+    return response.status(status).json({ error: title, message: error.message });
+  }
+  return response.json({ cart });
+};
+
+module.exports = {
+  async show(request, response) {
+    try {
+      return response.json({ cart: await cartService.get(getOwner(request)) });
+    } catch (error) {
+      console.error(error);
+      return response.status(500).json({ error: 'Erro interno do servidor' });
+    }
+  },
+
+  async addItem(request, response) {
+    try {
+      const { value: quantidade, errors } = cartService.parseQuantity(request.body.quantidade ?? 1);
+      if (errors.length > 0) {
+        return response.status(400).json({ error: 'Quantidade inválida', message: errors.join('; ') });
+      }
+
+      const productId = parseInt(request.body.product_id, 10);
+      if (!productId) {
+        return response.status(400).json({ error: 'Produto inválido', message: 'Informe o product_id' });
+      }
+
+      return sendResult(response, await cartService.addItem(getOwner(request), productId, quantidade));
+    } catch (error) {
+      console.error(error);
+      return response.status(500).json({ error: 'Erro interno do servidor' });
+    }
+  },
+
+  async updateItem(request, response) {
+    try {
+      const { value: quantidade, errors } = cartService.parseQuantity(request.body.quantidade, 0);
+      if (errors.length > 0) {
+        return response.status(400).json({ error: 'Quantidade inválida', message: errors.join('; ') });
+      }
+
+      const productId = parseInt(request.params.productId, 10);
+      return sendResult(response, await cartService.updateItem(getOwner(request), productId, quantidade));
+    } catch (error) {
+      console.error(error);
+      return response.status(500).json({ error: 'Erro interno do servidor' });
+    }
+  },
+
+  async removeItem(request, response) {
+    try {
+      const productId = parseInt(request.params.productId, 10);
+      return sendResult(response, await cartService.removeItem(getOwner(request), productId));
+    } catch (error) {
+      console.error(error);
+      return response.status(500).json({ error: 'Erro interno do servidor' });
+    }
+  },
+
+  async clear(request, response) {
+    try {
+      return response.json({ cart: await cartService.clear(getOwner(request)) });
+    } catch (error) {
+      console.error(error);
+      return response.status(500).json({ error: 'Erro interno do servidor' });
+    }
+  }
+};
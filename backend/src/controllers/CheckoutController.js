@@ -0,0 +1,48 @@
+const CheckoutService = require('../services/CheckoutService');
+
+const checkoutService = new CheckoutService();
+
+/**
+ * Dono do carrinho: token do visitante (X-Cart-Token); a loja ainda não tem login de clientes
+ */
+const getOwner = (request) => ({
+  token: request.get('X-Cart-Token') || null
+});
+
+module.exports = {
+  async options(request, response) {
+    try {
+      return response.json(await checkoutService.getOptions(getOwner(request), request.query.cep || null));
+    } catch (error) {
+      console.error(error);
+      return response.status(500).json({ error: 'Erro interno do servidor' });
+    }
+  },
+
+  async create(request, response) {
+    try {
+      const { cliente, endereco, envio, formaPagamento, cartao, observacoes, total_esperado: totalEsperado } = request.body;
+
+      const result = await checkoutService.checkoutCart(getOwner(request), {
+        cliente,
+        endereco,
+        envio,
+        formaPagamento,
+        cartao,
+        observacoes,
+        totalEsperado,
+        idempotencyKey: request.get('Idempotency-Key') || null
+      });
+
+      if (result.error) {
+        const [status, title] = CheckoutService.CHECKOUT_ERRORS[result.error.code] || [400, 'Pedido inválido'];
+        return response.status(status).json({ error: title, message: result.error.message });
+      }
+
+      return response.status(result.duplicate ? 200 : 201).json(checkoutService.receipt(result));
+    } catch (error) {
+      console.error('Erro ao finalizar compra:', error);
+      return response.status(500).json({ error: 'Erro interno do servidor' });
+    }
+  }
+};
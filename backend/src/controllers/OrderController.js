@@ -0,0 +1,228 @@
+const OrderService = require('../services/OrderService');
+const OrderOutboxService = require('../services/OrderOutboxService');
+const PaymentService = require('../services/PaymentService');
+const { normalizeCustomer } = require('../utils/documents');
+
+const orderService = new OrderService();
+const orderOutboxService = new OrderOutboxService(orderService);
+const paymentService = new PaymentService(orderService);
+
+// Pedido com a situação do envio ao Bling (fila) e as cobranças, para o painel
+const getWithOutbox = async (id) => {
+  const order = await orderService.get(id);
+  return order && {
+    ...order,
+    outbox: await orderOutboxService.getByOrder(order.id),
+    payments: await paymentService.listByOrder(order.id)
+  };
+};
+
+module.exports = {
+  async index(request, response) {
+    try {
+      const page = Math.max(parseInt(request.query.page, 10) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(request.query.limit, 10) || 20, 1), 100);
+
+      const result = await orderService.list({
+        status: request.query.status,
+        situacao: request.query.situacao,
+        origem: request.query.origem,
+        sync: request.query.sync,
+        q: (request.query.q || '').trim(),
+        from: request.query.from,
+        to: request.query.to,
+        page,
+        limit
+      });
+
+      return response.json(result);
+    } catch (error) {
+      console.error(error);
+      return response.status(500).json({ error: 'Erro interno do servidor' });
+    }
+  },
+
+  async summary(request, response) {
+    try {
+      return response.json({ summary: await orderService.summary() });
+    } catch (error) {
+      console.error(error);
+      return response.status(500).json({ error: 'Erro interno do servidor' });
+    }
+  },
+
+  async show(request, response) {
+    try {
+      const order = await getWithOutbox(request.params.id);
+
+      if (!order) {
+        return response.status(404).json({
+          error: 'Pedido não encontrado',
+          message: `Pedido ${request.params.id} não existe`
+        });
+      }
+
+      return response.json({ order });
+    } catch (error) {
+      console.error(error);
+      return response.status(500).json({ error: 'Erro interno do servidor' });
+    }
+  },
+
+  // Fila de envio ao Bling (status=dead para a fila morta)
+  async outbox(request, response) {
+    try {
+      const page = Math.max(parseInt(request.query.page, 10) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(request.query.limit, 10) || 20, 1), 100);
+
+      const result = await orderOutboxService.list({ status: request.query.status, page, limit });
+
+      return response.json(result);
+    } catch (error) {
+      console.error(error);
+      return response.status(500).json({ error: 'Erro interno do servidor' });
+    }
+  },
+
+  // Reenvio manual ao Bling de um pedido da vitrine (zera as tentativas da fila)
+  async resend(request, response) {
+    try {
+      const order = await orderService.get(request.params.id);
+
+      if (!order) {
+        return response.status(404).json({
+          error: 'Pedido não encontrado',
+          message: `Pedido ${request.params.id} não existe`
+        });
+      }
+
+      if (order.origem !== 'vitrine' || order.bling_sync_status === 'synced') {
+        return response.status(409).json({
+          error: 'Pedido já está no Bling',
+          message: `Pedido ${order.numero_loja || order.numero} já foi enviado ao Bling`
+        });
+      }
+
+      const delivery = await orderOutboxService.resubmit(order.id);
+
+      if (!delivery) {
+        return response.status(409).json({
+          error: 'Envio em andamento',
+          message: `Pedido ${order.numero_loja} já está sendo enviado ao Bling`
+        });
+      }
+
+      const sent = delivery.status === 'sent';
+
+      return response.status(sent ? 200 : 502).json({
+        success: sent,
+        message: sent ? 'Pedido enviado ao Bling' : delivery.result.error,
+        order: await getWithOutbox(order.id)
+      });
+    } catch (error) {
+      console.error(error);
+      return response.status(500).json({ error: 'Erro interno do servidor' });
+    }
+  },
+
+  // Correção dos dados do cliente antes de reenviar (ex.: documento recusado pelo Bling)
+  async updateCustomer(request, response) {
+    try {
+      const order = await orderService.get(request.params.id);
+
+      if (!order) {
+        return response.status(404).json({
+          error: 'Pedido não encontrado',
+          message: `Pedido ${request.params.id} não existe`
+        });
+      }
+
+      // O documento gravado já está normalizado ({ numero, tipo }); volta a ser validado como texto
+      const current = { ...order.cliente, documento: order.cliente?.documento?.numero || null };
+      const { customer, errors } = normalizeCustomer({ ...current, ...request.body });
+      if (errors.length > 0) {
+        return response.status(400).json({
+          error: 'Cliente inválido',
+          message: errors.join('; ')
+        });
+      }
+
+      const updated = await orderService.updateCustomer(order.id, customer);
+      if (!updated) {
+        return response.status(409).json({
+          error: 'Pedido já está no Bling',
+          message: 'Depois de enviado, o cliente do pedido só pode ser alterado no Bling'
+        });
+      }
+
+      return response.json({ order: await getWithOutbox(order.id) });
+    } catch (error) {
+      console.error(error);
+      return response.status(500).json({ error: 'Erro interno do servidor' });
+    }
+  },
+
+  // Mudança manual de status pelo painel (segue as mesmas transições dos webhooks)
+  async updateStatus(request, response) {
+    try {
+      const { status, note } = request.body;
+      const order = await orderService.get(request.params.id);
+
+      if (!order) {
+        return response.status(404).json({
+          error: 'Pedido não encontrado',
+          message: `Pedido ${request.params.id} não existe`
+        });
+      }
+
+      if (!OrderService.ORDER_STATUSES[status]) {
+        return response.status(400).json({
+          error: 'Status inválido',
+          message: `Use um destes status: ${Object.keys(OrderService.ORDER_STATUSES).join(', ')}`
+        });
+      }
+
+      if (!orderService.canTransition(order.status, status)) {
+        return response.status(409).json({
+          error: 'Mudança de status não permitida',
+          message: `Um pedido ${OrderService.ORDER_STATUSES[order.status].toLowerCase()} não pode passar para ${OrderService.ORDER_STATUSES[status].toLowerCase()}`
+        });
+      }
+
+      await orderService.transition(order, status, { source: 'admin', note: note || null });
+
+      return response.json({ order: await getWithOutbox(order.id) });
+    } catch (error) {
+      console.error(error);
+      return response.status(500).json({ error: 'Erro interno do servidor' });
+    }
+  },
+
+  // Consulta pública da situação de um pedido (sem dados do cliente)
+  async status(request, response) {
+    try {
+      const order = await orderService.findByNumber(request.params.numero);
+
+      if (!order) {
+        return response.status(404).json({
+          error: 'Pedido não encontrado',
+          message: `Pedido ${request.params.numero} não existe`
+        });
+      }
+
+      return response.json({
+        order: {
+          numero: order.numero_loja || order.numero,
+          status: order.status,
+          situacao: order.status_label,
+          total: order.total,
+          data: order.data,
+          updated_at: order.updated_at
+        }
+      });
+    } catch (error) {
+      console.error(error);
+      return response.status(500).json({ error: 'Erro interno do servidor' });
+    }
+  }
+};
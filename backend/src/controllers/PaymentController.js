@@ -0,0 +1,225 @@
+const PaymentService = require('../services/PaymentService');
+const { getGatewayOptions } = require('../utils/paymentGateway');
+
+const paymentService = new PaymentService();
+
+// Status HTTP de cada erro de pagamento
+const ERROR_RESPONSES = {
+  not_found: [404, 'Não encontrado'],
+  invalid_method: [409, 'Forma de pagamento diferente'],
+  not_payable: [409, 'Pedido não aguarda pagamento'],
+  not_configured: [503, 'Pagamento não configurado'],
+  cancelled: [409, 'Cobrança cancelada'],
+  amount_mismatch: [409, 'Valor divergente'],
+  declined: [402, 'Pagamento recusado'],
+  gateway_error: [502, 'Falha no gateway de pagamento'],
+  not_capturable: [409, 'Cobrança não pode ser capturada'],
+  not_refundable: [409, 'Cobrança não pode ser estornada'],
+  invalid_amount: [400, 'Valor inválido'],
+  invalid_signature: [401, 'Assinatura inválida'],
+  invalid_event: [400, 'Notificação inválida']
+};
+
+const sendError = (response, error) => {
+  const [status, title] = ERROR_RESPONSES[error.code] || [400, 'Erro no pagamento'];
+  return response.status(status).json({ error: title, message: error.message });
+};
+
+module.exports = {
+  // Gera (ou reaproveita) a cobrança PIX de um pedido da vitrine
+  async createPix(request, response) {
+    try {
+      const { payment, error } = await paymentService.createPixCharge(request.params.numero);
+      if (error) {
+        return sendError(response, error);
+      }
+      return response.json({ payment });
+    } catch (error) {
+      console.error('Erro ao gerar cobrança PIX:', error);
+      return response.status(500).json({ error: 'Erro interno do servidor' });
+    }
+  },
+
+  // Cobrança de cartão ou boleto pelo gateway (nova tentativa após recusa ou segunda via do boleto)
+  async createCharge(request, response) {
+    try {
+      const { payment, error } = await paymentService.createCharge(request.params.numero, {
+        card: request.body?.cartao || null
+      });
+      if (error) {
+        const [status, title] = ERROR_RESPONSES[error.code] || [400, 'Erro no pagamento'];
+        return response.status(status).json({ error: title, message: error.message, payment });
+      }
+      return response.json({ payment });
+    } catch (error) {
+      console.error('Erro ao cobrar pedido:', error);
+      return response.status(500).json({ error: 'Erro interno do servidor' });
+    }
+  },
+
+  // Situação da cobrança PIX (consultada pela página de confirmação até o pagamento)
+  async showPix(request, response) {
+    try {
+      const result = await paymentService.getPixCharge(request.params.numero);
+      if (!result) {
+        return response.status(404).json({
+          error: 'Pedido não encontrado',
+          message: `Pedido ${request.params.numero} não existe`
+        });
+      }
+      return response.json(result);
+    } catch (error) {
+      console.error(error);
+      return response.status(500).json({ error: 'Erro interno do servidor' });
+    }
+  },
+
+  /**
+   * Confirmação de pagamento, independente do provedor (PSP, conciliação ou stub local)
+   * Corpo assinado com HMAC-SHA256 de PAYMENT_WEBHOOK_SECRET no cabeçalho X-Payment-Signature
+   */
+  async confirm(request, response) {
+    try {
+      if (!paymentService.verifySignature(request.rawBody, request.get('X-Payment-Signature'))) {
+        return response.status(401).json({
+          error: 'Assinatura inválida',
+          message: 'Não foi possível verificar a autenticidade da confirmação'
+        });
+      }
+
+      const { txid, valor, referencia, pago_em: pagoEm } = request.body;
+      const result = await paymentService.confirm({
+        txid,
+        amount: valor,
+        reference: referencia || null,
+        paidAt: pagoEm || null,
+        raw: request.body
+      });
+
+      if (result.error) {
+        return sendError(response, result.error);
+      }
+
+      // Pedido cancelado: o dinheiro foi registrado, mas o pedido não foi pago e a cobrança aguarda estorno
+      return response.json({
+        confirmed: !result.needsRefund,
+        needs_refund: Boolean(result.needsRefund),
+        duplicate: result.duplicate,
+        bling_updated: result.blingUpdated,
+        payment: result.payment
+      });
+    } catch (error) {
+      console.error('Erro ao confirmar pagamento:', error);
+      return response.status(500).json({ error: 'Erro interno do servidor' });
+    }
+  },
+
+  // Parcelas no cartão de um valor (ex.: total do checkout), com juros acima das parcelas sem juros
+  async installments(request, response) {
+    try {
+      const amount = Number(request.query.valor);
+      if (!Number.isFinite(amount) || amount <= 0) {
+        return response.status(400).json({
+          error: 'Valor inválido',
+          message: 'Informe o valor a parcelar em ?valor= (ex.: 199.90)'
+        });
+      }
+
+      const roundedAmount = Math.round(amount * 100) / 100;
+      return response.json({ amount: roundedAmount, ...(await paymentService.getInstallments(roundedAmount)) });
+    } catch (error) {
+      console.error(error);
+      return response.status(500).json({ error: 'Erro interno do servidor' });
+    }
+  },
+
+  // Notificação do gateway (URL por provedor: /api/payments/webhooks/:provider)
+  async webhook(request, response) {
+    try {
+      const result = await paymentService.handleWebhook(request.params.provider, request.rawBody, request.headers);
+      if (result.error) {
+        return sendError(response, result.error);
+      }
+      return response.json({ received: true, duplicate: result.duplicate, payment: result.payment });
+    } catch (error) {
+      console.error('Erro ao processar notificação de pagamento:', error);
+      return response.status(500).json({ error: 'Erro interno do servidor' });
+    }
+  },
+
+  // Captura manual de uma cobrança de cartão autorizada
+  async capture(request, response) {
+    try {
+      const { payment, error } = await paymentService.capture(request.params.id);
+      if (error) {
+        return sendError(response, error);
+      }
+      return response.json({ success: true, payment });
+    } catch (error) {
+      console.error('Erro ao capturar pagamento:', error);
+      return response.status(500).json({ error: 'Erro interno do servidor' });
+    }
+  },
+
+  // Estorno total (sem valor) ou parcial de uma cobrança paga
+  async refund(request, response) {
+    try {
+      const { payment, error } = await paymentService.refund(request.params.id, request.body?.valor ?? null);
+      if (error) {
+        return sendError(response, error);
+      }
+      return response.json({ success: true, payment });
+    } catch (error) {
+      console.error('Erro ao estornar pagamento:', error);
+      return response.status(500).json({ error: 'Erro interno do servidor' });
+    }
+  },
+
+  async getGatewaySettings(request, response) {
+    try {
+      return response.json({ settings: await paymentService.getGatewaySettings(), ...getGatewayOptions() });
+    } catch (error) {
+      console.error(error);
+      return response.status(500).json({ error: 'Erro interno do servidor' });
+    }
+  },
+
+  async updateGatewaySettings(request, response) {
+    try {
+      const { settings, errors } = await paymentService.updateGatewaySettings(request.body || {});
+
+      if (errors.length > 0) {
+        return response.status(400).json({ error: 'Configuração do gateway inválida', message: errors.join('; ') });
+      }
+
+      return response.json({ success: true, settings });
+    } catch (error) {
+      console.error(error);
+      return response.status(500).json({ error: 'Erro interno do servidor' });
+    }
+  },
+
+  async getPixSettings(request, response) {
+    try {
+      return response.json({ settings: await paymentService.getPixSettings() });
+    } catch (error) {
+      console.error(error);
+      return response.status(500).json({ error: 'Erro interno do servidor' });
+    }
+  },
+
+  async updatePixSettings(request, response) {
+    try {
+      const { settings, errors } = await paymentService.updatePixSettings(request.body || {});
+
+      if (errors.length > 0) {
+        return response.status(400).json({ error: 'Configuração do PIX inválida', message: errors.join('; ') });
+      }
+
+      return response.json({ success: true, settings });
+    } catch (error) {
+      console.error(error);
+      return response.status(500).json({ error: 'Erro interno do servidor' });
+    }
+  }
+};
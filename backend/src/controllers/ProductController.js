@@ -1,75 +1,230 @@
 const connection = require('../database/connection');
+const ProductSlugService = require('../services/ProductSlugService');
+const StoreSettingsService = require('../services/StoreSettingsService');
+const PromotionService = require('../services/PromotionService');
+const { normalizeGatewaySettings } = require('../utils/paymentGateway');
+const { buildInstallmentTable, bestInstallment } = require('../utils/installments');
+const {
+  EFFECTIVE_PRICE_SQL,
+  DISCOUNT_RATIO_SQL,
+  toNumber,
+  toVitrineProduct,
+  toProductDetail
+} = require('../utils/productMapper');
 
-// Dados de exemplo dos produtos
-const sampleProducts = [
-  {
-    id: '1',
-    name: 'Smartphone Samsung Galaxy A54',
-    price: 1299.99,
-    oldprice: 1599.99,
-    categories: 'Eletrônicos',
-    count: 10,
-    discount: 19,
-    image_src: 'https://images.unsplash.com/photo-1511707171634-5f897ff02aa9?w=300&h=300&fit=crop'
-  },
-  {
-    id: '2', 
-    name: 'Notebook Lenovo IdeaPad 3',
-    price: 2499.99,
-    oldprice: 2899.99,
-    categories: 'Informática',
-    count: 12,
-    discount: 14,
-    image_src: 'https://images.unsplash.com/photo-1496181133206-80ce9b88a853?w=300&h=300&fit=crop'
-  },
-  {
-    id: '3',
-    name: 'Fone de Ouvido Sony WH-1000XM4',
-    price: 899.99,
-    oldprice: 1199.99,
-    categories: 'Áudio',
-    count: 6,
-    discount: 25,
-    image_src: 'https://images.unsplash.com/photo-1505740420928-5e560c06d30e?w=300&h=300&fit=crop'
-  },
-  {
-    id: '4',
-    name: 'Smart TV LG 55" 4K',
-    price: 2199.99,
-    oldprice: 2799.99,
-    categories: 'Eletrônicos',
-    count: 18,
-    discount: 21,
-    image_src: 'https://images.unsplash.com/photo-1593359677879-a4bb92f829d1?w=300&h=300&fit=crop'
-  },
-  {
-    id: '5',
-    name: 'Câmera Canon EOS Rebel T7',
-    price: 1799.99,
-    oldprice: 2199.99,
-    categories: 'Fotografia',
-    count: 8,
-    discount: 18,
-    image_src: 'https://images.unsplash.com/photo-1516035069371-29a1b244cc32?w=300&h=300&fit=crop'
-  },
-  {
-    id: '6',
-    name: 'Apple Watch Series 8',
-    price: 2999.99,
-    oldprice: 3499.99,
-    categories: 'Wearables',
-    count: 15,
-    discount: 14,
-    image_src: 'https://images.unsplash.com/photo-1523275335684-37898b6baf30?w=300&h=300&fit=crop'
+const slugService = new ProductSlugService();
+const storeSettings = new StoreSettingsService();
+const promotionService = new PromotionService();
+
+// Campos que o painel pode editar; ficam marcados em products.locally_edited_fields
+const EDITABLE_FIELDS = ['nome', 'descricao', 'categoria', 'imagem'];
+
+// Paginação da busca
+const DEFAULT_PAGE_SIZE = 24;
+const MAX_PAGE_SIZE = 100;
+
+// Opções de ordenação aceitas pela busca
+const SORT_OPTIONS = {
+  relevance: 'Relevância',
+  price_asc: 'Menor preço',
+  price_desc: 'Maior preço',
+  newest: 'Mais recentes',
+  discount: 'Maior desconto'
+};
+
+/**
+ * Consulta base da vitrine: apenas produtos ativos e com estoque
+ */
+const availableProducts = () => connection('products')
+  .where('ativo', true)
+  .whereRaw('estoque > estoque_reservado');
+
+/**
+ * Política de parcelamento do gateway (a mesma usada no checkout)
+ */
+const getInstallmentSettings = async () => normalizeGatewaySettings(await storeSettings.get('gateway')).settings;
+
+/**
+ * Converte os registros para a vitrine com o parcelamento anunciado nos cards
+ * ("12x de R$ X sem juros"; null quando o produto só pode ser pago à vista)
+ * e a campanha de promoção que define o preço ({ id, name, ends_at })
+ */
+const toVitrineProducts = async (rows) => {
+  const [settings, promotions] = await Promise.all([
+    getInstallmentSettings(),
+    promotionService.findSummaries(rows.map(row => row.promocao_id))
+  ]);
+
+  return rows.map((row) => {
+    const product = toVitrineProduct(row);
+    return {
+      ...product,
+      promotion: promotions.get(product.promotion_id) || null,
+      installments: bestInstallment(buildInstallmentTable(product.price, settings))
+    };
+  });
+};
+
+/**
+ * Normaliza os parâmetros de busca recebidos na query string
+ */
+const parseSearchFilters = (query) => {
+  const toList = (value) => [].concat(value || [])
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+
+  return {
+    q: (query.q || '').trim(),
+    categorias: toList(query.categoria),
+    marcas: toList(query.marca),
+    precoMin: toNumber(query.preco_min),
+    precoMax: toNumber(query.preco_max),
+    emEstoque: query.em_estoque === 'true' || query.em_estoque === '1'
+  };
+};
+
+/**
+ * Aplica os filtros da busca sobre a consulta.
+ * `ignore` permite omitir um filtro ao calcular a contagem da sua própria faceta.
+ */
+const applySearchFilters = (query, filters, ignore = null) => {
+  query.where('products.ativo', true);
+
+  if (filters.q) {
+    query.where(function() {
+      this.whereRaw("products.search_vector @@ websearch_to_tsquery('portuguese', ?)", [filters.q])
+        .orWhere('products.codigo', 'ilike', `${filters.q}%`)
+        .orWhere('products.gtin', filters.q);
+    });
+  }
+
+  if (ignore !== 'categoria' && filters.categorias.length > 0) {
+    query.whereIn('products.categoria', filters.categorias);
   }
-];
+
+  if (ignore !== 'marca' && filters.marcas.length > 0) {
+    query.whereIn('products.marca', filters.marcas);
+  }
+
+  if (ignore !== 'preco') {
+    if (filters.precoMin !== null) {
+      query.whereRaw(`(${EFFECTIVE_PRICE_SQL}) >= ?`, [filters.precoMin]);
+    }
+    if (filters.precoMax !== null) {
+      query.whereRaw(`(${EFFECTIVE_PRICE_SQL}) <= ?`, [filters.precoMax]);
+    }
+  }
+
+  if (filters.emEstoque) {
+    query.whereRaw('products.estoque > products.estoque_reservado');
+  }
+
+  return query;
+};
+
+/**
+ * Aplica a ordenação escolhida na busca
+ */
+const applySearchSort = (query, sort, filters) => {
+  switch (sort) {
+    case 'price_asc':
+      return query.orderByRaw(`${EFFECTIVE_PRICE_SQL} asc`);
+    case 'price_desc':
+      return query.orderByRaw(`${EFFECTIVE_PRICE_SQL} desc`);
+    case 'newest':
+      return query.orderBy('products.created_at', 'desc');
+    case 'discount':
+      return query.orderByRaw(`${DISCOUNT_RATIO_SQL} desc`);
+    default:
+      if (filters.q) {
+        query.orderByRaw("ts_rank(products.search_vector, websearch_to_tsquery('portuguese', ?)) desc", [filters.q]);
+      }
+      return query.orderBy('products.nome', 'asc');
+  }
+};
+
+/**
+ * Calcula as contagens das facetas (categoria, marca e faixa de preço)
+ */
+const searchFacets = async (filters) => {
+  const countBy = (column, ignore) => applySearchFilters(connection('products'), filters, ignore)
+    .whereNotNull(`products.${column}`)
+    .select(`products.${column} as value`)
+    .count('* as count')
+    .groupBy(`products.${column}`)
+    .orderBy('count', 'desc');
+
+  const [categorias, marcas, preco] = await Promise.all([
+    countBy('categoria', 'categoria'),
+    countBy('marca', 'marca'),
+    applySearchFilters(connection('products'), filters, 'preco')
+      .select(
+        connection.raw(`min(${EFFECTIVE_PRICE_SQL}) as min`),
+        connection.raw(`max(${EFFECTIVE_PRICE_SQL}) as max`)
+      )
+      .first()
+  ]);
+
+  const toFacet = ({ value, count }) => ({ value, count: Number(count) });
+
+  return {
+    categorias: categorias.map(toFacet),
+    marcas: marcas.map(toFacet),
+    preco: {
+      min: toNumber(preco?.min),
+      max: toNumber(preco?.max)
+    }
+  };
+};
 
 module.exports = {
   async index(request, response) {
     try {
-      // Retorna todos os produtos
+      // Retorna todos os produtos disponíveis
+      const products = await availableProducts()
+        .orderBy('nome', 'asc');
+
+      return response.json({
+        products: await toVitrineProducts(products)
+      });
+    } catch (error) {
+      console.error(error);
+      return response.status(500).json({ error: 'Erro interno do servidor' });
+    }
+  },
+
+  async search(request, response) {
+    try {
+      const filters = parseSearchFilters(request.query);
+      const sort = SORT_OPTIONS[request.query.sort] ? request.query.sort : 'relevance';
+      const limit = Math.min(Math.max(parseInt(request.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+      const page = Math.max(parseInt(request.query.page, 10) || 1, 1);
+
+      const [products, totalResult, facets] = await Promise.all([
+        applySearchSort(applySearchFilters(connection('products'), filters), sort, filters)
+          .select('products.*')
+          .limit(limit)
+          .offset((page - 1) * limit),
+        applySearchFilters(connection('products'), filters)
+          .count('* as total')
+          .first(),
+        searchFacets(filters)
+      ]);
+
+      const total = Number(totalResult.total);
+
       return response.json({
-        products: sampleProducts
+        products: await toVitrineProducts(products),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        },
+        facets,
+        sort,
+        sort_options: Object.entries(SORT_OPTIONS).map(([value, label]) => ({ value, label }))
       });
     } catch (error) {
       console.error(error);
@@ -77,15 +232,114 @@ module.exports = {
     }
   },
 
+  async show(request, response) {
+    try {
+      const { idOrSlug } = request.params;
+      const findActive = (column, value) => connection('products')
+        .where(column, value)
+        .where('ativo', true)
+        .first();
+
+      // O slug vem primeiro: produtos com nome só de dígitos (ex.: "2024") têm slug numérico
+      const product = await findActive('slug', idOrSlug)
+        || (/^\d{1,9}$/.test(idOrSlug) ? await findActive('id', idOrSlug) : undefined);
+
+      if (!product) {
+        // Slug antigo de um produto renomeado: redireciona para o atual
+        const currentSlug = await slugService.findRedirect(idOrSlug);
+        if (currentSlug) {
+          return response.redirect(301, `/api/products/${encodeURIComponent(currentSlug)}`);
+        }
+
+        return response.status(404).json({
+          error: 'Produto não encontrado',
+          message: 'O produto não existe ou não está mais disponível'
+        });
+      }
+
+      const detail = toProductDetail(product);
+      const [settings, promotions] = await Promise.all([
+        getInstallmentSettings(),
+        promotionService.findSummaries([product.promocao_id])
+      ]);
+      const table = buildInstallmentTable(detail.price, settings);
+
+      return response.json({
+        product: {
+          ...detail,
+          promotion: promotions.get(detail.promotion_id) || null,
+          installments: bestInstallment(table),
+          installment_table: table
+        }
+      });
+    } catch (error) {
+      console.error(error);
+      return response.status(500).json({ error: 'Erro interno do servidor' });
+    }
+  },
+
+  async update(request, response) {
+    try {
+      const product = await connection('products')
+        .where('id', parseInt(request.params.id, 10) || 0)
+        .first();
+
+      if (!product) {
+        return response.status(404).json({
+          error: 'Produto não encontrado',
+          message: `Produto ${request.params.id} não encontrado`
+        });
+      }
+
+      const body = request.body || {};
+      const changes = {};
+      for (const field of EDITABLE_FIELDS) {
+        if (body[field] === undefined) continue;
+        const value = body[field] === null ? null : String(body[field]).trim();
+        if (value !== product[field]) {
+          changes[field] = value;
+        }
+      }
+
+      if (changes.nome !== undefined && !changes.nome) {
+        return response.status(400).json({
+          error: 'Produto inválido',
+          message: 'Informe o nome do produto'
+        });
+      }
+
+      const edited = new Set(product.locally_edited_fields || []);
+      Object.keys(changes).forEach(field => edited.add(field));
+      if (changes.nome !== undefined) {
+        changes.slug = await slugService.resolveForUpdate(product, changes.nome);
+        edited.add('slug');
+      }
+
+      const [updated] = await connection('products')
+        .where('id', product.id)
+        .update({
+          ...changes,
+          locally_edited_fields: JSON.stringify([...edited]),
+          updated_at: connection.fn.now()
+        })
+        .returning('*');
+
+      return response.json({ success: true, product: toProductDetail(updated) });
+    } catch (error) {
+      console.error(error);
+      return response.status(500).json({ error: 'Erro interno do servidor' });
+    }
+  },
+
   async popular(request, response) {
     try {
-      // Retorna produtos mais populares (simulando popularidade)
-      const popularProducts = sampleProducts
-        .sort((a, b) => b.count - a.count)
-        .slice(0, 4);
+      // Retorna produtos mais populares (sem histórico de vendas, usa os mais recentes)
+      const products = await availableProducts()
+        .orderBy('updated_at', 'desc')
+        .limit(4);
 
       return response.json({
-        popular_products: popularProducts
+        popular_products: await toVitrineProducts(products)
       });
     } catch (error) {
       console.error(error);
@@ -95,18 +349,18 @@ module.exports = {
 
   async offers(request, response) {
     try {
-      // Retorna produtos com desconto
-      const offerProducts = sampleProducts
-        .filter(product => product.discount > 15)
-        .sort((a, b) => b.discount - a.discount)
-        .slice(0, 4);
+      // Produtos com preço efetivo abaixo do cheio (campanha ou promocional do Bling), do maior desconto para o menor
+      const products = await availableProducts()
+        .whereRaw(`${DISCOUNT_RATIO_SQL} > 0`)
+        .orderByRaw(`${DISCOUNT_RATIO_SQL} desc`)
+        .limit(4);
 
       return response.json({
-        price_products: offerProducts
+        price_products: await toVitrineProducts(products)
       });
     } catch (error) {
       console.error(error);
       return response.status(500).json({ error: 'Erro interno do servidor' });
     }
   }
-};
\ No newline at end of file
+};
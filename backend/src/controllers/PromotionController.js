@@ -0,0 +1,78 @@
+const PromotionService = require('../services/PromotionService');
+const { getPromotionOptions } = require('../utils/promotions');
+
+const promotionService = new PromotionService();
+
+// Status HTTP de cada erro das campanhas
+const ERROR_RESPONSES = {
+  not_found: [404, 'Campanha não encontrada'],
+  invalid_promotion: [400, 'Campanha inválida']
+};
+
+const sendError = (response, error) => {
+  const [status, title] = ERROR_RESPONSES[error.code] || [400, 'Erro na campanha'];
+  return response.status(status).json({ error: title, message: error.message });
+};
+
+module.exports = {
+  async index(request, response) {
+    try {
+      return response.json({ promotions: await promotionService.list(), ...getPromotionOptions() });
+    } catch (error) {
+      console.error(error);
+      return response.status(500).json({ error: 'Erro interno do servidor' });
+    }
+  },
+
+  async show(request, response) {
+    try {
+      const promotion = await promotionService.get(parseInt(request.params.id, 10) || 0);
+      if (!promotion) {
+        return sendError(response, { code: 'not_found', message: `Campanha ${request.params.id} não encontrada` });
+      }
+      return response.json({ promotion });
+    } catch (error) {
+      console.error(error);
+      return response.status(500).json({ error: 'Erro interno do servidor' });
+    }
+  },
+
+  async create(request, response) {
+    try {
+      const { promotion, error } = await promotionService.create(request.body || {});
+      if (error) {
+        return sendError(response, error);
+      }
+      return response.status(201).json({ success: true, promotion });
+    } catch (error) {
+      console.error(error);
+      return response.status(500).json({ error: 'Erro interno do servidor' });
+    }
+  },
+
+  async update(request, response) {
+    try {
+      const { promotion, error } = await promotionService.update(parseInt(request.params.id, 10) || 0, request.body || {});
+      if (error) {
+        return sendError(response, error);
+      }
+      return response.json({ success: true, promotion });
+    } catch (error) {
+      console.error(error);
+      return response.status(500).json({ error: 'Erro interno do servidor' });
+    }
+  },
+
+  async destroy(request, response) {
+    try {
+      const { error } = await promotionService.remove(parseInt(request.params.id, 10) || 0);
+      if (error) {
+        return sendError(response, error);
+      }
+      return response.json({ success: true });
+    } catch (error) {
+      console.error(error);
+      return response.status(500).json({ error: 'Erro interno do servidor' });
+    }
+  }
+};
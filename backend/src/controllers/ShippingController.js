@@ -0,0 +1,79 @@
+const CartService = require('../services/CartService');
+const ShippingService = require('../services/ShippingService');
+const { getShippingOptions } = require('../utils/shipping');
+
+const cartService = new CartService();
+const shippingService = new ShippingService();
+
+// Status HTTP de cada erro da cotação
+const ERROR_RESPONSES = {
+  invalid_cep: [400, 'CEP inválido'],
+  not_found: [404, 'Produto não encontrado'],
+  empty_cart: [400, 'Carrinho vazio']
+};
+
+/**
+ * Dono do carrinho: token do visitante (X-Cart-Token); a loja ainda não tem login de clientes
+ */
+const getOwner = (request) => ({
+  token: request.get('X-Cart-Token') || null
+});
+
+module.exports = {
+  // Cotação para um produto (?product_id=&quantidade=) ou, sem produto, para o carrinho
+  async quote(request, response) {
+    try {
+      const { cep, product_id: productId } = request.query;
+      if (!cep) {
+        return response.status(400).json({ error: 'CEP inválido', message: 'Informe o CEP de destino em ?cep=' });
+      }
+
+      let lines;
+      if (productId) {
+        const { value: quantidade, errors } = cartService.parseQuantity(request.query.quantidade ?? 1);
+        if (errors.length > 0) {
+          return response.status(400).json({ error: 'Quantidade inválida', message: errors.join('; ') });
+        }
+        lines = [{ product_id: parseInt(productId, 10) || 0, quantidade }];
+      } else {
+        const cart = await cartService.get(getOwner(request));
+        lines = cart.items.map(item => ({ product_id: item.product_id, quantidade: item.quantidade }));
+      }
+
+      const { error, ...quote } = await shippingService.quoteLines(cep, lines);
+      if (error) {
+        const [status, title] = ERROR_RESPONSES[error.code] || [400, 'Erro na cotação'];
+        return response.status(status).json({ error: title, message: error.message });
+      }
+
+      return response.json(quote);
+    } catch (error) {
+      console.error('Erro ao cotar frete:', error);
+      return response.status(500).json({ error: 'Erro interno do servidor' });
+    }
+  },
+
+  async getSettings(request, response) {
+    try {
+      return response.json({ settings: await shippingService.getSettings(), ...getShippingOptions() });
+    } catch (error) {
+      console.error(error);
+      return response.status(500).json({ error: 'Erro interno do servidor' });
+    }
+  },
+
+  async updateSettings(request, response) {
+    try {
+      const { settings, errors } = await shippingService.updateSettings(request.body || {});
+
+      if (errors.length > 0) {
+        return response.status(400).json({ error: 'Configuração de frete inválida', message: errors.join('; ') });
+      }
+
+      return response.json({ success: true, settings });
+    } catch (error) {
+      console.error(error);
+      return response.status(500).json({ error: 'Erro interno do servidor' });
+    }
+  }
+};
@@ -0,0 +1,21 @@
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+  return knex.schema.createTable('products', function(table) {
+    table.increments('id');
+    table.string('nome').notNullable().comment('Nome do produto');
+    table.text('descricao').nullable().comment('Descrição curta');
+    table.decimal('preco', 10, 2).notNullable().defaultTo(0).comment('Preço de venda');
+    table.string('imagem', 1024).nullable().comment('URL da imagem principal');
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema.dropTable('products');
+};
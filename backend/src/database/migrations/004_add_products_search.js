@@ -0,0 +1,35 @@
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+  // Vetor de busca textual em português, mantido pelo próprio PostgreSQL
+  await knex.raw(`
+    ALTER TABLE products
+    ADD COLUMN search_vector tsvector GENERATED ALWAYS AS (
+      setweight(to_tsvector('portuguese', coalesce(nome, '')), 'A') ||
+      setweight(to_tsvector('portuguese', coalesce(marca, '')), 'B') ||
+      setweight(to_tsvector('simple', coalesce(codigo, '') || ' ' || coalesce(gtin, '')), 'B') ||
+      setweight(to_tsvector('portuguese', coalesce(descricao_completa, '')), 'C')
+    ) STORED
+  `);
+
+  await knex.raw('CREATE INDEX products_search_vector_index ON products USING GIN (search_vector)');
+
+  await knex.schema.table('products', function(table) {
+    table.index('marca');
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function(knex) {
+  await knex.schema.table('products', function(table) {
+    table.dropIndex('marca');
+  });
+
+  await knex.raw('DROP INDEX IF EXISTS products_search_vector_index');
+  await knex.raw('ALTER TABLE products DROP COLUMN IF EXISTS search_vector');
+};
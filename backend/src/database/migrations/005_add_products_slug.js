@@ -0,0 +1,48 @@
+const slugify = require('../../utils/slugify');
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+  await knex.schema.table('products', function(table) {
+    table.string('slug', 160).nullable().unique().comment('Slug da URL do produto');
+  });
+
+  await knex.schema.createTable('product_slug_redirects', function(table) {
+    table.increments('id');
+    table.integer('product_id').notNullable().references('id').inTable('products').onDelete('CASCADE');
+    table.string('old_slug', 160).notNullable().unique().comment('Slug anterior do produto');
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+  });
+
+  // Gera slugs para os produtos já existentes
+  const products = await knex('products').select('id', 'nome').orderBy('id');
+  const used = new Set();
+
+  for (const product of products) {
+    const base = slugify(product.nome) || 'produto';
+    let slug = base;
+    let suffix = 2;
+
+    while (used.has(slug)) {
+      slug = `${base}-${suffix}`;
+      suffix++;
+    }
+
+    used.add(slug);
+    await knex('products').where('id', product.id).update({ slug });
+  }
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function(knex) {
+  await knex.schema.dropTable('product_slug_redirects');
+
+  await knex.schema.table('products', function(table) {
+    table.dropColumn('slug');
+  });
+};
@@ -0,0 +1,24 @@
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+  return knex.schema.createTable('bling_oauth_states', function(table) {
+    table.increments('id');
+    table.string('state', 64).notNullable().unique().comment('Nonce enviado ao Bling no parâmetro state');
+    table.string('session_hash', 64).notNullable().comment('Hash da sessão do admin que iniciou o fluxo');
+    table.timestamp('expires_at').notNullable().comment('Expiração do state');
+    table.timestamp('used_at').nullable().comment('Momento em que o state foi consumido');
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+
+    table.index('expires_at');
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema.dropTable('bling_oauth_states');
+};
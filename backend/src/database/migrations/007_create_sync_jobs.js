@@ -0,0 +1,47 @@
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+  await knex.schema.createTable('sync_jobs', function(table) {
+    table.increments('id');
+    table.string('type').notNullable().defaultTo('products').comment('Tipo de sincronização');
+    table.string('status').notNullable().defaultTo('queued')
+      .comment('queued, running, completed, partial, failed, cancelled');
+    table.string('trigger').notNullable().defaultTo('manual').comment('manual ou scheduled');
+    table.json('options').nullable().comment('Opções da sincronização (mode, reconcile)');
+    table.string('phase').nullable().comment('Etapa atual: fetching, saving, reconciling, done');
+    table.integer('pages').defaultTo(0).comment('Páginas lidas do Bling');
+    table.integer('fetched').defaultTo(0).comment('Produtos lidos do Bling');
+    table.integer('total').defaultTo(0).comment('Produtos a gravar');
+    table.integer('processed').defaultTo(0).comment('Produtos já gravados');
+    table.integer('created').defaultTo(0);
+    table.integer('updated').defaultTo(0);
+    table.integer('deactivated').defaultTo(0);
+    table.integer('error_count').defaultTo(0);
+    table.json('errors').nullable().comment('Erros por item/página');
+    table.text('message').nullable().comment('Resumo ou erro fatal');
+    table.boolean('cancel_requested').defaultTo(false);
+    table.timestamp('started_at').nullable();
+    table.timestamp('finished_at').nullable();
+    table.timestamps(true, true);
+
+    table.index(['type', 'status']);
+    table.index('created_at');
+  });
+
+  // Garante no máximo um job em andamento por tipo
+  await knex.raw(`
+    CREATE UNIQUE INDEX sync_jobs_one_active_per_type
+    ON sync_jobs (type)
+    WHERE status IN ('queued', 'running')
+  `);
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema.dropTable('sync_jobs');
+};
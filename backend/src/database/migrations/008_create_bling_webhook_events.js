@@ -0,0 +1,30 @@
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+  return knex.schema.createTable('bling_webhook_events', function(table) {
+    table.increments('id');
+    table.string('event_id').notNullable().unique().comment('ID do evento no Bling (ou hash do corpo)');
+    table.string('event').notNullable().comment('Tipo do evento (ex.: produto.atualizado)');
+    table.json('payload').notNullable().comment('Corpo recebido');
+    table.string('status').notNullable().defaultTo('received')
+      .comment('received, processing, processed, failed, ignored');
+    table.integer('attempts').defaultTo(0).comment('Tentativas de processamento');
+    table.text('error').nullable().comment('Último erro de processamento');
+    table.timestamp('received_at').defaultTo(knex.fn.now());
+    table.timestamp('processed_at').nullable();
+    table.timestamps(true, true);
+
+    table.index('status');
+    table.index('event');
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema.dropTable('bling_webhook_events');
+};
@@ -0,0 +1,33 @@
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+  return knex.schema.createTable('orders', function(table) {
+    table.increments('id');
+    table.bigInteger('bling_id').nullable().unique().comment('ID do pedido de venda no Bling');
+    table.string('numero').nullable().comment('Número do pedido no Bling');
+    table.string('numero_loja').nullable().comment('Número do pedido na vitrine (ex.: WEB-...)');
+    table.integer('situacao_id').nullable().comment('ID da situação no Bling');
+    table.string('situacao').nullable().comment('Descrição da situação');
+    table.string('cliente_nome').nullable();
+    table.string('cliente_documento').nullable().comment('CPF/CNPJ do cliente');
+    table.decimal('total', 10, 2).defaultTo(0);
+    table.date('data').nullable().comment('Data do pedido');
+    table.json('bling_data').nullable().comment('Pedido completo retornado pelo Bling');
+    table.timestamp('deleted_at').nullable().comment('Pedido excluído no Bling');
+    table.timestamps(true, true);
+
+    table.index('numero');
+    table.index('numero_loja');
+    table.index('situacao_id');
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema.dropTable('orders');
+};
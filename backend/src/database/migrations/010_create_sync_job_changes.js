@@ -0,0 +1,30 @@
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+  return knex.schema.createTable('sync_job_changes', function(table) {
+    table.increments('id');
+    table.integer('job_id').unsigned().notNullable()
+      .references('id').inTable('sync_jobs').onDelete('CASCADE');
+    table.bigInteger('bling_id').notNullable().comment('ID do produto no Bling');
+    table.integer('product_id').unsigned().nullable().comment('Produto local afetado (vazio em criações)');
+    table.string('action').notNullable().comment('create, update, deactivate, skip');
+    table.string('nome').nullable();
+    table.json('changes').nullable().comment('Campos alterados: { campo: { old, new } }');
+    table.json('data').nullable().comment('Produto formatado a gravar (create/update)');
+    table.text('reason').nullable().comment('Motivo de inativação ou de o produto ser ignorado');
+    table.timestamp('applied_at').nullable();
+    table.timestamps(true, true);
+
+    table.index(['job_id', 'action']);
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema.dropTable('sync_job_changes');
+};
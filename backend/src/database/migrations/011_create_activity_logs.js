@@ -0,0 +1,30 @@
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+  return knex.schema.createTable('activity_logs', function(table) {
+    table.increments('id');
+    table.string('type').notNullable().comment('sync, webhook, order, token');
+    table.string('action').notNullable().comment('Ação específica (ex.: sync.run, token.refresh)');
+    table.string('status').notNullable().defaultTo('success').comment('success, info, warning, error');
+    table.string('title').notNullable();
+    table.text('message').nullable();
+    table.json('counts').nullable().comment('Contadores da atividade (ex.: criados, atualizados)');
+    table.integer('duration_ms').nullable();
+    table.json('errors').nullable();
+    table.string('reference').nullable().comment('Registro relacionado (ex.: sync_job:12)');
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+
+    table.index(['type', 'created_at']);
+    table.index('status');
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema.dropTable('activity_logs');
+};
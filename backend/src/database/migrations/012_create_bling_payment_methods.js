@@ -0,0 +1,24 @@
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+  return knex.schema.createTable('bling_payment_methods', function(table) {
+    table.increments('id');
+    table.bigInteger('bling_id').notNullable().unique().comment('ID da forma de pagamento no Bling');
+    table.string('descricao').notNullable();
+    table.integer('tipo_pagamento').nullable().comment('Código do tipo de pagamento no Bling (ex.: 3 cartão de crédito, 15 boleto, 17 PIX)');
+    table.boolean('ativo').defaultTo(true).comment('Falso quando inativa ou removida no Bling');
+    table.boolean('padrao').defaultTo(false).comment('Forma de pagamento padrão no Bling');
+    table.json('bling_data').nullable().comment('Registro completo retornado pelo Bling');
+    table.timestamps(true, true);
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema.dropTable('bling_payment_methods');
+};
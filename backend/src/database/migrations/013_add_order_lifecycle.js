@@ -0,0 +1,78 @@
+/**
+ * Pedidos da vitrine gravados localmente: ciclo de vida, itens e histórico de status
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+  await knex.schema.table('orders', function(table) {
+    table.string('status').notNullable().defaultTo('pending')
+      .comment('pending, paid, invoiced, shipped, delivered, cancelled');
+    table.string('origem').notNullable().defaultTo('bling').comment('vitrine ou bling');
+    table.string('cliente_email').nullable();
+    table.string('cliente_telefone').nullable();
+    table.json('cliente').nullable().comment('Dados do cliente informados na vitrine (inclui endereço)');
+    table.string('forma_pagamento').nullable().comment('pix, cartao_credito ou boleto');
+    table.json('parcelas').nullable().comment('Parcelas enviadas ao Bling');
+    table.text('observacoes').nullable();
+    table.bigInteger('bling_contact_id').nullable().comment('Contato do cliente no Bling');
+    table.string('bling_sync_status').notNullable().defaultTo('synced').comment('pending, synced, failed');
+    table.text('bling_error').nullable().comment('Último erro ao enviar o pedido ao Bling');
+    table.timestamp('bling_synced_at').nullable();
+
+    table.index('status');
+    table.index('bling_sync_status');
+  });
+
+  // Pedidos já importados do Bling: status a partir da situação
+  await knex('orders').where('situacao_id', 12).update({ status: 'cancelled' });
+  await knex('orders').whereIn('situacao_id', [15, 24]).update({ status: 'paid' });
+  await knex('orders').where('situacao_id', 9).update({ status: 'shipped' });
+
+  await knex.schema.createTable('order_items', function(table) {
+    table.increments('id');
+    table.integer('order_id').unsigned().notNullable()
+      .references('id').inTable('orders').onDelete('CASCADE');
+    table.integer('product_id').unsigned().nullable()
+      .references('id').inTable('products').onDelete('SET NULL');
+    table.bigInteger('bling_product_id').nullable().comment('ID do produto no Bling');
+    table.string('codigo').nullable();
+    table.string('nome').notNullable();
+    table.integer('quantidade').notNullable();
+    table.decimal('preco_unitario', 10, 2).notNullable();
+    table.decimal('total', 10, 2).notNullable();
+    table.timestamps(true, true);
+
+    table.index('order_id');
+  });
+
+  await knex.schema.createTable('order_status_history', function(table) {
+    table.increments('id');
+    table.integer('order_id').unsigned().notNullable()
+      .references('id').inTable('orders').onDelete('CASCADE');
+    table.string('from_status').nullable().comment('Vazio na criação do pedido');
+    table.string('status').notNullable();
+    table.string('source').notNullable().comment('vitrine, bling ou admin');
+    table.integer('bling_situacao_id').nullable().comment('Situação do Bling que originou a mudança');
+    table.text('note').nullable();
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+
+    table.index('order_id');
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function(knex) {
+  await knex.schema.dropTable('order_status_history');
+  await knex.schema.dropTable('order_items');
+  await knex.schema.table('orders', function(table) {
+    table.dropIndex('status');
+    table.dropIndex('bling_sync_status');
+    table.dropColumns(
+      'status', 'origem', 'cliente_email', 'cliente_telefone', 'cliente', 'forma_pagamento', 'parcelas',
+      'observacoes', 'bling_contact_id', 'bling_sync_status', 'bling_error', 'bling_synced_at'
+    );
+  });
+};
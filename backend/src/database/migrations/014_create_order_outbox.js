@@ -0,0 +1,51 @@
+/**
+ * Fila de envio dos pedidos da vitrine ao Bling (outbox) e chave de idempotência do checkout
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+  await knex.schema.table('orders', function(table) {
+    table.string('idempotency_key').nullable().unique()
+      .comment('Cabeçalho Idempotency-Key do checkout: reenvios do mesmo pedido não o duplicam');
+  });
+
+  await knex.schema.createTable('order_outbox', function(table) {
+    table.increments('id');
+    table.integer('order_id').unsigned().notNullable().unique()
+      .references('id').inTable('orders').onDelete('CASCADE');
+    table.string('status').notNullable().defaultTo('pending').comment('pending, processing, sent, dead');
+    table.integer('attempts').notNullable().defaultTo(0);
+    table.timestamp('next_attempt_at').notNullable().defaultTo(knex.fn.now());
+    table.timestamp('locked_at').nullable().comment('Início do envio em andamento');
+    table.text('last_error').nullable();
+    table.timestamp('sent_at').nullable();
+    table.timestamps(true, true);
+
+    table.index(['status', 'next_attempt_at']);
+  });
+
+  // Pedidos da vitrine que ainda não chegaram ao Bling entram na fila
+  const orders = await knex('orders')
+    .where('origem', 'vitrine')
+    .whereIn('bling_sync_status', ['pending', 'failed'])
+    .select('id', 'bling_sync_status', 'bling_error');
+
+  if (orders.length > 0) {
+    await knex('order_outbox').insert(orders.map(order => ({
+      order_id: order.id,
+      status: order.bling_sync_status === 'failed' ? 'dead' : 'pending',
+      last_error: order.bling_error
+    })));
+  }
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function(knex) {
+  await knex.schema.dropTable('order_outbox');
+  await knex.schema.table('orders', function(table) {
+    table.dropColumn('idempotency_key');
+  });
+};
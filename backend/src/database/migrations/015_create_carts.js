@@ -0,0 +1,38 @@
+/**
+ * Carrinhos de compra da vitrine (visitantes identificados por token)
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+  await knex.schema.createTable('carts', function(table) {
+    table.increments('id');
+    table.string('token', 64).notNullable().unique().comment('Enviado pelo navegador no cabeçalho X-Cart-Token');
+    table.integer('customer_id').nullable().comment('Cliente autenticado dono do carrinho');
+    table.string('status').notNullable().defaultTo('active').comment('active ou converted (virou pedido)');
+    table.timestamps(true, true);
+
+    table.index('customer_id');
+  });
+
+  await knex.schema.createTable('cart_items', function(table) {
+    table.increments('id');
+    table.integer('cart_id').unsigned().notNullable()
+      .references('id').inTable('carts').onDelete('CASCADE');
+    table.integer('product_id').unsigned().notNullable()
+      .references('id').inTable('products').onDelete('CASCADE');
+    table.integer('quantidade').notNullable();
+    table.decimal('preco_unitario', 10, 2).notNullable().comment('Preço vigente na última leitura do carrinho');
+    table.timestamps(true, true);
+
+    table.unique(['cart_id', 'product_id']);
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function(knex) {
+  await knex.schema.dropTable('cart_items');
+  await knex.schema.dropTable('carts');
+};
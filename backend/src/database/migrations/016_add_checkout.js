@@ -0,0 +1,40 @@
+/**
+ * Checkout da vitrine: frete e forma de envio do pedido, carrinho de origem e reserva de estoque
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+  await knex.schema.table('products', function(table) {
+    table.integer('estoque_reservado').notNullable().defaultTo(0)
+      .comment('Unidades reservadas por pedidos da vitrine ainda não baixadas no Bling');
+  });
+
+  await knex.schema.table('orders', function(table) {
+    table.decimal('subtotal', 10, 2).nullable().comment('Soma dos itens, sem frete');
+    table.decimal('frete', 10, 2).notNullable().defaultTo(0);
+    table.string('forma_envio').nullable().comment('Opção de envio escolhida no checkout');
+    table.integer('cart_id').unsigned().nullable()
+      .references('id').inTable('carts').onDelete('SET NULL')
+      .comment('Carrinho convertido neste pedido');
+    table.boolean('estoque_reservado').notNullable().defaultTo(false)
+      .comment('Itens ainda contam em products.estoque_reservado');
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function(knex) {
+  await knex.schema.table('orders', function(table) {
+    table.dropColumn('estoque_reservado');
+    table.dropColumn('cart_id');
+    table.dropColumn('forma_envio');
+    table.dropColumn('frete');
+    table.dropColumn('subtotal');
+  });
+
+  await knex.schema.table('products', function(table) {
+    table.dropColumn('estoque_reservado');
+  });
+};
@@ -0,0 +1,34 @@
+/**
+ * Cobranças dos pedidos da vitrine (PIX e, no futuro, outros meios) e sua confirmação
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+  await knex.schema.createTable('payments', function(table) {
+    table.increments('id');
+    table.integer('order_id').unsigned().notNullable()
+      .references('id').inTable('orders').onDelete('CASCADE');
+    table.string('method').notNullable().comment('pix');
+    table.string('provider').notNullable().comment('Quem gerou a cobrança (pix = BR Code gerado pela própria vitrine)');
+    table.string('status').notNullable().defaultTo('pending').comment('pending, paid, expired ou cancelled');
+    table.decimal('amount', 10, 2).notNullable();
+    table.string('txid', 35).notNullable().unique().comment('Identificador da cobrança no PIX');
+    table.text('br_code').nullable().comment('Payload PIX "copia e cola"');
+    table.timestamp('expires_at').nullable();
+    table.timestamp('paid_at').nullable();
+    table.decimal('paid_amount', 10, 2).nullable();
+    table.string('provider_reference').nullable().comment('Identificador do pagamento no provedor (ex.: E2E ID do PIX)');
+    table.json('confirmation').nullable().comment('Dados recebidos na confirmação');
+    table.timestamps(true, true);
+
+    table.index(['order_id', 'status']);
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function(knex) {
+  await knex.schema.dropTable('payments');
+};
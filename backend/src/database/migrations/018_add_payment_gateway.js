@@ -0,0 +1,38 @@
+/**
+ * Cobranças de cartão e boleto feitas por um gateway (services/paymentProviders):
+ * txid passa a ser opcional (só existe no PIX) e a cobrança guarda parcelas, captura e estornos
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+  await knex.schema.alterTable('payments', function(table) {
+    table.string('txid', 35).nullable().alter();
+    table.integer('installments').notNullable().defaultTo(1);
+    table.json('details').nullable().comment('Dados do provedor para exibição (linha digitável do boleto, bandeira e final do cartão)');
+    table.string('failure_reason').nullable().comment('Motivo da recusa informado pelo provedor');
+    table.timestamp('captured_at').nullable();
+    table.decimal('refunded_amount', 10, 2).notNullable().defaultTo(0);
+    table.timestamp('refunded_at').nullable();
+
+    table.index(['provider', 'provider_reference']);
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function(knex) {
+  await knex('payments').whereNull('txid').del();
+
+  await knex.schema.alterTable('payments', function(table) {
+    table.dropIndex(['provider', 'provider_reference']);
+    table.dropColumn('installments');
+    table.dropColumn('details');
+    table.dropColumn('failure_reason');
+    table.dropColumn('captured_at');
+    table.dropColumn('refunded_amount');
+    table.dropColumn('refunded_at');
+    table.string('txid', 35).notNullable().alter();
+  });
+};
@@ -0,0 +1,20 @@
+/**
+ * Juros do parcelamento no cartão (acima das parcelas sem juros), somados ao total do pedido
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+  await knex.schema.alterTable('orders', function(table) {
+    table.decimal('juros', 10, 2).notNullable().defaultTo(0).comment('Enviado ao Bling como outrasDespesas');
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function(knex) {
+  await knex.schema.alterTable('orders', function(table) {
+    table.dropColumn('juros');
+  });
+};
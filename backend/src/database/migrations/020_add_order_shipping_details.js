@@ -0,0 +1,24 @@
+/**
+ * Detalhes do frete cotado no checkout: serviço, prazo e peso cobrado do pacote
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+  await knex.schema.alterTable('orders', function(table) {
+    table.string('envio_descricao').nullable().comment('Nome do serviço de entrega exibido ao cliente');
+    table.integer('prazo_entrega').nullable().comment('Prazo cotado, em dias úteis');
+    table.decimal('peso_envio', 8, 3).nullable().comment('Peso cobrado (real ou cubado), em kg');
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function(knex) {
+  await knex.schema.alterTable('orders', function(table) {
+    table.dropColumn('peso_envio');
+    table.dropColumn('prazo_entrega');
+    table.dropColumn('envio_descricao');
+  });
+};
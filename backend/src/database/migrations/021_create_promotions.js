@@ -0,0 +1,48 @@
+/**
+ * Campanhas de promoção e a campanha que vale para cada produto
+ * products.promocao_* é recalculado pelo PromotionService quando uma campanha começa, termina ou muda
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+  await knex.schema.createTable('promotions', function(table) {
+    table.increments('id');
+    table.string('nome').notNullable();
+    table.string('tipo_desconto').notNullable().comment('percentual ou fixo');
+    table.decimal('valor', 10, 2).notNullable().comment('% ou R$ de desconto sobre o preço cheio');
+    table.string('alvo').notNullable().comment('produto, categoria, marca ou todos');
+    table.json('alvos').nullable().comment('IDs dos produtos ou nomes das categorias/marcas');
+    table.timestamp('inicio').nullable().comment('Vazio: começa na hora');
+    table.timestamp('fim').nullable().comment('Vazio: sem data para acabar');
+    table.integer('prioridade').notNullable().defaultTo(0).comment('Maior prioridade vence quando campanhas se sobrepõem');
+    table.boolean('ativo').notNullable().defaultTo(true).comment('Falso pausa a campanha');
+    table.timestamps(true, true);
+
+    table.index(['ativo', 'inicio', 'fim']);
+  });
+
+  await knex.schema.alterTable('products', function(table) {
+    table.integer('promocao_id').unsigned().nullable()
+      .references('id').inTable('promotions').onDelete('SET NULL')
+      .comment('Campanha no ar que vale para o produto');
+    table.string('promocao_tipo').nullable().comment('Cópia de promotions.tipo_desconto');
+    table.decimal('promocao_valor', 10, 2).nullable().comment('Cópia de promotions.valor');
+
+    table.index('promocao_id');
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function(knex) {
+  await knex.schema.alterTable('products', function(table) {
+    table.dropIndex('promocao_id');
+    table.dropColumn('promocao_valor');
+    table.dropColumn('promocao_tipo');
+    table.dropColumn('promocao_id');
+  });
+
+  await knex.schema.dropTable('promotions');
+};
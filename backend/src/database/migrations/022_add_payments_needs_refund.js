@@ -0,0 +1,21 @@
+/**
+ * Pagamento confirmado para um pedido que não podia mais ser pago (ex.: cancelado):
+ * o dinheiro foi recebido e precisa ser devolvido ao cliente
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+  await knex.schema.alterTable('payments', function(table) {
+    table.boolean('needs_refund').notNullable().defaultTo(false).comment('Pago com o pedido cancelado: estornar ao cliente');
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function(knex) {
+  await knex.schema.alterTable('payments', function(table) {
+    table.dropColumn('needs_refund');
+  });
+};
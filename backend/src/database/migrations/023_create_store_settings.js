@@ -0,0 +1,47 @@
+// Seções que eram gravadas em bling_config.sync_settings, mas não dependem da conexão com o Bling
+const SECTIONS = ['pix', 'gateway', 'shipping'];
+
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+/**
+ * Configurações da loja (PIX, gateway de pagamento e frete), uma linha por seção.
+ * Ficam fora de bling_config para que a loja possa ser configurada antes de conectar o Bling.
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+  await knex.schema.createTable('store_settings', function(table) {
+    table.string('section').primary().comment('pix, gateway ou shipping');
+    table.json('settings').notNullable();
+    table.timestamps(true, true);
+  });
+
+  const config = await knex('bling_config').orderBy('id', 'asc').first();
+  const syncSettings = parseJson(config?.sync_settings) || {};
+  const rows = SECTIONS
+    .filter(section => syncSettings[section])
+    .map(section => ({ section, settings: JSON.stringify(syncSettings[section]) }));
+
+  if (rows.length > 0) {
+    await knex('store_settings').insert(rows);
+    const remaining = Object.fromEntries(Object.entries(syncSettings).filter(([section]) => !SECTIONS.includes(section)));
+    await knex('bling_config').where('id', config.id).update({ sync_settings: JSON.stringify(remaining) });
+  }
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function(knex) {
+  const config = await knex('bling_config').orderBy('id', 'asc').first();
+  const rows = await knex('store_settings').whereIn('section', SECTIONS);
+
+  if (config && rows.length > 0) {
+    const syncSettings = parseJson(config.sync_settings) || {};
+    rows.forEach(row => { syncSettings[row.section] = parseJson(row.settings); });
+    await knex('bling_config').where('id', config.id).update({ sync_settings: JSON.stringify(syncSettings) });
+  }
+
+  await knex.schema.dropTable('store_settings');
+};
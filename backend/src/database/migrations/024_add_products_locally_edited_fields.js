@@ -0,0 +1,21 @@
+/**
+ * Campos do produto editados no painel da vitrine (nome, slug, descricao, categoria, imagem).
+ * Com overwrite_local_changes = false, a sincronização preserva só esses campos desses produtos.
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+  await knex.schema.alterTable('products', function(table) {
+    table.jsonb('locally_edited_fields').notNullable().defaultTo('[]').comment('Colunas editadas na vitrine');
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function(knex) {
+  await knex.schema.alterTable('products', function(table) {
+    table.dropColumn('locally_edited_fields');
+  });
+};
@@ -0,0 +1,27 @@
+/**
+ * Estornos de cada cobrança. O identificador do estorno no gateway é único:
+ * o mesmo estorno avisado de novo (ou pedido no painel e depois notificado) não é somado duas vezes
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+  await knex.schema.createTable('payment_refunds', function(table) {
+    table.increments('id');
+    table.integer('payment_id').unsigned().notNullable()
+      .references('id').inTable('payments').onDelete('CASCADE');
+    table.string('provider_reference').nullable().unique().comment('Identificador do estorno no gateway');
+    table.decimal('amount', 10, 2).notNullable();
+    table.string('source').notNullable().comment('admin (painel) ou webhook');
+    table.timestamps(true, true);
+
+    table.index('payment_id');
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function(knex) {
+  await knex.schema.dropTable('payment_refunds');
+};
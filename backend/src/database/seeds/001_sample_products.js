@@ -0,0 +1,65 @@
+const slugify = require('../../utils/slugify');
+
+/**
+ * Produtos de exemplo para desenvolvimento (sem integração Bling)
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.seed = async function(knex) {
+  await knex('products').whereNull('bling_id').del();
+
+  const products = [
+    {
+      nome: 'Smartphone Samsung Galaxy A54',
+      preco: 1599.99,
+      preco_promocional: 1299.99,
+      categoria: 'Eletrônicos',
+      estoque: 10,
+      imagem: 'https://images.unsplash.com/photo-1511707171634-5f897ff02aa9?w=300&h=300&fit=crop'
+    },
+    {
+      nome: 'Notebook Lenovo IdeaPad 3',
+      preco: 2899.99,
+      preco_promocional: 2499.99,
+      categoria: 'Informática',
+      estoque: 12,
+      imagem: 'https://images.unsplash.com/photo-1496181133206-80ce9b88a853?w=300&h=300&fit=crop'
+    },
+    {
+      nome: 'Fone de Ouvido Sony WH-1000XM4',
+      preco: 1199.99,
+      preco_promocional: 899.99,
+      categoria: 'Áudio',
+      estoque: 6,
+      imagem: 'https://images.unsplash.com/photo-1505740420928-5e560c06d30e?w=300&h=300&fit=crop'
+    },
+    {
+      nome: 'Smart TV LG 55" 4K',
+      preco: 2799.99,
+      preco_promocional: 2199.99,
+      categoria: 'Eletrônicos',
+      estoque: 18,
+      imagem: 'https://images.unsplash.com/photo-1593359677879-a4bb92f829d1?w=300&h=300&fit=crop'
+    },
+    {
+      nome: 'Câmera Canon EOS Rebel T7',
+      preco: 2199.99,
+      preco_promocional: 1799.99,
+      categoria: 'Fotografia',
+      estoque: 8,
+      imagem: 'https://images.unsplash.com/photo-1516035069371-29a1b244cc32?w=300&h=300&fit=crop'
+    },
+    {
+      nome: 'Apple Watch Series 8',
+      preco: 3499.99,
+      preco_promocional: 2999.99,
+      categoria: 'Wearables',
+      estoque: 15,
+      imagem: 'https://images.unsplash.com/photo-1523275335684-37898b6baf30?w=300&h=300&fit=crop'
+    }
+  ];
+
+  await knex('products').insert(
+    products.map(product => ({ ...product, slug: slugify(product.nome) }))
+  );
+};
@@ -4,6 +4,10 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const routes = require('./routes');
+const SyncScheduler = require('./services/SyncScheduler');
+const OrderOutboxWorker = require('./services/OrderOutboxWorker');
+const PromotionScheduler = require('./services/PromotionScheduler');
+const { SANDBOX_PATH, isSandbox } = require('./utils/blingUrls');
 
 const PORT = process.env.PORT || 3333;
 const HOST = process.env.HOST || "0.0.0.0";
@@ -11,11 +15,36 @@ const HOST = process.env.HOST || "0.0.0.0";
 const app = express();
 
 // Middleware
-app.use(cors());
-app.use(express.json());
+app.use(cors({
+  // Credenciais (cookie da sessão OAuth do admin) só para a origem do frontend
+  origin: (process.env.CORS_ORIGIN || 'http://localhost:3000').split(','),
+  credentials: true
+}));
+app.use(express.json({
+  // Guarda o corpo original para verificar a assinatura dos webhooks do Bling
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(routes);
 
+// API Bling local para desenvolvimento e testes sem conta no Bling
+if (isSandbox() && !process.env.BLING_SANDBOX_URL) {
+  const { createBlingSandbox } = require('./sandbox/BlingSandbox');
+  app.use(SANDBOX_PATH, createBlingSandbox().router());
+  console.log(`🧪 Sandbox do Bling ativo em ${SANDBOX_PATH}/Api/v3`);
+}
+
 // Iniciar servidor
 app.listen(PORT, HOST, () => {
   console.log(`🚀 Servidor rodando em http://${HOST}:${PORT}`);
+
+  // Sincronização automática com o Bling (respeita bling_config.sync_enabled)
+  new SyncScheduler().start();
+
+  // Envio ao Bling dos pedidos que ficaram na fila (order_outbox)
+  new OrderOutboxWorker().start();
+
+  // Início e fim das campanhas de promoção
+  new PromotionScheduler().start();
 });
\ No newline at end of file
@@ -1,5 +1,12 @@
 const express = require('express');
 const ProductController = require('./controllers/ProductController');
+const OrderController = require('./controllers/OrderController');
+const ActivityController = require('./controllers/ActivityController');
+const CartController = require('./controllers/CartController');
+const CheckoutController = require('./controllers/CheckoutController');
+const PaymentController = require('./controllers/PaymentController');
+const ShippingController = require('./controllers/ShippingController');
+const PromotionController = require('./controllers/PromotionController');
 const BlingController = require('./controllers/BlingController');
 
 const routes = express.Router();
@@ -7,16 +14,85 @@ const blingController = new BlingController();
 
 // Rotas da API - Produtos
 routes.get('/api/products', ProductController.index);
+routes.get('/api/products/search', ProductController.search);
 routes.get('/api/products/popular', ProductController.popular);
 routes.get('/api/products/offers', ProductController.offers);
+routes.get('/api/products/:idOrSlug', ProductController.show);
+routes.put('/api/products/:id', ProductController.update);
+
+// Rotas da API - Campanhas de promoção (painel)
+routes.get('/api/promotions', PromotionController.index);
+routes.post('/api/promotions', PromotionController.create);
+routes.get('/api/promotions/:id', PromotionController.show);
+routes.put('/api/promotions/:id', PromotionController.update);
+routes.delete('/api/promotions/:id', PromotionController.destroy);
+
+// Rotas da API - Carrinho (visitante identificado pelo cabeçalho X-Cart-Token)
+routes.get('/api/cart', CartController.show);
+routes.delete('/api/cart', CartController.clear);
+routes.post('/api/cart/items', CartController.addItem);
+routes.put('/api/cart/items/:productId', CartController.updateItem);
+routes.delete('/api/cart/items/:productId', CartController.removeItem);
+
+// Rotas da API - Checkout (fecha o pedido com os itens do carrinho)
+routes.get('/api/checkout/options', CheckoutController.options);
+routes.post('/api/checkout', CheckoutController.create);
+
+// Rotas da API - Frete (cotação por CEP para um produto ou para o carrinho)
+routes.get('/api/shipping/quote', ShippingController.quote);
+routes.get('/api/shipping/settings', ShippingController.getSettings);
+routes.put('/api/shipping/settings', ShippingController.updateSettings);
+
+// Rotas da API - Pagamentos
+routes.post('/api/orders/:numero/pix', PaymentController.createPix);
+routes.get('/api/orders/:numero/pix', PaymentController.showPix);
+routes.post('/api/orders/:numero/charge', PaymentController.createCharge);
+routes.get('/api/payments/installments', PaymentController.installments);
+routes.post('/api/payments/confirm', PaymentController.confirm);
+routes.post('/api/payments/webhooks/:provider', PaymentController.webhook);
+routes.get('/api/payments/pix/settings', PaymentController.getPixSettings);
+routes.put('/api/payments/pix/settings', PaymentController.updatePixSettings);
+routes.get('/api/payments/gateway/settings', PaymentController.getGatewaySettings);
+routes.put('/api/payments/gateway/settings', PaymentController.updateGatewaySettings);
+routes.post('/api/payments/:id/capture', PaymentController.capture);
+routes.post('/api/payments/:id/refund', PaymentController.refund);
+
+// Rotas da API - Pedidos
+routes.get('/api/orders', OrderController.index);
+routes.get('/api/orders/summary', OrderController.summary);
+routes.get('/api/orders/outbox', OrderController.outbox);
+routes.get('/api/orders/:numero/status', OrderController.status);
+routes.get('/api/orders/:id', OrderController.show);
+routes.post('/api/orders/:id/resend', OrderController.resend);
+routes.put('/api/orders/:id/customer', OrderController.updateCustomer);
+routes.post('/api/orders/:id/status', OrderController.updateStatus);
+
+// Rotas da API - Log de atividades
+routes.get('/api/activity', ActivityController.index);
+routes.get('/api/activity/summary', ActivityController.summary);
 
 // Rotas da API - Integração Bling ERP
 routes.get('/api/bling/status', blingController.getStatus.bind(blingController));
 routes.get('/api/bling/auth/url', blingController.getAuthUrl.bind(blingController));
 routes.get('/api/bling/auth/callback', blingController.authCallback.bind(blingController));
 routes.post('/api/bling/sync/products', blingController.syncProducts.bind(blingController));
+routes.get('/api/bling/sync/jobs', blingController.listSyncJobs.bind(blingController));
+routes.post('/api/bling/sync/jobs', blingController.syncProducts.bind(blingController));
+routes.get('/api/bling/sync/jobs/:id', blingController.getSyncJob.bind(blingController));
+routes.post('/api/bling/sync/jobs/:id/cancel', blingController.cancelSyncJob.bind(blingController));
+routes.get('/api/bling/sync/jobs/:id/changes', blingController.listSyncJobChanges.bind(blingController));
+routes.post('/api/bling/sync/jobs/:id/apply', blingController.applySyncJobChanges.bind(blingController));
+routes.get('/api/bling/sync/schedule', blingController.getSyncSchedule.bind(blingController));
+routes.put('/api/bling/sync/schedule', blingController.updateSyncSchedule.bind(blingController));
+routes.get('/api/bling/sync/rules', blingController.getSyncRules.bind(blingController));
+routes.put('/api/bling/sync/rules', blingController.updateSyncRules.bind(blingController));
 routes.get('/api/bling/categories', blingController.getCategories.bind(blingController));
+routes.get('/api/bling/payment-methods', blingController.getPaymentMethods.bind(blingController));
+routes.post('/api/bling/payment-methods/sync', blingController.syncPaymentMethods.bind(blingController));
+routes.put('/api/bling/payment-methods/settings', blingController.updatePaymentSettings.bind(blingController));
 routes.post('/api/bling/orders', blingController.createOrder.bind(blingController));
 routes.post('/api/bling/webhook', blingController.webhook.bind(blingController));
+routes.get('/api/bling/webhooks/events', blingController.listWebhookEvents.bind(blingController));
+routes.post('/api/bling/webhooks/events/:id/replay', blingController.replayWebhookEvent.bind(blingController));
 
 module.exports = routes;
\ No newline at end of file
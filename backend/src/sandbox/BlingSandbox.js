@@ -0,0 +1,736 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const axios = require('axios');
+const { onlyDigits, parseDocument } = require('../utils/documents');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+// Limite de itens por página aceito pelo Bling
+const MAX_PAGE_SIZE = 100;
+
+// Validade dos tokens emitidos (s), igual à do Bling
+const ACCESS_TOKEN_TTL = 6 * 60 * 60;
+const REFRESH_TOKEN_TTL = 30 * 24 * 60 * 60;
+const CODE_TTL = 10 * 60;
+
+// Entregas de webhook guardadas para consulta em GET /webhooks
+const MAX_DELIVERIES = 50;
+
+// Valores do filtro `criterio` de /produtos
+const PRODUCT_CRITERIA = {
+  ATIVOS: 2,
+  INATIVOS: 3
+};
+
+// Situação padrão de um pedido recém-criado (Em aberto)
+const DEFAULT_ORDER_SITUATION = 6;
+
+/**
+ * Erro no formato de resposta da API Bling
+ */
+const blingError = (res, status, type, message, description, fields) => res.status(status).json({
+  error: { type, message, description, ...(fields ? { fields } : {}) }
+});
+
+const notFound = (res, entity) => blingError(res, 404, 'RESOURCE_NOT_FOUND', 'Recurso não encontrado', `${entity} não encontrado`);
+
+// Campos inválidos no formato do Bling: [{ element, msg }]
+const validationError = (res, description, fields) => blingError(
+  res, 400, 'VALIDATION_ERROR', 'Não foi possível salvar', description,
+  Object.entries(fields).map(([element, msg]) => ({ element, msg }))
+);
+
+const readFixture = (dir, name, fallback) => {
+  const file = path.join(dir, `${name}.json`);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : fallback;
+};
+
+const nextId = (items) => items.reduce((max, item) => Math.max(max, Number(item.id) || 0), 0) + 1;
+
+// Datas dos filtros do Bling: "YYYY-MM-DD HH:MM:SS" no horário de Brasília
+const parseBlingDateTime = (value) => new Date(`${String(value).replace(' ', 'T')}-03:00`);
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const paginate = (items, query) => {
+  const limite = Math.min(Number(query.limite) || MAX_PAGE_SIZE, MAX_PAGE_SIZE);
+  const pagina = Math.max(Number(query.pagina) || 1, 1);
+  return items.slice((pagina - 1) * limite, pagina * limite);
+};
+
+const toList = (value) => [].concat(value || []).map(Number);
+
+/**
+ * Sandbox local da API v3 do Bling
+ * Simula OAuth2, produtos, estoques, categorias, contatos, pedidos de venda, formas de pagamento e empresa
+ * com dados em memória carregados das fixtures, e envia webhooks assinados
+ * para a vitrine quando os dados mudam.
+ */
+class BlingSandbox {
+  /**
+   * @param {Object} options
+   * @param {string} options.fixturesDir - Pasta com produtos.json, categorias.json, contatos.json, pedidos.json,
+   *   formas-pagamento.json e empresa.json
+   * @param {string|null} options.webhookUrl - Destino dos webhooks (null desativa o envio)
+   * @param {string} options.clientId - Client id aceito no endpoint de token (vazio aceita qualquer um)
+   * @param {string} options.clientSecret - Client secret aceito no endpoint de token
+   * @param {string} options.webhookSecret - Segredo usado para assinar os webhooks
+   */
+  constructor({
+    fixturesDir = FIXTURES_DIR,
+    webhookUrl = null,
+    clientId = '',
+    clientSecret = '',
+    webhookSecret = ''
+  } = {}) {
+    this.fixturesDir = fixturesDir;
+    this.webhookUrl = webhookUrl;
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    this.webhookSecret = webhookSecret;
+    // Tokens são assinados (sem estado) para continuarem válidos depois de reiniciar o sandbox
+    this.tokenKey = clientSecret || 'bling-sandbox';
+    this.deliveries = [];
+    this.reset();
+  }
+
+  /**
+   * Recarrega os dados das fixtures, descartando as alterações feitas
+   */
+  reset() {
+    const loadedAt = new Date();
+
+    this.products = readFixture(this.fixturesDir, 'produtos', []);
+    this.categories = readFixture(this.fixturesDir, 'categorias', []);
+    this.contacts = readFixture(this.fixturesDir, 'contatos', []);
+    this.orders = readFixture(this.fixturesDir, 'pedidos', []);
+    this.paymentMethods = readFixture(this.fixturesDir, 'formas-pagamento', []);
+    this.company = readFixture(this.fixturesDir, 'empresa', { id: 'sandbox', nome: 'Bling Sandbox' });
+    // Data de alteração de cada produto, usada no filtro dataAlteracaoInicial
+    this.productChangedAt = new Map(this.products.map(product => [product.id, loadedAt]));
+  }
+
+  /**
+   * TOKENS
+   */
+
+  signToken(kind, ttl) {
+    const payload = `${kind}.${Date.now() + ttl * 1000}.${crypto.randomBytes(12).toString('hex')}`;
+    const signature = crypto.createHmac('sha256', this.tokenKey).update(payload).digest('hex');
+    return `${payload}.${signature}`;
+  }
+
+  verifyToken(token, kind) {
+    const parts = String(token || '').split('.');
+    if (parts.length !== 4 || parts[0] !== kind) {
+      return false;
+    }
+
+    const payload = parts.slice(0, 3).join('.');
+    const expected = crypto.createHmac('sha256', this.tokenKey).update(payload).digest('hex');
+
+    return parts[3] === expected && Number(parts[1]) > Date.now();
+  }
+
+  issueTokens() {
+    return {
+      access_token: this.signToken('access', ACCESS_TOKEN_TTL),
+      expires_in: ACCESS_TOKEN_TTL,
+      token_type: 'Bearer',
+      scope: '',
+      refresh_token: this.signToken('refresh', REFRESH_TOKEN_TTL)
+    };
+  }
+
+  /**
+   * Confere as credenciais Basic do aplicativo
+   * @param {string} header - Cabeçalho Authorization
+   * @returns {boolean}
+   */
+  checkClientCredentials(header) {
+    const match = /^Basic (.+)$/.exec(header || '');
+    if (!match) {
+      return false;
+    }
+
+    const [id, secret] = Buffer.from(match[1], 'base64').toString('utf8').split(':');
+    return !this.clientId || (id === this.clientId && secret === this.clientSecret);
+  }
+
+  /**
+   * WEBHOOKS
+   */
+
+  /**
+   * Envia um webhook assinado (formato v3) para a vitrine
+   * @param {string} event - Evento no padrão do Bling (ex.: product.updated)
+   * @param {Object} data - Dados do evento
+   * @returns {Promise<Object>} Registro da entrega
+   */
+  async emit(event, data) {
+    const body = JSON.stringify({
+      eventId: crypto.randomUUID(),
+      date: new Date().toISOString(),
+      version: 'v1',
+      event,
+      companyId: this.company.id,
+      data
+    });
+
+    const delivery = { event, data, url: this.webhookUrl, sentAt: new Date(), status: null, error: null };
+    this.deliveries = [delivery, ...this.deliveries].slice(0, MAX_DELIVERIES);
+
+    if (!this.webhookUrl) {
+      delivery.error = 'Envio de webhooks desativado';
+      return delivery;
+    }
+
+    const signature = crypto.createHmac('sha256', this.webhookSecret).update(body).digest('hex');
+
+    try {
+      const response = await axios.post(this.webhookUrl, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Bling-Signature-256': `sha256=${signature}`
+        }
+      });
+      delivery.status = response.status;
+    } catch (error) {
+      delivery.status = error.response?.status || null;
+      delivery.error = error.message;
+      console.warn(`Sandbox Bling: falha ao enviar webhook ${event}:`, error.message);
+    }
+
+    return delivery;
+  }
+
+  /**
+   * Envia o webhook depois que a resposta da requisição atual já saiu
+   */
+  schedule(event, data) {
+    setImmediate(() => this.emit(event, data));
+  }
+
+  /**
+   * DADOS
+   */
+
+  findProduct(id) {
+    return this.products.find(product => product.id === Number(id));
+  }
+
+  productSummary(product) {
+    return {
+      id: product.id,
+      nome: product.nome,
+      codigo: product.codigo,
+      tipo: product.tipo,
+      situacao: product.situacao,
+      preco: product.preco
+    };
+  }
+
+  touchProduct(product, event) {
+    this.productChangedAt.set(product.id, new Date());
+    this.schedule(event, this.productSummary(product));
+  }
+
+  stockBalance(product) {
+    return {
+      produto: { id: product.id },
+      saldoFisicoTotal: product.estoque?.saldoFisicoTotal || 0,
+      saldoVirtualTotal: product.estoque?.saldoVirtualTotal || 0
+    };
+  }
+
+  /**
+   * Produtos de /produtos conforme os filtros do Bling
+   * @param {Object} query - pagina, limite, criterio, tipo, idCategoria, dataAlteracaoInicial
+   * @returns {Array}
+   */
+  filterProducts(query) {
+    const criterio = Number(query.criterio);
+    const since = query.dataAlteracaoInicial ? parseBlingDateTime(query.dataAlteracaoInicial) : null;
+
+    return this.products.filter(product => {
+      if (criterio === PRODUCT_CRITERIA.ATIVOS && product.situacao !== 'A') return false;
+      if (criterio === PRODUCT_CRITERIA.INATIVOS && product.situacao !== 'I') return false;
+      if (query.tipo && query.tipo !== 'T' && product.tipo !== query.tipo) return false;
+      if (query.idCategoria && product.categoria?.id !== Number(query.idCategoria)) return false;
+      if (since && this.productChangedAt.get(product.id) < since) return false;
+      return true;
+    });
+  }
+
+  /**
+   * Valida os dados de um produto enviado em POST/PUT /produtos
+   * @returns {Object|null} Campos inválidos
+   */
+  validateProduct(body) {
+    const fields = {};
+    if (!body.nome) fields.nome = 'Informe o nome do produto';
+    if (body.preco !== undefined && !Number.isFinite(Number(body.preco))) fields.preco = 'Preço inválido';
+    return Object.keys(fields).length > 0 ? fields : null;
+  }
+
+  /**
+   * Valida os dados de um contato enviado em POST/PUT /contatos (o Bling confere o CPF/CNPJ)
+   * @returns {Object|null} Campos inválidos
+   */
+  validateContact(body) {
+    const fields = {};
+    const documento = body.numeroDocumento || body.cpfCnpj;
+    if (!body.nome) fields.nome = 'Informe o nome do contato';
+    if (documento && parseDocument(documento).error) fields.numeroDocumento = parseDocument(documento).error;
+    return Object.keys(fields).length > 0 ? fields : null;
+  }
+
+  /**
+   * Aplica um lançamento de estoque (B: balanço, E: entrada, S: saída)
+   */
+  applyStock(product, operacao, quantidade) {
+    const current = product.estoque?.saldoFisicoTotal || 0;
+    const saldo = operacao === 'B' ? quantidade : current + (operacao === 'S' ? -quantidade : quantidade);
+
+    product.estoque = { ...product.estoque, saldoFisicoTotal: saldo, saldoVirtualTotal: saldo };
+    this.productChangedAt.set(product.id, new Date());
+    this.schedule('stock.updated', { ...this.stockBalance(product), deposito: { id: 1 } });
+  }
+
+  /**
+   * Resolve o contato de um pedido: por id, por documento ou criando um novo
+   * @returns {Object|null}
+   */
+  resolveOrderContact(contato = {}) {
+    if (contato.id) {
+      return this.contacts.find(item => item.id === Number(contato.id)) || null;
+    }
+
+    const documento = contato.numeroDocumento || contato.cpfCnpj;
+    const existing = documento && this.contacts.find(item => item.numeroDocumento === documento);
+    if (existing) {
+      return existing;
+    }
+
+    if (!contato.nome) {
+      return null;
+    }
+
+    const created = {
+      id: nextId(this.contacts),
+      nome: contato.nome,
+      situacao: 'A',
+      numeroDocumento: documento || '',
+      tipo: contato.tipoPessoa || contato.tipo || 'F',
+      email: contato.email || '',
+      telefone: contato.telefone || ''
+    };
+    this.contacts.push(created);
+    return created;
+  }
+
+  orderSummary(order) {
+    return {
+      id: order.id,
+      numero: order.numero,
+      numeroLoja: order.numeroLoja,
+      data: order.data,
+      total: order.total,
+      contato: { id: order.contato.id },
+      situacao: order.situacao
+    };
+  }
+
+  /**
+   * ROTAS
+   */
+
+  /**
+   * Rotas da API v3 (montadas em /Api/v3)
+   * @returns {express.Router}
+   */
+  apiRouter() {
+    const api = express.Router();
+
+    // OAuth2: autorização aprovada automaticamente
+    api.get('/oauth/authorize', (req, res) => {
+      const { response_type: responseType, redirect_uri: redirectUri, state } = req.query;
+
+      if (responseType !== 'code' || !redirectUri) {
+        return blingError(res, 400, 'invalid_request', 'invalid_request', 'Informe response_type=code e redirect_uri');
+      }
+
+      const url = new URL(redirectUri);
+      url.searchParams.set('code', this.signToken('code', CODE_TTL));
+      if (state) {
+        url.searchParams.set('state', state);
+      }
+
+      res.redirect(url.toString());
+    });
+
+    api.post('/oauth/token', (req, res) => {
+      if (!this.checkClientCredentials(req.get('Authorization'))) {
+        return blingError(res, 401, 'invalid_client', 'invalid_client', 'Credenciais do aplicativo inválidas');
+      }
+
+      const { grant_type: grantType, code, refresh_token: refreshToken } = req.body;
+
+      if (grantType === 'authorization_code' && this.verifyToken(code, 'code')) {
+        return res.json(this.issueTokens());
+      }
+
+      if (grantType === 'refresh_token' && this.verifyToken(refreshToken, 'refresh')) {
+        return res.json(this.issueTokens());
+      }
+
+      blingError(res, 400, 'invalid_grant', 'invalid_grant', 'Código ou refresh token inválido ou expirado');
+    });
+
+    // Demais rotas exigem o access token
+    api.use((req, res, next) => {
+      const token = (req.get('Authorization') || '').replace(/^Bearer /, '');
+
+      if (!this.verifyToken(token, 'access')) {
+        return blingError(res, 401, 'invalid_token', 'invalid_token', 'Token de acesso inválido ou expirado');
+      }
+
+      next();
+    });
+
+    // Produtos
+    api.get('/produtos', (req, res) => {
+      res.json({ data: paginate(this.filterProducts(req.query), req.query) });
+    });
+
+    api.get('/produtos/:id', (req, res) => {
+      const product = this.findProduct(req.params.id);
+      return product ? res.json({ data: product }) : notFound(res, 'Produto');
+    });
+
+    api.post('/produtos', (req, res) => {
+      const fields = this.validateProduct(req.body);
+      if (fields) {
+        return validationError(res, 'Dados do produto inválidos', fields);
+      }
+
+      const product = {
+        tipo: 'P',
+        situacao: 'A',
+        formato: 'S',
+        estoque: { saldoFisicoTotal: 0, saldoVirtualTotal: 0 },
+        ...req.body,
+        id: nextId(this.products)
+      };
+      this.products.push(product);
+      this.touchProduct(product, 'product.created');
+
+      res.status(201).json({ data: { id: product.id } });
+    });
+
+    api.put('/produtos/:id', (req, res) => {
+      const product = this.findProduct(req.params.id);
+      if (!product) {
+        return notFound(res, 'Produto');
+      }
+
+      const fields = this.validateProduct({ ...product, ...req.body });
+      if (fields) {
+        return validationError(res, 'Dados do produto inválidos', fields);
+      }
+
+      Object.assign(product, req.body, { id: product.id });
+      this.touchProduct(product, 'product.updated');
+
+      res.json({ data: { id: product.id } });
+    });
+
+    api.delete('/produtos/:id', (req, res) => {
+      const product = this.findProduct(req.params.id);
+      if (!product) {
+        return notFound(res, 'Produto');
+      }
+
+      this.products = this.products.filter(item => item !== product);
+      this.productChangedAt.delete(product.id);
+      this.schedule('product.deleted', { id: product.id });
+
+      res.status(204).end();
+    });
+
+    // Estoques
+    api.get('/estoques/saldos', (req, res) => {
+      const ids = toList(req.query.idsProdutos);
+      const balances = this.products
+        .filter(product => ids.includes(product.id))
+        .map(product => this.stockBalance(product));
+
+      res.json({ data: balances });
+    });
+
+    api.get('/estoques/:idProduto', (req, res) => {
+      const product = this.findProduct(req.params.idProduto);
+      if (!product) {
+        return notFound(res, 'Produto');
+      }
+
+      const balance = this.stockBalance(product);
+      res.json({ data: { ...balance, saldo: balance.saldoVirtualTotal } });
+    });
+
+    api.post('/estoques', (req, res) => {
+      const { produto, operacao = 'B', quantidade } = req.body;
+      const product = this.findProduct(produto?.id);
+
+      if (!product) {
+        return validationError(res, 'Produto não encontrado', { produto: 'Produto inexistente' });
+      }
+      if (!['B', 'E', 'S'].includes(operacao) || !Number.isFinite(Number(quantidade))) {
+        return validationError(res, 'Lançamento de estoque inválido', { operacao: 'Use B, E ou S com uma quantidade numérica' });
+      }
+
+      this.applyStock(product, operacao, Number(quantidade));
+      res.status(201).json({ data: { id: Date.now() } });
+    });
+
+    // Categorias
+    api.get('/categorias/produtos', (req, res) => {
+      res.json({ data: paginate(this.categories, req.query) });
+    });
+
+    // Contatos
+    api.get('/contatos', (req, res) => {
+      const pesquisa = String(req.query.pesquisa || '').toLowerCase();
+      const documento = req.query.numeroDocumento;
+
+      const contacts = this.contacts.filter(contact => {
+        if (documento && contact.numeroDocumento !== onlyDigits(documento)) return false;
+        if (pesquisa && !`${contact.nome} ${contact.email} ${contact.numeroDocumento}`.toLowerCase().includes(pesquisa)) return false;
+        return true;
+      });
+
+      res.json({ data: paginate(contacts, req.query) });
+    });
+
+    api.get('/contatos/:id', (req, res) => {
+      const contact = this.contacts.find(item => item.id === Number(req.params.id));
+      return contact ? res.json({ data: contact }) : notFound(res, 'Contato');
+    });
+
+    api.post('/contatos', (req, res) => {
+      const fields = this.validateContact(req.body);
+      if (fields) {
+        return validationError(res, 'Dados do contato inválidos', fields);
+      }
+
+      const { cpfCnpj, tipoPessoa, ...data } = req.body;
+      const contact = {
+        situacao: 'A',
+        ...data,
+        numeroDocumento: onlyDigits(data.numeroDocumento || cpfCnpj),
+        tipo: data.tipo || tipoPessoa || 'F',
+        id: nextId(this.contacts)
+      };
+      this.contacts.push(contact);
+
+      res.status(201).json({ data: { id: contact.id } });
+    });
+
+    api.put('/contatos/:id', (req, res) => {
+      const contact = this.contacts.find(item => item.id === Number(req.params.id));
+      if (!contact) {
+        return notFound(res, 'Contato');
+      }
+
+      const fields = this.validateContact({ ...contact, ...req.body });
+      if (fields) {
+        return validationError(res, 'Dados do contato inválidos', fields);
+      }
+
+      Object.assign(contact, req.body, { id: contact.id });
+      if (req.body.numeroDocumento) {
+        contact.numeroDocumento = onlyDigits(req.body.numeroDocumento);
+      }
+      res.json({ data: { id: contact.id } });
+    });
+
+    // Pedidos de venda
+    api.get('/pedidos/vendas', (req, res) => {
+      const situacoes = toList(req.query.idsSituacoes);
+      const idContato = Number(req.query.idContato) || null;
+      const numerosLojas = [].concat(req.query.numerosLojas || []);
+
+      const orders = this.orders
+        .filter(order => situacoes.length === 0 || situacoes.includes(order.situacao.id))
+        .filter(order => numerosLojas.length === 0 || numerosLojas.includes(order.numeroLoja))
+        .filter(order => !idContato || order.contato.id === idContato)
+        .map(order => this.orderSummary(order));
+
+      res.json({ data: paginate(orders, req.query) });
+    });
+
+    api.get('/pedidos/vendas/:id', (req, res) => {
+      const order = this.orders.find(item => item.id === Number(req.params.id));
+      return order ? res.json({ data: order }) : notFound(res, 'Pedido');
+    });
+
+    api.post('/pedidos/vendas', (req, res) => {
+      const { contato, itens = [], numero } = req.body;
+      const fields = {};
+
+      const contact = this.resolveOrderContact(contato);
+      if (!contact) fields.contato = 'Contato não encontrado';
+      if (itens.length === 0) fields.itens = 'Informe ao menos um item';
+      itens.forEach((item, index) => {
+        if (!this.findProduct(item.produto?.id)) fields[`itens[${index}].produto`] = `Produto ${item.produto?.id} não encontrado`;
+        if (!(Number(item.quantidade) > 0)) fields[`itens[${index}].quantidade`] = 'Quantidade inválida';
+      });
+      if (numero && this.orders.some(order => String(order.numero) === String(numero))) {
+        fields.numero = `Já existe um pedido com o número ${numero}`;
+      }
+
+      const totalProdutos = itens.reduce((sum, item) => sum + Number(item.valor || 0) * Number(item.quantidade), 0);
+      const frete = Number(req.body.transporte?.frete || 0);
+      const outrasDespesas = Number(req.body.outrasDespesas || 0);
+      const parcelas = req.body.parcelas || [];
+
+      parcelas.forEach((parcela, index) => {
+        const method = this.paymentMethods.find(item => item.id === Number(parcela.formaPagamento?.id));
+        if (!method || method.situacao !== 1) fields[`parcelas[${index}].formaPagamento`] = 'Forma de pagamento inexistente ou inativa';
+      });
+      const totalParcelas = parcelas.reduce((sum, parcela) => sum + Number(parcela.valor || 0), 0);
+      if (parcelas.length > 0 && Math.abs(totalParcelas - (totalProdutos + frete + outrasDespesas)) >= 0.01) {
+        fields.parcelas = 'A soma das parcelas difere do total do pedido';
+      }
+
+      if (Object.keys(fields).length > 0) {
+        return validationError(res, 'Não foi possível salvar o pedido', fields);
+      }
+      const order = {
+        ...req.body,
+        id: nextId(this.orders),
+        numero: numero || this.orders.reduce((max, item) => Math.max(max, Number(item.numero) || 0), 0) + 1,
+        data: req.body.data || today(),
+        contato: { id: contact.id, nome: contact.nome, tipoPessoa: contact.tipo, numeroDocumento: contact.numeroDocumento },
+        itens: itens.map(item => {
+          const product = this.findProduct(item.produto.id);
+          return { codigo: product.codigo, descricao: product.nome, ...item };
+        }),
+        totalProdutos: Number(totalProdutos.toFixed(2)),
+        total: Number((totalProdutos + frete + outrasDespesas).toFixed(2)),
+        situacao: { id: DEFAULT_ORDER_SITUATION, valor: 0 }
+      };
+      this.orders.push(order);
+      this.schedule('order.created', this.orderSummary(order));
+
+      res.status(201).json({ data: { id: order.id, numero: order.numero } });
+    });
+
+    api.patch('/pedidos/vendas/:id/situacoes/:idSituacao', (req, res) => {
+      const order = this.orders.find(item => item.id === Number(req.params.id));
+      if (!order) {
+        return notFound(res, 'Pedido');
+      }
+
+      order.situacao = { id: Number(req.params.idSituacao), valor: 0 };
+      this.schedule('order.updated', this.orderSummary(order));
+
+      res.status(204).end();
+    });
+
+    api.delete('/pedidos/vendas/:id', (req, res) => {
+      const order = this.orders.find(item => item.id === Number(req.params.id));
+      if (!order) {
+        return notFound(res, 'Pedido');
+      }
+
+      this.orders = this.orders.filter(item => item !== order);
+      this.schedule('order.deleted', { id: order.id });
+
+      res.status(204).end();
+    });
+
+    // Formas de pagamento
+    api.get('/formas-pagamentos', (req, res) => {
+      const situacao = req.query.situacao === undefined ? null : Number(req.query.situacao);
+      const methods = this.paymentMethods.filter(method => situacao === null || method.situacao === situacao);
+
+      res.json({ data: paginate(methods, req.query) });
+    });
+
+    api.get('/formas-pagamentos/:id', (req, res) => {
+      const method = this.paymentMethods.find(item => item.id === Number(req.params.id));
+      return method ? res.json({ data: method }) : notFound(res, 'Forma de pagamento');
+    });
+
+    // Empresa
+    api.get('/empresas', (req, res) => {
+      res.json({ data: [this.company] });
+    });
+
+    api.get('/empresas/me/dados-basicos', (req, res) => {
+      res.json({ data: this.company });
+    });
+
+    return api;
+  }
+
+  /**
+   * Router completo: API v3 em /Api/v3 e rotas de controle do sandbox
+   * @returns {express.Router}
+   */
+  router() {
+    const router = express.Router();
+
+    router.use(express.json());
+    router.use(express.urlencoded({ extended: true }));
+    router.use('/Api/v3', this.apiRouter());
+
+    // Dispara um webhook manualmente ({ event, data }) e aguarda a entrega
+    router.post('/webhooks', async (req, res) => {
+      const { event, data } = req.body;
+
+      if (!event) {
+        return res.status(400).json({
+          error: 'Evento obrigatório',
+          message: 'Informe o evento no padrão do Bling (ex.: product.updated)'
+        });
+      }
+
+      res.json({ delivery: await this.emit(event, data || {}) });
+    });
+
+    router.get('/webhooks', (req, res) => {
+      res.json({ deliveries: this.deliveries });
+    });
+
+    router.post('/reset', (req, res) => {
+      this.reset();
+      res.json({ success: true, message: 'Dados do sandbox recarregados das fixtures' });
+    });
+
+    return router;
+  }
+}
+
+/**
+ * Cria o sandbox com a configuração das variáveis de ambiente
+ * @param {Object} options - Sobrescreve a configuração (ver BlingSandbox)
+ * @returns {BlingSandbox}
+ */
+const createBlingSandbox = (options = {}) => new BlingSandbox({
+  fixturesDir: process.env.BLING_SANDBOX_FIXTURES || FIXTURES_DIR,
+  webhookUrl: process.env.BLING_SANDBOX_WEBHOOK_URL || `http://localhost:${process.env.PORT || 3333}/api/bling/webhook`,
+  clientId: process.env.BLING_CLIENT_ID || '',
+  clientSecret: process.env.BLING_CLIENT_SECRET || '',
+  // Mesmo segredo que o WebhookService usa para validar a assinatura
+  webhookSecret: process.env.BLING_WEBHOOK_SECRET || process.env.BLING_CLIENT_SECRET || '',
+  ...options
+});
+
+module.exports = {
+  BlingSandbox,
+  createBlingSandbox
+};
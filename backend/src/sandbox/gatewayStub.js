@@ -0,0 +1,46 @@
+// Stub do gateway simulado: envia a notificação que um gateway real mandaria ao backend
+// Uso: npm run payment:webhook -- <referencia> [paid|failed|refunded|cancelled] [valor] [estorno_id]
+// Envia POST /api/payments/webhooks/fake assinado com PAYMENT_WEBHOOK_SECRET
+// Estornos sem estorno_id recebem um novo (repetir com o mesmo estorno_id simula um aviso duplicado)
+require('dotenv').config();
+
+const crypto = require('crypto');
+const axios = require('axios');
+
+const API_URL = process.env.PAYMENT_STUB_API_URL || `http://localhost:${process.env.PORT || 3333}`;
+
+const [referencia, status = 'paid', valor, estornoId] = process.argv.slice(2);
+
+if (!referencia) {
+  console.error('Uso: npm run payment:webhook -- <referencia> [paid|failed|refunded|cancelled] [valor] [estorno_id]');
+  process.exit(1);
+}
+
+if (!process.env.PAYMENT_WEBHOOK_SECRET) {
+  console.error('Defina PAYMENT_WEBHOOK_SECRET no .env (o mesmo usado pelo backend)');
+  process.exit(1);
+}
+
+const body = JSON.stringify({
+  referencia,
+  status,
+  ...(valor ? { valor: Number(valor) } : {}),
+  ...(status === 'refunded' ? { estorno_id: estornoId || `fake_re_${crypto.randomBytes(8).toString('hex')}` } : {}),
+  pago_em: new Date().toISOString()
+});
+const signature = crypto.createHmac('sha256', process.env.PAYMENT_WEBHOOK_SECRET).update(body).digest('hex');
+
+axios.post(`${API_URL}/api/payments/webhooks/fake`, body, {
+  headers: { 'Content-Type': 'application/json', 'X-Payment-Signature': `sha256=${signature}` }
+})
+  .then((response) => {
+    console.log('✅ Notificação aceita:', JSON.stringify(response.data.payment && {
+      referencia: response.data.payment.provider_reference,
+      status: response.data.payment.status,
+      duplicate: response.data.duplicate
+    }));
+  })
+  .catch((error) => {
+    console.error('❌ Notificação recusada:', error.response?.data || error.message);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,46 @@
+// Stub de provedor PIX: confirma o pagamento de uma cobrança como faria um PSP
+// Uso: npm run pix:confirm -- <txid> [valor]
+// Envia POST /api/payments/confirm assinado com PAYMENT_WEBHOOK_SECRET
+require('dotenv').config();
+
+const crypto = require('crypto');
+const axios = require('axios');
+
+const API_URL = process.env.PAYMENT_STUB_API_URL || `http://localhost:${process.env.PORT || 3333}`;
+
+const [txid, valor] = process.argv.slice(2);
+
+if (!txid) {
+  console.error('Uso: npm run pix:confirm -- <txid> [valor]');
+  process.exit(1);
+}
+
+if (!process.env.PAYMENT_WEBHOOK_SECRET) {
+  console.error('Defina PAYMENT_WEBHOOK_SECRET no .env (o mesmo usado pelo backend)');
+  process.exit(1);
+}
+
+const body = JSON.stringify({
+  txid,
+  ...(valor ? { valor: Number(valor) } : {}),
+  // Identificador fim a fim no formato do PIX (E + ISPB + data/hora + sequencial)
+  referencia: `E00000000${new Date().toISOString().replace(/\D/g, '').slice(0, 12)}${crypto.randomBytes(6).toString('hex').slice(0, 11)}`,
+  pago_em: new Date().toISOString()
+});
+const signature = crypto.createHmac('sha256', process.env.PAYMENT_WEBHOOK_SECRET).update(body).digest('hex');
+
+axios.post(`${API_URL}/api/payments/confirm`, body, {
+  headers: { 'Content-Type': 'application/json', 'X-Payment-Signature': `sha256=${signature}` }
+})
+  .then((response) => {
+    console.log('✅ Pagamento confirmado:', JSON.stringify(response.data.payment && {
+      txid: response.data.payment.txid,
+      status: response.data.payment.status,
+      duplicate: response.data.duplicate,
+      bling_updated: response.data.bling_updated
+    }));
+  })
+  .catch((error) => {
+    console.error('❌ Falha ao confirmar:', error.response?.data || error.message);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,16 @@
+// Sandbox do Bling em um processo separado (npm run sandbox), para testes automatizados
+// Aponte o backend para ele com BLING_SANDBOX=true e BLING_SANDBOX_URL=http://localhost:<porta>/sandbox/bling
+require('dotenv').config();
+
+const express = require('express');
+const { createBlingSandbox } = require('./BlingSandbox');
+const { SANDBOX_PATH } = require('../utils/blingUrls');
+
+const PORT = process.env.BLING_SANDBOX_PORT || 3334;
+
+const app = express();
+app.use(SANDBOX_PATH, createBlingSandbox().router());
+
+app.listen(PORT, () => {
+  console.log(`🧪 Sandbox do Bling em http://localhost:${PORT}${SANDBOX_PATH}/Api/v3`);
+});
@@ -0,0 +1,133 @@
+const connection = require('../database/connection');
+
+// Quantidade máxima de erros guardados em uma atividade
+const MAX_STORED_ERRORS = 50;
+
+/**
+ * Registro de atividades da integração (tabela `activity_logs`)
+ * Sincronizações, webhooks, pedidos e renovações de token ficam registrados
+ * para o histórico do painel administrativo.
+ */
+class ActivityLogService {
+  constructor(db = connection) {
+    this.db = db;
+  }
+
+  /**
+   * Registra uma atividade. Falhas ao gravar o log não interrompem a operação registrada.
+   * @param {Object} activity - { type, action, status, title, message, counts, duration, errors, reference }
+   * @returns {Promise<void>}
+   */
+  async record({ type, action, status = 'success', title, message = null, counts = null, duration = null, errors = null, reference = null }) {
+    try {
+      await this.db('activity_logs').insert({
+        type,
+        action,
+        status,
+        title,
+        message,
+        counts: counts ? JSON.stringify(counts) : null,
+        duration_ms: duration === null ? null : Math.round(duration),
+        errors: errors && errors.length > 0 ? JSON.stringify(errors.slice(0, MAX_STORED_ERRORS)) : null,
+        reference
+      });
+    } catch (error) {
+      console.error(`Erro ao registrar atividade ${action}:`, error.message);
+    }
+  }
+
+  /**
+   * Formata o registro para a API
+   * @param {Object} log - Registro de activity_logs
+   * @returns {Object}
+   */
+  serialize(log) {
+    const parse = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+    return {
+      id: log.id,
+      type: log.type,
+      action: log.action,
+      status: log.status,
+      title: log.title,
+      message: log.message,
+      counts: parse(log.counts) || {},
+      durationMs: log.duration_ms,
+      errors: parse(log.errors) || [],
+      reference: log.reference,
+      createdAt: log.created_at
+    };
+  }
+
+  /**
+   * Lista atividades com filtros e paginação
+   * @param {Object} filters - { type, status, action, page, limit }
+   * @returns {Promise<Object>} { logs, pagination }
+   */
+  async list({ type, status, action, page = 1, limit = 20 } = {}) {
+    const filtered = () => this.db('activity_logs')
+      .modify((query) => {
+        if (type) query.where('type', type);
+        if (status) query.where('status', status);
+        if (action) query.where('action', action);
+      });
+
+    const [logs, totalResult] = await Promise.all([
+      filtered()
+        .orderBy('id', 'desc')
+        .limit(limit)
+        .offset((page - 1) * limit),
+      filtered().count('* as total').first()
+    ]);
+
+    const total = Number(totalResult.total);
+
+    return {
+      logs: logs.map(log => this.serialize(log)),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Resumo para os cards do painel administrativo
+   * @returns {Promise<Object>} { products, lastSync, errorsLast24h }
+   */
+  async summary() {
+    const since = new Date(Date.now() - 24 * 60 * 60 * 1000);
+
+    const [products, lastSync, errors] = await Promise.all([
+      this.db('products')
+        .first(
+          this.db.raw('count(*) as total'),
+          this.db.raw('count(*) filter (where ativo) as ativos'),
+          this.db.raw('count(*) filter (where ativo and estoque <= 0) as sem_estoque')
+        ),
+      this.db('activity_logs')
+        .where('action', 'sync.run')
+        .orderBy('id', 'desc')
+        .first(),
+      this.db('activity_logs')
+        .where('status', 'error')
+        .where('created_at', '>=', since)
+        .count('* as total')
+        .first()
+    ]);
+
+    return {
+      products: {
+        total: Number(products.total),
+        ativos: Number(products.ativos),
+        sem_estoque: Number(products.sem_estoque)
+      },
+      lastSync: lastSync ? this.serialize(lastSync) : null,
+      errorsLast24h: Number(errors.total)
+    };
+  }
+}
+
+module.exports = ActivityLogService;
@@ -0,0 +1,79 @@
+const connection = require('../database/connection');
+
+/**
+ * Acesso à configuração da integração (tabela bling_config, registro único)
+ */
+class BlingConfigService {
+  constructor(db = connection) {
+    this.db = db;
+  }
+
+  /**
+   * Retorna a configuração atual
+   * @returns {Promise<Object|null>}
+   */
+  async get() {
+    const config = await this.db('bling_config')
+      .orderBy('id', 'asc')
+      .first();
+
+    return config || null;
+  }
+
+  /**
+   * Atualiza colunas da configuração
+   * @param {Object} data - Colunas a atualizar
+   * @returns {Promise<Object|null>} Configuração atualizada (null se a integração nunca foi conectada)
+   */
+  async update(data) {
+    const config = await this.get();
+    if (!config) {
+      return null;
+    }
+
+    await this.db('bling_config')
+      .where('id', config.id)
+      .update({ ...data, updated_at: this.db.fn.now() });
+
+    return this.get();
+  }
+
+  /**
+   * Lê uma seção de bling_config.sync_settings
+   * @param {string} section - Chave da seção (ex.: 'schedule')
+   * @returns {Promise<Object>} Configurações da seção (vazio se não houver)
+   */
+  async getSyncSettings(section) {
+    const config = await this.get();
+    const settings = typeof config?.sync_settings === 'string'
+      ? JSON.parse(config.sync_settings)
+      : config?.sync_settings;
+
+    return settings?.[section] || {};
+  }
+
+  /**
+   * Grava uma seção de bling_config.sync_settings, preservando as demais
+   * @param {string} section - Chave da seção
+   * @param {Object} values - Novos valores da seção
+   * @param {Object} columns - Outras colunas de bling_config a atualizar junto
+   * @returns {Promise<Object|null>} Configuração atualizada
+   */
+  async updateSyncSettings(section, values, columns = {}) {
+    const config = await this.get();
+    if (!config) {
+      return null;
+    }
+
+    const settings = typeof config.sync_settings === 'string'
+      ? JSON.parse(config.sync_settings)
+      : (config.sync_settings || {});
+
+    return this.update({
+      ...columns,
+      sync_settings: JSON.stringify({ ...settings, [section]: values })
+    });
+  }
+}
+
+module.exports = BlingConfigService;
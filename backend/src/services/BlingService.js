@@ -1,4 +1,124 @@
 const axios = require('axios');
+const connection = require('../database/connection');
+const { DEFAULT_SYNC_RULES, readField } = require('../utils/syncRules');
+const { getApiUrl } = require('../utils/blingUrls');
+const ActivityLogService = require('./ActivityLogService');
+
+// Renova o token quando faltar menos que isso para expirar (ms)
+const TOKEN_REFRESH_MARGIN = 5 * 60 * 1000;
+
+// Limite da API Bling: 3 requisições por segundo por conta
+const MIN_REQUEST_INTERVAL = 350;
+
+// Novas tentativas para 429/5xx, com espera exponencial (ms)
+const MAX_RETRIES = 4;
+const RETRY_BASE_DELAY = 1000;
+
+// Tamanho máximo de página aceito por /produtos
+const PAGE_SIZE = 100;
+
+// Valores do filtro `criterio` de /produtos
+const PRODUCT_CRITERIA = {
+  ATIVOS: 2,
+  TODOS: 5
+};
+
+// Situações que o Bling usa para produtos ativos
+const ACTIVE_SITUATIONS = ['A', 'Ativo'];
+
+/**
+ * Formata uma data no padrão dos filtros do Bling (YYYY-MM-DD HH:MM:SS, horário de Brasília)
+ * @param {Date} date - Data
+ * @returns {string}
+ */
+const formatBlingDateTime = (date) => new Intl.DateTimeFormat('sv-SE', {
+  timeZone: 'America/Sao_Paulo',
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit'
+}).format(date);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Compartilhado entre instâncias: o limite do Bling é por conta, não por objeto
+let nextRequestAt = 0;
+
+// Renovação de token em andamento, também compartilhada: o refresh token do Bling só
+// pode ser usado uma vez, e o processo tem várias instâncias deste serviço
+let refreshInFlight = null;
+
+/**
+ * Aguarda a vez da próxima requisição respeitando o limite de requisições por segundo
+ * @returns {Promise<void>}
+ */
+const throttle = async () => {
+  const now = Date.now();
+  const wait = Math.max(0, nextRequestAt - now);
+  nextRequestAt = Math.max(now, nextRequestAt) + MIN_REQUEST_INTERVAL;
+
+  if (wait > 0) {
+    await sleep(wait);
+  }
+};
+
+/**
+ * Indica se a requisição que falhou pode ser repetida com segurança
+ * 429 nunca foi processado pelo Bling; 5xx e falhas de rede só são repetidos em leituras
+ */
+const isRetryable = (error) => {
+  const status = error.response?.status;
+  const method = (error.config?.method || 'get').toLowerCase();
+
+  if (status === 429) {
+    return true;
+  }
+
+  return method === 'get' && (!error.response || status >= 500);
+};
+
+/**
+ * Tempo de espera antes da próxima tentativa (Retry-After ou exponencial com jitter)
+ */
+const retryDelay = (error, attempt) => {
+  const retryAfter = Number(error.response?.headers?.['retry-after']);
+  if (retryAfter > 0) {
+    return retryAfter * 1000;
+  }
+
+  return RETRY_BASE_DELAY * 2 ** (attempt - 1) + Math.floor(Math.random() * 250);
+};
+
+/**
+ * Descreve um erro da API Bling de forma legível
+ * @param {Error} error - Erro do axios
+ * @returns {string}
+ */
+const describeError = (error) => {
+  const status = error.response?.status;
+  const description = error.response?.data?.error?.description || error.response?.data?.error?.message;
+  // Erros de validação listam os campos recusados ({ element, msg })
+  const fields = error.response?.data?.error?.fields;
+  const details = Array.isArray(fields) && fields.length > 0
+    ? ` (${fields.map(field => field.msg).join('; ')})`
+    : '';
+
+  if (status) {
+    return `Bling respondeu ${status}${description ? `: ${description}` : ''}${details}`;
+  }
+
+  return error.message;
+};
+
+// CPF/CNPJ só com dígitos, para comparar cadastros
+const onlyDigits = (value) => String(value || '').replace(/\D/g, '');
+
+// Remove os campos não informados, para não apagar o que já está no cadastro do Bling
+const withoutEmpty = (data) => Object.fromEntries(
+  Object.entries(data).filter(([, value]) => value !== undefined && value !== null && value !== '')
+);
 
 /**
  * Serviço de integração com Bling ERP API
@@ -8,10 +128,13 @@ const axios = require('axios');
  */
 class BlingService {
   constructor() {
-    this.baseURL = 'https://www.bling.com.br/Api/v3';
+    this.baseURL = getApiUrl();
     this.accessToken = process.env.BLING_ACCESS_TOKEN;
+    this.refreshToken = process.env.BLING_REFRESH_TOKEN;
+    this.tokenExpiresAt = null;
     this.clientId = process.env.BLING_CLIENT_ID;
     this.clientSecret = process.env.BLING_CLIENT_SECRET;
+    this.activityLog = new ActivityLogService();
     
     this.api = axios.create({
       baseURL: this.baseURL,
@@ -21,18 +144,56 @@ class BlingService {
       }
     });
 
+    // Carrega os tokens salvos em bling_config assim que o serviço é criado
+    this.ready = null;
+    this.ensureTokensLoaded();
+
     // Interceptor para adicionar token em todas as requisições
-    this.api.interceptors.request.use((config) => {
+    this.api.interceptors.request.use(async (config) => {
+      await this.ensureTokensLoaded();
+      await throttle();
+
+      if (this.refreshToken && this.isTokenExpiring()) {
+        await this.refreshTokens(this.accessToken);
+      }
+
       if (this.accessToken) {
         config.headers.Authorization = `Bearer ${this.accessToken}`;
       }
       return config;
     });
 
-    // Interceptor para tratamento de erros
+    // Interceptor para renovar o token e repetir a requisição uma vez em caso de 401,
+    // e para repetir com espera exponencial em caso de limite de requisições (429) ou 5xx
     this.api.interceptors.response.use(
       (response) => response,
-      (error) => {
+      async (error) => {
+        const config = error.config;
+
+        if (config && isRetryable(error) && (config._retryCount || 0) < MAX_RETRIES) {
+          config._retryCount = (config._retryCount || 0) + 1;
+          const delay = retryDelay(error, config._retryCount);
+
+          console.warn(`Bling: ${describeError(error)}, nova tentativa ${config._retryCount}/${MAX_RETRIES} em ${delay}ms`);
+          await sleep(delay);
+          return this.api.request(config);
+        }
+
+        if (error.response?.status === 401 && config && !config._retried && this.refreshToken) {
+          config._retried = true;
+          const failedToken = (config.headers?.Authorization || '').replace('Bearer ', '');
+
+          try {
+            await this.refreshTokens(failedToken);
+          } catch (refreshError) {
+            console.error('Erro ao renovar token do Bling:', refreshError.message);
+            throw error;
+          }
+
+          config.headers.Authorization = `Bearer ${this.accessToken}`;
+          return this.api.request(config);
+        }
+
         console.error('Erro na API Bling:', error.response?.data || error.message);
         throw error;
       }
@@ -40,28 +201,187 @@ class BlingService {
   }
 
   /**
-   * Autentica na API Bling usando OAuth2
+   * TOKENS - Persistência em bling_config
+   */
+
+  /**
+   * Carrega os tokens salvos no banco (bling_config)
+   * @returns {Promise<Object|null>} Configuração encontrada
+   */
+  async loadTokens() {
+    const config = await connection('bling_config')
+      .orderBy('id', 'asc')
+      .first();
+
+    if (config?.access_token) {
+      this.accessToken = config.access_token;
+      this.refreshToken = config.refresh_token;
+      this.tokenExpiresAt = config.token_expires_at ? new Date(config.token_expires_at) : null;
+    }
+
+    return config || null;
+  }
+
+  /**
+   * Garante que os tokens do banco foram carregados (tenta de novo se a carga falhou)
+   * @returns {Promise<void>}
+   */
+  ensureTokensLoaded() {
+    if (!this.ready) {
+      this.ready = this.loadTokens()
+        .then(() => undefined)
+        .catch((error) => {
+          console.error('Erro ao carregar tokens do Bling:', error.message);
+          this.ready = null;
+        });
+    }
+
+    return this.ready;
+  }
+
+  /**
+   * Salva os tokens recebidos do Bling no banco (bling_config)
+   * @param {Object} tokenData - Resposta do endpoint /oauth/token
+   * @returns {Promise<void>}
+   */
+  async saveTokens(tokenData) {
+    this.accessToken = tokenData.access_token;
+    this.refreshToken = tokenData.refresh_token || this.refreshToken;
+    this.tokenExpiresAt = tokenData.expires_in
+      ? new Date(Date.now() + tokenData.expires_in * 1000)
+      : null;
+
+    const data = {
+      access_token: this.accessToken,
+      refresh_token: this.refreshToken,
+      token_expires_at: this.tokenExpiresAt,
+      updated_at: connection.fn.now()
+    };
+
+    const config = await connection('bling_config')
+      .orderBy('id', 'asc')
+      .first('id');
+
+    if (config) {
+      await connection('bling_config').where('id', config.id).update(data);
+    } else {
+      await connection('bling_config').insert({
+        ...data,
+        client_id: this.clientId,
+        client_secret: this.clientSecret
+      });
+    }
+  }
+
+  /**
+   * Verifica se o token atual expira dentro da margem de renovação
+   * @returns {boolean}
+   */
+  isTokenExpiring() {
+    if (!this.tokenExpiresAt) {
+      return false;
+    }
+
+    return this.tokenExpiresAt.getTime() - Date.now() < TOKEN_REFRESH_MARGIN;
+  }
+
+  /**
+   * Renova os tokens uma única vez, mesmo com várias requisições simultâneas em
+   * instâncias diferentes do serviço
+   * @param {string} failedToken - Token que estava em uso quando a renovação foi necessária
+   * @returns {Promise<void>}
+   */
+  async refreshTokens(failedToken) {
+    if (!refreshInFlight) {
+      refreshInFlight = (async () => {
+        // Outra instância pode já ter renovado e salvo um token novo
+        await this.loadTokens();
+        if (this.accessToken && this.accessToken !== failedToken && !this.isTokenExpiring()) {
+          return;
+        }
+
+        const startedAt = Date.now();
+        try {
+          const tokenData = await this.refreshAccessToken(this.refreshToken);
+          await this.saveTokens(tokenData);
+        } catch (error) {
+          await this.activityLog.record({
+            type: 'token',
+            action: 'token.refresh',
+            status: 'error',
+            title: 'Falha ao renovar o token do Bling',
+            message: describeError(error),
+            duration: Date.now() - startedAt
+          });
+          throw error;
+        }
+
+        await this.activityLog.record({
+          type: 'token',
+          action: 'token.refresh',
+          title: 'Token do Bling renovado',
+          message: this.tokenExpiresAt ? `Válido até ${this.tokenExpiresAt.toISOString()}` : null,
+          duration: Date.now() - startedAt
+        });
+      })().finally(() => {
+        refreshInFlight = null;
+      });
+    }
+
+    await refreshInFlight;
+    // A renovação pode ter sido feita por outra instância: os tokens novos estão em bling_config
+    await this.loadTokens();
+  }
+
+  /**
+   * Requisição ao endpoint de token OAuth2 (autenticação Basic com client id/secret)
+   * @param {Object} params - Parâmetros do grant
+   * @returns {Promise<Object>} Resposta do token
+   */
+  async requestToken(params) {
+    const credentials = Buffer.from(`${this.clientId}:${this.clientSecret}`).toString('base64');
+
+    const response = await axios.post(`${this.baseURL}/oauth/token`, new URLSearchParams(params), {
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Accept': 'application/json',
+        'Authorization': `Basic ${credentials}`
+      }
+    });
+
+    return response.data;
+  }
+
+  /**
+   * Autentica na API Bling usando OAuth2 e salva os tokens
    * @param {string} code - Código de autorização
    * @returns {Promise<Object>} Token de acesso
    */
   async authenticate(code) {
+    let tokenData;
     try {
-      const response = await axios.post(`${this.baseURL}/oauth/token`, {
+      tokenData = await this.requestToken({
         grant_type: 'authorization_code',
-        code,
-        client_id: this.clientId,
-        client_secret: this.clientSecret
-      }, {
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded'
-        }
+        code
       });
-
-      this.accessToken = response.data.access_token;
-      return response.data;
     } catch (error) {
+      await this.activityLog.record({
+        type: 'token',
+        action: 'token.authorize',
+        status: 'error',
+        title: 'Falha na autorização do Bling',
+        message: describeError(error)
+      });
       throw new Error(`Erro na autenticação Bling: ${error.message}`);
     }
+
+    await this.saveTokens(tokenData);
+    await this.activityLog.record({
+      type: 'token',
+      action: 'token.authorize',
+      title: 'Integração com o Bling autorizada'
+    });
+    return tokenData;
   }
 
   /**
@@ -71,15 +391,13 @@ class BlingService {
    */
   async refreshAccessToken(refreshToken) {
     try {
-      const response = await axios.post(`${this.baseURL}/oauth/token`, {
+      const tokenData = await this.requestToken({
         grant_type: 'refresh_token',
-        refresh_token: refreshToken,
-        client_id: this.clientId,
-        client_secret: this.clientSecret
+        refresh_token: refreshToken
       });
 
-      this.accessToken = response.data.access_token;
-      return response.data;
+      this.accessToken = tokenData.access_token;
+      return tokenData;
     } catch (error) {
       throw new Error(`Erro ao renovar token Bling: ${error.message}`);
     }
@@ -90,94 +408,209 @@ class BlingService {
    */
 
   /**
-   * Lista produtos do Bling
-   * @param {Object} params - Parâmetros de filtro
+   * Lista uma página de produtos do Bling
+   * @param {Object} params - Parâmetros de filtro (pagina, limite, ...)
    * @returns {Promise<Array>} Lista de produtos
+   * @throws {Error} Se a requisição falhar após as novas tentativas
    */
   async getProducts(params = {}) {
     try {
       const response = await this.api.get('/produtos', { params });
       return response.data.data || [];
     } catch (error) {
-      console.error('Erro ao buscar produtos:', error);
-      return [];
+      throw new Error(`Erro ao buscar produtos (página ${params.pagina || 1}): ${describeError(error)}`);
+    }
+  }
+
+  /**
+   * Percorre todas as páginas de /produtos
+   * @param {Object} params - Parâmetros de filtro
+   * @param {Object} hooks - Acompanhamento opcional
+   * @param {Function} hooks.onPage - Chamado após cada página ({ page, fetched })
+   * @param {Function} hooks.isCancelled - Interrompe a listagem quando retornar true
+   * @returns {Promise<Object>} { products, pages, complete, cancelled, errors }
+   */
+  async getAllProducts(params = {}, { onPage, isCancelled } = {}) {
+    const products = [];
+    const errors = [];
+    let pagina = 1;
+    let pages = 0;
+    let cancelled = false;
+
+    while (true) {
+      if (isCancelled && await isCancelled()) {
+        cancelled = true;
+        break;
+      }
+
+      let page;
+      try {
+        page = await this.getProducts({ ...params, pagina, limite: PAGE_SIZE });
+      } catch (error) {
+        // As páginas seguintes dependem desta: interrompe e reporta como parcial
+        console.error(error.message);
+        errors.push({ page: pagina, error: error.message });
+        break;
+      }
+
+      products.push(...page);
+      pages = pagina;
+
+      if (onPage) {
+        await onPage({ page: pagina, fetched: products.length });
+      }
+
+      if (page.length < PAGE_SIZE) {
+        break;
+      }
+      pagina++;
     }
+
+    return {
+      products,
+      pages,
+      complete: errors.length === 0 && !cancelled,
+      cancelled,
+      errors
+    };
   }
 
   /**
    * Busca produto específico por ID
    * @param {number} productId - ID do produto
-   * @returns {Promise<Object|null>} Produto encontrado
+   * @returns {Promise<Object|null>} Produto encontrado (null se não existir mais no Bling)
    */
   async getProduct(productId) {
     try {
       const response = await this.api.get(`/produtos/${productId}`);
       return response.data.data;
     } catch (error) {
-      console.error(`Erro ao buscar produto ${productId}:`, error);
-      return null;
+      if (error.response?.status === 404) {
+        return null;
+      }
+      console.error(`Erro ao buscar produto ${productId}:`, describeError(error));
+      throw error;
     }
   }
 
+  /**
+   * Formata um produto do Bling para o padrão da vitrine
+   * @param {Object} product - Produto retornado pela API Bling
+   * @param {Object} rules - Regras de sincronização (utils/syncRules)
+   * @returns {Object} Produto formatado
+   */
+  formatProduct(product, rules = DEFAULT_SYNC_RULES) {
+    const { fields } = rules;
+    const imagem = product.imagem?.link || null;
+
+    return {
+      id: product.id,
+      nome: readField(product, fields.nome) || product.nome,
+      preco: Number(readField(product, fields.preco)) || 0,
+      precoPromocional: product.precoPromocional || null,
+      descricao: readField(product, fields.descricao) || '',
+      categoria: product.categoria?.descricao || rules.default_category,
+      imagem: imagem || rules.placeholder_image,
+      semImagem: !imagem,
+      codigo: product.codigo,
+      estoque: Number(readField(product, fields.estoque)) || 0,
+      ativo: ACTIVE_SITUATIONS.includes(product.situacao),
+      dataAtualizacao: new Date(),
+      // Campos específicos do Bling
+      blingData: {
+        id: product.id,
+        codigo: product.codigo,
+        tipo: product.tipo,
+        gtin: product.gtin,
+        categoria: product.categoria,
+        marca: product.marca,
+        tags: product.tags,
+        peso: product.pesoBruto,
+        dimensoes: product.dimensoes
+      }
+    };
+  }
+
   /**
    * Sincroniza produtos do Bling para a vitrine
-   * @returns {Promise<Array>} Produtos formatados para a vitrine
+   * @param {Object} options - Opções
+   * @param {Date|null} options.since - Busca apenas produtos alterados desde esta data (sincronização incremental)
+   * @param {Object} options.rules - Regras de sincronização (tipo de produto e mapeamento de campos)
+   * @param {Object} hooks - Acompanhamento opcional (ver getAllProducts)
+   * @returns {Promise<Object>} { products, complete, cancelled, pages, errors } com produtos formatados para a vitrine
    */
-  async syncProducts() {
+  async syncProducts({ since = null, rules = DEFAULT_SYNC_RULES } = {}, hooks = {}) {
     try {
-      const blingProducts = await this.getProducts({
-        tipo: 'P', // Apenas produtos (não serviços)
-        situacao: 'Ativo'
-      });
+      const params = {
+        tipo: rules.product_type
+      };
+
+      if (since) {
+        // Incremental: todos os produtos alterados, inclusive os que ficaram inativos
+        params.criterio = PRODUCT_CRITERIA.TODOS;
+        params.dataAlteracaoInicial = formatBlingDateTime(since);
+      } else {
+        params.criterio = PRODUCT_CRITERIA.ATIVOS;
+      }
+
+      const {
+        products: blingProducts,
+        complete,
+        cancelled,
+        pages,
+        errors
+      } = await this.getAllProducts(params, hooks);
 
       // Formata produtos para o padrão da vitrine
-      return blingProducts.map(product => ({
-        id: product.id,
-        nome: product.nome,
-        preco: product.preco || 0,
-        precoPromocional: product.precoPromocional || null,
-        descricao: product.descricao || '',
-        categoria: product.categoria?.descricao || 'Geral',
-        imagem: product.imagem?.link || 'https://via.placeholder.com/300x200',
-        codigo: product.codigo,
-        estoque: product.estoque?.saldoVirtualTotal || 0,
-        ativo: product.situacao === 'Ativo',
-        dataAtualizacao: new Date(),
-        // Campos específicos do Bling
-        blingData: {
-          id: product.id,
-          codigo: product.codigo,
-          gtin: product.gtin,
-          categoria: product.categoria,
-          marca: product.marca,
-          peso: product.pesoBruto,
-          dimensoes: product.dimensoes
-        }
-      }));
+      const products = blingProducts.map(product => this.formatProduct(product, rules));
+
+      return { products, complete, cancelled, pages, errors };
     } catch (error) {
       console.error('Erro na sincronização de produtos:', error);
       throw error;
     }
   }
 
+  /**
+   * Lista os IDs de todos os produtos ativos no Bling (usado na reconciliação)
+   * @param {string} productType - Tipo de produto sincronizado (P, S ou T)
+   * @param {Object} hooks - Acompanhamento opcional (ver getAllProducts)
+   * @returns {Promise<Object>} { ids, complete, cancelled, errors }
+   */
+  async getActiveProductIds(productType = DEFAULT_SYNC_RULES.product_type, hooks = {}) {
+    const { products, complete, cancelled, errors } = await this.getAllProducts({
+      tipo: productType,
+      criterio: PRODUCT_CRITERIA.ATIVOS
+    }, hooks);
+
+    return {
+      ids: products.map(product => product.id),
+      complete,
+      cancelled,
+      errors
+    };
+  }
+
   /**
    * PEDIDOS DE VENDA - Funcionalidades para e-commerce
    */
 
   /**
    * Cria pedido de venda no Bling
-   * @param {Object} orderData - Dados do pedido
+   * @param {Object} orderData - Dados do pedido (parcelas geradas por utils/paymentMapping)
    * @returns {Promise<Object>} Pedido criado
    */
   async createOrder(orderData) {
     try {
+      const endereco = orderData.cliente?.endereco;
+      const envio = orderData.envio || {};
       const blingOrder = {
-        numero: orderData.numero || Date.now(),
+        // O número no Bling é sequencial; o número da vitrine vai em numeroLoja para localizar o pedido nos webhooks
+        numeroLoja: orderData.numero,
         data: new Date().toISOString().split('T')[0],
+        // Contato já criado/atualizado em createOrUpdateContact
         contato: {
-          nome: orderData.cliente.nome,
-          email: orderData.cliente.email,
-          telefone: orderData.cliente.telefone
+          id: orderData.contactId
         },
         itens: orderData.itens.map(item => ({
           produto: {
@@ -186,23 +619,142 @@ class BlingService {
           quantidade: item.quantidade,
           valor: item.preco
         })),
-        parcelas: [{
-          dataVencimento: new Date().toISOString().split('T')[0],
-          valor: orderData.total,
+        // Parcelas já resolvidas para as formas de pagamento do Bling (utils/paymentMapping)
+        parcelas: orderData.parcelas.map(parcela => ({
+          dataVencimento: parcela.dataVencimento,
+          valor: parcela.valor,
+          observacoes: parcela.observacoes,
           formaPagamento: {
-            id: 1 // Configurar IDs das formas de pagamento
+            id: parcela.formaPagamentoId
           }
-        }]
+        })),
+        // Frete cotado no checkout (valor, peso cobrado e prazo); a etiqueta usa o endereço de entrega do cliente
+        transporte: {
+          frete: orderData.frete || 0,
+          ...(envio.peso ? { pesoBruto: envio.peso, quantidadeVolumes: 1 } : {}),
+          ...(Number.isInteger(envio.prazo) ? { prazoEntrega: envio.prazo } : {}),
+          ...(envio.servico ? { volumes: [{ servico: envio.servico }] } : {}),
+          ...(endereco ? {
+            etiqueta: {
+              nome: orderData.cliente.nome,
+              endereco: endereco.logradouro,
+              numero: endereco.numero,
+              complemento: endereco.complemento,
+              bairro: endereco.bairro,
+              cep: endereco.cep,
+              municipio: endereco.cidade,
+              uf: endereco.estado
+            }
+          } : {})
+        },
+        // Juros do parcelamento no cartão: entram no total do pedido e nas parcelas
+        outrasDespesas: orderData.juros || 0,
+        observacoes: orderData.observacoes
       };
 
       const response = await this.api.post('/pedidos/vendas', blingOrder);
+
+      await this.activityLog.record({
+        type: 'order',
+        action: 'order.created',
+        title: 'Pedido criado no Bling',
+        message: `Pedido ${response.data.data?.numero} (${orderData.numero}) - R$ ${Number(orderData.total).toFixed(2)}`,
+        counts: { itens: orderData.itens.length },
+        reference: `bling_order:${response.data.data?.id}`
+      });
+
       return response.data.data;
     } catch (error) {
       console.error('Erro ao criar pedido:', error);
+      await this.activityLog.record({
+        type: 'order',
+        action: 'order.failed',
+        status: 'error',
+        title: 'Falha ao criar pedido no Bling',
+        message: describeError(error),
+        reference: orderData.numero ? `order:${orderData.numero}` : null
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Busca um pedido de venda pelo número da loja (numeroLoja)
+   * @param {string} numeroLoja - Número do pedido na vitrine
+   * @returns {Promise<Object|null>} Pedido encontrado ou null
+   */
+  async findOrderByStoreNumber(numeroLoja) {
+    const response = await this.api.get('/pedidos/vendas', {
+      params: { 'numerosLojas[]': numeroLoja }
+    });
+    const [summary] = (response.data.data || []).filter(order => order.numeroLoja === numeroLoja);
+
+    return summary ? this.getOrder(summary.id) : null;
+  }
+
+  /**
+   * Busca pedido de venda por ID
+   * @param {number} orderId - ID do pedido no Bling
+   * @returns {Promise<Object|null>} Pedido encontrado (null se não existir mais no Bling)
+   */
+  async getOrder(orderId) {
+    try {
+      const response = await this.api.get(`/pedidos/vendas/${orderId}`);
+      return response.data.data;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return null;
+      }
+      console.error(`Erro ao buscar pedido ${orderId}:`, describeError(error));
+      throw error;
+    }
+  }
+
+  /**
+   * Altera a situação de um pedido de venda
+   * @param {number} orderId - ID do pedido no Bling
+   * @param {number} situacaoId - ID da situação (ex.: 15 = Em andamento)
+   * @returns {Promise<void>}
+   */
+  async updateOrderSituation(orderId, situacaoId) {
+    try {
+      await this.api.patch(`/pedidos/vendas/${orderId}/situacoes/${situacaoId}`);
+    } catch (error) {
+      console.error(`Erro ao alterar a situação do pedido ${orderId}:`, describeError(error));
       throw error;
     }
   }
 
+  /**
+   * FORMAS DE PAGAMENTO
+   */
+
+  /**
+   * Lista todas as formas de pagamento cadastradas no Bling
+   * @returns {Promise<Array>} Formas de pagamento
+   * @throws {Error} Se alguma página não puder ser lida
+   */
+  async getPaymentMethods() {
+    const methods = [];
+    let pagina = 1;
+
+    while (true) {
+      let page;
+      try {
+        const response = await this.api.get('/formas-pagamentos', { params: { pagina, limite: PAGE_SIZE } });
+        page = response.data.data || [];
+      } catch (error) {
+        throw new Error(`Erro ao buscar formas de pagamento (página ${pagina}): ${describeError(error)}`);
+      }
+
+      methods.push(...page);
+      if (page.length < PAGE_SIZE) {
+        return methods;
+      }
+      pagina++;
+    }
+  }
+
   /**
    * ESTOQUE - Controle de estoque
    */
@@ -245,34 +797,104 @@ class BlingService {
    */
 
   /**
-   * Cria ou atualiza contato (cliente)
-   * @param {Object} contactData - Dados do contato
-   * @returns {Promise<Object>} Contato criado/atualizado
+   * Procura um contato existente pelo CPF/CNPJ ou pelo email.
+   * Pelo email, só vale um contato sem documento ou com o mesmo documento informado:
+   * um cadastro com outro CPF/CNPJ é de outra pessoa, mesmo com o email igual.
+   * @param {Object} criteria - { documento, email }
+   * @returns {Promise<Object|null>} Contato encontrado
+   */
+  async findContact({ documento, email }) {
+    if (documento) {
+      const response = await this.api.get('/contatos', { params: { numeroDocumento: documento, limite: 1 } });
+      const [contact] = response.data.data || [];
+      if (contact) {
+        return contact;
+      }
+    }
+
+    if (!email) {
+      return null;
+    }
+
+    // A pesquisa do Bling é textual: confirma o email exato no cadastro de cada candidato
+    const response = await this.api.get('/contatos', { params: { pesquisa: email, limite: 10 } });
+    const normalizedEmail = email.trim().toLowerCase();
+
+    for (const candidate of response.data.data || []) {
+      const contact = candidate.email === undefined || candidate.numeroDocumento === undefined
+        ? (await this.api.get(`/contatos/${candidate.id}`)).data.data
+        : candidate;
+
+      const contactDocument = onlyDigits(contact.numeroDocumento);
+      const sameDocument = !documento || !contactDocument || contactDocument === onlyDigits(documento);
+
+      if (sameDocument && String(contact.email || '').trim().toLowerCase() === normalizedEmail) {
+        return contact;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Cria o contato (cliente) ou atualiza o existente com o mesmo CPF/CNPJ ou email (ver findContact)
+   * @param {Object} contactData - Dados do contato (documento já validado em utils/documents)
+   * @param {Object} contactData.documento - { numero, tipo } do CPF/CNPJ, quando informado
+   * @returns {Promise<Object>} { id, created }
    */
   async createOrUpdateContact(contactData) {
+    const documento = contactData.documento || null;
+
+    const blingContact = {
+      nome: contactData.nome,
+      email: contactData.email,
+      telefone: contactData.telefone,
+      situacao: 'A',
+      ...(documento ? { tipo: documento.tipo, numeroDocumento: documento.numero } : {}),
+      ...(contactData.endereco ? {
+        endereco: {
+          geral: {
+            endereco: contactData.endereco.logradouro,
+            numero: contactData.endereco.numero,
+            complemento: contactData.endereco.complemento,
+            bairro: contactData.endereco.bairro,
+            cep: contactData.endereco.cep,
+            municipio: contactData.endereco.cidade,
+            uf: contactData.endereco.estado
+          }
+        }
+      } : {})
+    };
+
     try {
-      const blingContact = {
-        nome: contactData.nome,
-        email: contactData.email,
-        telefone: contactData.telefone,
-        tipoPessoa: contactData.cpf ? 'F' : 'J', // Física ou Jurídica
-        cpfCnpj: contactData.cpf || contactData.cnpj,
-        endereco: contactData.endereco ? {
-          endereco: contactData.endereco.logradouro,
-          numero: contactData.endereco.numero,
-          complemento: contactData.endereco.complemento,
-          bairro: contactData.endereco.bairro,
-          cep: contactData.endereco.cep,
-          municipio: contactData.endereco.cidade,
-          uf: contactData.endereco.estado
-        } : null
-      };
+      const existing = await this.findContact({ documento: documento?.numero, email: contactData.email });
 
-      const response = await this.api.post('/contatos', blingContact);
-      return response.data.data;
+      if (existing) {
+        // O PUT substitui o cadastro: parte do contato completo e troca só o que o cliente informou
+        const { id, ...current } = (await this.api.get(`/contatos/${existing.id}`)).data.data;
+        const { endereco, ...fields } = blingContact;
+
+        await this.api.put(`/contatos/${id}`, {
+          ...current,
+          ...withoutEmpty(fields),
+          ...(endereco ? {
+            endereco: {
+              ...current.endereco,
+              geral: { ...current.endereco?.geral, ...withoutEmpty(endereco.geral) }
+            }
+          } : {})
+        });
+        return { id, created: false };
+      }
+
+      const response = await this.api.post('/contatos', {
+        tipo: 'F',
+        ...blingContact
+      });
+      return { id: response.data.data.id, created: true };
     } catch (error) {
-      console.error('Erro ao criar/atualizar contato:', error);
-      throw error;
+      console.error('Erro ao criar/atualizar contato:', describeError(error));
+      throw new Error(`Erro ao salvar cliente no Bling: ${describeError(error)}`);
     }
   }
 
@@ -309,4 +931,6 @@ class BlingService {
   }
 }
 
+BlingService.describeError = describeError;
+
 module.exports = BlingService;
\ No newline at end of file
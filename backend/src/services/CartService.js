@@ -0,0 +1,262 @@
+const crypto = require('crypto');
+const connection = require('../database/connection');
+const { toVitrineProduct, availableStock } = require('../utils/productMapper');
+
+// Quantidade máxima de um mesmo produto no carrinho
+const MAX_ITEM_QUANTITY = 99;
+
+/**
+ * Serviço do carrinho de compras
+ * O carrinho fica no servidor e é identificado pelo token devolvido na primeira inclusão
+ * (cabeçalho X-Cart-Token); como a loja ainda não tem login de clientes, todo carrinho é
+ * de visitante (carts.customer_id fica reservado para quando houver). Quantidades
+ * são conferidas com `products.estoque` e `ativo`, e os preços são atualizados a cada
+ * leitura, de modo que uma sincronização que muda preços se reflete no carrinho.
+ */
+class CartService {
+  constructor(db = connection) {
+    this.db = db;
+  }
+
+  /**
+   * Busca o carrinho ativo do visitante
+   * @param {Object} owner - { token }
+   * @returns {Promise<Object|null>} Registro de carts
+   */
+  async find({ token }) {
+    if (!token) {
+      return null;
+    }
+
+    return (await this.db('carts').where({ token, status: 'active' }).first()) || null;
+  }
+
+  /**
+   * Busca o carrinho ou cria um novo (com token próprio)
+   * @param {Object} owner - { token }
+   * @returns {Promise<Object>} Registro de carts
+   */
+  async findOrCreate(owner) {
+    const cart = await this.find(owner);
+    if (cart) {
+      return cart;
+    }
+
+    const [created] = await this.db('carts')
+      .insert({ token: crypto.randomBytes(24).toString('hex') })
+      .returning('*');
+    return created;
+  }
+
+  /**
+   * Confere se a quantidade pode ser comprada (descontando o estoque reservado por pedidos)
+   * @param {Object|null} product - Registro de products
+   * @param {number} quantidade - Quantidade desejada
+   * @returns {Object|null} { code, message } ou null se disponível
+   */
+  checkAvailability(product, quantidade) {
+    if (!product || !product.ativo) {
+      return { code: 'unavailable', message: 'Produto indisponível' };
+    }
+
+    const estoque = availableStock(product);
+    if (estoque <= 0) {
+      return { code: 'unavailable', message: `${product.nome} está esgotado` };
+    }
+
+    if (quantidade > estoque) {
+      return {
+        code: 'insufficient_stock',
+        message: `Apenas ${estoque} unidade(s) de ${product.nome} em estoque`
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Valida a quantidade recebida
+   * @param {*} value - Quantidade
+   * @param {number} min - Mínimo aceito (0 permite remover)
+   * @returns {Object} { value, errors }
+   */
+  parseQuantity(value, min = 1) {
+    const quantidade = Number(value);
+
+    if (!Number.isInteger(quantidade) || quantidade < min || quantidade > MAX_ITEM_QUANTITY) {
+      return { value: null, errors: [`Quantidade inválida: ${value} (use de ${min} a ${MAX_ITEM_QUANTITY})`] };
+    }
+
+    return { value: quantidade, errors: [] };
+  }
+
+  /**
+   * Adiciona um produto (somando à quantidade que já estava no carrinho)
+   * @param {Object} owner - { token }
+   * @param {number} productId - ID do produto na vitrine
+   * @param {number} quantidade - Quantidade a somar
+   * @returns {Promise<Object>} { cart, error }
+   */
+  async addItem(owner, productId, quantidade) {
+    const product = await this.db('products').where('id', productId).first();
+    if (!product) {
+      return { cart: null, error: { code: 'not_found', message: `Produto ${productId} não encontrado` } };
+    }
+
+    const existing = await this.find(owner);
+    const current = existing
+      ? await this.db('cart_items').where({ cart_id: existing.id, product_id: product.id }).first()
+      : null;
+    const total = (current?.quantidade || 0) + quantidade;
+
+    const error = this.checkAvailability(product, total)
+      || (total > MAX_ITEM_QUANTITY
+        ? { code: 'invalid_quantity', message: `Máximo de ${MAX_ITEM_QUANTITY} unidades por produto` }
+        : null);
+    if (error) {
+      return { cart: null, error };
+    }
+
+    const cart = existing || await this.findOrCreate(owner);
+    await this.db('cart_items')
+      .insert({
+        cart_id: cart.id,
+        product_id: product.id,
+        quantidade: total,
+        preco_unitario: toVitrineProduct(product).price
+      })
+      .onConflict(['cart_id', 'product_id'])
+      .merge({ quantidade: total, updated_at: this.db.fn.now() });
+
+    return { cart: await this.get({ ...owner, token: cart.token }), error: null };
+  }
+
+  /**
+   * Define a quantidade de um produto no carrinho (0 remove)
+   * @param {Object} owner - { token }
+   * @param {number} productId - ID do produto na vitrine
+   * @param {number} quantidade - Nova quantidade
+   * @returns {Promise<Object>} { cart, error }
+   */
+  async updateItem(owner, productId, quantidade) {
+    const cart = await this.find(owner);
+    const item = cart && await this.db('cart_items').where({ cart_id: cart.id, product_id: productId }).first();
+
+    if (!item) {
+      return { cart: null, error: { code: 'not_found', message: 'Produto não está no carrinho' } };
+    }
+
+    if (quantidade === 0) {
+      return this.removeItem(owner, productId);
+    }
+
+    const product = await this.db('products').where('id', productId).first();
+    const error = this.checkAvailability(product, quantidade);
+    if (error) {
+      return { cart: null, error };
+    }
+
+    await this.db('cart_items')
+      .where('id', item.id)
+      .update({ quantidade, updated_at: this.db.fn.now() });
+
+    return { cart: await this.get(owner), error: null };
+  }
+
+  /**
+   * Remove um produto do carrinho
+   * @param {Object} owner - { token }
+   * @param {number} productId - ID do produto na vitrine
+   * @returns {Promise<Object>} { cart, error }
+   */
+  async removeItem(owner, productId) {
+    const cart = await this.find(owner);
+    const removed = cart
+      ? await this.db('cart_items').where({ cart_id: cart.id, product_id: productId }).del()
+      : 0;
+
+    if (!removed) {
+      return { cart: null, error: { code: 'not_found', message: 'Produto não está no carrinho' } };
+    }
+
+    return { cart: await this.get(owner), error: null };
+  }
+
+  /**
+   * Esvazia o carrinho
+   * @param {Object} owner - { token }
+   * @returns {Promise<Object>} Carrinho vazio
+   */
+  async clear(owner) {
+    const cart = await this.find(owner);
+    if (cart) {
+      await this.db('cart_items').where('cart_id', cart.id).del();
+    }
+    return this.get(owner);
+  }
+
+  /**
+   * Carrinho com preços atualizados e situação de estoque de cada item.
+   * Itens cujo preço mudou desde a última leitura trazem `preco_anterior` (uma única vez).
+   * @param {Object} owner - { token }
+   * @returns {Promise<Object>} { token, items, quantidade_total, subtotal, has_issues, updated_at }
+   */
+  async get(owner) {
+    const cart = await this.find(owner);
+    if (!cart) {
+      return { token: null, items: [], quantidade_total: 0, subtotal: 0, has_issues: false, updated_at: null };
+    }
+
+    const rows = await this.db('cart_items')
+      .join('products', 'products.id', 'cart_items.product_id')
+      .where('cart_items.cart_id', cart.id)
+      .orderBy('cart_items.id', 'asc')
+      .select(
+        'cart_items.id as item_id',
+        'cart_items.quantidade',
+        'cart_items.preco_unitario',
+        'products.*'
+      );
+
+    const items = [];
+    for (const row of rows) {
+      const product = toVitrineProduct(row);
+      const precoAnterior = Number(row.preco_unitario);
+
+      // Preço mudou (sincronização ou webhook do Bling): o carrinho passa a usar o novo
+      if (product.price !== precoAnterior) {
+        await this.db('cart_items')
+          .where('id', row.item_id)
+          .update({ preco_unitario: product.price, updated_at: this.db.fn.now() });
+      }
+
+      const issue = this.checkAvailability(row, row.quantidade);
+
+      items.push({
+        product_id: row.id,
+        slug: product.slug,
+        name: product.name,
+        image_src: product.image_src,
+        quantidade: row.quantidade,
+        preco_unitario: product.price,
+        preco_anterior: product.price !== precoAnterior ? precoAnterior : null,
+        subtotal: Number((product.price * row.quantidade).toFixed(2)),
+        estoque: row.ativo ? availableStock(row) : 0,
+        issue: issue ? issue.message : null
+      });
+    }
+
+    return {
+      token: cart.token,
+      items,
+      quantidade_total: items.reduce((sum, item) => sum + item.quantidade, 0),
+      subtotal: Number(items.reduce((sum, item) => sum + item.subtotal, 0).toFixed(2)),
+      has_issues: items.some(item => item.issue),
+      updated_at: cart.updated_at
+    };
+  }
+}
+
+CartService.MAX_ITEM_QUANTITY = MAX_ITEM_QUANTITY;
+
+module.exports = CartService;
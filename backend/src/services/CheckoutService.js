@@ -0,0 +1,369 @@
+const connection = require('../database/connection');
+const CartService = require('./CartService');
+const OrderService = require('./OrderService');
+const OrderOutboxService = require('./OrderOutboxService');
+const PaymentMethodService = require('./PaymentMethodService');
+const PaymentService = require('./PaymentService');
+const ShippingService = require('./ShippingService');
+const { toVitrineProduct } = require('../utils/productMapper');
+const { normalizeCustomer } = require('../utils/documents');
+const { PICKUP_OPTION, normalizeAddress } = require('../utils/shipping');
+const { getCheckoutPaymentOptions } = require('../utils/paymentMapping');
+const { installmentCount, calculateInstallment } = require('../utils/installments');
+
+// Resposta do checkout conforme o resultado da primeira tentativa de envio ao Bling
+const DELIVERY_MESSAGES = {
+  sent: 'Pedido criado no Bling com sucesso',
+  pending: 'Pedido recebido; o envio ao Bling será repetido automaticamente',
+  processing: 'Pedido recebido; envio ao Bling em andamento',
+  dead: 'Pedido recebido; o envio ao Bling precisa de revisão da equipe'
+};
+
+// Status HTTP e título de cada erro do checkout
+const CHECKOUT_ERRORS = {
+  invalid_customer: [400, 'Cliente inválido'],
+  invalid_address: [400, 'Endereço inválido'],
+  invalid_shipping: [400, 'Forma de envio inválida'],
+  invalid_payment: [400, 'Forma de pagamento inválida'],
+  invalid_items: [400, 'Itens inválidos'],
+  empty_cart: [400, 'Carrinho vazio'],
+  unavailable: [409, 'Produto indisponível'],
+  insufficient_stock: [409, 'Estoque insuficiente'],
+  price_changed: [409, 'Total alterado']
+};
+
+// Índice único de orders.idempotency_key (migration 014)
+const IDEMPOTENCY_CONSTRAINT = 'orders_idempotency_key_unique';
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const failure = (code, message) => ({ order: null, duplicate: false, delivery: null, error: { code, message } });
+
+/**
+ * Serviço de checkout
+ * Fecha o pedido a partir do carrinho: valida cliente, endereço e envio, recalcula preços,
+ * frete (ShippingService, pelo CEP de entrega) e total com os dados do banco (nunca com valores enviados pelo navegador), reserva o
+ * estoque e grava o pedido na mesma transação. Só depois o pedido segue para o Bling
+ * (contato + pedido de venda) pela fila do OrderOutboxService. Cartão e boleto são cobrados
+ * em seguida pelo gateway configurado (PaymentService); o PIX é gerado na página de confirmação.
+ */
+class CheckoutService {
+  constructor(orderService = new OrderService(), cartService = new CartService(), db = connection) {
+    this.orderService = orderService;
+    this.cartService = cartService;
+    this.db = db;
+    this.outboxService = new OrderOutboxService(orderService, db);
+    this.paymentMethodService = new PaymentMethodService(orderService.blingService, db);
+    this.paymentService = new PaymentService(orderService, db);
+    this.shippingService = new ShippingService(db);
+  }
+
+  /**
+   * Carrinho atual com as opções de envio e pagamento disponíveis
+   * @param {Object} owner - { token }
+   * @param {string|null} cep - CEP de entrega (sem ele, só a retirada é cotada)
+   * @returns {Promise<Object>} { cart, shipping, shipping_quote, payments, gateway }
+   */
+  async getOptions(owner, cep = null) {
+    const [cart, settings, gateway] = await Promise.all([
+      this.cartService.get(owner),
+      this.paymentMethodService.getSettings(),
+      this.paymentService.getGatewaySettings()
+    ]);
+    const lines = cart.items.map(item => ({ product_id: item.product_id, quantidade: item.quantidade }));
+    const quote = lines.length > 0
+      ? await this.shippingService.quoteLines(cep, lines)
+      : await this.shippingService.quote(null, []);
+
+    return {
+      cart,
+      shipping: quote.options,
+      shipping_quote: { cep: quote.cep, package: quote.package, error: quote.error?.message || null },
+      payments: getCheckoutPaymentOptions(settings, gateway),
+      gateway: await this.paymentService.getCheckoutGateway(gateway)
+    };
+  }
+
+  /**
+   * Fecha o pedido com os itens do carrinho, marca o carrinho como convertido e cobra
+   * cartão ou boleto pelo gateway
+   * @param {Object} owner - { token }
+   * @param {Object} data - Dados do checkout (ver placeOrder) e cartao: { token } gerado pelo gateway
+   * @returns {Promise<Object>} { order, duplicate, delivery, payment, paymentError, error }
+   */
+  async checkoutCart(owner, { cartao = null, ...data }) {
+    const tipo = typeof data.formaPagamento === 'object' && data.formaPagamento !== null
+      ? data.formaPagamento.tipo
+      : data.formaPagamento;
+    const { provider } = await this.paymentService.getCheckoutGateway();
+
+    if (tipo === 'cartao_credito' && provider && !cartao?.token) {
+      return failure('invalid_payment', 'Informe os dados do cartão');
+    }
+
+    const result = await this.placeOrderFromCart(owner, data);
+    if (result.error) {
+      return result;
+    }
+
+    // Checkout repetido: devolve a cobrança já feita em vez de cobrar de novo
+    if (result.duplicate) {
+      const [payment] = await this.paymentService.listByOrder(result.order.id);
+      return { ...result, payment: payment || null, paymentError: null };
+    }
+
+    if (!provider || !PaymentService.GATEWAY_METHODS.includes(result.order.forma_pagamento)) {
+      return { ...result, payment: null, paymentError: null };
+    }
+
+    const { payment, error } = await this.paymentService.createCharge(result.order.numero_loja, { card: cartao });
+    return { ...result, payment, paymentError: error };
+  }
+
+  /**
+   * Fecha o pedido com os itens do carrinho do dono
+   * @param {Object} owner - { token }
+   * @param {Object} data - Dados do checkout (ver placeOrder)
+   * @returns {Promise<Object>} { order, duplicate, delivery, error }
+   */
+  async placeOrderFromCart(owner, data) {
+    const cart = await this.cartService.find(owner);
+    const lines = cart
+      ? await this.db('cart_items')
+        .where('cart_id', cart.id)
+        .orderBy('id', 'asc')
+        .select('product_id', 'quantidade')
+      : [];
+
+    return this.placeOrder(lines, { ...data, cartId: cart?.id || null });
+  }
+
+  /**
+   * Converte os itens no formato do Bling (produtoId = ID do produto no Bling) em linhas do checkout.
+   * Preços enviados junto com os itens são ignorados.
+   * @param {Array<Object>} itens - [{ produtoId, quantidade }]
+   * @returns {Promise<Object>} { lines, errors }
+   */
+  async linesFromBlingItems(itens) {
+    if (!Array.isArray(itens) || itens.length === 0) {
+      return { lines: [], errors: ['Informe ao menos um item'] };
+    }
+
+    const products = await this.db('products')
+      .whereIn('bling_id', itens.map(item => Number(item.produtoId) || 0))
+      .select('id', 'bling_id');
+    const byBlingId = new Map(products.map(product => [Number(product.bling_id), product.id]));
+    const quantities = new Map();
+    const errors = [];
+
+    itens.forEach((item) => {
+      const productId = byBlingId.get(Number(item.produtoId));
+      const { value: quantidade, errors: quantityErrors } = this.cartService.parseQuantity(item.quantidade);
+
+      if (!productId) {
+        errors.push(`Produto ${item.produtoId} não encontrado`);
+      } else if (quantityErrors.length > 0) {
+        errors.push(...quantityErrors);
+      } else {
+        quantities.set(productId, (quantities.get(productId) || 0) + quantidade);
+      }
+    });
+
+    return {
+      lines: [...quantities].map(([productId, quantidade]) => ({ product_id: productId, quantidade })),
+      errors
+    };
+  }
+
+  /**
+   * Fecha um pedido: recalcula preços, frete e total, reserva o estoque, grava o pedido
+   * e faz a primeira tentativa de envio ao Bling
+   * @param {Array<Object>} lines - [{ product_id, quantidade }]
+   * @param {Object} data - { cliente, endereco, envio, formaPagamento, observacoes, totalEsperado, idempotencyKey, cartId }
+   * @returns {Promise<Object>} { order, duplicate, delivery, error }
+   */
+  async placeOrder(lines, {
+    cliente, endereco, envio, formaPagamento, observacoes,
+    totalEsperado = null, idempotencyKey = null, cartId = null
+  }) {
+    // Repetição de um checkout já concluído (ex.: a resposta se perdeu): devolve o mesmo pedido
+    const existing = await this.orderService.findByIdempotencyKey(idempotencyKey);
+    if (existing) {
+      return { order: await this.orderService.get(existing.id), duplicate: true, delivery: null, error: null };
+    }
+
+    const { customer, errors: customerErrors } = normalizeCustomer(cliente || {});
+    if (customerErrors.length > 0) {
+      return failure('invalid_customer', customerErrors.join('; '));
+    }
+
+    if (!envio) {
+      return failure('invalid_shipping', `Informe a forma de envio (${PICKUP_OPTION} ou uma das opções cotadas para o CEP)`);
+    }
+
+    const requiresAddress = envio !== PICKUP_OPTION;
+    if (requiresAddress) {
+      const { address, errors } = normalizeAddress(endereco || customer.endereco || {});
+      if (errors.length > 0) {
+        return failure('invalid_address', errors.join('; '));
+      }
+      customer.endereco = address;
+    }
+
+    if (lines.length === 0) {
+      return failure('empty_cart', 'O carrinho está vazio');
+    }
+
+    const [gateway, shippingSettings] = await Promise.all([
+      this.paymentService.getGatewaySettings(),
+      this.shippingService.getSettings()
+    ]);
+
+    let result;
+    try {
+      result = await this.db.transaction(async (trx) => {
+        // Bloqueia os produtos até o fim da transação: dois checkouts não reservam a mesma unidade
+        const products = await trx('products')
+          .whereIn('id', lines.map(line => line.product_id))
+          .forUpdate();
+        const byId = new Map(products.map(product => [product.id, product]));
+        const items = [];
+
+        for (const line of lines) {
+          const product = byId.get(line.product_id);
+          const issue = this.cartService.checkAvailability(product, line.quantidade)
+            || (!product.bling_id
+              ? { code: 'unavailable', message: `${product.nome} não está disponível para venda online` }
+              : null);
+          if (issue) {
+            return { error: issue };
+          }
+
+          const preco = toVitrineProduct(product).price;
+          items.push({
+            product_id: product.id,
+            bling_product_id: product.bling_id,
+            codigo: product.codigo || null,
+            nome: product.nome,
+            quantidade: line.quantidade,
+            preco_unitario: preco,
+            total: roundAmount(preco * line.quantidade)
+          });
+        }
+
+        const subtotal = roundAmount(items.reduce((sum, item) => sum + item.total, 0));
+
+        // Frete cotado de novo com o peso e o preço atuais dos produtos
+        const cep = requiresAddress ? customer.endereco.cep : null;
+        const quote = await this.shippingService.quote(
+          cep,
+          lines.map(line => ({ product: byId.get(line.product_id), quantidade: line.quantidade })),
+          shippingSettings
+        );
+        const shipping = quote.options.find(option => option.value === envio);
+        if (!shipping) {
+          return {
+            error: {
+              code: 'invalid_shipping',
+              message: quote.error?.message || `Forma de envio indisponível${cep ? ` para o CEP ${cep}` : ''}: ${envio}`
+            }
+          };
+        }
+
+        const cashTotal = roundAmount(subtotal + shipping.valor);
+
+        // Cartão acima das parcelas sem juros: o total passa a ser o financiado (tabela Price)
+        const maxInstallments = installmentCount(cashTotal, gateway);
+        const parcelas = Number(formaPagamento?.parcelas);
+        const juros = formaPagamento?.tipo === 'cartao_credito' && Number.isInteger(parcelas) && parcelas > 1 && parcelas <= maxInstallments
+          ? calculateInstallment(cashTotal, parcelas, gateway).interest
+          : 0;
+        const total = roundAmount(cashTotal + juros);
+
+        // O cliente confirmou outro valor (preço mudou por sincronização ou webhook): ele precisa rever o carrinho
+        if (totalEsperado !== null && totalEsperado !== undefined && Math.abs(Number(totalEsperado) - total) >= 0.01) {
+          return {
+            error: { code: 'price_changed', message: `O total do pedido mudou para R$ ${total.toFixed(2)}; confira o carrinho` }
+          };
+        }
+
+        const { payment, errors } = await this.paymentMethodService.resolve(formaPagamento, total, maxInstallments);
+        if (errors.length > 0) {
+          return { error: { code: 'invalid_payment', message: errors.join('; ') } };
+        }
+
+        for (const item of items) {
+          await trx('products')
+            .where('id', item.product_id)
+            .increment('estoque_reservado', item.quantidade);
+        }
+
+        const order = await this.orderService.createFromStorefront({
+          customer,
+          items,
+          subtotal,
+          frete: shipping.valor,
+          juros,
+          total,
+          payment,
+          shipping: {
+            option: shipping.value,
+            label: shipping.label,
+            days: shipping.prazo_dias,
+            weight: requiresAddress ? quote.package.billable_weight : null
+          },
+          observacoes,
+          idempotencyKey,
+          cartId
+        }, trx);
+
+        if (cartId) {
+          await trx('carts')
+            .where('id', cartId)
+            .update({ status: 'converted', updated_at: this.db.fn.now() });
+        }
+
+        return { order, error: null };
+      });
+    } catch (error) {
+      // Outro envio com a mesma chave gravou o pedido durante esta transação (desfeita): devolve o dele
+      if (error.code === '23505' && error.constraint === IDEMPOTENCY_CONSTRAINT) {
+        const duplicate = await this.orderService.findByIdempotencyKey(idempotencyKey);
+        return { order: await this.orderService.get(duplicate.id), duplicate: true, delivery: null, error: null };
+      }
+      throw error;
+    }
+
+    if (result.error) {
+      return failure(result.error.code, result.error.message);
+    }
+
+    // Primeira tentativa na hora; se falhar, o OrderOutboxWorker repete com espera exponencial
+    const delivery = await this.outboxService.deliverNow(result.order.id);
+
+    return { order: await this.orderService.get(result.order.id), duplicate: false, delivery, error: null };
+  }
+
+  /**
+   * Corpo da resposta de um checkout concluído
+   * @param {Object} result - { order, duplicate, delivery, payment, paymentError } de checkoutCart ou placeOrder
+   * @returns {Object}
+   */
+  receipt({ order, duplicate, delivery, payment = null, paymentError = null }) {
+    return {
+      success: true,
+      message: duplicate ? 'Pedido já registrado' : DELIVERY_MESSAGES[delivery?.status || 'processing'],
+      order,
+      orderNumber: order.numero_loja,
+      blingOrderId: order.bling_id,
+      blingOrderNumber: order.bling_id ? order.numero : null,
+      blingError: order.bling_sync_status === 'synced' ? null : order.bling_error,
+      payment,
+      paymentError: paymentError?.message || null
+    };
+  }
+}
+
+CheckoutService.CHECKOUT_ERRORS = CHECKOUT_ERRORS;
+
+module.exports = CheckoutService;
@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+const connection = require('../database/connection');
+
+// Validade do state gerado para o fluxo OAuth (ms)
+const STATE_TTL = 10 * 60 * 1000;
+
+const hash = (value) => crypto.createHash('sha256').update(String(value)).digest('hex');
+
+/**
+ * Serviço de state do OAuth2
+ * Gera nonces aleatórios, de uso único e com expiração, vinculados
+ * à sessão do admin que iniciou a autorização.
+ */
+class OAuthStateService {
+  constructor(db = connection) {
+    this.db = db;
+    this.ttl = STATE_TTL;
+  }
+
+  /**
+   * Gera um identificador de sessão aleatório para o cookie do fluxo OAuth
+   * @returns {string}
+   */
+  createSessionId() {
+    return crypto.randomBytes(32).toString('hex');
+  }
+
+  /**
+   * Cria e armazena um novo state para a sessão
+   * @param {string} sessionId - Sessão do admin (cookie)
+   * @returns {Promise<string>} State a ser enviado ao Bling
+   */
+  async create(sessionId) {
+    const state = crypto.randomBytes(32).toString('hex');
+
+    // Aproveita para limpar states expirados
+    await this.db('bling_oauth_states')
+      .where('expires_at', '<', new Date())
+      .del();
+
+    await this.db('bling_oauth_states').insert({
+      state,
+      session_hash: hash(sessionId),
+      expires_at: new Date(Date.now() + this.ttl)
+    });
+
+    return state;
+  }
+
+  /**
+   * Valida e consome o state recebido no callback
+   * @param {string} state - State recebido do Bling
+   * @param {string} sessionId - Sessão do admin (cookie)
+   * @returns {Promise<void>}
+   * @throws {Error} Se o state for desconhecido, expirado, reutilizado ou de outra sessão
+   */
+  async consume(state, sessionId) {
+    if (!state || !sessionId) {
+      throw new Error('Requisição de autorização inválida ou iniciada em outra sessão');
+    }
+
+    // Marca como usado de forma atômica: só uma requisição consegue consumir o state
+    const consumed = await this.db('bling_oauth_states')
+      .where('state', state)
+      .whereNull('used_at')
+      .update({ used_at: new Date() })
+      .returning(['session_hash', 'expires_at']);
+
+    const record = consumed[0];
+
+    if (!record) {
+      throw new Error('Requisição de autorização desconhecida ou já utilizada');
+    }
+
+    if (new Date(record.expires_at) < new Date()) {
+      throw new Error('Requisição de autorização expirada, inicie a conexão novamente');
+    }
+
+    const expected = Buffer.from(record.session_hash);
+    const received = Buffer.from(hash(sessionId));
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      throw new Error('Requisição de autorização iniciada em outra sessão');
+    }
+  }
+}
+
+module.exports = OAuthStateService;
@@ -0,0 +1,280 @@
+const connection = require('../database/connection');
+const OrderService = require('./OrderService');
+const ActivityLogService = require('./ActivityLogService');
+
+// Tentativas antes de o pedido ir para a fila morta (dead letter)
+const MAX_ATTEMPTS = Number(process.env.BLING_ORDER_MAX_ATTEMPTS) || 8;
+
+// Espera exponencial entre tentativas: 30s, 1min, 2min... até 1h (ms)
+const RETRY_BASE_DELAY = 30 * 1000;
+const MAX_RETRY_DELAY = 60 * 60 * 1000;
+
+// Envio em andamento há mais que isso é considerado interrompido (servidor reiniciado no meio)
+const STALE_LOCK = 5 * 60 * 1000;
+
+// Pedidos enviados por rodada do worker
+const BATCH_SIZE = 10;
+
+/**
+ * Fila de envio dos pedidos da vitrine ao Bling (outbox)
+ * Cada pedido gravado localmente ganha uma linha em `order_outbox`. O envio é tentado na hora
+ * e, se falhar por algo temporário (Bling fora do ar, token expirado, limite de requisições),
+ * repetido pelo OrderOutboxWorker com espera exponencial. Recusas do Bling e pedidos que
+ * esgotam as tentativas vão para a fila morta, onde a equipe corrige e reenvia pelo painel.
+ */
+class OrderOutboxService {
+  constructor(orderService = new OrderService(), db = connection) {
+    this.orderService = orderService;
+    this.db = db;
+    this.activityLog = new ActivityLogService(db);
+  }
+
+  /**
+   * Formata a linha da fila para a API
+   * @param {Object} entry - Registro de order_outbox
+   * @returns {Object}
+   */
+  serialize(entry) {
+    return {
+      id: entry.id,
+      order_id: entry.order_id,
+      status: entry.status,
+      attempts: entry.attempts,
+      max_attempts: MAX_ATTEMPTS,
+      next_attempt_at: entry.status === 'pending' ? entry.next_attempt_at : null,
+      last_error: entry.last_error,
+      sent_at: entry.sent_at,
+      updated_at: entry.updated_at
+    };
+  }
+
+  /**
+   * Espera antes da próxima tentativa
+   * @param {number} attempts - Tentativas já feitas
+   * @returns {number} ms
+   */
+  retryDelay(attempts) {
+    return Math.min(RETRY_BASE_DELAY * 2 ** (attempts - 1), MAX_RETRY_DELAY);
+  }
+
+  /**
+   * Reserva pedidos para envio (SKIP LOCKED: duas instâncias nunca pegam o mesmo pedido)
+   * @param {Object} options - { orderId } para um pedido específico, mesmo antes da hora
+   * @returns {Promise<Array>} Linhas reservadas
+   */
+  async claim({ orderId = null } = {}) {
+    return this.db.transaction(async (trx) => {
+      const entries = await trx('order_outbox')
+        .where('status', 'pending')
+        .modify((query) => {
+          if (orderId) {
+            query.where('order_id', orderId);
+          } else {
+            query.where('next_attempt_at', '<=', this.db.fn.now());
+          }
+        })
+        .orderBy('next_attempt_at', 'asc')
+        .limit(BATCH_SIZE)
+        .forUpdate()
+        .skipLocked();
+
+      if (entries.length === 0) {
+        return [];
+      }
+
+      return trx('order_outbox')
+        .whereIn('id', entries.map(entry => entry.id))
+        .update({ status: 'processing', locked_at: this.db.fn.now(), updated_at: this.db.fn.now() })
+        .returning('*');
+    });
+  }
+
+  /**
+   * Faz uma tentativa de envio de um pedido reservado e agenda a próxima, se preciso
+   * @param {Object} entry - Linha reservada de order_outbox
+   * @returns {Promise<Object>} { status, result }
+   */
+  async deliver(entry) {
+    const attempts = entry.attempts + 1;
+    const result = await this.orderService.sendToBling(entry.order_id);
+
+    if (result.synced) {
+      await this.db('order_outbox')
+        .where('id', entry.id)
+        .update({
+          status: 'sent',
+          attempts,
+          locked_at: null,
+          last_error: null,
+          sent_at: this.db.fn.now(),
+          updated_at: this.db.fn.now()
+        });
+      return { status: 'sent', result };
+    }
+
+    const dead = !result.retryable || attempts >= MAX_ATTEMPTS;
+
+    await this.db('order_outbox')
+      .where('id', entry.id)
+      .update({
+        status: dead ? 'dead' : 'pending',
+        attempts,
+        locked_at: null,
+        last_error: result.error,
+        next_attempt_at: dead ? this.db.fn.now() : new Date(Date.now() + this.retryDelay(attempts)),
+        updated_at: this.db.fn.now()
+      });
+
+    await this.db('orders')
+      .where('id', entry.order_id)
+      .update({ bling_sync_status: dead ? 'failed' : 'pending' });
+
+    if (dead) {
+      const order = await this.db('orders').where('id', entry.order_id).first('numero_loja');
+      await this.activityLog.record({
+        type: 'order',
+        action: 'order.dead_letter',
+        status: 'error',
+        title: 'Pedido não enviado ao Bling',
+        message: `Pedido ${order.numero_loja} precisa de revisão após ${attempts} tentativa(s): ${result.error}`,
+        counts: { attempts },
+        reference: `order:${entry.order_id}`
+      });
+    }
+
+    return { status: dead ? 'dead' : 'pending', result };
+  }
+
+  /**
+   * Envia agora um pedido da fila (usado no checkout e no reenvio manual)
+   * @param {number} orderId - ID do pedido local
+   * @returns {Promise<Object|null>} { status, result } ou null se o pedido já está sendo enviado
+   */
+  async deliverNow(orderId) {
+    const [entry] = await this.claim({ orderId });
+    return entry ? this.attempt(entry) : null;
+  }
+
+  /**
+   * deliver() protegido contra falhas locais (banco): o pedido volta para a fila sem contar tentativa
+   * @param {Object} entry - Linha reservada de order_outbox
+   * @returns {Promise<Object>} { status, result }
+   */
+  async attempt(entry) {
+    try {
+      return await this.deliver(entry);
+    } catch (error) {
+      console.error(`Erro ao enviar pedido ${entry.order_id} da fila:`, error.message);
+      await this.db('order_outbox')
+        .where('id', entry.id)
+        .update({ status: 'pending', locked_at: null, updated_at: this.db.fn.now() });
+      return { status: 'pending', result: { synced: false, error: error.message, retryable: true } };
+    }
+  }
+
+  /**
+   * Envia os pedidos cuja próxima tentativa já venceu
+   * @returns {Promise<Object>} { sent, retrying, dead }
+   */
+  async processDue() {
+    const counts = { sent: 0, retrying: 0, dead: 0 };
+
+    await this.recoverStale();
+    const entries = await this.claim();
+
+    for (const entry of entries) {
+      const { status } = await this.attempt(entry);
+      counts[status === 'pending' ? 'retrying' : status] += 1;
+    }
+
+    return counts;
+  }
+
+  /**
+   * Devolve à fila os envios interrompidos (status processing há mais de STALE_LOCK)
+   * @returns {Promise<number>} Quantidade de pedidos devolvidos
+   */
+  async recoverStale() {
+    return this.db('order_outbox')
+      .where('status', 'processing')
+      .where('locked_at', '<', new Date(Date.now() - STALE_LOCK))
+      .update({ status: 'pending', locked_at: null, updated_at: this.db.fn.now() });
+  }
+
+  /**
+   * Recoloca um pedido na fila com as tentativas zeradas e o envia na hora
+   * @param {number} orderId - ID do pedido local
+   * @returns {Promise<Object|null>} { status, result } ou null se o pedido não está na fila ou já foi enviado
+   */
+  async resubmit(orderId) {
+    const updated = await this.db('order_outbox')
+      .where('order_id', orderId)
+      .whereIn('status', ['pending', 'dead'])
+      .update({
+        status: 'pending',
+        attempts: 0,
+        next_attempt_at: this.db.fn.now(),
+        last_error: null,
+        updated_at: this.db.fn.now()
+      });
+
+    if (updated === 0) {
+      return null;
+    }
+
+    await this.db('orders').where('id', orderId).update({ bling_sync_status: 'pending' });
+    return this.deliverNow(orderId);
+  }
+
+  /**
+   * Situação de um pedido na fila
+   * @param {number} orderId - ID do pedido local
+   * @returns {Promise<Object|null>}
+   */
+  async getByOrder(orderId) {
+    const entry = await this.db('order_outbox').where('order_id', orderId).first();
+    return entry ? this.serialize(entry) : null;
+  }
+
+  /**
+   * Lista a fila com os dados principais do pedido (a fila morta usa status = 'dead')
+   * @param {Object} filters - { status, page, limit }
+   * @returns {Promise<Object>} { entries, pagination }
+   */
+  async list({ status, page = 1, limit = 20 } = {}) {
+    const filtered = () => this.db('order_outbox')
+      .modify((query) => {
+        if (status) query.where('order_outbox.status', status);
+      });
+
+    const [entries, totalResult] = await Promise.all([
+      filtered()
+        .join('orders', 'orders.id', 'order_outbox.order_id')
+        .select('order_outbox.*', 'orders.numero_loja', 'orders.cliente_nome', 'orders.total', 'orders.created_at as order_created_at')
+        .orderBy('order_outbox.updated_at', 'desc')
+        .limit(limit)
+        .offset((page - 1) * limit),
+      filtered().count('* as total').first()
+    ]);
+
+    const total = Number(totalResult.total);
+
+    return {
+      entries: entries.map(entry => ({
+        ...this.serialize(entry),
+        numero_loja: entry.numero_loja,
+        cliente_nome: entry.cliente_nome,
+        total: Number(entry.total),
+        order_created_at: entry.order_created_at
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+}
+
+module.exports = OrderOutboxService;
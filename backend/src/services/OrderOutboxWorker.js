@@ -0,0 +1,68 @@
+const OrderOutboxService = require('./OrderOutboxService');
+
+// Frequência com que o worker procura pedidos para enviar ao Bling (ms)
+const CHECK_INTERVAL = Number(process.env.BLING_ORDER_OUTBOX_INTERVAL) || 15 * 1000;
+
+/**
+ * Worker da fila de pedidos
+ * Envia ao Bling os pedidos da vitrine cuja próxima tentativa já venceu (order_outbox).
+ */
+class OrderOutboxWorker {
+  constructor(outboxService = new OrderOutboxService()) {
+    this.outboxService = outboxService;
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Inicia o worker
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.outboxService.recoverStale()
+      .then((count) => {
+        if (count > 0) {
+          console.warn(`${count} envio(s) de pedido interrompido(s) devolvido(s) à fila`);
+        }
+      })
+      .catch((error) => console.error('Erro ao recuperar a fila de pedidos:', error.message));
+
+    this.timer = setInterval(() => this.tick(), CHECK_INTERVAL);
+    this.timer.unref();
+  }
+
+  /**
+   * Para o worker
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Envia os pedidos pendentes (uma rodada por vez)
+   */
+  async tick() {
+    if (this.running) {
+      return;
+    }
+
+    try {
+      this.running = true;
+      const counts = await this.outboxService.processDue();
+
+      if (counts.sent + counts.retrying + counts.dead > 0) {
+        console.log(`Fila de pedidos: ${counts.sent} enviado(s), ${counts.retrying} para nova tentativa, ${counts.dead} na fila morta`);
+      }
+    } catch (error) {
+      console.error('Erro no worker da fila de pedidos:', error.message);
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+module.exports = OrderOutboxWorker;
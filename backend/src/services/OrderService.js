@@ -0,0 +1,686 @@
+const connection = require('../database/connection');
+const BlingService = require('./BlingService');
+const BlingConfigService = require('./BlingConfigService');
+const { normalizeSyncRules } = require('../utils/syncRules');
+
+// Situações padrão dos pedidos de venda no Bling (situações personalizadas usam o nome genérico)
+const ORDER_SITUATIONS = {
+  6: 'Em aberto',
+  9: 'Atendido',
+  12: 'Cancelado',
+  15: 'Em andamento',
+  18: 'Venda agenciada',
+  21: 'Em digitação',
+  24: 'Verificado'
+};
+
+// Ciclo de vida do pedido na vitrine
+const ORDER_STATUSES = {
+  pending: 'Aguardando pagamento',
+  paid: 'Pago',
+  invoiced: 'Faturado',
+  shipped: 'Enviado',
+  delivered: 'Entregue',
+  cancelled: 'Cancelado'
+};
+
+// Mudanças de status permitidas (o Bling pode pular etapas, mas nunca voltar)
+const STATUS_TRANSITIONS = {
+  pending: ['paid', 'invoiced', 'shipped', 'delivered', 'cancelled'],
+  paid: ['invoiced', 'shipped', 'delivered', 'cancelled'],
+  invoiced: ['shipped', 'delivered', 'cancelled'],
+  shipped: ['delivered', 'cancelled'],
+  delivered: [],
+  cancelled: []
+};
+
+// Situação do Bling => status da vitrine (situações sem correspondência não mudam o status)
+const SITUATION_STATUSES = {
+  6: 'pending',
+  21: 'pending',
+  15: 'paid',
+  24: 'paid',
+  9: 'shipped',
+  12: 'cancelled'
+};
+
+// Situação do Bling para pedidos com pagamento confirmado na vitrine
+const PAID_SITUATION_ID = 15;
+
+// Status em que a reserva de estoque do pedido deixa de valer (venda desfeita ou estoque já baixado no Bling)
+const STOCK_RELEASE_STATUSES = ['invoiced', 'shipped', 'delivered', 'cancelled'];
+
+/**
+ * Serviço de pedidos locais
+ * Grava os pedidos da vitrine antes de enviá-los ao Bling, controla o ciclo de vida
+ * (com histórico de status) e mantém a tabela `orders` em dia com os webhooks de pedido.
+ */
+class OrderService {
+  constructor(blingService = new BlingService(), db = connection) {
+    this.blingService = blingService;
+    this.db = db;
+    this.configService = new BlingConfigService(db);
+  }
+
+  /**
+   * Descrição de uma situação de pedido
+   * @param {number} situacaoId - ID da situação no Bling
+   * @returns {string|null}
+   */
+  describeSituation(situacaoId) {
+    if (!situacaoId) {
+      return null;
+    }
+    return ORDER_SITUATIONS[situacaoId] || `Situação ${situacaoId}`;
+  }
+
+  /**
+   * Status da vitrine correspondente ao pedido do Bling
+   * A nota fiscal emitida indica pedido faturado mesmo com a situação ainda em aberto.
+   * @param {Object} blingOrder - Pedido retornado pela API Bling
+   * @returns {string|null}
+   */
+  statusFromBling(blingOrder) {
+    const status = SITUATION_STATUSES[blingOrder.situacao?.id] || null;
+
+    if (blingOrder.notaFiscal?.id && (!status || ['pending', 'paid'].includes(status))) {
+      return 'invoiced';
+    }
+
+    return status;
+  }
+
+  /**
+   * Converte um pedido de venda do Bling em registro de `orders`
+   * @param {Object} blingOrder - Pedido retornado pela API Bling
+   * @returns {Object} Colunas da tabela orders
+   */
+  toOrderRow(blingOrder) {
+    const situacaoId = blingOrder.situacao?.id || null;
+
+    return {
+      bling_id: blingOrder.id,
+      numero: blingOrder.numero ? String(blingOrder.numero) : null,
+      numero_loja: blingOrder.numeroLoja || null,
+      situacao_id: situacaoId,
+      situacao: this.describeSituation(situacaoId),
+      cliente_nome: blingOrder.contato?.nome || null,
+      cliente_documento: blingOrder.contato?.numeroDocumento || null,
+      total: blingOrder.total || 0,
+      data: blingOrder.data || null,
+      bling_data: JSON.stringify(blingOrder),
+      deleted_at: null,
+      updated_at: this.db.fn.now()
+    };
+  }
+
+  /**
+   * Indica se o pedido pode passar para o status informado
+   * @param {string} from - Status atual
+   * @param {string} to - Novo status
+   * @returns {boolean}
+   */
+  canTransition(from, to) {
+    return (STATUS_TRANSITIONS[from] || []).includes(to);
+  }
+
+  /**
+   * Muda o status do pedido e registra no histórico
+   * @param {Object} order - Registro de orders
+   * @param {string} status - Novo status
+   * @param {Object} details - { source, note, blingSituacaoId }
+   * @param {Object} trx - Transação opcional
+   * @returns {Promise<boolean>} false se o status já era esse ou a mudança não é permitida
+   */
+  async transition(order, status, { source, note = null, blingSituacaoId = null }, trx = this.db) {
+    if (order.status === status || !this.canTransition(order.status, status)) {
+      return false;
+    }
+
+    await trx('orders')
+      .where('id', order.id)
+      .update({ status, updated_at: this.db.fn.now() });
+
+    await trx('order_status_history').insert({
+      order_id: order.id,
+      from_status: order.status,
+      status,
+      source,
+      bling_situacao_id: blingSituacaoId,
+      note
+    });
+
+    if (STOCK_RELEASE_STATUSES.includes(status)) {
+      await this.releaseStock(order.id, trx);
+    }
+
+    return true;
+  }
+
+  /**
+   * Libera o estoque reservado pelo pedido no checkout (uma única vez)
+   * @param {number} orderId - ID do pedido local
+   * @param {Object} trx - Transação opcional
+   * @returns {Promise<boolean>} false se o pedido não tinha reserva
+   */
+  async releaseStock(orderId, trx = this.db) {
+    const released = await trx('orders')
+      .where({ id: orderId, estoque_reservado: true })
+      .update({ estoque_reservado: false });
+
+    if (!released) {
+      return false;
+    }
+
+    const items = await trx('order_items').where('order_id', orderId).whereNotNull('product_id');
+    for (const item of items) {
+      await trx('products')
+        .where('id', item.product_id)
+        .update({ estoque_reservado: trx.raw('GREATEST(estoque_reservado - ?, 0)', [item.quantidade]) });
+    }
+
+    return true;
+  }
+
+  /**
+   * Indica se o estoque sincronizado é o saldo virtual do Bling, que já desconta os pedidos em aberto
+   * @returns {Promise<boolean>}
+   */
+  async usesVirtualStock() {
+    const { rules } = normalizeSyncRules(await this.configService.getSyncSettings('rules'));
+    return rules.fields.estoque === 'estoque.saldoVirtualTotal';
+  }
+
+  /**
+   * Número do pedido na vitrine, derivado do ID local: o mesmo em todas as tentativas de envio
+   * @param {number} id - ID do pedido local
+   * @returns {string} Ex.: WEB-000123
+   */
+  storefrontNumber(id) {
+    return `WEB-${String(id).padStart(6, '0')}`;
+  }
+
+  /**
+   * Grava um pedido da vitrine (status pending) e o coloca na fila de envio ao Bling,
+   * antes de qualquer chamada ao Bling. Os preços e o estoque já foram conferidos pelo
+   * CheckoutService, que chama este método dentro da transação em que reservou o estoque.
+   * @param {Object} data - { customer, items, subtotal, frete, juros, total, payment, shipping, observacoes, idempotencyKey, cartId }
+   * @param {Object} trx - Transação do checkout
+   * @returns {Promise<Object>} Registro de orders
+   */
+  async createFromStorefront({
+    customer, items, subtotal, frete, juros = 0, total, payment, shipping, observacoes, idempotencyKey = null, cartId = null
+  }, trx) {
+    const [created] = await trx('orders')
+      .insert({
+        origem: 'vitrine',
+        status: 'pending',
+        cliente_nome: customer.nome,
+        cliente_documento: customer.documento?.numero || null,
+        cliente_email: customer.email,
+        cliente_telefone: customer.telefone || null,
+        cliente: JSON.stringify(customer),
+        forma_pagamento: payment.option,
+        parcelas: JSON.stringify(payment.parcelas),
+        forma_envio: shipping.option,
+        envio_descricao: shipping.label || null,
+        prazo_entrega: shipping.days ?? null,
+        peso_envio: shipping.weight ?? null,
+        subtotal,
+        frete,
+        juros,
+        total,
+        observacoes: observacoes || null,
+        data: new Date().toISOString().split('T')[0],
+        bling_sync_status: 'pending',
+        idempotency_key: idempotencyKey,
+        cart_id: cartId,
+        estoque_reservado: true
+      })
+      .returning('*');
+
+    const [numbered] = await trx('orders')
+      .where('id', created.id)
+      .update({ numero_loja: this.storefrontNumber(created.id) })
+      .returning('*');
+
+    await trx('order_items').insert(items.map(item => ({
+      order_id: created.id,
+      product_id: item.product_id,
+      bling_product_id: item.bling_product_id,
+      codigo: item.codigo,
+      nome: item.nome,
+      quantidade: item.quantidade,
+      preco_unitario: item.preco_unitario,
+      total: item.total
+    })));
+
+    await trx('order_status_history').insert({
+      order_id: created.id,
+      from_status: null,
+      status: 'pending',
+      source: 'vitrine',
+      note: 'Pedido realizado na vitrine'
+    });
+
+    // Entregue ao Bling pelo OrderOutboxService (na hora e, se falhar, pelo worker)
+    await trx('order_outbox').insert({ order_id: created.id });
+
+    return numbered;
+  }
+
+  /**
+   * Pedido já gravado com a chave de idempotência do checkout
+   * @param {string|null} idempotencyKey - Cabeçalho Idempotency-Key
+   * @returns {Promise<Object|null>} Registro de orders
+   */
+  async findByIdempotencyKey(idempotencyKey) {
+    if (!idempotencyKey) {
+      return null;
+    }
+    return (await this.db('orders').where('idempotency_key', idempotencyKey).first()) || null;
+  }
+
+  /**
+   * Envia ao Bling um pedido da vitrine (contato + pedido de venda).
+   * Idempotente: se uma tentativa anterior criou o pedido no Bling (ex.: a resposta se perdeu),
+   * ele é encontrado pelo número da loja e reaproveitado em vez de duplicado.
+   * Em caso de falha só grava o erro; a fila (OrderOutboxService) decide se tenta de novo.
+   * @param {number} orderId - ID do pedido local
+   * @returns {Promise<Object>} { synced, blingOrder, error, retryable }
+   */
+  async sendToBling(orderId) {
+    const order = await this.db('orders').where('id', orderId).first();
+
+    if (order.bling_id) {
+      return { synced: true, blingOrder: { id: Number(order.bling_id), numero: order.numero }, error: null, retryable: false };
+    }
+
+    const items = await this.db('order_items').where('order_id', orderId).orderBy('id', 'asc');
+    const parse = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+    const customer = parse(order.cliente);
+
+    try {
+      let blingOrder = await this.blingService.findOrderByStoreNumber(order.numero_loja);
+      let contactId = blingOrder?.contato?.id || null;
+
+      if (!blingOrder) {
+        // Reaproveita o contato do cliente no Bling (mesmo CPF/CNPJ ou email) em vez de duplicá-lo
+        const contact = await this.blingService.createOrUpdateContact(customer);
+        contactId = contact.id;
+
+        blingOrder = await this.blingService.createOrder({
+          numero: order.numero_loja,
+          cliente: customer,
+          itens: items.map(item => ({
+            produtoId: Number(item.bling_product_id),
+            quantidade: item.quantidade,
+            preco: Number(item.preco_unitario)
+          })),
+          frete: Number(order.frete || 0),
+          envio: {
+            servico: order.envio_descricao,
+            prazo: order.prazo_entrega,
+            peso: order.peso_envio === null ? null : Number(order.peso_envio)
+          },
+          juros: Number(order.juros || 0),
+          total: Number(order.total),
+          parcelas: parse(order.parcelas),
+          observacoes: order.observacoes,
+          contactId
+        });
+      }
+
+      await this.db('orders')
+        .where('id', orderId)
+        .update({
+          bling_id: blingOrder.id,
+          numero: blingOrder.numero ? String(blingOrder.numero) : null,
+          bling_contact_id: contactId,
+          bling_sync_status: 'synced',
+          bling_error: null,
+          bling_synced_at: this.db.fn.now(),
+          updated_at: this.db.fn.now()
+        });
+
+      // O saldo virtual do Bling já desconta o pedido: manter a reserva contaria as unidades duas vezes
+      if (await this.usesVirtualStock()) {
+        await this.releaseStock(orderId);
+      }
+
+      // Pagamento confirmado antes de o pedido chegar ao Bling
+      const { error: situationError } = await this.pushPaidSituation(orderId);
+      if (situationError) {
+        console.warn(`Pedido ${orderId}: não foi possível marcar o pagamento no Bling:`, situationError);
+      }
+
+      return { synced: true, blingOrder, error: null, retryable: false };
+    } catch (error) {
+      const message = BlingService.describeError(error);
+      const status = error.response?.status;
+
+      await this.db('orders')
+        .where('id', orderId)
+        .update({ bling_error: message, updated_at: this.db.fn.now() });
+
+      // Recusas de validação do Bling (4xx) não mudam com o tempo; rede, 5xx, 429 e token expirado sim
+      const retryable = !status || status >= 500 || status === 429 || status === 401;
+
+      return { synced: false, blingOrder: null, error: message, retryable };
+    }
+  }
+
+  /**
+   * Leva ao Bling o pagamento confirmado na vitrine (situação "Em andamento").
+   * Pedidos que ainda não chegaram ao Bling recebem a situação no envio (sendToBling).
+   * @param {number} orderId - ID do pedido local
+   * @returns {Promise<Object>} { updated, error }
+   */
+  async pushPaidSituation(orderId) {
+    const order = await this.db('orders').where('id', orderId).first();
+
+    if (!order?.bling_id || order.status !== 'paid' || Number(order.situacao_id) === PAID_SITUATION_ID) {
+      return { updated: false, error: null };
+    }
+
+    try {
+      await this.blingService.updateOrderSituation(order.bling_id, PAID_SITUATION_ID);
+      await this.db('orders')
+        .where('id', orderId)
+        .update({
+          situacao_id: PAID_SITUATION_ID,
+          situacao: this.describeSituation(PAID_SITUATION_ID),
+          updated_at: this.db.fn.now()
+        });
+      return { updated: true, error: null };
+    } catch (error) {
+      return { updated: false, error: BlingService.describeError(error) };
+    }
+  }
+
+  /**
+   * Corrige os dados do cliente de um pedido que ainda não chegou ao Bling
+   * @param {number} orderId - ID do pedido local
+   * @param {Object} customer - Cliente já validado (normalizeCustomer)
+   * @returns {Promise<number>} 1 se atualizou, 0 se o pedido já está no Bling
+   */
+  async updateCustomer(orderId, customer) {
+    return this.db('orders')
+      .where('id', orderId)
+      .whereNull('bling_id')
+      .update({
+        cliente_nome: customer.nome,
+        cliente_documento: customer.documento?.numero || null,
+        cliente_email: customer.email,
+        cliente_telefone: customer.telefone || null,
+        cliente: JSON.stringify(customer),
+        updated_at: this.db.fn.now()
+      });
+  }
+
+  /**
+   * Busca o pedido no Bling e grava o estado atual em `orders`.
+   * Pedidos da vitrine são encontrados pelo número da loja mesmo antes de terem o ID do Bling.
+   * @param {number} blingId - ID do pedido no Bling
+   * @returns {Promise<string>} 'saved' | 'deleted'
+   */
+  async syncFromBling(blingId) {
+    const blingOrder = await this.blingService.getOrder(blingId);
+
+    if (!blingOrder) {
+      await this.markDeleted(blingId);
+      return 'deleted';
+    }
+
+    const row = this.toOrderRow(blingOrder);
+    const status = this.statusFromBling(blingOrder);
+
+    await this.db.transaction(async (trx) => {
+      const existing = await trx('orders')
+        .where('bling_id', blingOrder.id)
+        .modify((query) => {
+          if (row.numero_loja) query.orWhere('numero_loja', row.numero_loja);
+        })
+        .forUpdate()
+        .first();
+
+      if (!existing) {
+        const [order] = await trx('orders')
+          .insert({ ...row, status: status || 'pending', origem: 'bling', created_at: this.db.fn.now() })
+          .returning('*');
+
+        await trx('order_status_history').insert({
+          order_id: order.id,
+          from_status: null,
+          status: order.status,
+          source: 'bling',
+          bling_situacao_id: row.situacao_id,
+          note: 'Pedido importado do Bling'
+        });
+        return;
+      }
+
+      // Pedidos da vitrine mantêm o cliente e o número informados na loja
+      const columns = existing.origem === 'vitrine'
+        ? { ...row, cliente_nome: existing.cliente_nome, cliente_documento: existing.cliente_documento, numero_loja: existing.numero_loja }
+        : row;
+
+      await trx('orders')
+        .where('id', existing.id)
+        .update({ ...columns, bling_sync_status: 'synced', bling_error: null });
+
+      if (status && existing.status !== status && !this.canTransition(existing.status, status)) {
+        console.warn(`Pedido ${existing.id}: mudança de ${existing.status} para ${status} ignorada`);
+      } else if (status) {
+        await this.transition(existing, status, {
+          source: 'bling',
+          blingSituacaoId: row.situacao_id,
+          note: `Situação no Bling: ${row.situacao}`
+        }, trx);
+      }
+    });
+
+    return 'saved';
+  }
+
+  /**
+   * Marca um pedido como excluído no Bling (e cancelado, se ainda estava em andamento)
+   * @param {number} blingId - ID do pedido no Bling
+   * @returns {Promise<number>} Quantidade de pedidos marcados
+   */
+  async markDeleted(blingId) {
+    return this.db.transaction(async (trx) => {
+      const orders = await trx('orders')
+        .where('bling_id', blingId)
+        .whereNull('deleted_at')
+        .forUpdate();
+
+      for (const order of orders) {
+        await trx('orders')
+          .where('id', order.id)
+          .update({ deleted_at: this.db.fn.now(), updated_at: this.db.fn.now() });
+        await this.transition(order, 'cancelled', { source: 'bling', note: 'Pedido excluído no Bling' }, trx);
+      }
+
+      return orders.length;
+    });
+  }
+
+  /**
+   * Formata o pedido para a API
+   * @param {Object} order - Registro de orders
+   * @returns {Object}
+   */
+  serialize(order) {
+    return {
+      id: order.id,
+      bling_id: order.bling_id ? Number(order.bling_id) : null,
+      numero: order.numero,
+      numero_loja: order.numero_loja,
+      status: order.status,
+      status_label: ORDER_STATUSES[order.status] || order.status,
+      origem: order.origem,
+      situacao_id: order.situacao_id,
+      situacao: order.situacao,
+      cliente_nome: order.cliente_nome,
+      cliente_email: order.cliente_email,
+      forma_pagamento: order.forma_pagamento,
+      total: Number(order.total),
+      data: order.data,
+      bling_sync_status: order.bling_sync_status,
+      bling_error: order.bling_error,
+      excluido: Boolean(order.deleted_at),
+      created_at: order.created_at,
+      updated_at: order.updated_at
+    };
+  }
+
+  /**
+   * Busca um pedido com itens, parcelas e histórico de status
+   * @param {number} id - ID do pedido local
+   * @returns {Promise<Object|null>}
+   */
+  async get(id) {
+    if (!/^\d+$/.test(String(id))) {
+      return null;
+    }
+
+    const order = await this.db('orders').where('id', id).first();
+    if (!order) {
+      return null;
+    }
+
+    const [items, history] = await Promise.all([
+      this.db('order_items').where('order_id', id).orderBy('id', 'asc'),
+      this.db('order_status_history').where('order_id', id).orderBy('id', 'asc')
+    ]);
+    const parse = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+    return {
+      ...this.serialize(order),
+      cliente: parse(order.cliente),
+      cliente_documento: order.cliente_documento,
+      cliente_telefone: order.cliente_telefone,
+      parcelas: parse(order.parcelas) || [],
+      subtotal: order.subtotal === null ? null : Number(order.subtotal),
+      frete: Number(order.frete || 0),
+      juros: Number(order.juros || 0),
+      forma_envio: order.forma_envio,
+      envio_descricao: order.envio_descricao,
+      prazo_entrega: order.prazo_entrega,
+      peso_envio: order.peso_envio === null ? null : Number(order.peso_envio),
+      observacoes: order.observacoes,
+      bling_contact_id: order.bling_contact_id ? Number(order.bling_contact_id) : null,
+      bling_synced_at: order.bling_synced_at,
+      allowed_statuses: STATUS_TRANSITIONS[order.status] || [],
+      items: items.map(item => ({
+        id: item.id,
+        product_id: item.product_id,
+        bling_product_id: item.bling_product_id ? Number(item.bling_product_id) : null,
+        codigo: item.codigo,
+        nome: item.nome,
+        quantidade: item.quantidade,
+        preco_unitario: Number(item.preco_unitario),
+        total: Number(item.total)
+      })),
+      history: history.map(entry => ({
+        id: entry.id,
+        from_status: entry.from_status,
+        status: entry.status,
+        status_label: ORDER_STATUSES[entry.status] || entry.status,
+        source: entry.source,
+        bling_situacao_id: entry.bling_situacao_id,
+        note: entry.note,
+        created_at: entry.created_at
+      }))
+    };
+  }
+
+  /**
+   * Lista pedidos com filtros e paginação
+   * @param {Object} filters - { status, situacao, origem, sync, q, from, to, page, limit }
+   * @returns {Promise<Object>} { orders, pagination }
+   */
+  async list({ status, situacao, origem, sync, q, from, to, page = 1, limit = 20 } = {}) {
+    const filtered = () => this.db('orders')
+      .modify((query) => {
+        if (status) query.where('status', status);
+        if (situacao) query.where('situacao_id', situacao);
+        if (origem) query.where('origem', origem);
+        if (sync) query.where('bling_sync_status', sync);
+        if (from) query.where('created_at', '>=', from);
+        if (to) query.where('created_at', '<', this.db.raw("?::date + interval '1 day'", [to]));
+        if (q) {
+          query.where((builder) => builder
+            .where('numero', q)
+            .orWhere('numero_loja', q)
+            .orWhere('cliente_documento', q.replace(/\D/g, '') || q)
+            .orWhereILike('cliente_nome', `%${q}%`)
+            .orWhereILike('cliente_email', `%${q}%`));
+        }
+      });
+
+    const [orders, totalResult] = await Promise.all([
+      filtered()
+        .orderBy('id', 'desc')
+        .limit(limit)
+        .offset((page - 1) * limit),
+      filtered().count('* as total').first()
+    ]);
+
+    const total = Number(totalResult.total);
+
+    return {
+      orders: orders.map(order => this.serialize(order)),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Totais por status para o painel administrativo
+   * @returns {Promise<Object>} { total, concluidos, pendentes, cancelados, falhas_bling }
+   */
+  async summary() {
+    const result = await this.db('orders')
+      .whereNull('deleted_at')
+      .first(
+        this.db.raw('count(*) as total'),
+        this.db.raw("count(*) filter (where status = 'delivered') as concluidos"),
+        this.db.raw("count(*) filter (where status in ('pending', 'paid', 'invoiced', 'shipped')) as pendentes"),
+        this.db.raw("count(*) filter (where status = 'cancelled') as cancelados"),
+        this.db.raw("count(*) filter (where bling_sync_status = 'failed') as falhas_bling")
+      );
+
+    return {
+      total: Number(result.total),
+      concluidos: Number(result.concluidos),
+      pendentes: Number(result.pendentes),
+      cancelados: Number(result.cancelados),
+      falhas_bling: Number(result.falhas_bling)
+    };
+  }
+
+  /**
+   * Busca um pedido pelo número da vitrine ou do Bling
+   * @param {string} numero - Número do pedido
+   * @returns {Promise<Object|null>}
+   */
+  async findByNumber(numero) {
+    const order = await this.db('orders')
+      .where('numero_loja', numero)
+      .orWhere('numero', numero)
+      .orderBy('id', 'desc')
+      .first();
+
+    return order ? this.serialize(order) : null;
+  }
+}
+
+OrderService.ORDER_STATUSES = ORDER_STATUSES;
+
+module.exports = OrderService;
@@ -0,0 +1,123 @@
+const connection = require('../database/connection');
+const BlingService = require('./BlingService');
+const BlingConfigService = require('./BlingConfigService');
+const { normalizePaymentSettings, resolvePayment } = require('../utils/paymentMapping');
+
+// Valor de `situacao` das formas de pagamento ativas no Bling
+const ACTIVE_SITUATION = 1;
+
+/**
+ * Formas de pagamento do Bling
+ * Mantém a tabela `bling_payment_methods` sincronizada e resolve a forma de pagamento
+ * escolhida na vitrine para a configurada no Bling (sync_settings.payments).
+ */
+class PaymentMethodService {
+  constructor(blingService = new BlingService(), db = connection) {
+    this.blingService = blingService;
+    this.db = db;
+    this.configService = new BlingConfigService(db);
+  }
+
+  /**
+   * Formata o registro para a API
+   * @param {Object} method - Registro de bling_payment_methods
+   * @returns {Object}
+   */
+  serialize(method) {
+    return {
+      id: Number(method.bling_id),
+      descricao: method.descricao,
+      tipoPagamento: method.tipo_pagamento,
+      ativo: method.ativo,
+      padrao: method.padrao,
+      updatedAt: method.updated_at
+    };
+  }
+
+  /**
+   * Lista as formas de pagamento sincronizadas
+   * @returns {Promise<Array>}
+   */
+  async list() {
+    const methods = await this.db('bling_payment_methods')
+      .orderBy([{ column: 'ativo', order: 'desc' }, { column: 'descricao', order: 'asc' }]);
+
+    return methods.map(method => this.serialize(method));
+  }
+
+  /**
+   * Busca as formas de pagamento no Bling e atualiza a tabela local.
+   * As que não existem mais no Bling ficam inativas.
+   * @returns {Promise<Object>} { total, ativas }
+   */
+  async sync() {
+    const methods = await this.blingService.getPaymentMethods();
+
+    const rows = methods.map(method => ({
+      bling_id: method.id,
+      descricao: method.descricao,
+      tipo_pagamento: method.tipoPagamento || null,
+      ativo: Number(method.situacao) === ACTIVE_SITUATION,
+      padrao: Boolean(Number(method.padrao)),
+      bling_data: JSON.stringify(method),
+      updated_at: this.db.fn.now()
+    }));
+
+    await this.db.transaction(async (trx) => {
+      if (rows.length > 0) {
+        await trx('bling_payment_methods')
+          .insert(rows)
+          .onConflict('bling_id')
+          .merge();
+      }
+
+      await trx('bling_payment_methods')
+        .whereNotIn('bling_id', rows.map(row => row.bling_id))
+        .update({ ativo: false, updated_at: this.db.fn.now() });
+    });
+
+    return {
+      total: rows.length,
+      ativas: rows.filter(row => row.ativo).length
+    };
+  }
+
+  /**
+   * Configuração atual de pagamentos
+   * @returns {Promise<Object>}
+   */
+  async getSettings() {
+    const { settings } = normalizePaymentSettings(await this.configService.getSyncSettings('payments'));
+    return settings;
+  }
+
+  /**
+   * Valida e grava a configuração de pagamentos
+   * @param {Object} values - Nova configuração
+   * @returns {Promise<Object>} { settings, errors, connected }
+   */
+  async updateSettings(values) {
+    const active = await this.db('bling_payment_methods').where('ativo', true).pluck('bling_id');
+    const { settings, errors } = normalizePaymentSettings(values, active.map(Number));
+
+    if (errors.length > 0) {
+      return { settings: null, errors, connected: true };
+    }
+
+    const config = await this.configService.updateSyncSettings('payments', settings);
+    return { settings, errors, connected: Boolean(config) };
+  }
+
+  /**
+   * Gera as parcelas do pedido conforme a forma de pagamento escolhida
+   * @param {string|Object} choice - Forma de pagamento (ver utils/paymentMapping)
+   * @param {number} total - Valor total do pedido
+   * @param {number} maxInstallments - Parcelas aceitas no cartão para este total (ver utils/paymentGateway)
+   * @returns {Promise<Object>} { payment, errors }
+   */
+  async resolve(choice, total, maxInstallments = 1) {
+    return resolvePayment(choice, total, await this.getSettings(), { maxInstallments });
+  }
+}
+
+module.exports = PaymentMethodService;
@@ -0,0 +1,747 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const connection = require('../database/connection');
+const OrderService = require('./OrderService');
+const StoreSettingsService = require('./StoreSettingsService');
+const ActivityLogService = require('./ActivityLogService');
+const { createPaymentProvider } = require('./paymentProviders');
+const { normalizePixSettings, buildPixPayload } = require('../utils/pix');
+const { normalizeGatewaySettings } = require('../utils/paymentGateway');
+const { buildInstallmentTable, bestInstallment } = require('../utils/installments');
+const { PAYMENT_OPTIONS } = require('../utils/paymentMapping');
+const { verifyHmacSignature } = require('../utils/signature');
+
+// Caracteres aceitos no txid do PIX
+const TXID_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+
+// Formas de pagamento cobradas pelo gateway (o PIX é gerado pela própria vitrine)
+const GATEWAY_METHODS = ['cartao_credito', 'boleto'];
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+/**
+ * Serviço de pagamentos dos pedidos da vitrine
+ * Gera cobranças PIX (BR Code estático ou dinâmico e QR Code) com a chave configurada no
+ * painel e cobra cartão e boleto pelo gateway configurado (services/paymentProviders).
+ * Registra a confirmação do pagamento, venha ela de um PSP, do webhook do gateway, de uma
+ * conciliação manual ou dos stubs locais (npm run pix:confirm / payment:webhook). Pagamento
+ * confirmado leva o pedido para `paid` e atualiza a situação do pedido no Bling.
+ */
+class PaymentService {
+  constructor(orderService = new OrderService(), db = connection) {
+    this.orderService = orderService;
+    this.db = db;
+    this.storeSettings = new StoreSettingsService(db);
+    this.activityLog = new ActivityLogService(db);
+    this.secret = process.env.PAYMENT_WEBHOOK_SECRET || '';
+  }
+
+  /**
+   * Confere a assinatura HMAC-SHA256 do corpo da confirmação (cabeçalho X-Payment-Signature)
+   * @param {Buffer|string} rawBody - Corpo original da requisição
+   * @param {string} signatureHeader - Valor do cabeçalho (aceita o prefixo "sha256=")
+   * @returns {boolean}
+   */
+  verifySignature(rawBody, signatureHeader) {
+    return verifyHmacSignature(rawBody, signatureHeader, this.secret);
+  }
+
+  /**
+   * Configuração atual do PIX
+   * @returns {Promise<Object>}
+   */
+  async getPixSettings() {
+    const { settings } = normalizePixSettings(await this.storeSettings.get('pix'));
+    return settings;
+  }
+
+  /**
+   * Valida e grava a configuração do PIX
+   * @param {Object} values - Nova configuração
+   * @returns {Promise<Object>} { settings, errors }
+   */
+  async updatePixSettings(values) {
+    const { settings, errors } = normalizePixSettings(values);
+
+    if (errors.length > 0) {
+      return { settings: null, errors };
+    }
+
+    return { settings: await this.storeSettings.update('pix', settings), errors };
+  }
+
+  /**
+   * Configuração atual do gateway de cartão e boleto
+   * @returns {Promise<Object>}
+   */
+  async getGatewaySettings() {
+    const { settings } = normalizeGatewaySettings(await this.storeSettings.get('gateway'));
+    return settings;
+  }
+
+  /**
+   * Valida e grava a configuração do gateway
+   * @param {Object} values - Nova configuração
+   * @returns {Promise<Object>} { settings, errors }
+   */
+  async updateGatewaySettings(values) {
+    const { settings, errors } = normalizeGatewaySettings(values);
+
+    if (errors.length > 0) {
+      return { settings: null, errors };
+    }
+
+    return { settings: await this.storeSettings.update('gateway', settings), errors };
+  }
+
+  /**
+   * Tabela de parcelamento no cartão de um valor, com a política de juros do gateway
+   * @param {number} amount - Valor à vista
+   * @returns {Promise<Object>} { policy, installments, best }
+   */
+  async getInstallments(amount) {
+    const { max_installments, min_installment_value, interest_free_installments, monthly_interest_rate } =
+      await this.getGatewaySettings();
+    const policy = { max_installments, min_installment_value, interest_free_installments, monthly_interest_rate };
+    const installments = buildInstallmentTable(amount, policy);
+
+    return { policy, installments, best: bestInstallment(installments) };
+  }
+
+  /**
+   * Provedor que atende um gateway
+   * @param {string} name - Nome do provedor
+   * @returns {PaymentProvider|null}
+   */
+  getProvider(name) {
+    return createPaymentProvider(name, { secret: this.secret });
+  }
+
+  /**
+   * Gateway visto pelo checkout: se a loja cobra cartão e boleto e os dados públicos do provedor
+   * @param {Object|null} settings - Configuração do gateway, se já carregada
+   * @returns {Promise<Object>} { provider, ...publicConfig }
+   */
+  async getCheckoutGateway(settings = null) {
+    settings = settings || await this.getGatewaySettings();
+    const provider = this.getProvider(settings.provider);
+
+    return { provider: provider ? settings.provider : null, ...(provider ? provider.publicConfig() : {}) };
+  }
+
+  /**
+   * Identificador da cobrança: letras e números, com o ID do pedido no início
+   * (até 25 caracteres no QR estático; de 26 a 35 no dinâmico)
+   * @param {number} orderId - ID do pedido local
+   * @param {string} mode - static ou dynamic
+   * @returns {string}
+   */
+  generateTxid(orderId, mode) {
+    const prefix = `WEB${String(orderId).padStart(6, '0')}`;
+    const length = mode === 'dynamic' ? 32 : 25;
+    const random = Array.from(crypto.randomBytes(length - prefix.length), byte => TXID_ALPHABET[byte % TXID_ALPHABET.length]);
+    return prefix + random.join('');
+  }
+
+  /**
+   * Situação efetiva da cobrança (pendentes vencidas aparecem como expiradas)
+   * @param {Object} payment - Registro de payments
+   * @returns {string}
+   */
+  effectiveStatus(payment) {
+    if (payment.status === 'pending' && payment.expires_at && new Date(payment.expires_at) <= new Date()) {
+      return 'expired';
+    }
+    return payment.status;
+  }
+
+  /**
+   * Formata a cobrança para a API, com a imagem do QR Code quando ainda pode ser paga
+   * @param {Object} payment - Registro de payments
+   * @returns {Promise<Object>}
+   */
+  async serialize(payment) {
+    const status = this.effectiveStatus(payment);
+
+    return {
+      id: payment.id,
+      order_id: payment.order_id,
+      method: payment.method,
+      provider: payment.provider,
+      status,
+      amount: Number(payment.amount),
+      installments: payment.installments,
+      txid: payment.txid,
+      br_code: payment.br_code,
+      qr_code: status === 'pending' && payment.br_code
+        ? await QRCode.toDataURL(payment.br_code, { margin: 1, width: 280 })
+        : null,
+      details: parseJson(payment.details) || null,
+      failure_reason: payment.failure_reason,
+      expires_at: payment.expires_at,
+      captured_at: payment.captured_at,
+      paid_at: payment.paid_at,
+      paid_amount: payment.paid_amount === null ? null : Number(payment.paid_amount),
+      refunded_amount: Number(payment.refunded_amount || 0),
+      refunded_at: payment.refunded_at,
+      needs_refund: Boolean(payment.needs_refund),
+      provider_reference: payment.provider_reference,
+      created_at: payment.created_at
+    };
+  }
+
+  /**
+   * Cobranças de um pedido, da mais recente para a mais antiga
+   * @param {number} orderId - ID do pedido local
+   * @returns {Promise<Array<Object>>}
+   */
+  async listByOrder(orderId) {
+    const payments = await this.db('payments').where('order_id', orderId).orderBy('id', 'desc');
+    return Promise.all(payments.map(payment => this.serialize(payment)));
+  }
+
+  /**
+   * Pedido da vitrine pelo número da loja (ex.: WEB-000123)
+   * @param {string} numeroLoja - Número do pedido na vitrine
+   * @returns {Promise<Object|null>} Registro de orders
+   */
+  async findStorefrontOrder(numeroLoja) {
+    return (await this.db('orders').where({ numero_loja: numeroLoja, origem: 'vitrine' }).first()) || null;
+  }
+
+  /**
+   * Situação do pagamento PIX de um pedido, para a página de confirmação acompanhar
+   * @param {string} numeroLoja - Número do pedido na vitrine
+   * @returns {Promise<Object|null>} { order: { numero, status }, payment } ou null se o pedido não existe
+   */
+  async getPixCharge(numeroLoja) {
+    const order = await this.findStorefrontOrder(numeroLoja);
+    if (!order) {
+      return null;
+    }
+
+    const payment = await this.db('payments')
+      .where({ order_id: order.id, method: 'pix' })
+      .orderBy('id', 'desc')
+      .first();
+
+    return {
+      order: { numero: order.numero_loja, status: order.status },
+      payment: payment ? await this.serialize(payment) : null
+    };
+  }
+
+  /**
+   * Cobrança PIX do pedido: reaproveita a pendente ainda válida ou gera uma nova
+   * @param {string} numeroLoja - Número do pedido na vitrine
+   * @returns {Promise<Object>} { payment, error }
+   */
+  async createPixCharge(numeroLoja) {
+    const order = await this.findStorefrontOrder(numeroLoja);
+    if (!order) {
+      return { payment: null, error: { code: 'not_found', message: `Pedido ${numeroLoja} não existe` } };
+    }
+
+    if (order.forma_pagamento !== 'pix') {
+      return { payment: null, error: { code: 'invalid_method', message: 'O pedido não foi feito com pagamento via PIX' } };
+    }
+
+    const paid = await this.db('payments').where({ order_id: order.id, status: 'paid' }).first();
+    if (paid) {
+      return { payment: await this.serialize(paid), error: null };
+    }
+
+    if (order.status !== 'pending') {
+      return { payment: null, error: { code: 'not_payable', message: `Pedido ${order.numero_loja} não aguarda pagamento` } };
+    }
+
+    const current = await this.db('payments')
+      .where({ order_id: order.id, method: 'pix', status: 'pending' })
+      .orderBy('id', 'desc')
+      .first();
+    if (current && this.effectiveStatus(current) === 'pending') {
+      return { payment: await this.serialize(current), error: null };
+    }
+
+    const settings = await this.getPixSettings();
+    if (!settings.enabled) {
+      return { payment: null, error: { code: 'not_configured', message: 'O pagamento via PIX não está configurado' } };
+    }
+
+    const amount = Number(order.total);
+    const txid = this.generateTxid(order.id, settings.mode);
+
+    const [created] = await this.db.transaction(async (trx) => {
+      // A cobrança anterior venceu: só a nova pode ser paga
+      await trx('payments')
+        .where({ order_id: order.id, method: 'pix', status: 'pending' })
+        .update({ status: 'expired', updated_at: this.db.fn.now() });
+
+      return trx('payments')
+        .insert({
+          order_id: order.id,
+          method: 'pix',
+          provider: 'pix',
+          amount,
+          txid,
+          br_code: buildPixPayload(settings, { txid, amount, description: `Pedido ${order.numero_loja}` }),
+          expires_at: new Date(Date.now() + settings.expires_minutes * 60 * 1000)
+        })
+        .returning('*');
+    });
+
+    return { payment: await this.serialize(created), error: null };
+  }
+
+  /**
+   * Cobrança de cartão ou boleto do pedido pelo gateway configurado.
+   * Reaproveita a cobrança paga, autorizada ou (boleto) ainda pendente; cartão recusado
+   * fica registrado como `failed` e pode ser tentado de novo com outro cartão.
+   * @param {string} numeroLoja - Número do pedido na vitrine
+   * @param {Object} data - { card: dados do cartão tokenizados no navegador }
+   * @returns {Promise<Object>} { payment, error }
+   */
+  async createCharge(numeroLoja, { card = null } = {}) {
+    const order = await this.findStorefrontOrder(numeroLoja);
+    if (!order) {
+      return { payment: null, error: { code: 'not_found', message: `Pedido ${numeroLoja} não existe` } };
+    }
+
+    if (!GATEWAY_METHODS.includes(order.forma_pagamento)) {
+      return {
+        payment: null,
+        error: { code: 'invalid_method', message: `O pedido é pago com ${PAYMENT_OPTIONS[order.forma_pagamento] || order.forma_pagamento}, não pelo gateway` }
+      };
+    }
+
+    const settled = await this.db('payments')
+      .where('order_id', order.id)
+      .whereIn('status', ['paid', 'authorized', 'refunded'])
+      .orderBy('id', 'desc')
+      .first();
+    if (settled) {
+      return { payment: await this.serialize(settled), error: null };
+    }
+
+    if (order.status !== 'pending') {
+      return { payment: null, error: { code: 'not_payable', message: `Pedido ${order.numero_loja} não aguarda pagamento` } };
+    }
+
+    if (order.forma_pagamento === 'boleto') {
+      const current = await this.db('payments')
+        .where({ order_id: order.id, method: 'boleto', status: 'pending' })
+        .orderBy('id', 'desc')
+        .first();
+      if (current && this.effectiveStatus(current) === 'pending') {
+        return { payment: await this.serialize(current), error: null };
+      }
+    }
+
+    const settings = await this.getGatewaySettings();
+    const provider = this.getProvider(settings.provider);
+    if (!provider) {
+      return { payment: null, error: { code: 'not_configured', message: 'Nenhum gateway de pagamento configurado' } };
+    }
+
+    // As parcelas já foram calculadas no checkout e enviadas ao Bling: a cobrança segue as mesmas
+    const parcelas = parseJson(order.parcelas) || [];
+    const amount = Number(order.total);
+    const { charge, error } = await provider.createCharge({
+      method: order.forma_pagamento,
+      amount,
+      installments: Math.max(parcelas.length, 1),
+      description: `Pedido ${order.numero_loja}`,
+      customer: parseJson(order.cliente),
+      card,
+      dueDate: parcelas[0]?.dataVencimento || null,
+      capture: settings.capture === 'automatic'
+    });
+
+    if (error) {
+      return { payment: null, error: { code: 'gateway_error', message: error.message } };
+    }
+
+    const [created] = await this.db.transaction(async (trx) => {
+      // Só a cobrança nova pode ser paga
+      await trx('payments')
+        .where({ order_id: order.id, status: 'pending' })
+        .update({ status: 'expired', updated_at: this.db.fn.now() });
+
+      return trx('payments')
+        .insert({
+          order_id: order.id,
+          method: order.forma_pagamento,
+          provider: settings.provider,
+          // Aprovada e capturada na hora: passa por markPaid como qualquer confirmação
+          status: charge.status === 'paid' ? 'pending' : charge.status,
+          amount,
+          installments: Math.max(parcelas.length, 1),
+          provider_reference: charge.reference,
+          details: charge.details ? JSON.stringify(charge.details) : null,
+          failure_reason: charge.failureReason || null,
+          expires_at: charge.expiresAt || null
+        })
+        .returning('*');
+    });
+
+    if (charge.status === 'failed') {
+      return {
+        payment: await this.serialize(created),
+        error: { code: 'declined', message: charge.failureReason || 'Pagamento recusado' }
+      };
+    }
+
+    if (charge.status === 'paid') {
+      const { payment } = await this.markPaid(created, { amount, captured: true });
+      return { payment, error: null };
+    }
+
+    return { payment: await this.serialize(created), error: null };
+  }
+
+  /**
+   * Marca a cobrança como paga, leva o pedido para `paid` e atualiza a situação no Bling.
+   * Só a primeira de várias confirmações simultâneas vale. Se o pedido já não pode ser
+   * pago (ex.: cancelado), o dinheiro fica registrado e a cobrança é marcada para estorno.
+   * @param {Object} payment - Registro de payments
+   * @param {Object} data - { amount, reference, paidAt, raw, captured }
+   * @returns {Promise<Object>} { payment, duplicate, needsRefund, blingUpdated }
+   */
+  async markPaid(payment, { amount, reference = null, paidAt = null, raw = null, captured = false }) {
+    const methodLabel = PAYMENT_OPTIONS[payment.method] || payment.method;
+
+    const result = await this.db.transaction(async (trx) => {
+      const updated = await trx('payments')
+        .where('id', payment.id)
+        .whereNotIn('status', ['paid', 'refunded'])
+        .update({
+          status: 'paid',
+          paid_at: paidAt ? new Date(paidAt) : this.db.fn.now(),
+          paid_amount: amount,
+          provider_reference: reference || payment.provider_reference,
+          confirmation: raw ? JSON.stringify(raw) : payment.confirmation,
+          captured_at: captured ? this.db.fn.now() : payment.captured_at,
+          updated_at: this.db.fn.now()
+        });
+      if (!updated) {
+        return { order: null, duplicate: true, needsRefund: false };
+      }
+
+      const current = await trx('orders').where('id', payment.order_id).forUpdate().first();
+      const moved = await this.orderService.transition(current, 'paid', {
+        source: 'payment',
+        note: payment.txid
+          ? `Pagamento ${methodLabel} confirmado (txid ${payment.txid})`
+          : `Pagamento ${methodLabel} confirmado (${payment.provider} ${payment.provider_reference})`
+      }, trx);
+
+      // Sem mudança de status: pedido já pago ou adiantado pelo Bling (nada a fazer) ou cancelado (estornar)
+      const needsRefund = !moved && current.status === 'cancelled';
+      if (needsRefund) {
+        await trx('payments').where('id', payment.id).update({ needs_refund: true });
+      }
+      return { order: current, moved, duplicate: false, needsRefund };
+    });
+
+    const saved = await this.db('payments').where('id', payment.id).first();
+
+    if (result.duplicate) {
+      return { payment: await this.serialize(saved), duplicate: true, needsRefund: Boolean(saved.needs_refund), blingUpdated: false };
+    }
+
+    const { order, moved, needsRefund } = result;
+    if (needsRefund) {
+      await this.activityLog.record({
+        type: 'order',
+        action: 'payment.needs_refund',
+        status: 'error',
+        title: 'Pagamento recebido para pedido que não pode ser pago',
+        message: `Pedido ${order.numero_loja} (${order.status}): R$ ${Number(amount).toFixed(2)} via ${methodLabel} recebidos; estorne ao cliente`,
+        reference: `order:${order.id}`
+      });
+      return { payment: await this.serialize(saved), duplicate: false, needsRefund: true, blingUpdated: false };
+    }
+
+    if (!moved) {
+      await this.activityLog.record({
+        type: 'order',
+        action: 'payment.confirmed',
+        status: 'info',
+        title: 'Pagamento confirmado',
+        message: `Pedido ${order.numero_loja} - R$ ${Number(amount).toFixed(2)} via ${methodLabel}; o pedido já estava em ${order.status} e não foi alterado`,
+        reference: `order:${order.id}`
+      });
+      return { payment: await this.serialize(saved), duplicate: false, needsRefund: false, blingUpdated: false };
+    }
+
+    const { updated: blingUpdated, error: blingError } = await this.orderService.pushPaidSituation(order.id);
+
+    await this.activityLog.record({
+      type: 'order',
+      action: 'payment.confirmed',
+      status: blingError ? 'warning' : 'success',
+      title: 'Pagamento confirmado',
+      message: blingError
+        ? `Pedido ${order.numero_loja}: pagamento registrado, mas a situação no Bling não foi alterada (${blingError})`
+        : `Pedido ${order.numero_loja} - R$ ${Number(amount).toFixed(2)} via ${methodLabel}`,
+      reference: `order:${order.id}`
+    });
+
+    return { payment: await this.serialize(saved), duplicate: false, needsRefund: false, blingUpdated };
+  }
+
+  /**
+   * Registra a confirmação de um pagamento PIX (idempotente: confirmar de novo não muda nada).
+   * Aceita cobranças vencidas, já que o dinheiro pode chegar depois da validade do QR.
+   * @param {Object} data - { txid, amount, reference, paidAt, raw }
+   * @returns {Promise<Object>} { payment, duplicate, needsRefund, blingUpdated, error }
+   */
+  async confirm({ txid, amount, reference = null, paidAt = null, raw = null }) {
+    const payment = txid ? await this.db('payments').where('txid', txid).first() : null;
+    if (!payment) {
+      return { payment: null, duplicate: false, blingUpdated: false, error: { code: 'not_found', message: `Cobrança ${txid || ''} não encontrada` } };
+    }
+
+    if (payment.status === 'paid') {
+      return { payment: await this.serialize(payment), duplicate: true, needsRefund: payment.needs_refund, blingUpdated: false, error: null };
+    }
+
+    if (payment.status === 'cancelled') {
+      return { payment: null, duplicate: false, blingUpdated: false, error: { code: 'cancelled', message: `Cobrança ${txid} foi cancelada` } };
+    }
+
+    const received = amount === undefined || amount === null ? Number(payment.amount) : Number(amount);
+    if (!Number.isFinite(received) || Math.abs(received - Number(payment.amount)) >= 0.01) {
+      return {
+        payment: null,
+        duplicate: false,
+        blingUpdated: false,
+        error: { code: 'amount_mismatch', message: `Valor pago (${amount}) difere do valor da cobrança (${Number(payment.amount).toFixed(2)})` }
+      };
+    }
+
+    const { payment: saved, duplicate, needsRefund, blingUpdated } = await this.markPaid(payment, { amount: received, reference, paidAt, raw });
+    return { payment: saved, duplicate, needsRefund, blingUpdated, error: null };
+  }
+
+  /**
+   * Captura uma cobrança de cartão autorizada (gateway em captura manual)
+   * @param {number} paymentId - ID da cobrança
+   * @returns {Promise<Object>} { payment, error }
+   */
+  async capture(paymentId) {
+    const payment = await this.db('payments').where('id', paymentId).first();
+    if (!payment) {
+      return { payment: null, error: { code: 'not_found', message: `Cobrança ${paymentId} não encontrada` } };
+    }
+
+    if (payment.status !== 'authorized') {
+      return { payment: null, error: { code: 'not_capturable', message: 'Só cobranças autorizadas podem ser capturadas' } };
+    }
+
+    const provider = this.getProvider(payment.provider);
+    if (!provider) {
+      return { payment: null, error: { code: 'not_configured', message: `Provedor ${payment.provider} não disponível` } };
+    }
+
+    const amount = Number(payment.amount);
+    const result = await provider.capture(payment.provider_reference, amount);
+    if (result.error || !result.captured) {
+      return { payment: null, error: { code: 'gateway_error', message: result.error?.message || 'O gateway não capturou a cobrança' } };
+    }
+
+    const { payment: saved } = await this.markPaid(payment, { amount: result.amount ?? amount, captured: true });
+    return { payment: saved, error: null };
+  }
+
+  /**
+   * Estorna uma cobrança paga pelo gateway (total ou parcial). O status do pedido não muda:
+   * cancelar o pedido continua sendo uma decisão da equipe.
+   * @param {number} paymentId - ID da cobrança
+   * @param {number|null} amount - Valor a estornar (padrão: o que ainda não foi estornado)
+   * @returns {Promise<Object>} { payment, error }
+   */
+  async refund(paymentId, amount = null) {
+    const payment = await this.db('payments').where('id', paymentId).first();
+    if (!payment) {
+      return { payment: null, error: { code: 'not_found', message: `Cobrança ${paymentId} não encontrada` } };
+    }
+
+    if (payment.status !== 'paid') {
+      return { payment: null, error: { code: 'not_refundable', message: 'Só cobranças pagas podem ser estornadas' } };
+    }
+
+    const provider = this.getProvider(payment.provider);
+    if (!provider) {
+      return {
+        payment: null,
+        error: { code: 'not_refundable', message: `Cobranças ${PAYMENT_OPTIONS[payment.method] || payment.method} são estornadas fora da loja` }
+      };
+    }
+
+    const remaining = roundAmount(Number(payment.paid_amount) - Number(payment.refunded_amount || 0));
+    const value = amount === null || amount === undefined ? remaining : roundAmount(Number(amount));
+    if (!Number.isFinite(value) || value <= 0 || value > remaining) {
+      return { payment: null, error: { code: 'invalid_amount', message: `Informe um valor de estorno entre R$ 0,01 e R$ ${remaining.toFixed(2)}` } };
+    }
+
+    const result = await provider.refund(payment.provider_reference, value);
+    if (result.error || !result.refunded) {
+      return { payment: null, error: { code: 'gateway_error', message: result.error?.message || 'O gateway não estornou a cobrança' } };
+    }
+
+    const { payment: saved } = await this.recordRefund(payment, result.amount ?? value, {
+      reference: result.reference || null,
+      source: 'admin'
+    });
+    return { payment: saved, error: null };
+  }
+
+  /**
+   * Soma um estorno à cobrança; estornada por completo ela passa a `refunded`.
+   * A cobrança fica bloqueada durante a soma (dois avisos simultâneos não se sobrepõem), o valor
+   * é limitado ao que falta estornar e um estorno já registrado com o mesmo identificador é ignorado.
+   * @param {Object} payment - Registro de payments
+   * @param {number} amount - Valor estornado
+   * @param {Object} refund - { reference: identificador do estorno no gateway, source: admin | webhook }
+   * @returns {Promise<Object>} { payment: cobrança formatada, duplicate }
+   */
+  async recordRefund(payment, amount, { reference = null, source }) {
+    const recorded = await this.db.transaction(async (trx) => {
+      const current = await trx('payments').where('id', payment.id).forUpdate().first();
+      const remaining = roundAmount(Number(current.paid_amount) - Number(current.refunded_amount || 0));
+      const value = roundAmount(Math.min(amount, remaining));
+      if (current.status !== 'paid' || value <= 0) {
+        return null;
+      }
+
+      const inserted = await trx('payment_refunds')
+        .insert({ payment_id: payment.id, provider_reference: reference, amount: value, source })
+        .onConflict('provider_reference')
+        .ignore()
+        .returning('id');
+      if (inserted.length === 0) {
+        return null;
+      }
+
+      const total = value >= remaining;
+      await trx('payments')
+        .where('id', payment.id)
+        .update({
+          status: total ? 'refunded' : current.status,
+          needs_refund: total ? false : current.needs_refund,
+          refunded_amount: roundAmount(Number(current.refunded_amount || 0) + value),
+          refunded_at: this.db.fn.now(),
+          updated_at: this.db.fn.now()
+        });
+
+      return { value, total };
+    });
+
+    const saved = await this.serialize(await this.db('payments').where('id', payment.id).first());
+    if (!recorded) {
+      return { payment: saved, duplicate: true };
+    }
+
+    const order = await this.db('orders').where('id', payment.order_id).first();
+    await this.activityLog.record({
+      type: 'order',
+      action: 'payment.refunded',
+      status: 'warning',
+      title: recorded.total ? 'Pagamento estornado' : 'Estorno parcial',
+      message: `Pedido ${order.numero_loja} - R$ ${recorded.value.toFixed(2)} devolvidos ao cliente` +
+        (reference ? ` (estorno ${reference})` : ''),
+      reference: `order:${order.id}`
+    });
+
+    return { payment: saved, duplicate: false };
+  }
+
+  /**
+   * Aplica uma notificação do gateway (pagamento, recusa, cancelamento ou estorno).
+   * Notificações repetidas não mudam nada.
+   * @param {string} providerName - Provedor da URL do webhook
+   * @param {Buffer|string} rawBody - Corpo original da requisição
+   * @param {Object} headers - Cabeçalhos da requisição
+   * @returns {Promise<Object>} { payment, duplicate, error }
+   */
+  async handleWebhook(providerName, rawBody, headers) {
+    const provider = this.getProvider(providerName);
+    if (!provider) {
+      return { payment: null, duplicate: false, error: { code: 'not_found', message: `Provedor ${providerName} desconhecido` } };
+    }
+
+    const { event, error } = provider.parseWebhook(rawBody, headers);
+    if (error) {
+      return { payment: null, duplicate: false, error };
+    }
+
+    const payment = await this.db('payments')
+      .where({ provider: providerName, provider_reference: event.reference })
+      .first();
+    if (!payment) {
+      return { payment: null, duplicate: false, error: { code: 'not_found', message: `Cobrança ${event.reference} não encontrada` } };
+    }
+
+    const unchanged = async () => ({ payment: await this.serialize(payment), duplicate: true, error: null });
+
+    if (event.status === 'paid') {
+      if (['paid', 'refunded'].includes(payment.status)) {
+        return unchanged();
+      }
+      if (payment.status === 'cancelled') {
+        return { payment: null, duplicate: false, error: { code: 'cancelled', message: `Cobrança ${event.reference} foi cancelada` } };
+      }
+
+      const received = event.amount === null ? Number(payment.amount) : event.amount;
+      if (Math.abs(received - Number(payment.amount)) >= 0.01) {
+        return {
+          payment: null,
+          duplicate: false,
+          error: { code: 'amount_mismatch', message: `Valor pago (${event.amount}) difere do valor da cobrança (${Number(payment.amount).toFixed(2)})` }
+        };
+      }
+
+      const { payment: saved, duplicate } = await this.markPaid(payment, {
+        amount: received,
+        paidAt: event.paidAt,
+        raw: event.raw,
+        captured: payment.method === 'cartao_credito'
+      });
+      return { payment: saved, duplicate, error: null };
+    }
+
+    if (event.status === 'refunded') {
+      if (payment.status !== 'paid') {
+        return unchanged();
+      }
+      const remaining = roundAmount(Number(payment.paid_amount) - Number(payment.refunded_amount || 0));
+      const { payment: saved, duplicate } = await this.recordRefund(payment, event.amount ?? remaining, {
+        reference: event.refundId,
+        source: 'webhook'
+      });
+      return { payment: saved, duplicate, error: null };
+    }
+
+    // failed ou cancelled: só valem para cobranças que ainda não foram pagas
+    if (!['pending', 'authorized'].includes(payment.status)) {
+      return unchanged();
+    }
+
+    await this.db('payments')
+      .where('id', payment.id)
+      .update({
+        status: event.status,
+        failure_reason: event.status === 'failed' ? (event.raw?.motivo || 'Pagamento recusado pelo gateway') : payment.failure_reason,
+        updated_at: this.db.fn.now()
+      });
+
+    return { payment: await this.serialize(await this.db('payments').where('id', payment.id).first()), duplicate: false, error: null };
+  }
+}
+
+PaymentService.GATEWAY_METHODS = GATEWAY_METHODS;
+
+module.exports = PaymentService;
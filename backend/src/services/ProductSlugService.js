@@ -0,0 +1,105 @@
+const connection = require('../database/connection');
+const slugify = require('../utils/slugify');
+
+/**
+ * Serviço de slugs dos produtos
+ * Mantém o slug estável entre sincronizações e registra os slugs antigos
+ * para redirecionamento quando o produto é renomeado.
+ */
+class ProductSlugService {
+  constructor(db = connection) {
+    this.db = db;
+  }
+
+  /**
+   * Gera um slug único para o nome informado
+   * @param {string} nome - Nome do produto
+   * @param {number|null} productId - Produto que está recebendo o slug (ignorado na checagem)
+   * @param {Set<string>} reserved - Slugs já escolhidos e ainda não gravados (ex.: no mesmo lote)
+   * @returns {Promise<string>} Slug disponível
+   */
+  async generate(nome, productId = null, reserved = new Set()) {
+    const base = slugify(nome) || 'produto';
+    let slug = base;
+    let suffix = 2;
+
+    while (reserved.has(slug) || await this.isTaken(slug, productId)) {
+      slug = `${base}-${suffix}`;
+      suffix++;
+    }
+
+    reserved.add(slug);
+    return slug;
+  }
+
+  /**
+   * Verifica se o slug já está em uso por outro produto (atual ou antigo)
+   */
+  async isTaken(slug, productId = null) {
+    const current = await this.db('products')
+      .where('slug', slug)
+      .modify((query) => {
+        if (productId) query.whereNot('id', productId);
+      })
+      .first('id');
+
+    if (current) {
+      return true;
+    }
+
+    const redirect = await this.db('product_slug_redirects')
+      .where('old_slug', slug)
+      .modify((query) => {
+        if (productId) query.whereNot('product_id', productId);
+      })
+      .first('id');
+
+    return Boolean(redirect);
+  }
+
+  /**
+   * Retorna o slug que o produto deve ter após uma atualização.
+   * O slug só muda quando o nome muda; o anterior passa a redirecionar.
+   * @param {Object} product - Registro atual ({ id, nome, slug })
+   * @param {string} novoNome - Nome recebido na atualização
+   * @param {Set<string>} reserved - Slugs já escolhidos e ainda não gravados
+   * @returns {Promise<string>} Slug a ser gravado
+   */
+  async resolveForUpdate(product, novoNome, reserved = new Set()) {
+    if (product.slug && product.nome === novoNome) {
+      return product.slug;
+    }
+
+    const slug = await this.generate(novoNome, product.id, reserved);
+
+    if (product.slug && product.slug !== slug) {
+      // O produto pode estar voltando para um slug que já usou antes
+      await this.db('product_slug_redirects')
+        .where({ product_id: product.id, old_slug: slug })
+        .del();
+
+      await this.db('product_slug_redirects')
+        .insert({ product_id: product.id, old_slug: product.slug })
+        .onConflict('old_slug')
+        .merge({ product_id: product.id });
+    }
+
+    return slug;
+  }
+
+  /**
+   * Busca o slug atual de um slug antigo
+   * @param {string} oldSlug - Slug antigo
+   * @returns {Promise<string|null>} Slug atual do produto
+   */
+  async findRedirect(oldSlug) {
+    const redirect = await this.db('product_slug_redirects')
+      .join('products', 'products.id', 'product_slug_redirects.product_id')
+      .where('product_slug_redirects.old_slug', oldSlug)
+      .first('products.slug');
+
+    return redirect?.slug || null;
+  }
+}
+
+module.exports = ProductSlugService;
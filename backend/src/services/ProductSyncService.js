@@ -0,0 +1,717 @@
+const connection = require('../database/connection');
+const BlingService = require('./BlingService');
+const ProductSlugService = require('./ProductSlugService');
+const BlingConfigService = require('./BlingConfigService');
+const { LOCAL_COLUMNS, normalizeSyncRules, getExclusionReason } = require('../utils/syncRules');
+const { toNumber } = require('../utils/productMapper');
+
+// Quantidade de produtos gravados por comando de upsert
+const BATCH_SIZE = 100;
+
+// Margem aplicada à última sincronização para não perder alterações na virada (ms)
+const SYNC_OVERLAP = 5 * 60 * 1000;
+
+// Colunas atualizadas quando um produto já existente volta do Bling
+const MERGE_COLUMNS = [
+  'nome', 'slug', 'preco', 'preco_promocional', 'descricao', 'categoria', 'imagem',
+  'codigo', 'estoque', 'ativo', 'bling_data', 'updated_at'
+];
+
+// Colunas comparadas na prévia (dry-run)
+const DIFF_COLUMNS = [
+  'nome', 'slug', 'preco', 'preco_promocional', 'descricao', 'categoria', 'imagem',
+  'codigo', 'estoque', 'ativo'
+];
+const NUMERIC_COLUMNS = ['preco', 'preco_promocional', 'estoque'];
+
+const MISSING_REASON = 'Produto não está mais ativo no Bling';
+
+// Colunas editadas na vitrine (products.locally_edited_fields)
+const editedFields = (row) => {
+  const fields = typeof row.locally_edited_fields === 'string'
+    ? JSON.parse(row.locally_edited_fields)
+    : row.locally_edited_fields;
+  return Array.isArray(fields) ? fields : [];
+};
+
+/**
+ * Serviço de sincronização do catálogo Bling → tabela `products`
+ * Suporta sincronização completa ou incremental (por data de alteração),
+ * grava em lotes e reconcilia produtos excluídos/inativados no Bling.
+ * No modo prévia (dryRun) nada é gravado: as alterações são entregues em hooks.onChanges.
+ */
+class ProductSyncService {
+  constructor(blingService = new BlingService(), db = connection) {
+    this.blingService = blingService;
+    this.db = db;
+    this.slugService = new ProductSlugService(db);
+    this.configService = new BlingConfigService(db);
+  }
+
+  /**
+   * Data da última sincronização completa bem-sucedida (bling_config.last_sync_at)
+   * @returns {Promise<Date|null>}
+   */
+  async getLastSyncAt() {
+    const config = await this.configService.get();
+    return config?.last_sync_at ? new Date(config.last_sync_at) : null;
+  }
+
+  /**
+   * Regras de sincronização configuradas no painel (bling_config.sync_settings.rules)
+   * @returns {Promise<Object>} Regras completas, com os valores padrão
+   */
+  async getRules() {
+    return normalizeSyncRules(await this.configService.getSyncSettings('rules')).rules;
+  }
+
+  /**
+   * Executa a sincronização
+   * @param {Object} options - Opções
+   * @param {string} options.mode - 'full' | 'incremental' (padrão: incremental se já houve sincronização)
+   * @param {boolean} options.reconcile - Reconcilia produtos removidos (sempre ativo no modo full)
+   * @param {boolean} options.dryRun - Apenas calcula as alterações, sem gravar
+   * @param {Object} hooks - Acompanhamento opcional
+   * @param {Function} hooks.onProgress - Recebe o resumo parcial a cada página/lote
+   * @param {Function} hooks.isCancelled - Interrompe a sincronização quando retornar true
+   * @param {Function} hooks.onChanges - Recebe as alterações calculadas na prévia
+   * @returns {Promise<Object>} Resumo da sincronização
+   */
+  async run({ mode, reconcile = false, dryRun = false } = {}, { onProgress, isCancelled, onChanges } = {}) {
+    const startedAt = new Date();
+    const rules = await this.getRules();
+    const lastSyncAt = await this.getLastSyncAt();
+    const syncMode = mode || (lastSyncAt ? 'incremental' : 'full');
+    const since = syncMode === 'incremental' && lastSyncAt
+      ? new Date(lastSyncAt.getTime() - SYNC_OVERLAP)
+      : null;
+
+    const result = {
+      mode: syncMode,
+      dryRun,
+      since,
+      phase: 'fetching',
+      fetched: 0,
+      total: 0,
+      processed: 0,
+      pages: 0,
+      created: 0,
+      updated: 0,
+      deactivated: 0,
+      excluded: 0,
+      cancelled: false,
+      errors: []
+    };
+
+    const progress = async () => {
+      if (onProgress) {
+        await onProgress({ ...result });
+      }
+    };
+    const cancelled = async () => {
+      if (!result.cancelled && isCancelled && await isCancelled()) {
+        result.cancelled = true;
+      }
+      return result.cancelled;
+    };
+    const recordChanges = async (changes) => {
+      if (onChanges && changes.length > 0) {
+        await onChanges(changes);
+      }
+    };
+
+    const {
+      products: fetched,
+      complete,
+      pages,
+      errors: fetchErrors
+    } = await this.blingService.syncProducts({ since, rules }, {
+      isCancelled: cancelled,
+      onPage: async ({ page, fetched: count }) => {
+        result.pages = page;
+        result.fetched = count;
+        await progress();
+      }
+    });
+
+    // Um mesmo produto pode aparecer em duas páginas se o catálogo mudar durante a listagem
+    const unique = [...new Map(fetched.map(product => [product.id, product])).values()];
+
+    // Produtos barrados pelas regras (categoria, tag, tipo, sem imagem) saem da vitrine
+    const products = [];
+    const excluded = [];
+    unique.forEach((product) => {
+      const reason = getExclusionReason(product, rules);
+      if (reason) {
+        excluded.push({ product, reason });
+      } else {
+        products.push(product);
+      }
+    });
+    result.excluded = excluded.length;
+
+    result.pages = pages;
+    result.fetched = fetched.length;
+    result.total = products.length;
+    result.errors.push(...fetchErrors);
+    result.phase = 'saving';
+    await progress();
+
+    const reserved = new Set();
+    for (let index = 0; index < products.length; index += BATCH_SIZE) {
+      if (await cancelled()) {
+        break;
+      }
+
+      const batch = products.slice(index, index + BATCH_SIZE);
+
+      if (dryRun) {
+        const { changes, created, updated } = await this.previewBatch(batch, reserved, rules);
+        await recordChanges(changes);
+        result.created += created;
+        result.updated += updated;
+      } else {
+        const { created, updated, errors } = await this.upsertBatch(batch, reserved, rules);
+        result.created += created;
+        result.updated += updated;
+        result.errors.push(...errors);
+      }
+
+      result.processed += batch.length;
+      await progress();
+    }
+
+    if (!result.cancelled) {
+      result.phase = 'reconciling';
+
+      if (excluded.length > 0 && dryRun) {
+        const changes = await this.previewExclusions(excluded);
+        await recordChanges(changes);
+        result.deactivated += changes.filter(change => change.action === 'deactivate').length;
+      } else if (excluded.length > 0) {
+        result.deactivated += await this.deactivate(excluded.map(({ product }) => product.id));
+      }
+
+      // Na sincronização completa, a própria listagem já é a lista de produtos ativos
+      if (syncMode === 'full' && complete) {
+        const activeIds = products.map(product => product.id);
+
+        if (dryRun) {
+          const changes = await this.previewDeactivation(this.activeMissing(activeIds), MISSING_REASON);
+          await recordChanges(changes);
+          result.deactivated += changes.length;
+        } else {
+          result.deactivated += await this.deactivateMissing(activeIds);
+        }
+      } else if (reconcile) {
+        await progress();
+        const reconciliation = await this.reconcile(rules, { isCancelled: cancelled }, dryRun);
+        await recordChanges(reconciliation.changes);
+        result.deactivated += reconciliation.deactivated;
+        result.errors.push(...reconciliation.errors);
+      }
+    }
+
+    result.phase = 'done';
+    result.synchronized = result.created + result.updated;
+    result.complete = complete && !result.cancelled && result.errors.length === 0;
+
+    // Só avança o marco da incremental se nada ficou para trás (a prévia não conta)
+    if (result.complete && !dryRun) {
+      await this.configService.update({ last_sync_at: startedAt });
+    }
+
+    result.duration = Date.now() - startedAt.getTime();
+    await progress();
+    return result;
+  }
+
+  /**
+   * Converte um produto formatado pelo BlingService em registro de `products`
+   * @param {Object} product - Produto formatado (BlingService.formatProduct)
+   * @returns {Object} Colunas da tabela products
+   */
+  toProductRow(product) {
+    return {
+      bling_id: product.id,
+      nome: product.nome,
+      preco: product.preco,
+      preco_promocional: product.precoPromocional,
+      descricao: product.descricao,
+      categoria: product.categoria,
+      imagem: product.imagem,
+      codigo: product.codigo,
+      estoque: product.estoque,
+      ativo: product.ativo,
+      bling_data: JSON.stringify(product.blingData),
+      updated_at: this.db.fn.now()
+    };
+  }
+
+  /**
+   * Grava um lote de produtos com um único upsert por bling_id.
+   * Se o lote falhar, grava item a item para isolar os produtos com erro.
+   * @param {Array} products - Produtos formatados
+   * @param {Set<string>} reserved - Slugs já escolhidos nesta sincronização
+   * @param {Object} rules - Regras de sincronização
+   * @returns {Promise<Object>} { created, updated, errors }
+   */
+  async upsertBatch(products, reserved, rules) {
+    const existing = await this.db('products')
+      .whereIn('bling_id', products.map(product => product.id))
+      .select('id', 'bling_id', 'nome', 'slug', 'locally_edited_fields');
+    const existingByBlingId = new Map(existing.map(row => [Number(row.bling_id), row]));
+
+    const keepLocal = !rules.overwrite_local_changes;
+
+    const rows = [];
+    for (const product of products) {
+      const current = existingByBlingId.get(Number(product.id));
+      const edited = current ? editedFields(current) : [];
+      let slug;
+      if (!current) {
+        slug = await this.slugService.generate(product.nome, null, reserved);
+      } else if (keepLocal && (edited.includes('slug') || edited.includes('nome'))) {
+        slug = current.slug;
+      } else {
+        slug = await this.slugService.resolveForUpdate(current, product.nome, reserved);
+      }
+
+      rows.push({ ...this.toProductRow(product), slug });
+    }
+
+    const mergeColumns = this.mergeColumnsFor(keepLocal);
+
+    const countCreated = (batch) => batch.filter(row => !existingByBlingId.has(Number(row.bling_id))).length;
+
+    try {
+      await this.upsertRows(rows, mergeColumns);
+      const created = countCreated(rows);
+      return { created, updated: rows.length - created, errors: [] };
+    } catch (batchError) {
+      console.error('Erro ao gravar lote de produtos, gravando individualmente:', batchError.message);
+    }
+
+    const saved = [];
+    const errors = [];
+    for (const row of rows) {
+      try {
+        await this.upsertRows([row], mergeColumns);
+        saved.push(row);
+      } catch (productError) {
+        console.error(`Erro ao salvar produto ${row.bling_id}:`, productError);
+        errors.push({
+          productId: row.bling_id,
+          productName: row.nome,
+          error: productError.message
+        });
+      }
+    }
+
+    const created = countCreated(saved);
+    return { created, updated: saved.length - created, errors };
+  }
+
+  /**
+   * Calcula, sem gravar, o que um lote de produtos criaria ou alteraria
+   * @param {Array} products - Produtos formatados
+   * @param {Set<string>} reserved - Slugs já escolhidos nesta prévia
+   * @param {Object} rules - Regras de sincronização
+   * @returns {Promise<Object>} { changes, created, updated } (produtos sem alteração ficam de fora)
+   */
+  async previewBatch(products, reserved, rules) {
+    const existing = await this.db('products')
+      .whereIn('bling_id', products.map(product => product.id));
+    const existingByBlingId = new Map(existing.map(row => [Number(row.bling_id), row]));
+
+    const changes = [];
+    for (const product of products) {
+      const current = existingByBlingId.get(Number(product.id));
+      const row = this.toProductRow(product);
+      // Sem sobrescrever edições locais, ficam de fora só os campos editados deste produto
+      const edited = current && !rules.overwrite_local_changes ? editedFields(current) : [];
+      const columns = DIFF_COLUMNS.filter(column => !edited.includes(column) &&
+        !(column === 'slug' && edited.includes('nome')));
+
+      if (!current) {
+        row.slug = await this.slugService.generate(product.nome, null, reserved);
+        changes.push({
+          action: 'create',
+          bling_id: product.id,
+          product_id: null,
+          nome: product.nome,
+          changes: this.diffRow({}, row, DIFF_COLUMNS),
+          data: product
+        });
+        continue;
+      }
+
+      // Mesma regra do ProductSlugService.resolveForUpdate, mas sem registrar o redirecionamento
+      row.slug = !columns.includes('slug') || (current.slug && current.nome === row.nome)
+        ? current.slug
+        : await this.slugService.generate(row.nome, current.id, reserved);
+
+      const diff = this.diffRow(current, row, columns);
+      if (Object.keys(diff).length > 0) {
+        changes.push({
+          action: 'update',
+          bling_id: product.id,
+          product_id: current.id,
+          nome: current.nome,
+          changes: diff,
+          data: product
+        });
+      }
+    }
+
+    return {
+      changes,
+      created: changes.filter(change => change.action === 'create').length,
+      updated: changes.filter(change => change.action === 'update').length
+    };
+  }
+
+  /**
+   * Compara um registro de products com os novos valores
+   * @param {Object} current - Registro atual ({} para produtos novos)
+   * @param {Object} row - Novos valores (toProductRow)
+   * @param {Array<string>} columns - Colunas comparadas
+   * @returns {Object} { coluna: { old, new } } apenas das colunas alteradas
+   */
+  diffRow(current, row, columns) {
+    const normalize = (column, value) => (
+      NUMERIC_COLUMNS.includes(column) ? toNumber(value) : (value === undefined ? null : value)
+    );
+
+    return columns.reduce((diff, column) => {
+      const oldValue = normalize(column, current[column]);
+      const newValue = normalize(column, row[column]);
+
+      if (oldValue !== newValue) {
+        diff[column] = { old: oldValue, new: newValue };
+      }
+      return diff;
+    }, {});
+  }
+
+  /**
+   * Prévia dos produtos barrados pelas regras: inativados se estiverem na vitrine, ignorados se não
+   * @param {Array} excluded - Itens { product, reason }
+   * @returns {Promise<Array>} Alterações 'deactivate' ou 'skip'
+   */
+  async previewExclusions(excluded) {
+    const active = await this.activeByBlingIds(excluded.map(({ product }) => product.id))
+      .select('id', 'bling_id');
+    const activeByBlingId = new Map(active.map(row => [Number(row.bling_id), row.id]));
+
+    return excluded.map(({ product, reason }) => {
+      const productId = activeByBlingId.get(Number(product.id)) || null;
+
+      return {
+        action: productId ? 'deactivate' : 'skip',
+        bling_id: product.id,
+        product_id: productId,
+        nome: product.nome,
+        changes: productId ? { ativo: { old: true, new: false } } : null,
+        reason
+      };
+    });
+  }
+
+  /**
+   * Prévia de uma inativação: lista os produtos que a consulta inativaria
+   * @param {Object} query - Consulta de produtos ativos (activeByBlingIds / activeMissing)
+   * @param {string} reason - Motivo exibido na prévia
+   * @returns {Promise<Array>} Alterações 'deactivate'
+   */
+  async previewDeactivation(query, reason) {
+    const rows = await query.select('id', 'bling_id', 'nome');
+
+    return rows.map(row => ({
+      action: 'deactivate',
+      bling_id: row.bling_id,
+      product_id: row.id,
+      nome: row.nome,
+      changes: { ativo: { old: true, new: false } },
+      reason
+    }));
+  }
+
+  /**
+   * Aplica alterações calculadas em uma prévia.
+   * Cada alteração grava só as colunas que a prévia mostrou, e apenas se o produto não mudou depois dela
+   * (sincronização, webhook ou edição no painel); as que ficaram desatualizadas voltam em `stale`
+   * e continuam pendentes até uma nova prévia.
+   * @param {Array} changes - Registros de sync_job_changes
+   * @param {Object} rules - Regras de sincronização atuais
+   * @param {Date} previewedAt - Início da prévia
+   * @returns {Promise<Object>} { created, updated, deactivated, applied (IDs das alterações aplicadas), stale, errors }
+   */
+  async applyChanges(changes, rules, previewedAt) {
+    const result = { created: 0, updated: 0, deactivated: 0, applied: [], stale: [], errors: [] };
+    const parse = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+    const writes = changes.filter(change => ['create', 'update'].includes(change.action));
+    const reserved = new Set();
+
+    for (let index = 0; index < writes.length; index += BATCH_SIZE) {
+      const batch = writes.slice(index, index + BATCH_SIZE);
+      const existing = await this.db('products')
+        .whereIn('bling_id', batch.map(change => change.bling_id))
+        .select('id', 'bling_id', 'nome', 'slug', 'locally_edited_fields');
+      const existingByBlingId = new Map(existing.map(row => [Number(row.bling_id), row]));
+
+      for (const change of batch) {
+        const product = parse(change.data);
+        try {
+          const current = existingByBlingId.get(Number(change.bling_id));
+          const written = change.action === 'create'
+            ? !current && await this.insertPreviewed(product, reserved)
+            : Boolean(current) && await this.updatePreviewed(current, product, Object.keys(parse(change.changes) || {}), rules, previewedAt, reserved);
+
+          if (!written) {
+            result.stale.push(change.id);
+            continue;
+          }
+
+          result[change.action === 'create' ? 'created' : 'updated']++;
+          result.applied.push(change.id);
+        } catch (productError) {
+          console.error(`Erro ao aplicar alteração do produto ${change.bling_id}:`, productError);
+          result.errors.push({
+            productId: change.bling_id,
+            productName: change.nome,
+            error: productError.message
+          });
+        }
+      }
+    }
+
+    const deactivations = changes.filter(change => change.action === 'deactivate');
+    if (deactivations.length > 0) {
+      const deactivated = await this.activeByBlingIds(deactivations.map(change => change.bling_id))
+        .where('updated_at', '<=', previewedAt)
+        .update({ ativo: false, updated_at: this.db.fn.now() })
+        .returning('bling_id');
+      const changed = new Set(deactivated.map(row => Number(row.bling_id)));
+
+      result.deactivated = changed.size;
+      for (const change of deactivations) {
+        result[changed.has(Number(change.bling_id)) ? 'applied' : 'stale'].push(change.id);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Cria um produto da prévia, se ele ainda não foi criado por outra sincronização ou webhook
+   * @returns {Promise<boolean>} Se o produto foi criado
+   */
+  async insertPreviewed(product, reserved) {
+    const slug = await this.slugService.generate(product.nome, null, reserved);
+    const inserted = await this.db('products')
+      .insert({ ...this.toProductRow(product), slug, created_at: this.db.fn.now() })
+      .onConflict('bling_id')
+      .ignore()
+      .returning('id');
+
+    return inserted.length > 0;
+  }
+
+  /**
+   * Grava num produto existente só as colunas alteradas na prévia, se ele não mudou depois dela.
+   * Com overwrite_local_changes = false, as colunas editadas no painel continuam de fora.
+   * @param {Object} current - Registro atual ({ id, nome, slug, locally_edited_fields })
+   * @param {Object} product - Produto formatado gravado na prévia
+   * @param {Array<string>} columns - Colunas da diferença calculada na prévia
+   * @returns {Promise<boolean>} Se o produto foi atualizado
+   */
+  async updatePreviewed(current, product, columns, rules, previewedAt, reserved) {
+    const edited = rules.overwrite_local_changes ? [] : editedFields(current);
+    const row = this.toProductRow(product);
+    const values = Object.fromEntries(columns
+      .filter(column => DIFF_COLUMNS.includes(column) && column !== 'slug' && !edited.includes(column))
+      .map(column => [column, row[column]]));
+
+    if (columns.includes('slug') && !edited.includes('slug') && !edited.includes('nome')) {
+      values.slug = await this.slugService.resolveForUpdate(current, row.nome, reserved);
+    }
+
+    const updated = await this.db('products')
+      .where('id', current.id)
+      .where('updated_at', '<=', previewedAt)
+      .update({ ...values, updated_at: this.db.fn.now() });
+
+    return updated > 0;
+  }
+
+  /**
+   * Atualização do upsert para os produtos existentes. Sem sobrescrever edições locais, cada produto
+   * mantém as colunas de products.locally_edited_fields; sobrescrevendo, a marcação é zerada.
+   * @param {boolean} keepLocal - Preservar as edições feitas na vitrine
+   * @returns {Object} { coluna: valor ou expressão }
+   */
+  mergeColumnsFor(keepLocal) {
+    if (!keepLocal) {
+      return {
+        ...Object.fromEntries(MERGE_COLUMNS.map(column => [column, this.db.raw('excluded.??', [column])])),
+        locally_edited_fields: this.db.raw("'[]'::jsonb")
+      };
+    }
+
+    return Object.fromEntries(MERGE_COLUMNS.map(column => [
+      column,
+      LOCAL_COLUMNS.includes(column)
+        ? this.db.raw('CASE WHEN products.locally_edited_fields @> to_jsonb(?::text) THEN products.?? ELSE excluded.?? END', [column, column, column])
+        : this.db.raw('excluded.??', [column])
+    ]));
+  }
+
+  /**
+   * Insere ou atualiza registros pela chave bling_id
+   * @param {Array} rows - Registros de products
+   * @param {Array<string>|Object} mergeColumns - Colunas atualizadas nos produtos existentes (ou mergeColumnsFor)
+   */
+  async upsertRows(rows, mergeColumns = MERGE_COLUMNS) {
+    await this.db('products')
+      .insert(rows.map(row => ({ ...row, created_at: this.db.fn.now() })))
+      .onConflict('bling_id')
+      .merge(mergeColumns);
+  }
+
+  /**
+   * Sincroniza um único produto (usado pelos webhooks), com o mesmo mapeamento e regras da sincronização completa.
+   * Produtos que não existem mais no Bling ou que as regras barram são inativados.
+   * @param {number} blingId - ID do produto no Bling
+   * @returns {Promise<string>} 'created' | 'updated' | 'deactivated' | 'excluded'
+   */
+  async syncProduct(blingId) {
+    const blingProduct = await this.blingService.getProduct(blingId);
+
+    if (!blingProduct) {
+      await this.deactivate([blingId]);
+      return 'deactivated';
+    }
+
+    const rules = await this.getRules();
+    const product = this.blingService.formatProduct(blingProduct, rules);
+
+    if (getExclusionReason(product, rules)) {
+      await this.deactivate([blingId]);
+      return 'excluded';
+    }
+
+    const { created, errors } = await this.upsertBatch([product], new Set(), rules);
+
+    if (errors.length > 0) {
+      throw new Error(errors[0].error);
+    }
+
+    return created > 0 ? 'created' : 'updated';
+  }
+
+  /**
+   * Aplica um evento de estoque do Bling, usando o saldo escolhido nas regras.
+   * Sem o saldo no evento (ou sem o produto local), sincroniza o produto inteiro.
+   * @param {number} blingId - ID do produto no Bling
+   * @param {Object} event - Dados do evento de estoque
+   * @returns {Promise<void>}
+   */
+  async syncStock(blingId, event) {
+    const rules = await this.getRules();
+    const saldo = event[rules.fields.estoque.split('.').pop()];
+
+    if (saldo !== undefined && await this.updateStock(blingId, Number(saldo) || 0) > 0) {
+      return;
+    }
+
+    await this.syncProduct(blingId);
+  }
+
+  /**
+   * Atualiza o estoque de um produto já sincronizado
+   * @param {number} blingId - ID do produto no Bling
+   * @param {number} saldo - Saldo virtual total informado pelo Bling
+   * @returns {Promise<number>} Quantidade de produtos atualizados (0 se o produto não existe localmente)
+   */
+  async updateStock(blingId, saldo) {
+    return this.db('products')
+      .where('bling_id', blingId)
+      .update({ estoque: saldo, updated_at: this.db.fn.now() });
+  }
+
+  /**
+   * Inativa produtos excluídos no Bling (o registro é mantido por causa dos slugs e pedidos)
+   * @param {Array<number>} blingIds - IDs dos produtos no Bling
+   * @returns {Promise<number>} Quantidade de produtos inativados
+   */
+  async deactivate(blingIds) {
+    return this.activeByBlingIds(blingIds)
+      .update({ ativo: false, updated_at: this.db.fn.now() });
+  }
+
+  /**
+   * Consulta dos produtos ativos com os bling_id informados
+   * @param {Array<number>} blingIds - IDs dos produtos no Bling
+   */
+  activeByBlingIds(blingIds) {
+    return this.db('products')
+      .whereIn('bling_id', blingIds)
+      .where('ativo', true);
+  }
+
+  /**
+   * Consulta dos produtos ativos vindos do Bling cujo bling_id não está na lista
+   * @param {Array<number>} activeIds - IDs ativos no Bling
+   */
+  activeMissing(activeIds) {
+    return this.db('products')
+      .whereNotNull('bling_id')
+      .where('ativo', true)
+      .whereRaw('NOT (bling_id = ANY(?::bigint[]))', [activeIds]);
+  }
+
+  /**
+   * Busca os IDs ativos no Bling e inativa os produtos locais que não estão mais lá
+   * @param {Object} rules - Regras de sincronização
+   * @param {Object} hooks - Acompanhamento opcional (ver BlingService.getAllProducts)
+   * @param {boolean} dryRun - Apenas lista os produtos que seriam inativados
+   * @returns {Promise<Object>} { deactivated, errors, changes }
+   */
+  async reconcile(rules, hooks = {}, dryRun = false) {
+    const { ids, complete, cancelled, errors } = await this.blingService.getActiveProductIds(rules.product_type, hooks);
+
+    if (cancelled) {
+      return { deactivated: 0, errors: [], changes: [] };
+    }
+
+    // Com a listagem incompleta não é possível saber o que foi removido
+    if (!complete) {
+      return {
+        deactivated: 0,
+        errors: errors.map(error => ({ ...error, error: `Reconciliação não executada: ${error.error}` })),
+        changes: []
+      };
+    }
+
+    if (dryRun) {
+      const changes = await this.previewDeactivation(this.activeMissing(ids), MISSING_REASON);
+      return { deactivated: changes.length, errors: [], changes };
+    }
+
+    return { deactivated: await this.deactivateMissing(ids), errors: [], changes: [] };
+  }
+
+  /**
+   * Inativa produtos vindos do Bling cujo bling_id não está na lista de ativos
+   * @param {Array<number>} activeIds - IDs ativos no Bling
+   * @returns {Promise<number>} Quantidade de produtos inativados
+   */
+  async deactivateMissing(activeIds) {
+    return this.activeMissing(activeIds)
+      .update({ ativo: false, updated_at: this.db.fn.now() });
+  }
+}
+
+module.exports = ProductSyncService;
@@ -0,0 +1,68 @@
+const PromotionService = require('./PromotionService');
+const ActivityLogService = require('./ActivityLogService');
+
+// Frequência com que as campanhas são conferidas (ms): é a precisão do início e do fim das campanhas
+const CHECK_INTERVAL = Number(process.env.PROMOTION_CHECK_INTERVAL) || 60 * 1000;
+
+/**
+ * Agendador das campanhas de promoção
+ * Liga e desliga as campanhas no horário e aplica as campanhas por categoria e marca aos
+ * produtos que chegaram ou mudaram na sincronização com o Bling.
+ */
+class PromotionScheduler {
+  constructor(promotionService = new PromotionService()) {
+    this.promotionService = promotionService;
+    this.activityLog = new ActivityLogService();
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Inicia o agendador (a primeira rodada é imediata)
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.tick();
+    this.timer = setInterval(() => this.tick(), CHECK_INTERVAL);
+    this.timer.unref();
+  }
+
+  /**
+   * Para o agendador
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Reaplica as campanhas (uma rodada por vez)
+   */
+  async tick() {
+    if (this.running) {
+      return;
+    }
+
+    try {
+      this.running = true;
+      // As rodadas que alteram preços ficam no registro de atividades (promotion.applied)
+      await this.promotionService.apply();
+    } catch (error) {
+      console.error('Erro no agendador de promoções:', error.message);
+      await this.activityLog.record({
+        type: 'promotion',
+        action: 'promotion.failed',
+        status: 'error',
+        title: 'Falha ao aplicar as campanhas de promoção',
+        message: error.message
+      });
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+module.exports = PromotionScheduler;
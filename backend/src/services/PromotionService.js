@@ -0,0 +1,232 @@
+const connection = require('../database/connection');
+const ActivityLogService = require('./ActivityLogService');
+const { promotionStatus, normalizePromotion } = require('../utils/promotions');
+
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+/**
+ * Serviço de campanhas de promoção
+ * Cadastra as campanhas e decide qual vale para cada produto, gravando-a em
+ * products.promocao_*. O preço efetivo (vitrine, busca, ofertas, carrinho e
+ * checkout) é calculado a partir dessas colunas. O PromotionScheduler chama apply a cada
+ * minuto, o que liga e desliga as campanhas no horário; alterações no painel valem na hora.
+ */
+class PromotionService {
+  constructor(db = connection) {
+    this.db = db;
+    this.activityLog = new ActivityLogService(db);
+  }
+
+  /**
+   * Formata a campanha para a API
+   * @param {Object} row - Registro de promotions
+   * @param {number} productCount - Produtos em que a campanha vale agora
+   * @returns {Object}
+   */
+  serialize(row, productCount = 0) {
+    return {
+      id: row.id,
+      nome: row.nome,
+      tipo_desconto: row.tipo_desconto,
+      valor: Number(row.valor),
+      alvo: row.alvo,
+      alvos: parseJson(row.alvos) || [],
+      inicio: row.inicio,
+      fim: row.fim,
+      prioridade: row.prioridade,
+      ativo: row.ativo,
+      status: promotionStatus(row),
+      produtos: productCount,
+      created_at: row.created_at,
+      updated_at: row.updated_at
+    };
+  }
+
+  /**
+   * Campanhas cadastradas, com a situação e a quantidade de produtos em que valem
+   * @returns {Promise<Array<Object>>}
+   */
+  async list() {
+    const [rows, counts] = await Promise.all([
+      this.db('promotions').orderBy([{ column: 'prioridade', order: 'desc' }, { column: 'id', order: 'desc' }]),
+      this.db('products')
+        .whereNotNull('promocao_id')
+        .where('ativo', true)
+        .select('promocao_id')
+        .count('* as count')
+        .groupBy('promocao_id')
+    ]);
+    const byPromotion = new Map(counts.map(row => [row.promocao_id, Number(row.count)]));
+
+    return rows.map(row => this.serialize(row, byPromotion.get(row.id) || 0));
+  }
+
+  /**
+   * Campanhas por ID (para exibir o nome e o fim da oferta nos produtos)
+   * @param {Array<number>} ids
+   * @returns {Promise<Map<number, Object>>} { id, name, ends_at }
+   */
+  async findSummaries(ids) {
+    const unique = [...new Set(ids.filter(Boolean))];
+    if (unique.length === 0) {
+      return new Map();
+    }
+
+    const rows = await this.db('promotions').whereIn('id', unique).select('id', 'nome', 'fim');
+    return new Map(rows.map(row => [row.id, { id: row.id, name: row.nome, ends_at: row.fim }]));
+  }
+
+  /**
+   * Cadastra uma campanha e a aplica aos produtos
+   * @param {Object} values - Dados da campanha (utils/promotions.normalizePromotion)
+   * @returns {Promise<Object>} { promotion, error }
+   */
+  async create(values) {
+    const { promotion, errors } = normalizePromotion(values);
+    if (errors.length > 0) {
+      return { promotion: null, error: { code: 'invalid_promotion', message: errors.join('; ') } };
+    }
+
+    const [created] = await this.db('promotions')
+      .insert({ ...promotion, alvos: JSON.stringify(promotion.alvos) })
+      .returning('*');
+
+    await this.apply();
+    return { promotion: await this.get(created.id), error: null };
+  }
+
+  /**
+   * Altera uma campanha e reaplica as campanhas aos produtos
+   * @param {number} id - ID da campanha
+   * @param {Object} values - Dados completos da campanha
+   * @returns {Promise<Object>} { promotion, error }
+   */
+  async update(id, values) {
+    const existing = await this.db('promotions').where('id', id).first();
+    if (!existing) {
+      return { promotion: null, error: { code: 'not_found', message: `Campanha ${id} não encontrada` } };
+    }
+
+    const { promotion, errors } = normalizePromotion(values);
+    if (errors.length > 0) {
+      return { promotion: null, error: { code: 'invalid_promotion', message: errors.join('; ') } };
+    }
+
+    await this.db('promotions')
+      .where('id', id)
+      .update({ ...promotion, alvos: JSON.stringify(promotion.alvos), updated_at: this.db.fn.now() });
+
+    await this.apply();
+    return { promotion: await this.get(id), error: null };
+  }
+
+  /**
+   * Exclui uma campanha; os produtos voltam ao preço sem ela (ou ao de outra campanha)
+   * @param {number} id - ID da campanha
+   * @returns {Promise<Object>} { removed, error }
+   */
+  async remove(id) {
+    const removed = await this.db.transaction(async (trx) => {
+      // A chave estrangeira só limpa promocao_id; o desconto copiado sai junto aqui
+      await trx('products')
+        .where('promocao_id', id)
+        .update({ promocao_id: null, promocao_tipo: null, promocao_valor: null });
+      return trx('promotions').where('id', id).del();
+    });
+
+    if (!removed) {
+      return { removed: false, error: { code: 'not_found', message: `Campanha ${id} não encontrada` } };
+    }
+
+    await this.apply();
+    return { removed: true, error: null };
+  }
+
+  /**
+   * Campanha por ID
+   * @param {number} id
+   * @returns {Promise<Object|null>}
+   */
+  async get(id) {
+    const row = await this.db('promotions').where('id', id).first();
+    if (!row) {
+      return null;
+    }
+
+    const { count } = await this.db('products')
+      .where({ promocao_id: id, ativo: true })
+      .count('* as count')
+      .first();
+    return this.serialize(row, Number(count));
+  }
+
+  /**
+   * Decide a campanha de cada produto com as campanhas no ar e grava só o que mudou, em um
+   * único UPDATE: vale a de maior prioridade, depois a de menor preço com o desconto, depois
+   * a mais antiga. Descontos não se somam.
+   * @param {Date} now - Momento de referência
+   * @returns {Promise<Object>} { running, updated }
+   */
+  async apply(now = new Date()) {
+    const running = (await this.db('promotions').where('ativo', true))
+      .filter(row => promotionStatus(row, now) === 'running')
+      .map(row => ({
+        id: row.id,
+        tipo_desconto: row.tipo_desconto,
+        valor: Number(row.valor),
+        alvo: row.alvo,
+        alvos: parseJson(row.alvos) || [],
+        prioridade: Number(row.prioridade)
+      }));
+
+    const result = await this.db.raw(`
+      WITH running AS (
+        SELECT * FROM jsonb_to_recordset(?::jsonb)
+          AS r(id integer, tipo_desconto text, valor numeric, alvo text, alvos jsonb, prioridade integer)
+      ),
+      winners AS (
+        SELECT products.id AS product_id, best.id, best.tipo_desconto, best.valor
+        FROM products
+        LEFT JOIN LATERAL (
+          SELECT running.*
+          FROM running
+          WHERE running.alvo = 'todos'
+            OR (running.alvo = 'produto' AND running.alvos @> to_jsonb(products.id))
+            OR (running.alvo = 'categoria' AND products.categoria IS NOT NULL AND running.alvos \\? products.categoria)
+            OR (running.alvo = 'marca' AND products.marca IS NOT NULL AND running.alvos \\? products.marca)
+          ORDER BY running.prioridade DESC,
+            CASE running.tipo_desconto
+              WHEN 'percentual' THEN ROUND(products.preco * (100 - running.valor) / 100, 2)
+              ELSE GREATEST(products.preco - running.valor, 0)
+            END ASC,
+            running.id ASC
+          LIMIT 1
+        ) best ON true
+      )
+      UPDATE products
+      SET promocao_id = winners.id, promocao_tipo = winners.tipo_desconto, promocao_valor = winners.valor
+      FROM winners
+      WHERE products.id = winners.product_id
+        AND (products.promocao_id IS DISTINCT FROM winners.id
+          OR products.promocao_tipo IS DISTINCT FROM winners.tipo_desconto
+          OR products.promocao_valor IS DISTINCT FROM winners.valor)
+    `, [JSON.stringify(running)]);
+
+    const updated = result.rowCount || 0;
+    if (updated === 0) {
+      return { running: running.length, updated: 0 };
+    }
+
+    await this.activityLog.record({
+      type: 'promotion',
+      action: 'promotion.applied',
+      title: 'Campanhas de promoção aplicadas',
+      message: `${updated} produto(s) com preço alterado; ${running.length} campanha(s) no ar`,
+      counts: { produtos: updated, campanhas: running.length }
+    });
+
+    return { running: running.length, updated };
+  }
+}
+
+module.exports = PromotionService;
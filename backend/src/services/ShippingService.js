@@ -0,0 +1,140 @@
+const connection = require('../database/connection');
+const StoreSettingsService = require('./StoreSettingsService');
+const { createShippingProvider } = require('./shippingProviders');
+const { toVitrineProduct, toNumber, extractDimensions } = require('../utils/productMapper');
+const {
+  PICKUP_OPTION,
+  normalizeShippingSettings,
+  packageWeight,
+  normalizeCep
+} = require('../utils/shipping');
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Serviço de frete da vitrine
+ * Cota a entrega de produtos para um CEP pelo provedor configurado (services/shippingProviders),
+ * com o peso do pacote calculado a partir de products.peso e das dimensões do Bling, e
+ * acrescenta a retirada na loja e o frete grátis por valor mínimo. É a mesma cotação no
+ * produto, no carrinho e no checkout, que a refaz com os dados do banco ao fechar o pedido.
+ */
+class ShippingService {
+  constructor(db = connection) {
+    this.db = db;
+    this.storeSettings = new StoreSettingsService(db);
+  }
+
+  /**
+   * Configuração atual do frete
+   * @returns {Promise<Object>}
+   */
+  async getSettings() {
+    const { settings } = normalizeShippingSettings(await this.storeSettings.get('shipping'));
+    return settings;
+  }
+
+  /**
+   * Valida e grava a configuração do frete
+   * @param {Object} values - Nova configuração
+   * @returns {Promise<Object>} { settings, errors }
+   */
+  async updateSettings(values) {
+    const { settings, errors } = normalizeShippingSettings(values);
+
+    if (errors.length > 0) {
+      return { settings: null, errors };
+    }
+
+    return { settings: await this.storeSettings.update('shipping', settings), errors };
+  }
+
+  /**
+   * Cota o frete de produtos já carregados do banco
+   * @param {string|null} cep - CEP de destino (sem ele, só a retirada é oferecida)
+   * @param {Array<Object>} entries - [{ product: registro de products, quantidade }]
+   * @param {Object|null} settings - Configuração de frete, se já carregada
+   * @returns {Promise<Object>} { cep, package, options: [{ value, label, valor, prazo_dias, gratis, requires_address }], error }
+   */
+  async quote(cep, entries, settings = null) {
+    settings = settings || await this.getSettings();
+    const destination = cep ? normalizeCep(cep) : null;
+
+    if (cep && !destination) {
+      return { cep: null, package: null, options: [], error: { code: 'invalid_cep', message: `CEP inválido: ${cep}` } };
+    }
+
+    const subtotal = roundAmount(entries.reduce((sum, { product, quantidade }) => sum + toVitrineProduct(product).price * quantidade, 0));
+    const pack = packageWeight(entries.map(({ product, quantidade }) => ({
+      weight: toNumber(product.peso),
+      dimensions: extractDimensions(product.bling_data),
+      quantidade
+    })), settings);
+    const options = [];
+
+    if (destination) {
+      const provider = createShippingProvider(settings);
+      const { quotes, error } = provider
+        ? await provider.quote({ cep: destination, package: pack, subtotal })
+        : { quotes: [], error: null };
+      if (error) {
+        return { cep: destination, package: pack, options: [], error };
+      }
+
+      // Frete grátis da loja a partir de um valor: vale para a entrega mais barata
+      const cheapest = quotes.reduce((best, quote) => (!best || quote.price < best.price ? quote : best), null);
+      const freeAbove = settings.free_above !== null && subtotal >= settings.free_above;
+
+      quotes.forEach((quote) => {
+        const free = quote.free || (freeAbove && quote === cheapest);
+        options.push({
+          value: quote.service,
+          label: quote.label,
+          valor: free ? 0 : quote.price,
+          prazo_dias: quote.days,
+          gratis: free,
+          requires_address: true
+        });
+      });
+    }
+
+    if (settings.pickup.enabled) {
+      options.push({
+        value: PICKUP_OPTION,
+        label: settings.pickup.label,
+        valor: 0,
+        prazo_dias: settings.pickup.days,
+        gratis: true,
+        requires_address: false,
+        endereco: settings.pickup.address || null
+      });
+    }
+
+    return { cep: destination, package: pack, options, error: null };
+  }
+
+  /**
+   * Cota o frete de itens (do carrinho ou de um produto), carregando os produtos do banco
+   * @param {string|null} cep - CEP de destino
+   * @param {Array<Object>} lines - [{ product_id, quantidade }]
+   * @returns {Promise<Object>} { cep, package, options, error }
+   */
+  async quoteLines(cep, lines) {
+    if (lines.length === 0) {
+      return { cep: null, package: null, options: [], error: { code: 'empty_cart', message: 'Informe ao menos um produto' } };
+    }
+
+    const products = await this.db('products')
+      .whereIn('id', lines.map(line => line.product_id))
+      .where('ativo', true);
+    const byId = new Map(products.map(product => [product.id, product]));
+    const missing = lines.find(line => !byId.has(line.product_id));
+
+    if (missing) {
+      return { cep: null, package: null, options: [], error: { code: 'not_found', message: `Produto ${missing.product_id} não encontrado` } };
+    }
+
+    return this.quote(cep, lines.map(line => ({ product: byId.get(line.product_id), quantidade: line.quantidade })));
+  }
+}
+
+module.exports = ShippingService;
@@ -0,0 +1,40 @@
+const connection = require('../database/connection');
+
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+/**
+ * Configurações da loja (tabela store_settings, uma linha por seção: pix, gateway, shipping)
+ * Diferente de bling_config.sync_settings, não dependem da integração com o Bling estar conectada.
+ */
+class StoreSettingsService {
+  constructor(db = connection) {
+    this.db = db;
+  }
+
+  /**
+   * Lê uma seção
+   * @param {string} section - Chave da seção (ex.: 'pix')
+   * @returns {Promise<Object>} Configurações da seção (vazio se nunca foi salva)
+   */
+  async get(section) {
+    const row = await this.db('store_settings').where('section', section).first();
+    return parseJson(row?.settings) || {};
+  }
+
+  /**
+   * Grava uma seção, criando-a se ainda não existir
+   * @param {string} section - Chave da seção
+   * @param {Object} values - Novos valores da seção
+   * @returns {Promise<Object>} Valores gravados
+   */
+  async update(section, values) {
+    await this.db('store_settings')
+      .insert({ section, settings: JSON.stringify(values) })
+      .onConflict('section')
+      .merge({ settings: JSON.stringify(values), updated_at: this.db.fn.now() });
+
+    return values;
+  }
+}
+
+module.exports = StoreSettingsService;
@@ -0,0 +1,433 @@
+const connection = require('../database/connection');
+const ProductSyncService = require('./ProductSyncService');
+const ActivityLogService = require('./ActivityLogService');
+
+// Quantidade máxima de erros guardados no job (os demais entram só na contagem)
+const MAX_STORED_ERRORS = 500;
+
+// Intervalo mínimo entre gravações de progresso no banco (ms)
+const PROGRESS_INTERVAL = 1000;
+
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+// Status em que a prévia terminou e pode ser aplicada
+const APPLICABLE_STATUSES = ['completed', 'partial'];
+
+// Status do job => status da atividade registrada
+const ACTIVITY_STATUSES = {
+  completed: 'success',
+  partial: 'warning',
+  cancelled: 'warning',
+  failed: 'error'
+};
+
+/**
+ * Serviço de jobs de sincronização em segundo plano
+ * Cada sincronização vira um registro em `sync_jobs`, com status,
+ * progresso e lista de erros, que pode ser acompanhado e cancelado.
+ * Jobs de prévia (options.dry_run) guardam as alterações calculadas em `sync_job_changes`.
+ */
+class SyncJobService {
+  constructor(productSyncService = new ProductSyncService(), db = connection) {
+    this.productSyncService = productSyncService;
+    this.db = db;
+    this.activityLog = new ActivityLogService(db);
+  }
+
+  /**
+   * Formata o registro do job para a API
+   * @param {Object} job - Registro de sync_jobs
+   * @returns {Object}
+   */
+  serialize(job) {
+    const parse = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+    return {
+      id: job.id,
+      type: job.type,
+      status: job.status,
+      trigger: job.trigger,
+      options: parse(job.options) || {},
+      phase: job.phase,
+      pages: job.pages,
+      fetched: job.fetched,
+      total: job.total,
+      processed: job.processed,
+      created: job.created,
+      updated: job.updated,
+      deactivated: job.deactivated,
+      errorCount: job.error_count,
+      errors: parse(job.errors) || [],
+      message: job.message,
+      cancelRequested: job.cancel_requested,
+      startedAt: job.started_at,
+      finishedAt: job.finished_at,
+      createdAt: job.created_at
+    };
+  }
+
+  /**
+   * Busca um job
+   * @param {number} id - ID do job
+   * @returns {Promise<Object|null>}
+   */
+  async get(id) {
+    const job = await this.db('sync_jobs').where('id', id).first();
+    return job ? this.serialize(job) : null;
+  }
+
+  /**
+   * Lista os jobs mais recentes
+   * @param {Object} filters - { limit, status }
+   * @returns {Promise<Array>}
+   */
+  async list({ limit = 20, status } = {}) {
+    const jobs = await this.db('sync_jobs')
+      .modify((query) => {
+        if (status) query.where('status', status);
+      })
+      .orderBy('id', 'desc')
+      .limit(limit);
+
+    return jobs.map(job => this.serialize(job));
+  }
+
+  /**
+   * Job de sincronização de produtos em andamento, se houver
+   * @returns {Promise<Object|null>}
+   */
+  async findActive() {
+    const job = await this.db('sync_jobs')
+      .where('type', 'products')
+      .whereIn('status', ACTIVE_STATUSES)
+      .first();
+
+    return job ? this.serialize(job) : null;
+  }
+
+  /**
+   * Cria o job e inicia a sincronização em segundo plano
+   * @param {Object} options - { mode, reconcile, dryRun, trigger }
+   * @returns {Promise<Object>} { job, alreadyRunning }
+   */
+  async start({ mode, reconcile = false, dryRun = false, trigger = 'manual' } = {}) {
+    const options = { mode: mode || null, reconcile: Boolean(reconcile), dry_run: Boolean(dryRun) };
+
+    let job;
+    try {
+      [job] = await this.db('sync_jobs')
+        .insert({
+          type: 'products',
+          status: 'queued',
+          trigger,
+          options: JSON.stringify(options)
+        })
+        .returning('*');
+    } catch (error) {
+      // Índice único parcial: já existe um job em andamento
+      if (error.code === '23505') {
+        return { job: await this.findActive(), alreadyRunning: true };
+      }
+      throw error;
+    }
+
+    // Executa sem bloquear a requisição; erros ficam registrados no próprio job
+    setImmediate(() => {
+      this.run(job.id, options).catch((error) => {
+        console.error(`Erro inesperado no job de sincronização ${job.id}:`, error);
+      });
+    });
+
+    return { job: this.serialize(job), alreadyRunning: false };
+  }
+
+  /**
+   * Executa a sincronização de um job, gravando o progresso
+   * @param {number} jobId - ID do job
+   * @param {Object} options - Opções da sincronização
+   */
+  async run(jobId, options) {
+    const startedAt = Date.now();
+    await this.db('sync_jobs')
+      .where('id', jobId)
+      .update({ status: 'running', started_at: this.db.fn.now(), updated_at: this.db.fn.now() });
+
+    let lastWrite = 0;
+    const saveProgress = async (progress, force = false) => {
+      if (!force && Date.now() - lastWrite < PROGRESS_INTERVAL) {
+        return;
+      }
+      lastWrite = Date.now();
+
+      await this.db('sync_jobs')
+        .where('id', jobId)
+        .update({
+          phase: progress.phase,
+          pages: progress.pages,
+          fetched: progress.fetched,
+          total: progress.total,
+          processed: progress.processed,
+          created: progress.created,
+          updated: progress.updated,
+          deactivated: progress.deactivated,
+          error_count: progress.errors.length,
+          errors: JSON.stringify(progress.errors.slice(0, MAX_STORED_ERRORS)),
+          updated_at: this.db.fn.now()
+        });
+    };
+
+    const isCancelled = async () => {
+      const job = await this.db('sync_jobs').where('id', jobId).first('cancel_requested');
+      return Boolean(job?.cancel_requested);
+    };
+
+    const saveChanges = async (changes) => {
+      await this.db('sync_job_changes').insert(changes.map(change => ({
+        job_id: jobId,
+        bling_id: change.bling_id,
+        product_id: change.product_id,
+        action: change.action,
+        nome: change.nome,
+        changes: change.changes ? JSON.stringify(change.changes) : null,
+        data: change.data ? JSON.stringify(change.data) : null,
+        reason: change.reason || null
+      })));
+    };
+
+    try {
+      const result = await this.productSyncService.run({ ...options, dryRun: options.dry_run }, {
+        onProgress: (progress) => saveProgress(progress),
+        onChanges: saveChanges,
+        isCancelled
+      });
+
+      await saveProgress(result, true);
+
+      let status = 'completed';
+      let message = `Sincronização concluída: ${result.synchronized} produtos processados`;
+
+      if (options.dry_run && !result.cancelled) {
+        message = `Prévia concluída: ${result.created} novos, ${result.updated} alterados, ` +
+          `${result.deactivated} a inativar, ${result.excluded} fora das regras`;
+      }
+
+      if (result.cancelled) {
+        status = 'cancelled';
+        message = `Sincronização cancelada: ${result.synchronized} produtos processados`;
+      } else if (!result.complete && result.total === 0 && result.errors.length > 0) {
+        status = 'failed';
+        message = 'Não foi possível buscar os produtos no Bling';
+      } else if (!result.complete) {
+        status = 'partial';
+        message = `Sincronização parcial: ${result.synchronized} produtos processados, ${result.errors.length} erro(s)`;
+      }
+
+      await this.finish(jobId, status, message);
+      await this.recordActivity(jobId, options, status, message, result);
+    } catch (error) {
+      console.error(`Erro no job de sincronização ${jobId}:`, error);
+      await this.finish(jobId, 'failed', error.message);
+      await this.recordActivity(jobId, options, 'failed', error.message, {
+        duration: Date.now() - startedAt,
+        errors: [{ error: error.message }]
+      });
+    }
+  }
+
+  /**
+   * Registra a execução do job no log de atividades
+   * @param {number} jobId - ID do job
+   * @param {Object} options - Opções do job
+   * @param {string} status - Status final do job
+   * @param {string} message - Resumo do job
+   * @param {Object} result - Resumo da sincronização (ProductSyncService.run)
+   */
+  async recordActivity(jobId, options, status, message, result) {
+    await this.activityLog.record({
+      type: 'sync',
+      action: options.dry_run ? 'sync.preview' : 'sync.run',
+      status: ACTIVITY_STATUSES[status] || 'info',
+      title: options.dry_run ? 'Prévia da sincronização de produtos' : 'Sincronização de produtos com o Bling',
+      message,
+      counts: {
+        fetched: result.fetched || 0,
+        created: result.created || 0,
+        updated: result.updated || 0,
+        deactivated: result.deactivated || 0,
+        excluded: result.excluded || 0
+      },
+      duration: result.duration,
+      errors: result.errors,
+      reference: `sync_job:${jobId}`
+    });
+  }
+
+  /**
+   * Marca o job como finalizado
+   */
+  async finish(jobId, status, message) {
+    await this.db('sync_jobs')
+      .where('id', jobId)
+      .update({
+        status,
+        message,
+        finished_at: this.db.fn.now(),
+        updated_at: this.db.fn.now()
+      });
+  }
+
+  /**
+   * Solicita o cancelamento de um job em andamento
+   * O job para na próxima página ou lote, mantendo o que já foi gravado.
+   * @param {number} id - ID do job
+   * @returns {Promise<Object|null>} Job atualizado (null se não existir)
+   */
+  async cancel(id) {
+    const job = await this.db('sync_jobs').where('id', id).first();
+    if (!job) {
+      return null;
+    }
+
+    if (ACTIVE_STATUSES.includes(job.status)) {
+      await this.db('sync_jobs')
+        .where('id', id)
+        .update({ cancel_requested: true, updated_at: this.db.fn.now() });
+    }
+
+    return this.get(id);
+  }
+
+  /**
+   * Formata uma alteração da prévia para a API
+   * @param {Object} change - Registro de sync_job_changes
+   * @returns {Object}
+   */
+  serializeChange(change) {
+    const parse = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+    return {
+      id: change.id,
+      blingId: Number(change.bling_id),
+      productId: change.product_id,
+      action: change.action,
+      nome: change.nome,
+      changes: parse(change.changes) || {},
+      reason: change.reason,
+      appliedAt: change.applied_at
+    };
+  }
+
+  /**
+   * Lista as alterações calculadas por uma prévia
+   * @param {number} jobId - ID do job de prévia
+   * @param {Object} filters - { action, page, limit }
+   * @returns {Promise<Object>} { changes, summary, pagination }
+   */
+  async listChanges(jobId, { action, page = 1, limit = 50 } = {}) {
+    const filtered = () => this.db('sync_job_changes')
+      .where('job_id', jobId)
+      .modify((query) => {
+        if (action) query.where('action', action);
+      });
+
+    const [changes, totalResult, summaryRows] = await Promise.all([
+      filtered()
+        .orderBy('id', 'asc')
+        .limit(limit)
+        .offset((page - 1) * limit),
+      filtered().count('* as total').first(),
+      this.db('sync_job_changes')
+        .where('job_id', jobId)
+        .groupBy('action')
+        .select('action')
+        .count('* as total')
+        .count('applied_at as applied')
+    ]);
+
+    const total = Number(totalResult.total);
+    const summary = { create: 0, update: 0, deactivate: 0, skip: 0, applied: 0 };
+    summaryRows.forEach((row) => {
+      summary[row.action] = Number(row.total);
+      summary.applied += Number(row.applied);
+    });
+
+    return {
+      changes: changes.map(change => this.serializeChange(change)),
+      summary,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Indica se o job é uma prévia que já terminou e pode ser aplicada
+   * @param {Object} job - Job serializado
+   * @returns {boolean}
+   */
+  isApplicablePreview(job) {
+    return Boolean(job.options.dry_run) && APPLICABLE_STATUSES.includes(job.status);
+  }
+
+  /**
+   * Aplica as alterações pendentes de uma prévia (todas ou apenas as selecionadas)
+   * @param {number} jobId - ID do job de prévia
+   * @param {Array<number>|null} changeIds - IDs de sync_job_changes (null = todas)
+   * @returns {Promise<Object>} { created, updated, deactivated, applied, stale, errors }
+   */
+  async applyChanges(jobId, changeIds = null) {
+    const changes = await this.db('sync_job_changes')
+      .where('job_id', jobId)
+      .whereNull('applied_at')
+      .whereNot('action', 'skip')
+      .modify((query) => {
+        if (changeIds) query.whereIn('id', changeIds);
+      })
+      .orderBy('id', 'asc');
+
+    // Produtos alterados depois do início da prévia não recebem os valores dela
+    const job = await this.db('sync_jobs').where('id', jobId).first('started_at', 'created_at');
+    const rules = await this.productSyncService.getRules();
+    const result = await this.productSyncService.applyChanges(changes, rules, job.started_at || job.created_at);
+
+    if (result.applied.length > 0) {
+      await this.db('sync_job_changes')
+        .whereIn('id', result.applied)
+        .update({ applied_at: this.db.fn.now(), updated_at: this.db.fn.now() });
+    }
+
+    await this.activityLog.record({
+      type: 'sync',
+      action: 'sync.apply',
+      status: result.errors.length > 0 || result.stale.length > 0 ? 'warning' : 'success',
+      title: 'Prévia da sincronização aplicada',
+      message: `${result.applied.length} alteração(ões) aplicada(s)` +
+        (result.stale.length > 0 ? `, ${result.stale.length} desatualizada(s) (o produto mudou depois da prévia)` : ''),
+      counts: { created: result.created, updated: result.updated, deactivated: result.deactivated },
+      errors: result.errors,
+      reference: `sync_job:${jobId}`
+    });
+
+    return { ...result, applied: result.applied.length, stale: result.stale.length };
+  }
+
+  /**
+   * Marca como falhos os jobs que ficaram em andamento quando o servidor parou
+   * @returns {Promise<number>} Quantidade de jobs marcados
+   */
+  async recoverInterrupted() {
+    return this.db('sync_jobs')
+      .whereIn('status', ACTIVE_STATUSES)
+      .update({
+        status: 'failed',
+        message: 'Sincronização interrompida pela reinicialização do servidor',
+        finished_at: this.db.fn.now(),
+        updated_at: this.db.fn.now()
+      });
+  }
+}
+
+module.exports = SyncJobService;
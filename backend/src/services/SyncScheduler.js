@@ -0,0 +1,109 @@
+const connection = require('../database/connection');
+const SyncJobService = require('./SyncJobService');
+const BlingConfigService = require('./BlingConfigService');
+
+// Frequência com que o agendador confere se está na hora de sincronizar (ms)
+const CHECK_INTERVAL = 60 * 1000;
+
+// Intervalo padrão entre sincronizações automáticas (minutos)
+const DEFAULT_INTERVAL_MINUTES = Math.round(Number(process.env.BLING_SYNC_INTERVAL || 3600000) / 60000);
+
+/**
+ * Agendador da sincronização automática
+ * Respeita bling_config.sync_enabled e a seção `schedule` de bling_config.sync_settings
+ * ({ interval_minutes, mode, reconcile }).
+ */
+class SyncScheduler {
+  constructor(syncJobService = new SyncJobService(), db = connection) {
+    this.syncJobService = syncJobService;
+    this.configService = new BlingConfigService(db);
+    this.db = db;
+    this.timer = null;
+  }
+
+  /**
+   * Configuração atual do agendamento
+   * @returns {Promise<Object>} { enabled, interval_minutes, mode, reconcile, last_run_at, next_run_at }
+   */
+  async getSchedule() {
+    const config = await this.configService.get();
+    const settings = await this.configService.getSyncSettings('schedule');
+    const intervalMinutes = Number(settings.interval_minutes) || DEFAULT_INTERVAL_MINUTES;
+
+    // Prévias (dry-run) não contam como sincronização
+    const lastJob = await this.db('sync_jobs')
+      .where('type', 'products')
+      .whereRaw("coalesce((options->>'dry_run')::boolean, false) = false")
+      .orderBy('id', 'desc')
+      .first('created_at');
+
+    const lastRunAt = lastJob ? new Date(lastJob.created_at) : null;
+    const enabled = Boolean(config?.sync_enabled);
+
+    return {
+      enabled,
+      interval_minutes: intervalMinutes,
+      mode: settings.mode || null,
+      reconcile: Boolean(settings.reconcile),
+      last_run_at: lastRunAt,
+      next_run_at: enabled
+        ? new Date(lastRunAt ? lastRunAt.getTime() + intervalMinutes * 60 * 1000 : Date.now())
+        : null
+    };
+  }
+
+  /**
+   * Inicia o agendador
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.syncJobService.recoverInterrupted()
+      .then((count) => {
+        if (count > 0) {
+          console.warn(`${count} sincronização(ões) interrompida(s) marcada(s) como falha`);
+        }
+      })
+      .catch((error) => console.error('Erro ao recuperar jobs de sincronização:', error.message));
+
+    this.timer = setInterval(() => this.tick(), CHECK_INTERVAL);
+    this.timer.unref();
+  }
+
+  /**
+   * Para o agendador
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Confere se está na hora de sincronizar e inicia o job
+   */
+  async tick() {
+    try {
+      const schedule = await this.getSchedule();
+
+      if (!schedule.enabled || schedule.next_run_at > new Date()) {
+        return;
+      }
+
+      const { job, alreadyRunning } = await this.syncJobService.start({
+        mode: schedule.mode,
+        reconcile: schedule.reconcile,
+        trigger: 'scheduled'
+      });
+
+      if (!alreadyRunning) {
+        console.log(`Sincronização agendada iniciada (job ${job.id})`);
+      }
+    } catch (error) {
+      console.error('Erro no agendador de sincronização:', error.message);
+    }
+  }
+}
+
+module.exports = SyncScheduler;
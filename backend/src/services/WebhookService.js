@@ -0,0 +1,189 @@
+const crypto = require('crypto');
+const connection = require('../database/connection');
+const ActivityLogService = require('./ActivityLogService');
+const { verifyHmacSignature } = require('../utils/signature');
+
+// Nomes de eventos da API v3 do Bling => nomes usados internamente
+const EVENT_ALIASES = {
+  'product.created': 'produto.criado',
+  'product.updated': 'produto.atualizado',
+  'product.deleted': 'produto.excluido',
+  'stock.created': 'estoque.alterado',
+  'stock.updated': 'estoque.alterado',
+  'stock.deleted': 'estoque.alterado',
+  'virtual_stock.updated': 'estoque.alterado',
+  'order.created': 'pedido.criado',
+  'order.updated': 'pedido.alterado',
+  'order.deleted': 'pedido.excluido'
+};
+
+/**
+ * Serviço de webhooks do Bling
+ * Verifica a assinatura HMAC, registra cada evento em `bling_webhook_events`
+ * e controla o status de processamento (com suporte a reprocessamento).
+ */
+class WebhookService {
+  constructor(db = connection) {
+    this.db = db;
+    this.activityLog = new ActivityLogService(db);
+    // O Bling assina os webhooks com o client secret do aplicativo
+    this.secret = process.env.BLING_WEBHOOK_SECRET || process.env.BLING_CLIENT_SECRET;
+  }
+
+  /**
+   * Verifica a assinatura enviada pelo Bling (X-Bling-Signature-256: sha256=<hex>)
+   * @param {Buffer|string} rawBody - Corpo original da requisição
+   * @param {string} signatureHeader - Valor do cabeçalho de assinatura
+   * @returns {boolean}
+   */
+  verifySignature(rawBody, signatureHeader) {
+    return verifyHmacSignature(rawBody, signatureHeader, this.secret);
+  }
+
+  /**
+   * Normaliza o corpo do webhook (formato v3 ou legado { evento, dados })
+   * @param {Object} body - Corpo já convertido de JSON
+   * @param {Buffer|string} rawBody - Corpo original, usado para gerar o ID quando o Bling não envia
+   * @returns {Object} { eventId, event, data }
+   */
+  parse(body, rawBody) {
+    const rawEvent = body.event || body.evento || 'desconhecido';
+
+    return {
+      eventId: String(body.eventId || crypto.createHash('sha256').update(rawBody || JSON.stringify(body)).digest('hex')),
+      event: EVENT_ALIASES[rawEvent] || rawEvent,
+      data: body.data || body.dados || {}
+    };
+  }
+
+  /**
+   * Registra o evento recebido
+   * @param {Object} parsed - Evento normalizado (parse)
+   * @param {Object} payload - Corpo recebido
+   * @returns {Promise<Object>} { record, duplicate }
+   */
+  async record(parsed, payload) {
+    const [record] = await this.db('bling_webhook_events')
+      .insert({
+        event_id: parsed.eventId,
+        event: parsed.event,
+        payload: JSON.stringify(payload)
+      })
+      .onConflict('event_id')
+      .ignore()
+      .returning('*');
+
+    if (record) {
+      return { record, duplicate: false };
+    }
+
+    const existing = await this.db('bling_webhook_events')
+      .where('event_id', parsed.eventId)
+      .first();
+
+    return { record: existing, duplicate: true };
+  }
+
+  /**
+   * Processa um evento registrado, atualizando o status conforme o resultado
+   * @param {Object} record - Registro de bling_webhook_events
+   * @param {Function} handler - Recebe (event, data); retorna false para eventos ignorados
+   * @returns {Promise<Object>} Registro atualizado
+   */
+  async process(record, handler) {
+    const payload = typeof record.payload === 'string' ? JSON.parse(record.payload) : record.payload;
+    const { data } = this.parse(payload);
+    const startedAt = Date.now();
+
+    await this.db('bling_webhook_events')
+      .where('id', record.id)
+      .update({
+        status: 'processing',
+        attempts: this.db.raw('attempts + 1'),
+        updated_at: this.db.fn.now()
+      });
+
+    try {
+      const handled = await handler(record.event, data);
+
+      await this.db('bling_webhook_events')
+        .where('id', record.id)
+        .update({
+          status: handled === false ? 'ignored' : 'processed',
+          error: null,
+          processed_at: this.db.fn.now(),
+          updated_at: this.db.fn.now()
+        });
+    } catch (error) {
+      console.error(`Erro ao processar webhook ${record.event_id} (${record.event}):`, error);
+
+      await this.db('bling_webhook_events')
+        .where('id', record.id)
+        .update({
+          status: 'failed',
+          error: error.message,
+          updated_at: this.db.fn.now()
+        });
+    }
+
+    const processed = await this.get(record.id);
+
+    await this.activityLog.record({
+      type: 'webhook',
+      action: `webhook.${processed.status}`,
+      status: { processed: 'success', ignored: 'info', failed: 'error' }[processed.status] || 'info',
+      title: `Webhook ${record.event}`,
+      message: processed.status === 'ignored' ? 'Evento não tratado pela vitrine' : processed.error,
+      counts: { attempts: processed.attempts },
+      duration: Date.now() - startedAt,
+      reference: `webhook_event:${record.id}`
+    });
+
+    return processed;
+  }
+
+  /**
+   * Busca um evento
+   * @param {number} id - ID do registro
+   * @returns {Promise<Object|null>}
+   */
+  async get(id) {
+    const record = await this.db('bling_webhook_events').where('id', id).first();
+    return record || null;
+  }
+
+  /**
+   * Lista eventos com filtros e paginação
+   * @param {Object} filters - { status, event, page, limit }
+   * @returns {Promise<Object>} { events, pagination }
+   */
+  async list({ status, event, page = 1, limit = 20 } = {}) {
+    const filtered = () => this.db('bling_webhook_events')
+      .modify((query) => {
+        if (status) query.where('status', status);
+        if (event) query.where('event', event);
+      });
+
+    const [events, totalResult] = await Promise.all([
+      filtered()
+        .orderBy('id', 'desc')
+        .limit(limit)
+        .offset((page - 1) * limit),
+      filtered().count('* as total').first()
+    ]);
+
+    const total = Number(totalResult.total);
+
+    return {
+      events,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+}
+
+module.exports = WebhookService;
@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+const PaymentProvider = require('./PaymentProvider');
+const { verifyHmacSignature } = require('../../utils/signature');
+const { DEFAULT_PAYMENT_SETTINGS, addDays } = require('../../utils/paymentMapping');
+
+// Cartões de teste aceitos no lugar do token gerado pelo SDK de um gateway real
+const TEST_CARDS = {
+  fake_card_approved: { label: 'Aprovado (Visa final 1111)', approved: true, brand: 'visa', last4: '1111' },
+  fake_card_declined: { label: 'Recusado (Mastercard final 0002)', approved: false, brand: 'mastercard', last4: '0002' }
+};
+
+// Situações aceitas nas notificações simuladas
+const WEBHOOK_STATUSES = ['paid', 'failed', 'refunded', 'cancelled'];
+
+const randomDigits = (length) => Array.from(crypto.randomBytes(length), byte => byte % 10).join('');
+
+/**
+ * Gateway simulado para desenvolvimento
+ * Aprova ou recusa conforme o cartão de teste, emite boletos fictícios e aceita notificações
+ * assinadas com PAYMENT_WEBHOOK_SECRET (npm run payment:webhook). Nada sai da máquina.
+ */
+class FakePaymentProvider extends PaymentProvider {
+  publicConfig() {
+    return {
+      test_cards: Object.entries(TEST_CARDS).map(([token, card]) => ({ token, label: card.label }))
+    };
+  }
+
+  /**
+   * Linha digitável fictícia (banco 000), com o valor nas últimas posições como num boleto real
+   */
+  boletoLine(amount) {
+    const digits = `000${randomDigits(34)}${String(Math.round(amount * 100)).padStart(10, '0')}`;
+    return digits.replace(/^(\d{5})(\d{5})(\d{5})(\d{6})(\d{5})(\d{6})(\d)(\d{14})$/, '$1.$2 $3.$4 $5.$6 $7 $8');
+  }
+
+  async createCharge({ method, amount, card = null, dueDate = null, capture = true }) {
+    const reference = `fake_ch_${crypto.randomBytes(8).toString('hex')}`;
+
+    if (method === 'boleto') {
+      // Sem parcela com vencimento (ex.: pedido sem forma do Bling vinculada), vale o prazo padrão
+      const vencimento = /^\d{4}-\d{2}-\d{2}$/.test(dueDate || '')
+        ? dueDate
+        : addDays(new Date(), DEFAULT_PAYMENT_SETTINGS.boleto_due_days);
+      const expiresAt = new Date(`${vencimento}T23:59:59`);
+      return {
+        charge: {
+          reference,
+          status: 'pending',
+          expiresAt,
+          failureReason: null,
+          details: { linha_digitavel: this.boletoLine(amount), url: null, vencimento }
+        },
+        error: null
+      };
+    }
+
+    if (method !== 'cartao_credito') {
+      return { charge: null, error: { code: 'unsupported_method', message: `O gateway simulado não cobra ${method}` } };
+    }
+
+    const testCard = TEST_CARDS[card?.token];
+    if (!testCard) {
+      return {
+        charge: { reference, status: 'failed', expiresAt: null, failureReason: 'Cartão inválido', details: null },
+        error: null
+      };
+    }
+
+    return {
+      charge: {
+        reference,
+        status: !testCard.approved ? 'failed' : (capture ? 'paid' : 'authorized'),
+        expiresAt: null,
+        failureReason: testCard.approved ? null : 'Transação recusada pelo emissor (cartão de teste)',
+        details: { brand: testCard.brand, last4: testCard.last4 }
+      },
+      error: null
+    };
+  }
+
+  async capture(reference, amount) {
+    return { captured: true, amount, error: null };
+  }
+
+  async refund(reference, amount) {
+    return { refunded: true, amount, reference: `fake_re_${crypto.randomBytes(8).toString('hex')}`, error: null };
+  }
+
+  parseWebhook(rawBody, headers) {
+    if (!verifyHmacSignature(rawBody, headers['x-payment-signature'], this.options.secret)) {
+      return { event: null, error: { code: 'invalid_signature', message: 'Notificação sem assinatura válida' } };
+    }
+
+    const body = JSON.parse(rawBody.toString());
+    if (!body.referencia || !WEBHOOK_STATUSES.includes(body.status)) {
+      return {
+        event: null,
+        error: { code: 'invalid_event', message: `Notificação inválida (use referencia e status: ${WEBHOOK_STATUSES.join(', ')})` }
+      };
+    }
+
+    return {
+      event: {
+        reference: body.referencia,
+        status: body.status,
+        amount: body.valor === undefined ? null : Number(body.valor),
+        paidAt: body.pago_em || null,
+        refundId: body.estorno_id || null,
+        raw: body
+      },
+      error: null
+    };
+  }
+}
+
+module.exports = FakePaymentProvider;
@@ -0,0 +1,66 @@
+/**
+ * Interface dos provedores de pagamento de cartão e boleto
+ * Cada gateway (Pagar.me, Mercado Pago, ...) estende esta classe e é registrado em
+ * paymentProviders/index.js. O PaymentService só conversa com o provedor por estes métodos;
+ * falhas de comunicação são lançadas como exceção, recusas e erros de negócio são retornados.
+ */
+class PaymentProvider {
+  /**
+   * @param {Object} options - { secret: segredo das notificações (PAYMENT_WEBHOOK_SECRET) }
+   */
+  constructor(options = {}) {
+    this.options = options;
+  }
+
+  /**
+   * Dados públicos usados pelo checkout (ex.: chave pública para tokenizar o cartão)
+   * @returns {Object}
+   */
+  publicConfig() {
+    return {};
+  }
+
+  /**
+   * Cria a cobrança de um pedido
+   * @param {Object} data - { method: cartao_credito | boleto, amount, installments, description,
+   *   customer, card: dados tokenizados no navegador, dueDate: vencimento do boleto, capture: captura na aprovação }
+   * @returns {Promise<Object>} { charge: { reference, status: paid | authorized | pending | failed,
+   *   expiresAt, failureReason, details }, error }
+   */
+  async createCharge() {
+    throw new Error(`${this.constructor.name} não implementa createCharge`);
+  }
+
+  /**
+   * Captura uma cobrança de cartão autorizada
+   * @param {string} reference - Identificador da cobrança no provedor
+   * @param {number} amount - Valor a capturar
+   * @returns {Promise<Object>} { captured, amount, error }
+   */
+  async capture() {
+    throw new Error(`${this.constructor.name} não implementa capture`);
+  }
+
+  /**
+   * Estorna, total ou parcialmente, uma cobrança paga
+   * @param {string} reference - Identificador da cobrança no provedor
+   * @param {number} amount - Valor a estornar
+   * @returns {Promise<Object>} { refunded, amount, reference: identificador do estorno, error }
+   */
+  async refund() {
+    throw new Error(`${this.constructor.name} não implementa refund`);
+  }
+
+  /**
+   * Valida e interpreta uma notificação do provedor
+   * @param {Buffer|string} rawBody - Corpo original da requisição
+   * @param {Object} headers - Cabeçalhos da requisição
+   * @returns {Object} { event: { reference, status: paid | failed | refunded | cancelled, amount, paidAt, refundId, raw }, error }
+   * (refundId: identificador do estorno no gateway, para não somar o mesmo estorno duas vezes)
+   */
+  parseWebhook() {
+    throw new Error(`${this.constructor.name} não implementa parseWebhook`);
+  }
+}
+
+module.exports = PaymentProvider;
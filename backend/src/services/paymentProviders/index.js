@@ -0,0 +1,19 @@
+const FakePaymentProvider = require('./FakePaymentProvider');
+const { isProviderAllowed } = require('../../utils/paymentGateway');
+
+// Provedor de cada valor de store_settings.gateway.provider ("none" não cobra pela loja)
+const PROVIDERS = {
+  fake: FakePaymentProvider
+};
+
+/**
+ * Instancia o provedor configurado
+ * @param {string} name - Nome do provedor (ver utils/paymentGateway)
+ * @param {Object} options - Opções repassadas ao provedor
+ * @returns {PaymentProvider|null} null quando não há gateway (ou o simulado, em produção)
+ */
+const createPaymentProvider = (name, options = {}) => (
+  PROVIDERS[name] && isProviderAllowed(name) ? new PROVIDERS[name](options) : null
+);
+
+module.exports = { createPaymentProvider };
@@ -0,0 +1,25 @@
+/**
+ * Interface dos provedores de frete
+ * Cada provedor (tabela própria, Correios, Melhor Envio, ...) estende esta classe e é
+ * registrado em shippingProviders/index.js. O ShippingService só conversa com o provedor
+ * por quote; a retirada na loja e o frete grátis por valor ficam no próprio serviço.
+ */
+class ShippingProvider {
+  /**
+   * @param {Object} settings - Configuração de frete (utils/shipping)
+   */
+  constructor(settings = {}) {
+    this.settings = settings;
+  }
+
+  /**
+   * Cota a entrega de um pacote para um CEP
+   * @param {Object} data - { cep: 8 dígitos, package: { weight, cubic_weight, billable_weight } em kg, subtotal }
+   * @returns {Promise<Object>} { quotes: [{ service, label, price, days, free }], error }
+   */
+  async quote() {
+    throw new Error(`${this.constructor.name} não implementa quote`);
+  }
+}
+
+module.exports = ShippingProvider;
@@ -0,0 +1,55 @@
+const ShippingProvider = require('./ShippingProvider');
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Frete pelas tabelas cadastradas no painel (store_settings, seção shipping)
+ * Para cada serviço vale a primeira tabela cuja faixa de CEP contém o destino. O valor é o
+ * da primeira faixa de peso que comporta o pacote; acima da última faixa, soma o valor por
+ * kg adicional (sem ele, o serviço não atende o pacote).
+ */
+class TableShippingProvider extends ShippingProvider {
+  /**
+   * Valor da tabela para um peso
+   * @param {Object} rate - Tabela de frete
+   * @param {number} weight - Peso cobrado (kg)
+   * @returns {number|null} null quando o peso excede a tabela
+   */
+  priceFor(rate, weight) {
+    const band = rate.bands.find(item => weight <= item.max_weight);
+    if (band) {
+      return band.price;
+    }
+
+    if (rate.extra_kg_price === null) {
+      return null;
+    }
+
+    const last = rate.bands[rate.bands.length - 1];
+    return roundAmount(last.price + Math.ceil(weight - last.max_weight) * rate.extra_kg_price);
+  }
+
+  async quote({ cep, package: pack, subtotal }) {
+    const services = new Set();
+    const quotes = [];
+
+    for (const rate of this.settings.rates) {
+      if (services.has(rate.service) || cep < rate.cep_start || cep > rate.cep_end) {
+        continue;
+      }
+      services.add(rate.service);
+
+      const price = this.priceFor(rate, pack.billable_weight);
+      if (price === null) {
+        continue;
+      }
+
+      const free = rate.free_above !== null && subtotal >= rate.free_above;
+      quotes.push({ service: rate.service, label: rate.label, price: free ? 0 : price, days: rate.days, free });
+    }
+
+    return { quotes, error: null };
+  }
+}
+
+module.exports = TableShippingProvider;
@@ -0,0 +1,15 @@
+const TableShippingProvider = require('./TableShippingProvider');
+
+// Provedor de cada valor de store_settings.shipping.provider
+const PROVIDERS = {
+  table: TableShippingProvider
+};
+
+/**
+ * Instancia o provedor configurado
+ * @param {Object} settings - Configuração de frete (utils/shipping)
+ * @returns {ShippingProvider|null} null para um provedor desconhecido
+ */
+const createShippingProvider = (settings) => (PROVIDERS[settings.provider] ? new PROVIDERS[settings.provider](settings) : null);
+
+module.exports = { createShippingProvider };
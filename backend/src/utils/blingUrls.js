@@ -0,0 +1,43 @@
+/**
+ * Endereços da API Bling usados pela integração.
+ * Com BLING_SANDBOX=true apontam para o sandbox local (src/sandbox), montado no próprio backend.
+ */
+
+const DEFAULT_API_URL = 'https://www.bling.com.br/Api/v3';
+
+// Caminho onde o sandbox é montado no backend
+const SANDBOX_PATH = '/sandbox/bling';
+
+const isSandbox = () => process.env.BLING_SANDBOX === 'true';
+
+/**
+ * URL base da API v3 (BLING_SANDBOX_URL permite usar um sandbox rodando em outro processo)
+ * @returns {string}
+ */
+const getApiUrl = () => {
+  if (isSandbox()) {
+    const sandboxUrl = process.env.BLING_SANDBOX_URL || `http://localhost:${process.env.PORT || 3333}${SANDBOX_PATH}`;
+    return `${sandboxUrl}/Api/v3`;
+  }
+
+  return process.env.BLING_API_URL || DEFAULT_API_URL;
+};
+
+/**
+ * URL da tela de autorização OAuth2
+ * @returns {string}
+ */
+const getAuthorizeUrl = () => {
+  if (isSandbox()) {
+    return `${getApiUrl()}/oauth/authorize`;
+  }
+
+  return process.env.BLING_AUTH_URL || `${getApiUrl()}/oauth/authorize`;
+};
+
+module.exports = {
+  SANDBOX_PATH,
+  isSandbox,
+  getApiUrl,
+  getAuthorizeUrl
+};
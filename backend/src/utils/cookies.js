@@ -0,0 +1,20 @@
+/**
+ * Lê um cookie do cabeçalho da requisição
+ * @param {Object} req - Requisição Express
+ * @param {string} name - Nome do cookie
+ * @returns {string|null} Valor do cookie
+ */
+const getCookie = (req, name) => {
+  const header = req.headers.cookie || '';
+
+  for (const part of header.split(';')) {
+    const [key, ...value] = part.trim().split('=');
+    if (key === name) {
+      return decodeURIComponent(value.join('='));
+    }
+  }
+
+  return null;
+};
+
+module.exports = { getCookie };
@@ -0,0 +1,112 @@
+/**
+ * Validação de CPF e CNPJ (dígitos verificadores)
+ */
+
+const onlyDigits = (value) => String(value || '').replace(/\D/g, '');
+
+// Sequências como 111.111.111-11 passam no cálculo, mas não são documentos válidos
+const isRepeated = (digits) => /^(\d)\1+$/.test(digits);
+
+/**
+ * Calcula um dígito verificador (módulo 11)
+ * @param {string} digits - Dígitos considerados
+ * @param {Array<number>} weights - Pesos de cada dígito
+ * @returns {number}
+ */
+const checkDigit = (digits, weights) => {
+  const sum = weights.reduce((total, weight, index) => total + Number(digits[index]) * weight, 0);
+  const rest = sum % 11;
+  return rest < 2 ? 0 : 11 - rest;
+};
+
+const isValidCpf = (value) => {
+  const cpf = onlyDigits(value);
+  if (cpf.length !== 11 || isRepeated(cpf)) {
+    return false;
+  }
+
+  const first = checkDigit(cpf, [10, 9, 8, 7, 6, 5, 4, 3, 2]);
+  const second = checkDigit(cpf, [11, 10, 9, 8, 7, 6, 5, 4, 3, 2]);
+
+  return first === Number(cpf[9]) && second === Number(cpf[10]);
+};
+
+const isValidCnpj = (value) => {
+  const cnpj = onlyDigits(value);
+  if (cnpj.length !== 14 || isRepeated(cnpj)) {
+    return false;
+  }
+
+  const first = checkDigit(cnpj, [5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2]);
+  const second = checkDigit(cnpj, [6, 5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2]);
+
+  return first === Number(cnpj[12]) && second === Number(cnpj[13]);
+};
+
+/**
+ * Normaliza um CPF ou CNPJ e identifica o tipo de pessoa pelo tamanho
+ * @param {string} value - Documento, com ou sem máscara
+ * @returns {Object} { numero, tipo: 'F' | 'J', error }
+ */
+const parseDocument = (value) => {
+  const numero = onlyDigits(value);
+
+  if (numero.length === 11) {
+    return isValidCpf(numero)
+      ? { numero, tipo: 'F', error: null }
+      : { numero, tipo: 'F', error: `CPF inválido: ${value} (dígitos verificadores não conferem)` };
+  }
+
+  if (numero.length === 14) {
+    return isValidCnpj(numero)
+      ? { numero, tipo: 'J', error: null }
+      : { numero, tipo: 'J', error: `CNPJ inválido: ${value} (dígitos verificadores não conferem)` };
+  }
+
+  return { numero, tipo: null, error: `Documento inválido: ${value} (informe um CPF com 11 dígitos ou CNPJ com 14)` };
+};
+
+/**
+ * Valida os dados do cliente de um pedido.
+ * O documento pode vir em `documento`, `cpf` ou `cnpj`; o tipo de pessoa sai do número de dígitos.
+ * @param {Object} cliente - Cliente recebido no pedido
+ * @returns {Object} { customer, errors } com customer.documento = { numero, tipo } ou null
+ */
+const normalizeCustomer = (cliente = {}) => {
+  const errors = [];
+  const rawDocument = cliente.documento || cliente.cpf || cliente.cnpj || null;
+  const email = cliente.email ? String(cliente.email).trim() : null;
+  let documento = null;
+
+  if (!cliente.nome || !String(cliente.nome).trim()) {
+    errors.push('Informe o nome do cliente');
+  }
+
+  if (rawDocument) {
+    const parsed = parseDocument(rawDocument);
+    if (parsed.error) {
+      errors.push(parsed.error);
+    } else {
+      documento = { numero: parsed.numero, tipo: parsed.tipo };
+    }
+  } else if (!email) {
+    errors.push('Informe o CPF/CNPJ ou o email do cliente');
+  }
+
+  if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    errors.push(`Email inválido: ${email}`);
+  }
+
+  return {
+    customer: { ...cliente, nome: cliente.nome && String(cliente.nome).trim(), email, documento },
+    errors
+  };
+};
+
+module.exports = {
+  onlyDigits,
+  isValidCpf,
+  isValidCnpj,
+  parseDocument,
+  normalizeCustomer
+};
@@ -0,0 +1,78 @@
+/**
+ * Calculadora de parcelas do cartão
+ * Usa a política do gateway (store_settings, utils/paymentGateway): até `max_installments`
+ * parcelas, nenhuma menor que `min_installment_value`, sem juros até
+ * `interest_free_installments` e, acima disso, juros compostos de `monthly_interest_rate`
+ * (% ao mês) pela tabela Price. É a mesma conta no checkout, nos cards e na página do produto.
+ */
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Quantidade máxima de parcelas para um valor: limitada pelo máximo configurado
+ * e pela parcela mínima (calculada sobre o valor sem juros)
+ * @param {number} amount - Valor a parcelar
+ * @param {Object} settings - Configuração normalizada (normalizeGatewaySettings)
+ * @returns {number} Ao menos 1
+ */
+const installmentCount = (amount, settings) => {
+  const byMinimum = settings.min_installment_value > 0
+    ? Math.floor(Math.round(Number(amount) * 100) / Math.round(settings.min_installment_value * 100))
+    : settings.max_installments;
+
+  return Math.max(1, Math.min(settings.max_installments, byMinimum));
+};
+
+/**
+ * Valor da parcela e total pago em `count` vezes
+ * @param {number} amount - Valor à vista
+ * @param {number} count - Quantidade de parcelas
+ * @param {Object} settings - Configuração normalizada (normalizeGatewaySettings)
+ * @returns {Object} { count, value, total, interest, interest_free }
+ */
+const calculateInstallment = (amount, count, settings) => {
+  const rate = settings.monthly_interest_rate / 100;
+
+  if (count <= settings.interest_free_installments || rate === 0) {
+    return { count, value: roundAmount(amount / count), total: roundAmount(amount), interest: 0, interest_free: true };
+  }
+
+  // Tabela Price: parcelas iguais com juros compostos sobre o saldo
+  const value = roundAmount(amount * rate / (1 - Math.pow(1 + rate, -count)));
+  const total = roundAmount(value * count);
+
+  return { count, value, total, interest: roundAmount(total - amount), interest_free: false };
+};
+
+/**
+ * Tabela de parcelamento de um valor, de 1x até o máximo permitido
+ * @param {number} amount - Valor à vista
+ * @param {Object} settings - Configuração normalizada (normalizeGatewaySettings)
+ * @returns {Array<Object>} [{ count, value, total, interest, interest_free }]
+ */
+const buildInstallmentTable = (amount, settings) => Array.from(
+  { length: installmentCount(amount, settings) },
+  (_, index) => calculateInstallment(Number(amount), index + 1, settings)
+);
+
+/**
+ * Parcelamento anunciado na vitrine: o maior sem juros ou, se só houver 1x sem juros,
+ * o maior com juros
+ * @param {Array<Object>} table - Tabela de buildInstallmentTable
+ * @returns {Object|null} Linha da tabela, ou null quando o valor só pode ser pago à vista
+ */
+const bestInstallment = (table) => {
+  const interestFree = table.filter(row => row.interest_free);
+  const best = interestFree[interestFree.length - 1].count > 1
+    ? interestFree[interestFree.length - 1]
+    : table[table.length - 1];
+
+  return best.count > 1 ? best : null;
+};
+
+module.exports = {
+  installmentCount,
+  calculateInstallment,
+  buildInstallmentTable,
+  bestInstallment
+};
@@ -0,0 +1,126 @@
+/**
+ * Gateway de pagamento de cartão e boleto (store_settings, seção gateway)
+ * Define qual provedor cobra os pedidos e a política de parcelamento (parcelas, parcela
+ * mínima e juros), calculada em utils/installments para o checkout e para os produtos.
+ */
+
+// Provedores disponíveis (ver services/paymentProviders)
+const GATEWAY_PROVIDERS = {
+  none: 'Nenhum (cobrança feita fora da loja)',
+  fake: 'Simulado (desenvolvimento)'
+};
+
+// Provedores que aprovam pagamentos sem cobrar ninguém: só fora de produção ou com
+// PAYMENT_ALLOW_FAKE_GATEWAY=true (ex.: homologação rodando com NODE_ENV=production)
+const TEST_PROVIDERS = ['fake'];
+
+/**
+ * Confere se o provedor pode ser usado neste ambiente
+ * @param {string} provider - Nome do provedor
+ * @returns {boolean}
+ */
+const isProviderAllowed = (provider) => (
+  !TEST_PROVIDERS.includes(provider) ||
+  process.env.NODE_ENV !== 'production' ||
+  process.env.PAYMENT_ALLOW_FAKE_GATEWAY === 'true'
+);
+
+// Momento da captura do cartão: na aprovação ou manualmente pelo painel
+const CAPTURE_MODES = {
+  automatic: 'Na aprovação',
+  manual: 'Manual (pelo painel)'
+};
+
+const DEFAULT_GATEWAY_SETTINGS = {
+  provider: 'none',
+  capture: 'automatic',
+  max_installments: 12,
+  min_installment_value: 5,
+  interest_free_installments: 12,
+  monthly_interest_rate: 0
+};
+
+/**
+ * Valida e completa a configuração do gateway com os valores padrão
+ * @param {Object} values - Configuração recebida
+ * @returns {Object} { settings, errors }
+ */
+const normalizeGatewaySettings = (values = {}) => {
+  const errors = [];
+  const settings = { ...DEFAULT_GATEWAY_SETTINGS };
+
+  if (values.provider !== undefined && values.provider !== null) {
+    if (GATEWAY_PROVIDERS[values.provider] && !isProviderAllowed(values.provider)) {
+      errors.push(`O gateway ${values.provider} é só para desenvolvimento e não pode ser usado em produção`);
+    } else if (GATEWAY_PROVIDERS[values.provider]) {
+      settings.provider = values.provider;
+    } else {
+      errors.push(`Provedor de pagamento desconhecido: ${values.provider} (use ${Object.keys(GATEWAY_PROVIDERS).join(', ')})`);
+    }
+  }
+
+  if (values.capture !== undefined && values.capture !== null) {
+    if (CAPTURE_MODES[values.capture]) {
+      settings.capture = values.capture;
+    } else {
+      errors.push(`Modo de captura inválido: ${values.capture} (use ${Object.keys(CAPTURE_MODES).join(', ')})`);
+    }
+  }
+
+  if (values.max_installments !== undefined && values.max_installments !== null) {
+    const number = Number(values.max_installments);
+    if (Number.isInteger(number) && number >= 1 && number <= 24) {
+      settings.max_installments = number;
+    } else {
+      errors.push(`Valor inválido para max_installments: ${values.max_installments} (use de 1 a 24)`);
+    }
+  }
+
+  if (values.min_installment_value !== undefined && values.min_installment_value !== null) {
+    const number = Number(values.min_installment_value);
+    if (Number.isFinite(number) && number >= 0) {
+      settings.min_installment_value = Math.round(number * 100) / 100;
+    } else {
+      errors.push(`Valor inválido para min_installment_value: ${values.min_installment_value}`);
+    }
+  }
+
+  if (values.interest_free_installments !== undefined && values.interest_free_installments !== null) {
+    const number = Number(values.interest_free_installments);
+    if (Number.isInteger(number) && number >= 1 && number <= 24) {
+      settings.interest_free_installments = number;
+    } else {
+      errors.push(`Valor inválido para interest_free_installments: ${values.interest_free_installments} (use de 1 a 24)`);
+    }
+  }
+
+  if (values.monthly_interest_rate !== undefined && values.monthly_interest_rate !== null) {
+    const number = Number(values.monthly_interest_rate);
+    if (Number.isFinite(number) && number >= 0 && number <= 20) {
+      settings.monthly_interest_rate = Math.round(number * 100) / 100;
+    } else {
+      errors.push(`Valor inválido para monthly_interest_rate: ${values.monthly_interest_rate} (use de 0 a 20, em % ao mês)`);
+    }
+  }
+
+  return { settings, errors };
+};
+
+/**
+ * Opções exibidas no painel administrativo
+ * @returns {Object}
+ */
+const getGatewayOptions = () => ({
+  providers: Object.entries(GATEWAY_PROVIDERS)
+    .filter(([value]) => isProviderAllowed(value))
+    .map(([value, label]) => ({ value, label })),
+  capture_modes: Object.entries(CAPTURE_MODES).map(([value, label]) => ({ value, label }))
+});
+
+module.exports = {
+  GATEWAY_PROVIDERS,
+  DEFAULT_GATEWAY_SETTINGS,
+  isProviderAllowed,
+  normalizeGatewaySettings,
+  getGatewayOptions
+};
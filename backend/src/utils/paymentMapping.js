@@ -0,0 +1,184 @@
+/**
+ * Formas de pagamento da vitrine e sua correspondência no Bling (bling_config.sync_settings.payments)
+ * Define qual forma de pagamento do Bling cada opção da vitrine usa e como as parcelas são geradas.
+ * O limite de parcelas do cartão vem da configuração do gateway (utils/paymentGateway).
+ */
+
+// Opções de pagamento oferecidas pela vitrine
+const PAYMENT_OPTIONS = {
+  pix: 'PIX',
+  cartao_credito: 'Cartão de crédito',
+  boleto: 'Boleto'
+};
+
+// Tipo de pagamento do Bling sugerido para cada opção (campo tipoPagamento)
+const BLING_PAYMENT_TYPES = {
+  pix: 17,
+  cartao_credito: 3,
+  boleto: 15
+};
+
+const DEFAULT_PAYMENT_SETTINGS = {
+  methods: { pix: null, cartao_credito: null, boleto: null },
+  installment_interval_days: 30,
+  boleto_due_days: 3
+};
+
+const toPositiveInteger = (value) => {
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : null;
+};
+
+/**
+ * Valida e completa a configuração de pagamentos com os valores padrão
+ * @param {Object} values - Configuração recebida
+ * @param {Array<number>} knownIds - IDs das formas de pagamento sincronizadas do Bling
+ * @returns {Object} { settings, errors }
+ */
+const normalizePaymentSettings = (values = {}, knownIds = null) => {
+  const errors = [];
+  const methods = { ...DEFAULT_PAYMENT_SETTINGS.methods };
+
+  Object.entries(values.methods || {}).forEach(([option, blingId]) => {
+    if (!PAYMENT_OPTIONS[option]) {
+      errors.push(`Forma de pagamento desconhecida: ${option}`);
+    } else if (blingId === null || blingId === '') {
+      methods[option] = null;
+    } else if (!toPositiveInteger(blingId) || (knownIds && !knownIds.includes(Number(blingId)))) {
+      errors.push(`Forma de pagamento do Bling inválida para ${PAYMENT_OPTIONS[option]}: ${blingId}`);
+    } else {
+      methods[option] = Number(blingId);
+    }
+  });
+
+  const pickInteger = (key, max) => {
+    if (values[key] === undefined || values[key] === null) {
+      return DEFAULT_PAYMENT_SETTINGS[key];
+    }
+    const number = toPositiveInteger(values[key]);
+    if (!number || number > max) {
+      errors.push(`Valor inválido para ${key}: ${values[key]} (use de 1 a ${max})`);
+      return DEFAULT_PAYMENT_SETTINGS[key];
+    }
+    return number;
+  };
+
+  return {
+    settings: {
+      methods,
+      installment_interval_days: pickInteger('installment_interval_days', 90),
+      boleto_due_days: pickInteger('boleto_due_days', 30)
+    },
+    errors
+  };
+};
+
+/**
+ * Soma dias a uma data e formata como YYYY-MM-DD
+ */
+const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result.toISOString().split('T')[0];
+};
+
+/**
+ * Divide o total em parcelas iguais (a diferença de centavos fica na primeira)
+ * @param {number} total - Valor total
+ * @param {number} count - Quantidade de parcelas
+ * @returns {Array<number>}
+ */
+const splitAmount = (total, count) => {
+  const cents = Math.round(Number(total) * 100);
+  const base = Math.floor(cents / count);
+
+  return Array.from({ length: count }, (_, index) =>
+    (base + (index === 0 ? cents - base * count : 0)) / 100
+  );
+};
+
+/**
+ * Resolve a forma de pagamento escolhida no pedido e gera as parcelas para o Bling
+ * @param {string|Object} choice - 'pix' | 'cartao_credito' | 'boleto' ou { tipo, parcelas }
+ * @param {number} total - Valor total do pedido
+ * @param {Object} settings - Configuração normalizada (normalizePaymentSettings)
+ * @param {Object} options - { maxInstallments: parcelas aceitas no cartão para este total, date: data do pedido }
+ * @returns {Object} { payment: { option, installments, parcelas }, errors }
+ */
+const resolvePayment = (choice, total, settings, { maxInstallments: cardInstallments = 1, date = new Date() } = {}) => {
+  const option = typeof choice === 'object' && choice !== null ? choice.tipo : choice;
+  const installments = typeof choice === 'object' && choice !== null && choice.parcelas !== undefined
+    ? toPositiveInteger(choice.parcelas)
+    : 1;
+
+  if (!PAYMENT_OPTIONS[option]) {
+    return { payment: null, errors: [`Forma de pagamento inválida: ${option || 'não informada'} (use ${Object.keys(PAYMENT_OPTIONS).join(', ')})`] };
+  }
+
+  const blingId = settings.methods[option];
+  if (!blingId) {
+    return { payment: null, errors: [`${PAYMENT_OPTIONS[option]} não está vinculado a uma forma de pagamento do Bling`] };
+  }
+
+  const maxInstallments = option === 'cartao_credito' ? cardInstallments : 1;
+  if (!installments || installments > maxInstallments) {
+    return {
+      payment: null,
+      errors: [maxInstallments === 1
+        ? `${PAYMENT_OPTIONS[option]} não aceita parcelamento`
+        : `${PAYMENT_OPTIONS[option]} aceita de 1 a ${maxInstallments} parcelas`]
+    };
+  }
+
+  // Cartão vence a cada intervalo a partir do primeiro; PIX na data do pedido; boleto após o prazo configurado
+  const dueDate = (index) => {
+    if (option === 'cartao_credito') return addDays(date, settings.installment_interval_days * (index + 1));
+    if (option === 'boleto') return addDays(date, settings.boleto_due_days);
+    return addDays(date, 0);
+  };
+
+  const parcelas = splitAmount(total, installments).map((valor, index) => ({
+    dataVencimento: dueDate(index),
+    valor,
+    formaPagamentoId: blingId,
+    observacoes: installments > 1 ? `Parcela ${index + 1}/${installments}` : ''
+  }));
+
+  return { payment: { option, installments, parcelas }, errors: [] };
+};
+
+/**
+ * Opções exibidas no painel administrativo
+ * @returns {Object}
+ */
+const getPaymentOptions = () => ({
+  options: Object.entries(PAYMENT_OPTIONS).map(([value, label]) => ({
+    value,
+    label,
+    tipoPagamento: BLING_PAYMENT_TYPES[value]
+  }))
+});
+
+/**
+ * Opções oferecidas no checkout: apenas as vinculadas a uma forma de pagamento do Bling
+ * @param {Object} settings - Configuração normalizada (normalizePaymentSettings)
+ * @param {Object} gateway - Configuração do gateway (normalizeGatewaySettings)
+ * @returns {Array<Object>} [{ value, label, max_installments }] (parcelas de um valor: utils/installments)
+ */
+const getCheckoutPaymentOptions = (settings, gateway) => Object.entries(PAYMENT_OPTIONS)
+  .filter(([value]) => settings.methods[value])
+  .map(([value, label]) => ({
+    value,
+    label,
+    max_installments: value === 'cartao_credito' ? gateway.max_installments : 1
+  }));
+
+module.exports = {
+  PAYMENT_OPTIONS,
+  DEFAULT_PAYMENT_SETTINGS,
+  addDays,
+  normalizePaymentSettings,
+  resolvePayment,
+  getPaymentOptions,
+  getCheckoutPaymentOptions
+};
@@ -0,0 +1,211 @@
+/**
+ * PIX: geração do BR Code (payload EMV "copia e cola") e configuração da chave da loja
+ * (store_settings, seção pix). Segue o Manual de Padrões para Iniciação do Pix do Banco Central.
+ */
+const { onlyDigits, isValidCpf, isValidCnpj } = require('./documents');
+
+const PIX_GUI = 'br.gov.bcb.pix';
+
+// Tamanho máximo do valor de um campo EMV (o tamanho é escrito com 2 dígitos)
+const EMV_MAX_LENGTH = 99;
+
+// Espaço do campo 26 que sobra depois do GUI (0014br.gov.bcb.pix) e do ID + tamanho de um subcampo
+const ACCOUNT_SPACE = EMV_MAX_LENGTH - (4 + PIX_GUI.length) - 4;
+
+// Maior txid gerado para o QR dinâmico (PaymentService.generateTxid), usado para validar location_url
+const MAX_DYNAMIC_TXID_LENGTH = 35;
+
+const DEFAULT_PIX_SETTINGS = {
+  enabled: false,
+  key: null,
+  key_type: null,
+  merchant_name: '',
+  merchant_city: '',
+  mode: 'static',
+  location_url: null,
+  expires_minutes: 30
+};
+
+/**
+ * Identifica o tipo da chave PIX e a normaliza
+ * @param {string} value - Chave informada (CPF, CNPJ, email, celular ou aleatória)
+ * @returns {Object} { key, type, error }
+ */
+const parsePixKey = (value) => {
+  const raw = String(value || '').trim();
+
+  if (/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(raw)) {
+    return { key: raw.toLowerCase(), type: 'evp', error: null };
+  }
+  if (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(raw)) {
+    return raw.length <= 77
+      ? { key: raw.toLowerCase(), type: 'email', error: null }
+      : { key: null, type: null, error: 'Chave PIX por email deve ter até 77 caracteres' };
+  }
+  if (raw.startsWith('+')) {
+    const digits = onlyDigits(raw);
+    return /^55\d{10,11}$/.test(digits)
+      ? { key: `+${digits}`, type: 'phone', error: null }
+      : { key: null, type: null, error: `Celular inválido para chave PIX: ${raw} (use +55DDDNÚMERO)` };
+  }
+
+  const digits = onlyDigits(raw);
+  if (digits.length === 11 && isValidCpf(digits)) {
+    return { key: digits, type: 'cpf', error: null };
+  }
+  if (digits.length === 14 && isValidCnpj(digits)) {
+    return { key: digits, type: 'cnpj', error: null };
+  }
+
+  return { key: null, type: null, error: `Chave PIX inválida: ${raw || 'não informada'}` };
+};
+
+/**
+ * Texto aceito pelo BR Code: sem acentos, apenas ASCII imprimível e com tamanho máximo
+ */
+const toEmvText = (value, max) => String(value || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^\x20-\x7E]/g, '')
+  .trim()
+  .slice(0, max);
+
+/**
+ * Valida e completa a configuração do PIX com os valores padrão
+ * @param {Object} values - Configuração recebida
+ * @returns {Object} { settings, errors }
+ */
+const normalizePixSettings = (values = {}) => {
+  const errors = [];
+  const settings = { ...DEFAULT_PIX_SETTINGS, ...values };
+
+  settings.enabled = Boolean(settings.enabled);
+  settings.merchant_name = toEmvText(settings.merchant_name, 25);
+  settings.merchant_city = toEmvText(settings.merchant_city, 15);
+
+  if (settings.key) {
+    const { key, type, error } = parsePixKey(settings.key);
+    if (error) {
+      errors.push(error);
+    }
+    settings.key = key;
+    settings.key_type = type;
+  } else {
+    settings.key = null;
+    settings.key_type = null;
+  }
+
+  if (!['static', 'dynamic'].includes(settings.mode)) {
+    errors.push(`Modo inválido: ${settings.mode} (use static ou dynamic)`);
+    settings.mode = DEFAULT_PIX_SETTINGS.mode;
+  }
+
+  // QR dinâmico aponta para a URL de cobrança do PSP (sem https://); {txid} é substituído pelo ID da cobrança
+  settings.location_url = settings.location_url
+    ? String(settings.location_url).trim().replace(/^https?:\/\//, '')
+    : null;
+  if (settings.mode === 'dynamic' && !settings.location_url) {
+    errors.push('Informe a URL de cobrança do PSP para o QR dinâmico');
+  } else if (settings.location_url &&
+    settings.location_url.replace('{txid}', 'X'.repeat(MAX_DYNAMIC_TXID_LENGTH)).length > ACCOUNT_SPACE) {
+    errors.push(`URL de cobrança muito longa para o BR Code (até ${ACCOUNT_SPACE} caracteres com o txid)`);
+  }
+
+  // A chave divide o campo 26 do BR Code com o GUI; a descrição usa o que sobrar
+  if (settings.key && settings.key.length > ACCOUNT_SPACE) {
+    errors.push(`Chave PIX muito longa para o BR Code (até ${ACCOUNT_SPACE} caracteres)`);
+  }
+
+  const minutes = Number(settings.expires_minutes);
+  if (!Number.isInteger(minutes) || minutes < 1 || minutes > 10080) {
+    errors.push(`Validade inválida: ${settings.expires_minutes} (use de 1 a 10080 minutos)`);
+    settings.expires_minutes = DEFAULT_PIX_SETTINGS.expires_minutes;
+  }
+
+  if (settings.enabled) {
+    if (!settings.key) errors.push('Informe a chave PIX para ativar o PIX');
+    if (!settings.merchant_name) errors.push('Informe o nome do recebedor');
+    if (!settings.merchant_city) errors.push('Informe a cidade do recebedor');
+  }
+
+  return { settings, errors };
+};
+
+/**
+ * Campo EMV: ID (2 dígitos) + tamanho (2 dígitos) + valor
+ * Valores acima de 99 caracteres não cabem no tamanho e gerariam um BR Code inválido.
+ */
+const emvField = (id, value) => {
+  if (value.length > EMV_MAX_LENGTH) {
+    throw new Error(`Campo EMV ${id} com ${value.length} caracteres (máximo ${EMV_MAX_LENGTH})`);
+  }
+  return `${id}${String(value.length).padStart(2, '0')}${value}`;
+};
+
+/**
+ * Descrição (subcampo 02) no espaço que a chave deixa livre no campo 26; omitida se não couber
+ */
+const descriptionField = (key, description) => {
+  const space = Math.min(ACCOUNT_SPACE - (4 + key.length) - 4, 40);
+  const text = space > 0 ? toEmvText(description, space) : '';
+  return text ? emvField('02', text) : '';
+};
+
+/**
+ * CRC16-CCITT (polinômio 0x1021, valor inicial 0xFFFF) exigido no campo 63 do BR Code
+ * @param {string} payload - Payload até "6304", inclusive
+ * @returns {string} 4 dígitos hexadecimais em maiúsculas
+ */
+const crc16 = (payload) => {
+  let crc = 0xFFFF;
+
+  for (const byte of Buffer.from(payload, 'utf8')) {
+    crc ^= byte << 8;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xFFFF : (crc << 1) & 0xFFFF;
+    }
+  }
+
+  return crc.toString(16).toUpperCase().padStart(4, '0');
+};
+
+/**
+ * Monta o BR Code de uma cobrança PIX
+ * Estático: leva a chave e o valor; o txid identifica o pedido no extrato.
+ * Dinâmico: leva a URL da cobrança no PSP, que devolve valor e validade.
+ * @param {Object} settings - Configuração normalizada (normalizePixSettings)
+ * @param {Object} charge - { txid, amount, description }
+ * @returns {string} Payload "copia e cola"
+ */
+const buildPixPayload = (settings, { txid, amount, description = null }) => {
+  const dynamic = settings.mode === 'dynamic';
+  const account = dynamic
+    ? emvField('00', PIX_GUI) + emvField('25', settings.location_url.replace('{txid}', txid))
+    : emvField('00', PIX_GUI) + emvField('01', settings.key) +
+      (description ? descriptionField(settings.key, description) : '');
+
+  const payload = [
+    emvField('00', '01'),
+    // 12 = QR de uso único (dinâmico); o estático pode ser pago mais de uma vez
+    dynamic ? emvField('01', '12') : '',
+    emvField('26', account),
+    emvField('52', '0000'),
+    emvField('53', '986'),
+    !dynamic && amount ? emvField('54', Number(amount).toFixed(2)) : '',
+    emvField('58', 'BR'),
+    emvField('59', settings.merchant_name),
+    emvField('60', settings.merchant_city),
+    emvField('62', emvField('05', dynamic ? '***' : txid)),
+    '6304'
+  ].join('');
+
+  return payload + crc16(payload);
+};
+
+module.exports = {
+  DEFAULT_PIX_SETTINGS,
+  parsePixKey,
+  normalizePixSettings,
+  crc16,
+  buildPixPayload
+};
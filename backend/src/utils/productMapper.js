@@ -0,0 +1,147 @@
+/**
+ * Mapeamento entre as colunas da tabela `products` (padrão Bling)
+ * e o formato consumido pela vitrine (ProductsCarousel).
+ */
+const { campaignPrice } = require('./promotions');
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Expressão SQL do preço da campanha de promoção gravada no produto (PromotionService.apply)
+ */
+const CAMPAIGN_PRICE_SQL =
+  "CASE products.promocao_tipo WHEN 'percentual' THEN ROUND(products.preco * (100 - products.promocao_valor) / 100, 2) " +
+  "WHEN 'fixo' THEN GREATEST(products.preco - products.promocao_valor, 0) END";
+
+/**
+ * Expressão SQL do preço efetivo: o menor entre o preço cheio, o promocional do Bling e o
+ * da campanha (LEAST ignora os nulos). Mesma regra de effectivePrice.
+ */
+const EFFECTIVE_PRICE_SQL = `LEAST(products.preco, products.preco_promocional, ${CAMPAIGN_PRICE_SQL})`;
+
+/**
+ * Expressão SQL do desconto relativo (0 a 1) sobre o preço cheio
+ */
+const DISCOUNT_RATIO_SQL =
+  `CASE WHEN products.preco > 0 THEN 1 - (${EFFECTIVE_PRICE_SQL}) / products.preco ELSE 0 END`;
+
+/**
+ * Calcula o percentual de desconto entre o preço cheio e o promocional
+ * @param {number} preco - Preço cheio
+ * @param {number|null} precoPromocional - Preço promocional
+ * @returns {number} Desconto em % (inteiro)
+ */
+const calculateDiscount = (preco, precoPromocional) => {
+  if (!preco || precoPromocional === null || precoPromocional >= preco) {
+    return 0;
+  }
+
+  return Math.round((1 - precoPromocional / preco) * 100);
+};
+
+/**
+ * Preço efetivo do produto: o menor entre o preço cheio, o promocional do Bling e o da campanha
+ * @param {Object} row - Registro do banco
+ * @returns {number}
+ */
+const effectivePrice = (row) => {
+  const preco = toNumber(row.preco) || 0;
+  const candidates = [
+    toNumber(row.preco_promocional),
+    campaignPrice(preco, row.promocao_tipo, toNumber(row.promocao_valor))
+  ].filter(value => value !== null);
+
+  return Math.min(preco, ...candidates);
+};
+
+/**
+ * Estoque que ainda pode ser vendido: o do Bling menos o reservado por pedidos da vitrine
+ * @param {Object} row - Registro do banco
+ * @returns {number}
+ */
+const availableStock = (row) => Math.max((row.estoque || 0) - (row.estoque_reservado || 0), 0);
+
+/**
+ * Converte um registro de `products` para o formato da vitrine
+ * @param {Object} row - Registro do banco
+ * @returns {Object} Produto no formato { name, price, oldprice, image_src, discount, promotion_id }
+ */
+const toVitrineProduct = (row) => {
+  const preco = toNumber(row.preco) || 0;
+  const price = effectivePrice(row);
+  // A campanha só aparece no produto quando é ela que define o preço
+  const campaign = campaignPrice(preco, row.promocao_tipo, toNumber(row.promocao_valor));
+
+  return {
+    id: row.id,
+    slug: row.slug || null,
+    name: row.nome,
+    price,
+    oldprice: price < preco ? preco : null,
+    discount: calculateDiscount(preco, price),
+    promotion_id: row.promocao_id && campaign !== null && campaign === price && price < preco ? row.promocao_id : null,
+    categories: row.categoria || null,
+    image_src: row.imagem || null,
+    stock: availableStock(row)
+  };
+};
+
+// Unidade das dimensões no Bling (dimensoes.unidadeMedida)
+const DIMENSION_UNITS = { 0: 'm', 1: 'cm', 2: 'mm' };
+
+/**
+ * Extrai as dimensões do produto dos dados completos do Bling
+ * @param {Object|string|null} blingData - Coluna `bling_data`
+ * @returns {Object|null} Dimensões { largura, altura, profundidade, unidade }
+ */
+const extractDimensions = (blingData) => {
+  const data = typeof blingData === 'string' ? JSON.parse(blingData) : blingData;
+  const dimensoes = data?.dimensoes;
+
+  if (!dimensoes) {
+    return null;
+  }
+
+  return {
+    largura: toNumber(dimensoes.largura),
+    altura: toNumber(dimensoes.altura),
+    profundidade: toNumber(dimensoes.profundidade),
+    unidade: DIMENSION_UNITS[dimensoes.unidadeMedida] || 'cm'
+  };
+};
+
+/**
+ * Converte um registro de `products` para a página de detalhe do produto
+ * @param {Object} row - Registro do banco
+ * @returns {Object} Produto completo
+ */
+const toProductDetail = (row) => ({
+  ...toVitrineProduct(row),
+  description: row.descricao_completa || row.descricao || '',
+  brand: row.marca || null,
+  weight: toNumber(row.peso),
+  gtin: row.gtin || null,
+  sku: row.codigo || null,
+  dimensions: extractDimensions(row.bling_data),
+  available: Boolean(row.ativo) && availableStock(row) > 0,
+  updated_at: row.updated_at
+});
+
+module.exports = {
+  EFFECTIVE_PRICE_SQL,
+  DISCOUNT_RATIO_SQL,
+  toNumber,
+  calculateDiscount,
+  availableStock,
+  effectivePrice,
+  extractDimensions,
+  toVitrineProduct,
+  toProductDetail
+};
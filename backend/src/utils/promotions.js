@@ -0,0 +1,136 @@
+/**
+ * Campanhas de promoção da vitrine (tabela `promotions`)
+ * Desconto percentual ou fixo sobre o preço cheio, para produtos, categorias, marcas ou a
+ * loja toda, com início, fim e prioridade. A campanha vencedora de cada produto é escolhida
+ * e gravada em products.promocao_* por PromotionService.apply, e o preço efetivo é
+ * calculado a partir dela (utils/productMapper).
+ */
+
+const DISCOUNT_TYPES = {
+  percentual: 'Percentual (%)',
+  fixo: 'Valor fixo (R$)'
+};
+
+const TARGET_TYPES = {
+  produto: 'Produtos',
+  categoria: 'Categorias',
+  marca: 'Marcas',
+  todos: 'Loja toda'
+};
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Preço com o desconto de uma campanha
+ * @param {number} preco - Preço cheio
+ * @param {string|null} tipo - percentual ou fixo
+ * @param {number|null} valor - % ou R$ de desconto
+ * @returns {number|null} null sem campanha
+ */
+const campaignPrice = (preco, tipo, valor) => {
+  if (tipo === 'percentual') {
+    return roundAmount(preco * (100 - valor) / 100);
+  }
+  if (tipo === 'fixo') {
+    return Math.max(roundAmount(preco - valor), 0);
+  }
+  return null;
+};
+
+/**
+ * Situação da campanha em um momento
+ * @param {Object} promotion - Registro de promotions
+ * @param {Date} now
+ * @returns {string} paused, scheduled, running ou ended
+ */
+const promotionStatus = (promotion, now = new Date()) => {
+  if (!promotion.ativo) return 'paused';
+  if (promotion.inicio && new Date(promotion.inicio) > now) return 'scheduled';
+  if (promotion.fim && new Date(promotion.fim) <= now) return 'ended';
+  return 'running';
+};
+
+/**
+ * Valida uma campanha recebida pelo painel
+ * @param {Object} values - { nome, tipo_desconto, valor, alvo, alvos, inicio, fim, prioridade, ativo }
+ * @returns {Object} { promotion, errors }
+ */
+const normalizePromotion = (values = {}) => {
+  const errors = [];
+  const nome = String(values.nome || '').trim();
+  const valor = Number(values.valor);
+  const prioridade = isBlank(values.prioridade) ? 0 : Number(values.prioridade);
+  const alvos = [].concat(values.alvos || [])
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+  const toDate = (value, field) => {
+    if (isBlank(value)) return null;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      errors.push(`Data inválida para ${field}: ${value}`);
+      return null;
+    }
+    return date;
+  };
+  const inicio = toDate(values.inicio, 'inicio');
+  const fim = toDate(values.fim, 'fim');
+
+  if (!nome) {
+    errors.push('Informe o nome da campanha');
+  }
+  if (!DISCOUNT_TYPES[values.tipo_desconto]) {
+    errors.push(`Tipo de desconto inválido: ${values.tipo_desconto || 'não informado'} (use ${Object.keys(DISCOUNT_TYPES).join(', ')})`);
+  }
+  if (!Number.isFinite(valor) || valor <= 0 || (values.tipo_desconto === 'percentual' && valor >= 100)) {
+    errors.push(`Desconto inválido: ${values.valor} (${values.tipo_desconto === 'percentual' ? 'entre 0 e 100%' : 'maior que zero'})`);
+  }
+  if (!TARGET_TYPES[values.alvo]) {
+    errors.push(`Alvo inválido: ${values.alvo || 'não informado'} (use ${Object.keys(TARGET_TYPES).join(', ')})`);
+  } else if (values.alvo !== 'todos' && alvos.length === 0) {
+    errors.push(`Informe ${values.alvo === 'produto' ? 'os IDs dos produtos' : `as ${TARGET_TYPES[values.alvo].toLowerCase()}`} da campanha`);
+  } else if (values.alvo === 'produto' && alvos.some(item => !/^\d+$/.test(item))) {
+    errors.push('Os produtos da campanha devem ser informados pelo ID');
+  }
+  if (!Number.isInteger(prioridade)) {
+    errors.push(`Prioridade inválida: ${values.prioridade} (use um número inteiro)`);
+  }
+  if (inicio && fim && fim <= inicio) {
+    errors.push('O fim da campanha deve ser depois do início');
+  }
+
+  return {
+    promotion: {
+      nome,
+      tipo_desconto: values.tipo_desconto,
+      valor: roundAmount(valor),
+      alvo: values.alvo,
+      alvos: values.alvo === 'todos' ? [] : [...new Set(values.alvo === 'produto' ? alvos.map(Number) : alvos)],
+      inicio,
+      fim,
+      prioridade,
+      ativo: values.ativo === undefined ? true : Boolean(values.ativo)
+    },
+    errors
+  };
+};
+
+/**
+ * Opções exibidas no painel administrativo
+ * @returns {Object}
+ */
+const getPromotionOptions = () => ({
+  discount_types: Object.entries(DISCOUNT_TYPES).map(([value, label]) => ({ value, label })),
+  targets: Object.entries(TARGET_TYPES).map(([value, label]) => ({ value, label }))
+});
+
+module.exports = {
+  DISCOUNT_TYPES,
+  TARGET_TYPES,
+  campaignPrice,
+  promotionStatus,
+  normalizePromotion,
+  getPromotionOptions
+};
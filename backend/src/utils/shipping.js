@@ -0,0 +1,288 @@
+/**
+ * Frete da vitrine (store_settings, seção shipping) e validação do endereço de entrega
+ * Tabelas de frete por faixa de CEP e de peso (o maior entre o peso real e o cubado), frete
+ * grátis por valor mínimo e retirada na loja. O cálculo fica nos provedores de
+ * services/shippingProviders; aqui ficam a configuração e o peso do pacote.
+ */
+const { onlyDigits } = require('./documents');
+
+// Provedores de frete disponíveis (ver services/shippingProviders)
+const SHIPPING_PROVIDERS = {
+  table: 'Tabela própria (faixas de CEP e peso)'
+};
+
+// Opção de retirada na loja (não depende do CEP nem do provedor)
+const PICKUP_OPTION = 'retirada';
+
+// Conversão das dimensões (unidade de productMapper.extractDimensions) para centímetros
+const CENTIMETERS_PER_UNIT = { m: 100, cm: 1, mm: 0.1 };
+
+const UFS = [
+  'AC', 'AL', 'AP', 'AM', 'BA', 'CE', 'DF', 'ES', 'GO', 'MA', 'MT', 'MS', 'MG', 'PA',
+  'PB', 'PR', 'PE', 'PI', 'RJ', 'RN', 'RS', 'RO', 'RR', 'SC', 'SP', 'SE', 'TO'
+];
+
+// Sem configuração, a loja entrega para todo o Brasil por R$ 19,90 até 30 kg e aceita retirada
+const DEFAULT_SHIPPING_SETTINGS = {
+  provider: 'table',
+  cubic_divisor: 6000,
+  default_weight: 0.3,
+  free_above: null,
+  pickup: {
+    enabled: true,
+    label: 'Retirar na loja',
+    address: '',
+    days: 1
+  },
+  rates: [
+    {
+      service: 'padrao',
+      label: 'Entrega padrão',
+      cep_start: '00000000',
+      cep_end: '99999999',
+      days: 7,
+      free_above: null,
+      bands: [{ max_weight: 30, price: 19.9 }],
+      extra_kg_price: null
+    }
+  ]
+};
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Valida um número da configuração
+ * @returns {number|null} null quando inválido
+ */
+const parseNumber = (value, { min = 0, max = Infinity, integer = false } = {}) => {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min || number > max || (integer && !Number.isInteger(number))) {
+    return null;
+  }
+  return number;
+};
+
+/**
+ * Valida uma tabela de frete
+ * @param {Object} rate - { service, label, cep_start, cep_end, days, free_above, bands, extra_kg_price }
+ * @param {number} index - Posição na lista (para as mensagens)
+ * @returns {Object} { rate, errors }
+ */
+const normalizeRate = (rate = {}, index) => {
+  const errors = [];
+  const name = `Tabela ${index + 1}`;
+  const service = String(rate.service || '').trim().toLowerCase();
+  const cepStart = onlyDigits(rate.cep_start);
+  const cepEnd = onlyDigits(rate.cep_end);
+  const days = parseNumber(rate.days, { integer: true, max: 90 });
+  const freeAbove = isBlank(rate.free_above) ? null : parseNumber(rate.free_above);
+  const extraKgPrice = isBlank(rate.extra_kg_price) ? null : parseNumber(rate.extra_kg_price);
+  const bands = (Array.isArray(rate.bands) ? rate.bands : []).map(band => ({
+    max_weight: parseNumber(band?.max_weight),
+    price: parseNumber(band?.price)
+  }));
+
+  if (!/^[a-z0-9_]+$/.test(service) || service === PICKUP_OPTION) {
+    errors.push(`${name}: serviço inválido (${rate.service || 'não informado'}); use letras minúsculas, números e _ (ex.: padrao, expressa)`);
+  }
+  if (cepStart.length !== 8 || cepEnd.length !== 8 || cepStart > cepEnd) {
+    errors.push(`${name}: faixa de CEP inválida (${rate.cep_start || '?'} a ${rate.cep_end || '?'})`);
+  }
+  if (days === null) {
+    errors.push(`${name}: prazo inválido (${rate.days ?? 'não informado'}); use dias úteis de 0 a 90`);
+  }
+  if (!isBlank(rate.free_above) && freeAbove === null) {
+    errors.push(`${name}: valor inválido para frete grátis (${rate.free_above})`);
+  }
+  if (!isBlank(rate.extra_kg_price) && extraKgPrice === null) {
+    errors.push(`${name}: valor inválido por kg adicional (${rate.extra_kg_price})`);
+  }
+  if (bands.length === 0) {
+    errors.push(`${name}: informe ao menos uma faixa de peso`);
+  }
+  bands.forEach((band, bandIndex) => {
+    if (band.max_weight === null || band.max_weight <= 0 || band.price === null) {
+      errors.push(`${name}: faixa de peso ${bandIndex + 1} inválida (informe o peso máximo em kg e o valor)`);
+    } else if (bandIndex > 0 && bands[bandIndex - 1].max_weight !== null && band.max_weight <= bands[bandIndex - 1].max_weight) {
+      errors.push(`${name}: as faixas de peso devem estar em ordem crescente`);
+    }
+  });
+
+  return {
+    rate: {
+      service,
+      label: String(rate.label || '').trim() || service,
+      cep_start: cepStart,
+      cep_end: cepEnd,
+      days,
+      free_above: freeAbove === null ? null : roundAmount(freeAbove),
+      bands: bands.map(band => ({ max_weight: band.max_weight, price: band.price === null ? null : roundAmount(band.price) })),
+      extra_kg_price: extraKgPrice === null ? null : roundAmount(extraKgPrice)
+    },
+    errors
+  };
+};
+
+/**
+ * Valida e completa a configuração de frete com os valores padrão
+ * @param {Object} values - Configuração recebida
+ * @returns {Object} { settings, errors }
+ */
+const normalizeShippingSettings = (values = {}) => {
+  const errors = [];
+  const settings = { ...DEFAULT_SHIPPING_SETTINGS, pickup: { ...DEFAULT_SHIPPING_SETTINGS.pickup } };
+
+  if (!isBlank(values.provider)) {
+    if (SHIPPING_PROVIDERS[values.provider]) {
+      settings.provider = values.provider;
+    } else {
+      errors.push(`Provedor de frete desconhecido: ${values.provider} (use ${Object.keys(SHIPPING_PROVIDERS).join(', ')})`);
+    }
+  }
+
+  if (!isBlank(values.cubic_divisor)) {
+    const number = parseNumber(values.cubic_divisor, { min: 1, integer: true });
+    if (number === null) {
+      errors.push(`Valor inválido para cubic_divisor: ${values.cubic_divisor} (ex.: 6000)`);
+    } else {
+      settings.cubic_divisor = number;
+    }
+  }
+
+  if (!isBlank(values.default_weight)) {
+    const number = parseNumber(values.default_weight);
+    if (number === null) {
+      errors.push(`Valor inválido para default_weight: ${values.default_weight} (peso em kg)`);
+    } else {
+      settings.default_weight = number;
+    }
+  }
+
+  if (values.free_above !== undefined) {
+    const number = isBlank(values.free_above) ? null : parseNumber(values.free_above);
+    if (!isBlank(values.free_above) && number === null) {
+      errors.push(`Valor inválido para free_above: ${values.free_above}`);
+    } else {
+      settings.free_above = number === null ? null : roundAmount(number);
+    }
+  }
+
+  if (values.pickup) {
+    const days = isBlank(values.pickup.days) ? settings.pickup.days : parseNumber(values.pickup.days, { integer: true, max: 90 });
+    if (days === null) {
+      errors.push(`Prazo inválido para a retirada: ${values.pickup.days}`);
+    }
+    settings.pickup = {
+      enabled: values.pickup.enabled === undefined ? settings.pickup.enabled : Boolean(values.pickup.enabled),
+      label: String(values.pickup.label || '').trim() || settings.pickup.label,
+      address: String(values.pickup.address || '').trim(),
+      days: days === null ? settings.pickup.days : days
+    };
+  }
+
+  if (values.rates !== undefined) {
+    if (!Array.isArray(values.rates)) {
+      errors.push('rates deve ser uma lista de tabelas de frete');
+    } else {
+      settings.rates = values.rates.map((rate, index) => {
+        const normalized = normalizeRate(rate, index);
+        errors.push(...normalized.errors);
+        return normalized.rate;
+      });
+    }
+  }
+
+  return { settings, errors };
+};
+
+/**
+ * Opções exibidas no painel administrativo
+ * @returns {Object}
+ */
+const getShippingOptions = () => ({
+  providers: Object.entries(SHIPPING_PROVIDERS).map(([value, label]) => ({ value, label }))
+});
+
+/**
+ * Peso do pacote: soma dos pesos reais e dos pesos cubados (largura x altura x profundidade
+ * em cm / divisor); o frete é cobrado pelo maior dos dois
+ * @param {Array<Object>} items - [{ weight: kg, dimensions: { largura, altura, profundidade, unidade }, quantidade }]
+ * @param {Object} settings - Configuração de frete (default_weight para produtos sem peso, cubic_divisor)
+ * @returns {Object} { weight, cubic_weight, billable_weight } em kg
+ */
+const packageWeight = (items, settings) => {
+  const totals = items.reduce((sum, { weight, dimensions, quantidade }) => {
+    const factor = CENTIMETERS_PER_UNIT[dimensions?.unidade] || 1;
+    const volume = dimensions
+      ? [dimensions.largura, dimensions.altura, dimensions.profundidade].reduce((product, side) => product * (Number(side) || 0) * factor, 1)
+      : 0;
+
+    return {
+      weight: sum.weight + (weight > 0 ? weight : settings.default_weight) * quantidade,
+      cubic: sum.cubic + (volume / settings.cubic_divisor) * quantidade
+    };
+  }, { weight: 0, cubic: 0 });
+
+  const round = (value) => Math.round(value * 1000) / 1000;
+
+  return {
+    weight: round(totals.weight),
+    cubic_weight: round(totals.cubic),
+    billable_weight: round(Math.max(totals.weight, totals.cubic))
+  };
+};
+
+/**
+ * Valida o CEP de destino
+ * @param {string} cep
+ * @returns {string|null} Os 8 dígitos ou null
+ */
+const normalizeCep = (cep) => {
+  const digits = onlyDigits(cep);
+  return digits.length === 8 ? digits : null;
+};
+
+/**
+ * Valida o endereço de entrega
+ * @param {Object} endereco - { cep, logradouro, numero, complemento, bairro, cidade, estado }
+ * @returns {Object} { address, errors }
+ */
+const normalizeAddress = (endereco = {}) => {
+  const errors = [];
+  const text = (value) => (value === undefined || value === null ? '' : String(value).trim());
+  const address = {
+    cep: onlyDigits(endereco.cep),
+    logradouro: text(endereco.logradouro),
+    numero: text(endereco.numero),
+    complemento: text(endereco.complemento) || null,
+    bairro: text(endereco.bairro),
+    cidade: text(endereco.cidade),
+    estado: text(endereco.estado).toUpperCase()
+  };
+
+  if (address.cep.length !== 8) {
+    errors.push(`CEP inválido: ${endereco.cep || 'não informado'}`);
+  }
+  if (!address.logradouro) errors.push('Informe a rua do endereço');
+  if (!address.numero) errors.push('Informe o número do endereço');
+  if (!address.bairro) errors.push('Informe o bairro');
+  if (!address.cidade) errors.push('Informe a cidade');
+  if (!UFS.includes(address.estado)) {
+    errors.push(`Estado inválido: ${endereco.estado || 'não informado'} (use a sigla, ex.: SP)`);
+  }
+
+  return { address, errors };
+};
+
+module.exports = {
+  SHIPPING_PROVIDERS,
+  PICKUP_OPTION,
+  DEFAULT_SHIPPING_SETTINGS,
+  normalizeShippingSettings,
+  getShippingOptions,
+  packageWeight,
+  normalizeCep,
+  normalizeAddress
+};
@@ -0,0 +1,26 @@
+/**
+ * Assinatura HMAC-SHA256 de notificações recebidas (webhooks do Bling, do PIX e do gateway)
+ */
+const crypto = require('crypto');
+
+/**
+ * Confere a assinatura HMAC-SHA256 (hex, com ou sem o prefixo "sha256=") do corpo original
+ * @param {Buffer|string} rawBody - Corpo original da requisição
+ * @param {string} signature - Assinatura recebida no cabeçalho
+ * @param {string} secret - Segredo compartilhado
+ * @returns {boolean}
+ */
+const verifyHmacSignature = (rawBody, signature, secret) => {
+  if (!secret || !rawBody || !signature) {
+    return false;
+  }
+
+  const received = Buffer.from(String(signature).replace(/^sha256=/, ''), 'utf8');
+  const expected = Buffer.from(crypto.createHmac('sha256', secret).update(rawBody).digest('hex'), 'utf8');
+
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+};
+
+module.exports = {
+  verifyHmacSignature
+};
@@ -0,0 +1,16 @@
+/**
+ * Gera um slug amigável para URLs a partir de um texto
+ * Ex.: 'Câmera Canon EOS Rebel T7' => 'camera-canon-eos-rebel-t7'
+ * @param {string} text - Texto de origem
+ * @returns {string} Slug
+ */
+const slugify = (text) => String(text || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .substring(0, 120)
+  .replace(/-+$/g, '');
+
+module.exports = slugify;
@@ -0,0 +1,189 @@
+/**
+ * Regras de sincronização Bling → vitrine (bling_config.sync_settings.rules)
+ * Definem de quais campos do Bling vêm os dados do produto e quais produtos entram na vitrine.
+ */
+
+// Campos do produto no Bling que podem alimentar cada campo da vitrine
+const FIELD_SOURCES = {
+  nome: {
+    nome: 'Nome',
+    descricaoCurta: 'Descrição curta'
+  },
+  descricao: {
+    descricaoCurta: 'Descrição curta',
+    descricaoComplementar: 'Descrição complementar',
+    observacoes: 'Observações'
+  },
+  preco: {
+    preco: 'Preço de venda',
+    'fornecedor.precoCusto': 'Preço de custo'
+  },
+  estoque: {
+    'estoque.saldoVirtualTotal': 'Saldo virtual',
+    'estoque.saldoFisicoTotal': 'Saldo físico'
+  }
+};
+
+// Tipos de produto aceitos no parâmetro `tipo` da listagem do Bling
+const PRODUCT_TYPES = {
+  P: 'Produtos',
+  S: 'Serviços',
+  T: 'Todos'
+};
+
+// O que fazer com produtos sem imagem
+const WITHOUT_IMAGE_OPTIONS = {
+  placeholder: 'Usar imagem padrão',
+  skip: 'Não exibir na vitrine'
+};
+
+// Colunas que podem ser editadas no painel da vitrine; com overwrite_local_changes = false, a
+// sincronização preserva as que foram editadas em cada produto (products.locally_edited_fields)
+const LOCAL_COLUMNS = ['nome', 'slug', 'descricao', 'categoria', 'imagem'];
+
+const DEFAULT_SYNC_RULES = {
+  fields: {
+    nome: 'nome',
+    descricao: 'descricaoCurta',
+    preco: 'preco',
+    estoque: 'estoque.saldoVirtualTotal'
+  },
+  product_type: 'P',
+  categories: { include: [], exclude: [] },
+  tags: { include: [], exclude: [] },
+  without_image: 'placeholder',
+  placeholder_image: 'https://via.placeholder.com/300x200',
+  default_category: 'Geral',
+  overwrite_local_changes: true
+};
+
+/**
+ * Lê um campo (com caminho separado por ponto) do produto do Bling
+ * @param {Object} product - Produto retornado pela API Bling
+ * @param {string} path - Caminho do campo (ex.: 'estoque.saldoVirtualTotal')
+ * @returns {*}
+ */
+const readField = (product, path) => path
+  .split('.')
+  .reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), product);
+
+const toList = (value) => [].concat(value || [])
+  .flatMap(item => (typeof item === 'string' ? item.split(',') : [item]))
+  .map(item => (typeof item === 'string' ? item.trim() : item))
+  .filter(item => item !== '' && item !== null && item !== undefined);
+
+/**
+ * Valida e completa as regras com os valores padrão
+ * @param {Object} values - Regras recebidas (da API ou do banco)
+ * @returns {Object} { rules, errors }
+ */
+const normalizeSyncRules = (values = {}) => {
+  const errors = [];
+  const fields = { ...DEFAULT_SYNC_RULES.fields };
+
+  Object.entries(values.fields || {}).forEach(([field, source]) => {
+    if (!FIELD_SOURCES[field]) {
+      errors.push(`Campo desconhecido: ${field}`);
+    } else if (!FIELD_SOURCES[field][source]) {
+      errors.push(`Origem inválida para ${field}: ${source}`);
+    } else {
+      fields[field] = source;
+    }
+  });
+
+  const pick = (key, options) => {
+    if (values[key] === undefined || values[key] === null) {
+      return DEFAULT_SYNC_RULES[key];
+    }
+    if (!options[values[key]]) {
+      errors.push(`Valor inválido para ${key}: ${values[key]}`);
+      return DEFAULT_SYNC_RULES[key];
+    }
+    return values[key];
+  };
+
+  const filter = (key, parse) => ({
+    include: toList(values[key]?.include).map(parse),
+    exclude: toList(values[key]?.exclude).map(parse)
+  });
+
+  const categories = filter('categories', Number);
+  if ([...categories.include, ...categories.exclude].some(id => !Number.isInteger(id))) {
+    errors.push('Categorias devem ser informadas pelo ID do Bling');
+  }
+
+  return {
+    rules: {
+      fields,
+      product_type: pick('product_type', PRODUCT_TYPES),
+      categories,
+      tags: filter('tags', tag => String(tag).toLowerCase()),
+      without_image: pick('without_image', WITHOUT_IMAGE_OPTIONS),
+      placeholder_image: String(values.placeholder_image || DEFAULT_SYNC_RULES.placeholder_image).trim(),
+      default_category: String(values.default_category || DEFAULT_SYNC_RULES.default_category).trim(),
+      overwrite_local_changes: values.overwrite_local_changes === undefined
+        ? DEFAULT_SYNC_RULES.overwrite_local_changes
+        : Boolean(values.overwrite_local_changes)
+    },
+    errors
+  };
+};
+
+/**
+ * Motivo para um produto (já formatado pelo BlingService) ficar fora da vitrine
+ * @param {Object} product - Produto formatado (BlingService.formatProduct)
+ * @param {Object} rules - Regras normalizadas
+ * @returns {string|null} Motivo da exclusão ou null se o produto entra
+ */
+const getExclusionReason = (product, rules) => {
+  const { blingData } = product;
+
+  if (rules.product_type !== 'T' && blingData.tipo && blingData.tipo !== rules.product_type) {
+    return `Tipo ${blingData.tipo} não sincronizado`;
+  }
+
+  const categoryId = Number(blingData.categoria?.id) || null;
+  if (rules.categories.include.length > 0 && !rules.categories.include.includes(categoryId)) {
+    return 'Categoria fora da lista de inclusão';
+  }
+  if (categoryId && rules.categories.exclude.includes(categoryId)) {
+    return 'Categoria excluída';
+  }
+
+  const tags = (blingData.tags || []).map(tag => String(tag?.nome || tag).toLowerCase());
+  if (rules.tags.include.length > 0 && !rules.tags.include.some(tag => tags.includes(tag))) {
+    return 'Sem tag da lista de inclusão';
+  }
+  if (rules.tags.exclude.some(tag => tags.includes(tag))) {
+    return 'Tag excluída';
+  }
+
+  if (product.semImagem && rules.without_image === 'skip') {
+    return 'Produto sem imagem';
+  }
+
+  return null;
+};
+
+/**
+ * Opções disponíveis para o painel de configuração
+ * @returns {Object}
+ */
+const getSyncRuleOptions = () => {
+  const toOptions = (options) => Object.entries(options).map(([value, label]) => ({ value, label }));
+
+  return {
+    fields: Object.fromEntries(Object.entries(FIELD_SOURCES).map(([field, sources]) => [field, toOptions(sources)])),
+    product_types: toOptions(PRODUCT_TYPES),
+    without_image: toOptions(WITHOUT_IMAGE_OPTIONS)
+  };
+};
+
+module.exports = {
+  DEFAULT_SYNC_RULES,
+  LOCAL_COLUMNS,
+  readField,
+  normalizeSyncRules,
+  getExclusionReason,
+  getSyncRuleOptions
+};
@@ -1,18 +1,35 @@
 import React from 'react';
 import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
 import 'bootstrap/dist/css/bootstrap.min.css';
+import { CartProvider } from './context/CartContext';
 import Home from './pages/Home';
 import Admin from './pages/Admin';
+import Catalog from './pages/Catalog';
+import ProductDetail from './pages/ProductDetail';
+import ActivityLog from './pages/ActivityLog';
+import Orders from './pages/Orders';
+import OrderDetail from './pages/OrderDetail';
+import Cart from './pages/Cart';
+import Checkout from './pages/Checkout';
 
 function App() {
   return (
     <Router>
-      <div className="App">
-        <Routes>
-          <Route path="/" element={<Home />} />
-          <Route path="/admin" element={<Admin />} />
-        </Routes>
-      </div>
+      <CartProvider>
+        <div className="App">
+          <Routes>
+            <Route path="/" element={<Home />} />
+            <Route path="/catalogo" element={<Catalog />} />
+            <Route path="/produto/:slug" element={<ProductDetail />} />
+            <Route path="/carrinho" element={<Cart />} />
+            <Route path="/checkout" element={<Checkout />} />
+            <Route path="/admin" element={<Admin />} />
+            <Route path="/admin/logs" element={<ActivityLog />} />
+            <Route path="/admin/pedidos" element={<Orders />} />
+            <Route path="/admin/pedidos/:id" element={<OrderDetail />} />
+          </Routes>
+        </div>
+      </CartProvider>
     </Router>
   );
 }
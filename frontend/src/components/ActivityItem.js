@@ -0,0 +1,90 @@
+import React, { useState } from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faSync, faBolt, faShoppingCart, faKey, faTags, faInfoCircle } from '@fortawesome/free-solid-svg-icons';
+import { formatRelativeTime } from '../utils/format';
+
+const TYPE_ICONS = {
+  sync: faSync,
+  webhook: faBolt,
+  order: faShoppingCart,
+  token: faKey,
+  promotion: faTags
+};
+
+const STATUS_CLASSES = {
+  success: 'text-success',
+  info: 'text-info',
+  warning: 'text-warning',
+  error: 'text-danger'
+};
+
+const COUNT_LABELS = {
+  fetched: 'lidos',
+  created: 'novos',
+  updated: 'atualizados',
+  deactivated: 'inativados',
+  excluded: 'fora das regras',
+  attempts: 'tentativa(s)',
+  itens: 'item(ns)',
+  produtos: 'produto(s)',
+  campanhas: 'campanha(s) no ar'
+};
+
+const ActivityItem = ({ activity }) => {
+  const [showErrors, setShowErrors] = useState(false);
+  const counts = Object.entries(activity.counts)
+    .filter(([, value]) => value > 0)
+    .map(([key, value]) => `${value} ${COUNT_LABELS[key] || key}`);
+
+  return (
+    <div className="list-group-item">
+      <div className="d-flex justify-content-between align-items-start">
+        <div>
+          <FontAwesomeIcon
+            icon={TYPE_ICONS[activity.type] || faInfoCircle}
+            className={`${STATUS_CLASSES[activity.status] || 'text-muted'} me-2`}
+          />
+          {activity.title}
+          {activity.message && (
+            <>
+              <br />
+              <small className="text-muted">{activity.message}</small>
+            </>
+          )}
+          {counts.length > 0 && (
+            <>
+              <br />
+              <small className="text-muted">
+                {counts.join(' · ')}
+                {activity.durationMs !== null && ` · ${(activity.durationMs / 1000).toFixed(1)}s`}
+              </small>
+            </>
+          )}
+          {activity.errors.length > 0 && (
+            <div>
+              <button className="btn btn-link btn-sm text-danger p-0" onClick={() => setShowErrors(prev => !prev)}>
+                {activity.errors.length} erro(s) {showErrors ? '▲' : '▼'}
+              </button>
+              {showErrors && (
+                <ul className="small text-danger mb-0">
+                  {activity.errors.map((error, index) => (
+                    <li key={index}>
+                      {error.productName ? `${error.productName}: ` : ''}
+                      {error.page ? `Página ${error.page}: ` : ''}
+                      {error.error}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
+        </div>
+        <small className="text-muted text-nowrap ms-3" title={new Date(activity.createdAt).toLocaleString('pt-BR')}>
+          {formatRelativeTime(activity.createdAt)}
+        </small>
+      </div>
+    </div>
+  );
+};
+
+export default ActivityItem;
@@ -0,0 +1,45 @@
+import React, { useState } from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faCartPlus, faCheck } from '@fortawesome/free-solid-svg-icons';
+import { useCart } from '../context/CartContext';
+
+// Botão "Adicionar ao carrinho"; mostra o erro da API (ex.: estoque insuficiente) logo abaixo
+const AddToCartButton = ({ product, quantidade = 1, className = 'btn btn-primary btn-sm w-100' }) => {
+  const { addItem } = useCart();
+  const [state, setState] = useState(null);
+  const [error, setError] = useState(null);
+
+  const handleClick = async (event) => {
+    // Os cards usam stretched-link: o clique no botão não deve abrir o produto
+    event.preventDefault();
+    event.stopPropagation();
+
+    try {
+      setState('adding');
+      setError(null);
+      await addItem(product.id, quantidade);
+      setState('added');
+      setTimeout(() => setState(null), 2000);
+    } catch (err) {
+      console.error('Erro ao adicionar ao carrinho:', err);
+      setError(err.response?.data?.message || 'Não foi possível adicionar ao carrinho');
+      setState(null);
+    }
+  };
+
+  if (product.stock !== undefined && product.stock <= 0) {
+    return <button className={className} disabled>Esgotado</button>;
+  }
+
+  return (
+    <div className="position-relative" style={{ zIndex: 2 }}>
+      <button className={className} onClick={handleClick} disabled={state === 'adding'}>
+        <FontAwesomeIcon icon={state === 'added' ? faCheck : faCartPlus} className="me-2" />
+        {state === 'added' ? 'Adicionado' : 'Adicionar ao carrinho'}
+      </button>
+      {error && <small className="text-danger d-block mt-1">{error}</small>}
+    </div>
+  );
+};
+
+export default AddToCartButton;
@@ -1,10 +1,17 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
 import { 
   faPlug, faCheck, faTimes, faSync, faChartLine, 
-  faRefresh, faInfoCircle, faExclamationTriangle, faKey, faExternalLinkAlt 
+  faRefresh, faInfoCircle, faExclamationTriangle, faKey, faExternalLinkAlt, faEye
 } from '@fortawesome/free-solid-svg-icons';
 import api from '../services/api';
+import SyncJobProgress, { isJobActive } from './SyncJobProgress';
+import SyncScheduleSettings from './SyncScheduleSettings';
+import SyncPreview from './SyncPreview';
+
+// Intervalo de atualização do progresso da sincronização (ms)
+const POLL_INTERVAL = 1500;
 
 const BlingIntegration = () => {
   const [status, setStatus] = useState({
@@ -12,17 +19,62 @@ const BlingIntegration = () => {
     loading: true,
     company: null
   });
-  const [syncStatus, setSyncStatus] = useState({
-    syncing: false,
-    lastSync: null,
-    synchronized: 0
-  });
+  const [syncJob, setSyncJob] = useState(null);
+  const [syncError, setSyncError] = useState(null);
   const [authUrl, setAuthUrl] = useState('');
+  const [authResult, setAuthResult] = useState(null);
+  const [searchParams, setSearchParams] = useSearchParams();
 
   useEffect(() => {
     checkBlingStatus();
   }, []);
 
+  const loadLatestJob = useCallback(async () => {
+    try {
+      const response = await api.get('/bling/sync/jobs', { params: { limit: 1 } });
+      setSyncJob(response.data.jobs[0] || null);
+    } catch (error) {
+      console.error('Erro ao carregar sincronizações:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (status.connected) {
+      loadLatestJob();
+    }
+  }, [status.connected, loadLatestJob]);
+
+  // Acompanha o job enquanto ele estiver em andamento
+  const activeJobId = isJobActive(syncJob) ? syncJob.id : null;
+  useEffect(() => {
+    if (!activeJobId) {
+      return undefined;
+    }
+
+    const timer = setInterval(async () => {
+      try {
+        const response = await api.get(`/bling/sync/jobs/${activeJobId}`);
+        setSyncJob(response.data.job);
+      } catch (error) {
+        console.error('Erro ao atualizar progresso da sincronização:', error);
+      }
+    }, POLL_INTERVAL);
+
+    return () => clearInterval(timer);
+  }, [activeJobId]);
+
+  // Resultado do callback OAuth, recebido via query string (?bling_auth=...&message=...)
+  useEffect(() => {
+    const result = searchParams.get('bling_auth');
+    if (result) {
+      setAuthResult({
+        success: result === 'success',
+        message: searchParams.get('message')
+      });
+      setSearchParams({}, { replace: true });
+    }
+  }, [searchParams, setSearchParams]);
+
   const checkBlingStatus = async () => {
     try {
       setStatus(prev => ({ ...prev, loading: true }));
@@ -44,7 +96,8 @@ const BlingIntegration = () => {
 
   const getAuthUrl = async () => {
     try {
-      const response = await api.get('/bling/auth/url');
+      // withCredentials: o backend vincula o state OAuth a um cookie desta sessão
+      const response = await api.get('/bling/auth/url', { withCredentials: true });
       setAuthUrl(response.data.authUrl);
       window.open(response.data.authUrl, '_blank');
     } catch (error) {
@@ -53,27 +106,30 @@ const BlingIntegration = () => {
     }
   };
 
-  const syncProducts = async () => {
+  // dryRun: gera apenas a prévia das alterações, sem gravar nada
+  const syncProducts = async (dryRun = false) => {
     try {
-      setSyncStatus(prev => ({ ...prev, syncing: true }));
-      const response = await api.post('/bling/sync/products');
-      
-      setSyncStatus({
-        syncing: false,
-        lastSync: new Date(),
-        synchronized: response.data.synchronized
-      });
-
-      alert(`Sincronização concluída! ${response.data.synchronized} produtos processados.`);
-      
-      // Atualiza a lista de produtos na página se necessário
-      if (window.location.pathname === '/') {
-        window.location.reload();
-      }
+      setSyncError(null);
+      const response = await api.post('/bling/sync/jobs', { dry_run: dryRun });
+      setSyncJob(response.data.job);
     } catch (error) {
       console.error('Erro na sincronização:', error);
-      setSyncStatus(prev => ({ ...prev, syncing: false }));
-      alert('Erro na sincronização. Verifique a conexão com o Bling.');
+      if (error.response?.status === 409) {
+        // Já havia uma sincronização rodando: passa a acompanhá-la
+        setSyncJob(error.response.data.job);
+      } else {
+        setSyncError(error.response?.data?.message || 'Erro na sincronização. Verifique a conexão com o Bling.');
+      }
+    }
+  };
+
+  const cancelSync = async () => {
+    try {
+      const response = await api.post(`/bling/sync/jobs/${syncJob.id}/cancel`);
+      setSyncJob(response.data.job);
+    } catch (error) {
+      console.error('Erro ao cancelar sincronização:', error);
+      setSyncError(error.response?.data?.message || 'Erro ao cancelar sincronização');
     }
   };
 
@@ -106,6 +162,14 @@ const BlingIntegration = () => {
       </div>
       
       <div className="card-body">
+        {authResult && (
+          <div className={`alert ${authResult.success ? 'alert-success' : 'alert-danger'} alert-dismissible`}>
+            <FontAwesomeIcon icon={authResult.success ? faCheck : faExclamationTriangle} className="me-2" />
+            {authResult.message}
+            <button type="button" className="btn-close" onClick={() => setAuthResult(null)}></button>
+          </div>
+        )}
+
         {status.loading ? (
           <div className="text-center py-4">
             <div className="spinner-border text-primary" role="status">
@@ -131,12 +195,20 @@ const BlingIntegration = () => {
                     <p className="small text-muted">
                       Sincronize produtos do Bling com a vitrine digital
                     </p>
+                    <button
+                      className="btn btn-outline-primary btn-sm me-2"
+                      onClick={() => syncProducts(true)}
+                      disabled={isJobActive(syncJob)}
+                    >
+                      <FontAwesomeIcon icon={faEye} className="me-2" />
+                      Pré-visualizar
+                    </button>
                     <button
                       className="btn btn-primary btn-sm"
-                      onClick={syncProducts}
-                      disabled={syncStatus.syncing}
+                      onClick={() => syncProducts()}
+                      disabled={isJobActive(syncJob)}
                     >
-                      {syncStatus.syncing ? (
+                      {isJobActive(syncJob) ? (
                         <>
                           <span className="spinner-border spinner-border-sm me-2" role="status"></span>
                           Sincronizando...
@@ -157,28 +229,29 @@ const BlingIntegration = () => {
                   <div className="card-body text-center">
                     <FontAwesomeIcon icon={faChartLine} size="2x" className="text-info mb-3" />
                     <h6>Status da Sincronização</h6>
-                    <div className="small">
-                      {syncStatus.lastSync ? (
-                        <>
-                          <div>Última sincronização:</div>
-                          <div className="text-muted">
-                            {syncStatus.lastSync.toLocaleString('pt-BR')}
-                          </div>
-                          <div className="mt-2">
-                            <span className="badge bg-info">
-                              {syncStatus.synchronized} produtos sincronizados
-                            </span>
-                          </div>
-                        </>
-                      ) : (
-                        <div className="text-muted">Nenhuma sincronização realizada</div>
-                      )}
-                    </div>
+                    {syncJob ? (
+                      <SyncJobProgress job={syncJob} onCancel={cancelSync} />
+                    ) : (
+                      <div className="small text-muted">Nenhuma sincronização realizada</div>
+                    )}
                   </div>
                 </div>
               </div>
             </div>
 
+            {syncError && (
+              <div className="alert alert-danger mt-3 mb-0">
+                <FontAwesomeIcon icon={faExclamationTriangle} className="me-2" />
+                {syncError}
+              </div>
+            )}
+
+            {syncJob?.options?.dry_run && ['completed', 'partial'].includes(syncJob.status) && (
+              <SyncPreview job={syncJob} />
+            )}
+
+            <SyncScheduleSettings />
+
             <div className="mt-3">
               <div className="d-flex justify-content-between align-items-center">
                 <small className="text-muted">
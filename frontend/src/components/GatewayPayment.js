@@ -0,0 +1,113 @@
+import React, { useState } from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faBarcode, faCopy, faCheckCircle, faCreditCard } from '@fortawesome/free-solid-svg-icons';
+import api from '../services/api';
+import { formatPrice } from '../utils/format';
+
+// Resultado da cobrança de cartão ou boleto feita no checkout, com nova tentativa quando o cartão é recusado
+const GatewayPayment = ({ orderNumber, method, initialPayment, initialError, testCards = [] }) => {
+  const [payment, setPayment] = useState(initialPayment);
+  const [error, setError] = useState(initialError);
+  const [cardToken, setCardToken] = useState(testCards[0]?.token || '');
+  const [retrying, setRetrying] = useState(false);
+  const [copied, setCopied] = useState(false);
+
+  const retry = async (event) => {
+    event.preventDefault();
+    try {
+      setRetrying(true);
+      setError(null);
+      const response = await api.post(`/orders/${orderNumber}/charge`, { cartao: { token: cardToken } });
+      setPayment(response.data.payment);
+    } catch (err) {
+      console.error('Erro ao cobrar cartão:', err);
+      if (err.response?.data?.payment) {
+        setPayment(err.response.data.payment);
+      }
+      setError(err.response?.data?.message || 'Não foi possível cobrar o cartão');
+    } finally {
+      setRetrying(false);
+    }
+  };
+
+  const copyLine = async () => {
+    await navigator.clipboard.writeText(payment.details.linha_digitavel);
+    setCopied(true);
+    setTimeout(() => setCopied(false), 2000);
+  };
+
+  if (payment?.status === 'paid') {
+    return (
+      <div className="alert alert-success">
+        <FontAwesomeIcon icon={faCheckCircle} className="me-2" />
+        Pagamento de {formatPrice(payment.paid_amount ?? payment.amount)}
+        {payment.installments > 1 && <> em {payment.installments}x</>} aprovado. Obrigado!
+      </div>
+    );
+  }
+
+  if (payment?.status === 'authorized') {
+    return (
+      <div className="alert alert-success">
+        <FontAwesomeIcon icon={faCheckCircle} className="me-2" />
+        Pagamento aprovado. O valor será cobrado no cartão quando o pedido for separado.
+      </div>
+    );
+  }
+
+  if (method === 'boleto' && payment?.status === 'pending') {
+    return (
+      <div className="card mx-auto mb-4" style={{ maxWidth: '480px' }}>
+        <div className="card-body">
+          <h6>
+            <FontAwesomeIcon icon={faBarcode} className="me-2" />
+            Boleto de {formatPrice(payment.amount)}
+          </h6>
+          <div className="input-group input-group-sm my-2">
+            <input className="form-control" value={payment.details.linha_digitavel} readOnly aria-label="Linha digitável" />
+            <button className="btn btn-outline-secondary" onClick={copyLine} title="Copiar">
+              <FontAwesomeIcon icon={faCopy} className="me-1" />
+              {copied ? 'Copiado' : 'Copiar'}
+            </button>
+          </div>
+          {payment.details.url && (
+            <a href={payment.details.url} target="_blank" rel="noreferrer" className="btn btn-outline-primary btn-sm mb-2">
+              Abrir boleto
+            </a>
+          )}
+          <small className="text-muted d-block">
+            Vence em {new Date(payment.expires_at).toLocaleDateString('pt-BR')}. O pedido é liberado após a compensação.
+          </small>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <form className="card mx-auto mb-4" style={{ maxWidth: '420px' }} onSubmit={retry}>
+      <div className="card-body">
+        <div className="alert alert-warning py-2 small">
+          {error || payment?.failure_reason || 'O pagamento não foi concluído'}
+        </div>
+        {method !== 'boleto' && testCards.length > 0 && (
+          <select
+            className="form-select form-select-sm mb-2"
+            value={cardToken}
+            onChange={(event) => setCardToken(event.target.value)}
+            aria-label="Cartão"
+          >
+            {testCards.map(card => (
+              <option key={card.token} value={card.token}>{card.label}</option>
+            ))}
+          </select>
+        )}
+        <button type="submit" className="btn btn-primary btn-sm" disabled={retrying}>
+          <FontAwesomeIcon icon={method === 'boleto' ? faBarcode : faCreditCard} className="me-2" />
+          {method === 'boleto' ? 'Gerar boleto novamente' : 'Tentar com outro cartão'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default GatewayPayment;
@@ -0,0 +1,66 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faShoppingCart } from '@fortawesome/free-solid-svg-icons';
+import { useCart } from '../context/CartContext';
+import { formatPrice } from '../utils/format';
+
+// Mini-carrinho do cabeçalho: contador de itens e resumo ao abrir
+const MiniCart = () => {
+  const { cart } = useCart();
+  const [open, setOpen] = useState(false);
+
+  return (
+    <div className="position-relative d-inline-block">
+      <button
+        className="btn btn-light btn-sm me-2 position-relative"
+        onClick={() => setOpen(!open)}
+        title="Carrinho"
+        aria-expanded={open}
+      >
+        <FontAwesomeIcon icon={faShoppingCart} />
+        {cart.quantidade_total > 0 && (
+          <span className="position-absolute top-0 start-100 translate-middle badge rounded-pill bg-danger">
+            {cart.quantidade_total}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div
+          className="card shadow position-absolute end-0 mt-2 text-dark text-start"
+          style={{ width: '300px', zIndex: 1000 }}
+        >
+          <div className="card-body p-3">
+            {cart.items.length === 0 ? (
+              <div className="text-muted small text-center py-2">Seu carrinho está vazio</div>
+            ) : (
+              <>
+                <ul className="list-unstyled small mb-3">
+                  {cart.items.slice(0, 5).map(item => (
+                    <li key={item.product_id} className="d-flex justify-content-between mb-1">
+                      <span className="text-truncate me-2">{item.quantidade}x {item.name}</span>
+                      <span>{formatPrice(item.subtotal)}</span>
+                    </li>
+                  ))}
+                  {cart.items.length > 5 && (
+                    <li className="text-muted">e mais {cart.items.length - 5} produto(s)</li>
+                  )}
+                </ul>
+                <div className="d-flex justify-content-between fw-bold mb-3">
+                  <span>Subtotal</span>
+                  <span>{formatPrice(cart.subtotal)}</span>
+                </div>
+              </>
+            )}
+            <Link to="/carrinho" className="btn btn-primary btn-sm w-100" onClick={() => setOpen(false)}>
+              Ver carrinho
+            </Link>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MiniCart;
@@ -0,0 +1,172 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faInbox, faRedo, faRefresh } from '@fortawesome/free-solid-svg-icons';
+import api from '../services/api';
+import { formatPrice } from '../utils/format';
+
+const STATUS_OPTIONS = [
+  { value: 'dead', label: 'Precisam de revisão' },
+  { value: 'pending', label: 'Aguardando nova tentativa' },
+  { value: 'sent', label: 'Enviados' },
+  { value: '', label: 'Todos' }
+];
+
+const STATUS_BADGES = {
+  pending: 'bg-warning text-dark',
+  processing: 'bg-info',
+  sent: 'bg-success',
+  dead: 'bg-danger'
+};
+
+// Fila de envio de pedidos ao Bling; a fila morta aparece primeiro
+const OrderOutbox = () => {
+  const [status, setStatus] = useState('dead');
+  const [page, setPage] = useState(1);
+  const [result, setResult] = useState({ entries: [], pagination: { page: 1, pages: 0, total: 0 } });
+  const [loading, setLoading] = useState(true);
+  const [resending, setResending] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const loadEntries = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await api.get('/orders/outbox', {
+        params: { status: status || undefined, page }
+      });
+      setResult(response.data);
+    } catch (error) {
+      console.error('Erro ao carregar fila de pedidos:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [status, page]);
+
+  useEffect(() => {
+    loadEntries();
+  }, [loadEntries]);
+
+  const resend = async (entry) => {
+    try {
+      setResending(entry.order_id);
+      const response = await api.post(`/orders/${entry.order_id}/resend`);
+      setMessage({ success: response.data.success, text: response.data.message });
+    } catch (error) {
+      console.error('Erro ao reenviar pedido:', error);
+      setMessage({ success: false, text: error.response?.data?.message || 'Erro ao reenviar pedido' });
+    } finally {
+      setResending(null);
+      loadEntries();
+    }
+  };
+
+  const { entries, pagination } = result;
+
+  return (
+    <div className="card">
+      <div className="card-header d-flex justify-content-between align-items-center">
+        <h6 className="mb-0">
+          <FontAwesomeIcon icon={faInbox} className="me-2" />
+          Envio de Pedidos ao Bling
+        </h6>
+        <div className="d-flex gap-2">
+          <select
+            className="form-select form-select-sm"
+            value={status}
+            onChange={(event) => { setStatus(event.target.value); setPage(1); }}
+          >
+            {STATUS_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <button className="btn btn-outline-secondary btn-sm" onClick={loadEntries} title="Atualizar">
+            <FontAwesomeIcon icon={faRefresh} />
+          </button>
+        </div>
+      </div>
+      <div className="card-body">
+        {message && (
+          <div className={`alert ${message.success ? 'alert-success' : 'alert-danger'} py-2`}>
+            {message.text}
+          </div>
+        )}
+
+        {loading ? (
+          <div className="text-center py-3">
+            <div className="spinner-border spinner-border-sm text-primary" role="status"></div>
+          </div>
+        ) : entries.length === 0 ? (
+          <div className="text-muted text-center small py-3">Nenhum pedido nesta fila</div>
+        ) : (
+          <div className="table-responsive">
+            <table className="table table-sm align-middle mb-0">
+              <thead>
+                <tr>
+                  <th>Pedido</th>
+                  <th>Status</th>
+                  <th>Tentativas</th>
+                  <th className="text-end">Total</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {entries.map(entry => (
+                  <tr key={entry.id}>
+                    <td>
+                      <Link to={`/admin/pedidos/${entry.order_id}`} className="text-decoration-none">
+                        {entry.numero_loja}
+                      </Link>
+                      <small className="text-muted ms-2">{entry.cliente_nome}</small>
+                      {entry.last_error && <div className="small text-danger">{entry.last_error}</div>}
+                    </td>
+                    <td>
+                      <span className={`badge ${STATUS_BADGES[entry.status] || 'bg-secondary'}`}>
+                        {entry.status}
+                      </span>
+                    </td>
+                    <td>{entry.attempts}/{entry.max_attempts}</td>
+                    <td className="text-end">{formatPrice(entry.total)}</td>
+                    <td className="text-end">
+                      {['dead', 'pending'].includes(entry.status) && (
+                        <button
+                          className="btn btn-outline-primary btn-sm"
+                          onClick={() => resend(entry)}
+                          disabled={resending === entry.order_id}
+                        >
+                          <FontAwesomeIcon icon={faRedo} className="me-1" />
+                          Reenviar
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {pagination.pages > 1 && (
+          <div className="d-flex justify-content-between align-items-center mt-3">
+            <button
+              className="btn btn-outline-secondary btn-sm"
+              disabled={pagination.page <= 1}
+              onClick={() => setPage(pagination.page - 1)}
+            >
+              Anterior
+            </button>
+            <small className="text-muted">Página {pagination.page} de {pagination.pages}</small>
+            <button
+              className="btn btn-outline-secondary btn-sm"
+              disabled={pagination.page >= pagination.pages}
+              onClick={() => setPage(pagination.page + 1)}
+            >
+              Próxima
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default OrderOutbox;
@@ -0,0 +1,29 @@
+import React from 'react';
+
+const STATUS_CLASSES = {
+  pending: 'bg-warning text-dark',
+  paid: 'bg-primary',
+  invoiced: 'bg-info text-dark',
+  shipped: 'bg-secondary',
+  delivered: 'bg-success',
+  cancelled: 'bg-danger'
+};
+
+const SYNC_BADGES = {
+  pending: { label: 'Na fila', className: 'bg-light text-dark border' },
+  synced: { label: 'No Bling', className: 'bg-light text-success border' },
+  failed: { label: 'Precisa de revisão', className: 'bg-danger' }
+};
+
+// Status do pedido na vitrine (rótulo vem da API)
+export const OrderStatusBadge = ({ status, label }) => (
+  <span className={`badge ${STATUS_CLASSES[status] || 'bg-secondary'}`}>{label || status}</span>
+);
+
+// Situação do envio do pedido ao Bling
+export const BlingSyncBadge = ({ status, title }) => {
+  const badge = SYNC_BADGES[status] || SYNC_BADGES.pending;
+  return <span className={`badge ${badge.className}`} title={title || undefined}>{badge.label}</span>;
+};
+
+export default OrderStatusBadge;
@@ -0,0 +1,162 @@
+import React, { useState, useEffect } from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faMoneyCheckAlt, faSave } from '@fortawesome/free-solid-svg-icons';
+import api from '../services/api';
+
+// Gateway que cobra cartão e boleto e a política de parcelas e juros (a mesma do "12x de R$ X sem juros" dos produtos)
+const PaymentGatewaySettings = () => {
+  const [settings, setSettings] = useState(null);
+  const [providers, setProviders] = useState([]);
+  const [captureModes, setCaptureModes] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    api.get('/payments/gateway/settings')
+      .then(response => {
+        setSettings(response.data.settings);
+        setProviders(response.data.providers);
+        setCaptureModes(response.data.capture_modes);
+      })
+      .catch(error => console.error('Erro ao carregar configuração do gateway:', error));
+  }, []);
+
+  const update = (changes) => setSettings(prev => ({ ...prev, ...changes }));
+
+  const saveSettings = async (event) => {
+    event.preventDefault();
+    try {
+      setSaving(true);
+      const response = await api.put('/payments/gateway/settings', settings);
+      setSettings(response.data.settings);
+      setMessage({ success: true, text: 'Gateway salvo. Ele vale para as próximas cobranças.' });
+    } catch (error) {
+      console.error('Erro ao salvar configuração do gateway:', error);
+      setMessage({ success: false, text: error.response?.data?.message || 'Erro ao salvar configuração do gateway' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!settings) {
+    return null;
+  }
+
+  return (
+    <form className="card" onSubmit={saveSettings}>
+      <div className="card-header">
+        <h6 className="mb-0">
+          <FontAwesomeIcon icon={faMoneyCheckAlt} className="me-2" />
+          Gateway de Pagamento (cartão e boleto)
+        </h6>
+      </div>
+      <div className="card-body">
+        {message && (
+          <div className={`alert ${message.success ? 'alert-success' : 'alert-danger'} py-2`}>
+            {message.text}
+          </div>
+        )}
+
+        <div className="row g-2 mb-3">
+          <div className="col-md-3">
+            <label className="form-label small mb-1" htmlFor="gateway-provider">Provedor</label>
+            <select
+              id="gateway-provider"
+              className="form-select form-select-sm"
+              value={settings.provider}
+              onChange={(event) => update({ provider: event.target.value })}
+            >
+              {providers.map(provider => (
+                <option key={provider.value} value={provider.value}>{provider.label}</option>
+              ))}
+            </select>
+          </div>
+          <div className="col-md-3">
+            <label className="form-label small mb-1" htmlFor="gateway-capture">Captura do cartão</label>
+            <select
+              id="gateway-capture"
+              className="form-select form-select-sm"
+              value={settings.capture}
+              onChange={(event) => update({ capture: event.target.value })}
+            >
+              {captureModes.map(mode => (
+                <option key={mode.value} value={mode.value}>{mode.label}</option>
+              ))}
+            </select>
+          </div>
+          <div className="col-md-3">
+            <label className="form-label small mb-1" htmlFor="max-installments">Parcelas no cartão (máximo)</label>
+            <input
+              id="max-installments"
+              type="number"
+              min="1"
+              max="24"
+              className="form-control form-control-sm"
+              value={settings.max_installments}
+              onChange={(event) => update({ max_installments: Number(event.target.value) })}
+            />
+          </div>
+          <div className="col-md-3">
+            <label className="form-label small mb-1" htmlFor="min-installment">Parcela mínima (R$)</label>
+            <input
+              id="min-installment"
+              type="number"
+              min="0"
+              step="0.01"
+              className="form-control form-control-sm"
+              value={settings.min_installment_value}
+              onChange={(event) => update({ min_installment_value: Number(event.target.value) })}
+            />
+          </div>
+        </div>
+
+        <div className="row g-2 mb-3">
+          <div className="col-md-3">
+            <label className="form-label small mb-1" htmlFor="interest-free">Parcelas sem juros (até)</label>
+            <input
+              id="interest-free"
+              type="number"
+              min="1"
+              max="24"
+              className="form-control form-control-sm"
+              value={settings.interest_free_installments}
+              onChange={(event) => update({ interest_free_installments: Number(event.target.value) })}
+            />
+          </div>
+          <div className="col-md-3">
+            <label className="form-label small mb-1" htmlFor="interest-rate">Juros ao mês (%)</label>
+            <input
+              id="interest-rate"
+              type="number"
+              min="0"
+              max="20"
+              step="0.01"
+              className="form-control form-control-sm"
+              value={settings.monthly_interest_rate}
+              onChange={(event) => update({ monthly_interest_rate: Number(event.target.value) })}
+            />
+          </div>
+          <div className="col-md-6 d-flex align-items-end">
+            <small className="text-muted">
+              Acima das parcelas sem juros, o valor é financiado pela tabela Price; os juros entram no
+              total do pedido e vão ao Bling como outras despesas.
+            </small>
+          </div>
+        </div>
+
+        <div className="d-flex justify-content-between align-items-center">
+          <small className="text-muted">
+            O gateway notifica os pagamentos em POST /api/payments/webhooks/{settings.provider}
+            {settings.provider === 'fake' && ' (simule com npm run payment:webhook)'}.
+          </small>
+          <button className="btn btn-primary btn-sm" type="submit" disabled={saving}>
+            <FontAwesomeIcon icon={faSave} className="me-2" />
+            Salvar gateway
+          </button>
+        </div>
+      </div>
+    </form>
+  );
+};
+
+export default PaymentGatewaySettings;
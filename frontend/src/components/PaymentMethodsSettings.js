@@ -0,0 +1,164 @@
+import React, { useState, useEffect } from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faCreditCard, faSave, faSync } from '@fortawesome/free-solid-svg-icons';
+import api from '../services/api';
+
+const PaymentMethodsSettings = () => {
+  const [methods, setMethods] = useState([]);
+  const [settings, setSettings] = useState(null);
+  const [options, setOptions] = useState([]);
+  const [syncing, setSyncing] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    api.get('/bling/payment-methods')
+      .then(response => {
+        setMethods(response.data.methods);
+        setSettings(response.data.settings);
+        setOptions(response.data.options);
+      })
+      .catch(error => console.error('Erro ao carregar formas de pagamento:', error));
+  }, []);
+
+  const update = (changes) => setSettings(prev => ({ ...prev, ...changes }));
+
+  const syncMethods = async () => {
+    try {
+      setSyncing(true);
+      const response = await api.post('/bling/payment-methods/sync');
+      setMethods(response.data.methods);
+      setMessage({ success: true, text: response.data.message });
+    } catch (error) {
+      console.error('Erro ao sincronizar formas de pagamento:', error);
+      setMessage({ success: false, text: error.response?.data?.message || 'Erro ao sincronizar formas de pagamento' });
+    } finally {
+      setSyncing(false);
+    }
+  };
+
+  const saveSettings = async (event) => {
+    event.preventDefault();
+    try {
+      setSaving(true);
+      const response = await api.put('/bling/payment-methods/settings', settings);
+      setSettings(response.data.settings);
+      setMessage({ success: true, text: 'Formas de pagamento salvas. Elas valem para os próximos pedidos.' });
+    } catch (error) {
+      console.error('Erro ao salvar formas de pagamento:', error);
+      setMessage({ success: false, text: error.response?.data?.message || 'Erro ao salvar formas de pagamento' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!settings) {
+    return null;
+  }
+
+  const activeMethods = methods.filter(method => method.ativo);
+
+  return (
+    <form className="card" onSubmit={saveSettings}>
+      <div className="card-header d-flex justify-content-between align-items-center">
+        <h6 className="mb-0">
+          <FontAwesomeIcon icon={faCreditCard} className="me-2" />
+          Formas de Pagamento
+        </h6>
+        <button type="button" className="btn btn-outline-secondary btn-sm" onClick={syncMethods} disabled={syncing}>
+          <FontAwesomeIcon icon={faSync} spin={syncing} className="me-2" />
+          Buscar no Bling
+        </button>
+      </div>
+      <div className="card-body">
+        {message && (
+          <div className={`alert ${message.success ? 'alert-success' : 'alert-danger'} py-2`}>
+            {message.text}
+          </div>
+        )}
+
+        {methods.length === 0 && (
+          <div className="alert alert-info py-2">
+            Nenhuma forma de pagamento importada. Use &quot;Buscar no Bling&quot; para carregá-las.
+          </div>
+        )}
+
+        <div className="row g-2 mb-4">
+          {options.map(option => {
+            const suggested = activeMethods.filter(method => method.tipoPagamento === option.tipoPagamento);
+            const others = activeMethods.filter(method => method.tipoPagamento !== option.tipoPagamento);
+
+            return (
+              <div className="col-md-4" key={option.value}>
+                <label className="form-label small mb-1" htmlFor={`payment-${option.value}`}>{option.label}</label>
+                <select
+                  id={`payment-${option.value}`}
+                  className="form-select form-select-sm"
+                  value={settings.methods[option.value] || ''}
+                  onChange={(event) => update({
+                    methods: { ...settings.methods, [option.value]: event.target.value ? Number(event.target.value) : null }
+                  })}
+                >
+                  <option value="">Não oferecer</option>
+                  {suggested.length > 0 && (
+                    <optgroup label="Sugeridas">
+                      {suggested.map(method => (
+                        <option key={method.id} value={method.id}>{method.descricao}</option>
+                      ))}
+                    </optgroup>
+                  )}
+                  {others.length > 0 && (
+                    <optgroup label="Outras">
+                      {others.map(method => (
+                        <option key={method.id} value={method.id}>{method.descricao}</option>
+                      ))}
+                    </optgroup>
+                  )}
+                </select>
+              </div>
+            );
+          })}
+        </div>
+
+        <div className="row g-2 mb-3">
+          <div className="col-md-6">
+            <label className="form-label small mb-1" htmlFor="installment-interval">Intervalo entre parcelas (dias)</label>
+            <input
+              id="installment-interval"
+              type="number"
+              min="1"
+              max="90"
+              className="form-control form-control-sm"
+              value={settings.installment_interval_days}
+              onChange={(event) => update({ installment_interval_days: Number(event.target.value) })}
+            />
+          </div>
+          <div className="col-md-6">
+            <label className="form-label small mb-1" htmlFor="boleto-due-days">Vencimento do boleto (dias)</label>
+            <input
+              id="boleto-due-days"
+              type="number"
+              min="1"
+              max="30"
+              className="form-control form-control-sm"
+              value={settings.boleto_due_days}
+              onChange={(event) => update({ boleto_due_days: Number(event.target.value) })}
+            />
+          </div>
+        </div>
+
+        <div className="d-flex justify-content-between align-items-center">
+          <small className="text-muted">
+            Os pedidos enviados ao Bling usam a forma de pagamento vinculada e as parcelas calculadas aqui.
+          </small>
+          <button className="btn btn-primary btn-sm" type="submit" disabled={saving}>
+            <FontAwesomeIcon icon={faSave} className="me-2" />
+            Salvar formas de pagamento
+          </button>
+        </div>
+      </div>
+    </form>
+  );
+};
+
+export default PaymentMethodsSettings;
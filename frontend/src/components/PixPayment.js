@@ -0,0 +1,105 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faQrcode, faCopy, faCheckCircle } from '@fortawesome/free-solid-svg-icons';
+import api from '../services/api';
+import { formatPrice } from '../utils/format';
+
+// Intervalo da consulta à cobrança enquanto o cliente paga
+const POLL_INTERVAL = 5000;
+
+// QR Code e "copia e cola" do PIX de um pedido; acompanha a cobrança até o pagamento ser confirmado
+const PixPayment = ({ orderNumber }) => {
+  const [payment, setPayment] = useState(null);
+  const [error, setError] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  const createCharge = useCallback(async () => {
+    try {
+      setError(null);
+      const response = await api.post(`/orders/${orderNumber}/pix`);
+      setPayment(response.data.payment);
+    } catch (err) {
+      console.error('Erro ao gerar PIX:', err);
+      setError(err.response?.data?.message || 'Não foi possível gerar o PIX');
+    }
+  }, [orderNumber]);
+
+  useEffect(() => {
+    createCharge();
+  }, [createCharge]);
+
+  useEffect(() => {
+    if (payment?.status !== 'pending') {
+      return undefined;
+    }
+
+    const timer = setInterval(async () => {
+      try {
+        const response = await api.get(`/orders/${orderNumber}/pix`);
+        if (response.data.payment) {
+          setPayment(response.data.payment);
+        }
+      } catch (err) {
+        console.error('Erro ao consultar PIX:', err);
+      }
+    }, POLL_INTERVAL);
+
+    return () => clearInterval(timer);
+  }, [orderNumber, payment?.status]);
+
+  const copyCode = async () => {
+    await navigator.clipboard.writeText(payment.br_code);
+    setCopied(true);
+    setTimeout(() => setCopied(false), 2000);
+  };
+
+  if (error) {
+    return <div className="alert alert-warning py-2">{error}</div>;
+  }
+
+  if (!payment) {
+    return <div className="spinner-border text-primary" role="status"></div>;
+  }
+
+  if (payment.status === 'paid') {
+    return (
+      <div className="alert alert-success">
+        <FontAwesomeIcon icon={faCheckCircle} className="me-2" />
+        Pagamento de {formatPrice(payment.paid_amount ?? payment.amount)} confirmado. Obrigado!
+      </div>
+    );
+  }
+
+  if (payment.status !== 'pending') {
+    return (
+      <div className="alert alert-warning">
+        O QR Code expirou.
+        <button className="btn btn-link btn-sm" onClick={createCharge}>Gerar novo PIX</button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="card mx-auto mb-4" style={{ maxWidth: '360px' }}>
+      <div className="card-body">
+        <h6>
+          <FontAwesomeIcon icon={faQrcode} className="me-2" />
+          Pague {formatPrice(payment.amount)} com PIX
+        </h6>
+        <img src={payment.qr_code} alt="QR Code do PIX" className="img-fluid my-2" />
+        <div className="input-group input-group-sm mb-2">
+          <input className="form-control" value={payment.br_code} readOnly aria-label="PIX copia e cola" />
+          <button className="btn btn-outline-secondary" onClick={copyCode} title="Copiar">
+            <FontAwesomeIcon icon={faCopy} className="me-1" />
+            {copied ? 'Copiado' : 'Copiar'}
+          </button>
+        </div>
+        <small className="text-muted">
+          Válido até {new Date(payment.expires_at).toLocaleString('pt-BR')}. Esta página é atualizada quando o pagamento for confirmado.
+        </small>
+      </div>
+    </div>
+  );
+};
+
+export default PixPayment;
@@ -0,0 +1,160 @@
+import React, { useState, useEffect } from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faQrcode, faSave } from '@fortawesome/free-solid-svg-icons';
+import api from '../services/api';
+
+const KEY_TYPE_LABELS = {
+  cpf: 'CPF',
+  cnpj: 'CNPJ',
+  email: 'Email',
+  phone: 'Celular',
+  evp: 'Chave aleatória'
+};
+
+// Chave PIX da loja e formato do QR Code gerado para os pedidos pagos via PIX
+const PixSettings = () => {
+  const [settings, setSettings] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    api.get('/payments/pix/settings')
+      .then(response => setSettings(response.data.settings))
+      .catch(error => console.error('Erro ao carregar configuração do PIX:', error));
+  }, []);
+
+  const update = (changes) => setSettings(prev => ({ ...prev, ...changes }));
+
+  const saveSettings = async (event) => {
+    event.preventDefault();
+    try {
+      setSaving(true);
+      const response = await api.put('/payments/pix/settings', settings);
+      setSettings(response.data.settings);
+      setMessage({ success: true, text: 'Configuração do PIX salva. Ela vale para as próximas cobranças.' });
+    } catch (error) {
+      console.error('Erro ao salvar configuração do PIX:', error);
+      setMessage({ success: false, text: error.response?.data?.message || 'Erro ao salvar configuração do PIX' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!settings) {
+    return null;
+  }
+
+  return (
+    <form className="card" onSubmit={saveSettings}>
+      <div className="card-header d-flex justify-content-between align-items-center">
+        <h6 className="mb-0">
+          <FontAwesomeIcon icon={faQrcode} className="me-2" />
+          PIX
+        </h6>
+        <div className="form-check form-switch mb-0">
+          <input
+            id="pix-enabled"
+            type="checkbox"
+            className="form-check-input"
+            checked={settings.enabled}
+            onChange={(event) => update({ enabled: event.target.checked })}
+          />
+          <label className="form-check-label small" htmlFor="pix-enabled">Gerar QR Code nos pedidos</label>
+        </div>
+      </div>
+      <div className="card-body">
+        {message && (
+          <div className={`alert ${message.success ? 'alert-success' : 'alert-danger'} py-2`}>
+            {message.text}
+          </div>
+        )}
+
+        <div className="row g-2 mb-3">
+          <div className="col-md-4">
+            <label className="form-label small mb-1" htmlFor="pix-key">
+              Chave PIX {settings.key_type && <span className="text-muted">({KEY_TYPE_LABELS[settings.key_type]})</span>}
+            </label>
+            <input
+              id="pix-key"
+              className="form-control form-control-sm"
+              value={settings.key || ''}
+              onChange={(event) => update({ key: event.target.value })}
+              placeholder="CPF, CNPJ, email, +55... ou aleatória"
+            />
+          </div>
+          <div className="col-md-4">
+            <label className="form-label small mb-1" htmlFor="pix-name">Nome do recebedor</label>
+            <input
+              id="pix-name"
+              className="form-control form-control-sm"
+              maxLength="25"
+              value={settings.merchant_name}
+              onChange={(event) => update({ merchant_name: event.target.value })}
+            />
+          </div>
+          <div className="col-md-4">
+            <label className="form-label small mb-1" htmlFor="pix-city">Cidade do recebedor</label>
+            <input
+              id="pix-city"
+              className="form-control form-control-sm"
+              maxLength="15"
+              value={settings.merchant_city}
+              onChange={(event) => update({ merchant_city: event.target.value })}
+            />
+          </div>
+        </div>
+
+        <div className="row g-2 mb-3">
+          <div className="col-md-4">
+            <label className="form-label small mb-1" htmlFor="pix-mode">QR Code</label>
+            <select
+              id="pix-mode"
+              className="form-select form-select-sm"
+              value={settings.mode}
+              onChange={(event) => update({ mode: event.target.value })}
+            >
+              <option value="static">Estático (chave + valor)</option>
+              <option value="dynamic">Dinâmico (cobrança no PSP)</option>
+            </select>
+          </div>
+          {settings.mode === 'dynamic' && (
+            <div className="col-md-4">
+              <label className="form-label small mb-1" htmlFor="pix-location">URL de cobrança do PSP</label>
+              <input
+                id="pix-location"
+                className="form-control form-control-sm"
+                value={settings.location_url || ''}
+                onChange={(event) => update({ location_url: event.target.value })}
+                placeholder="pix.seupsp.com.br/qr/v2/{txid}"
+              />
+            </div>
+          )}
+          <div className="col-md-4">
+            <label className="form-label small mb-1" htmlFor="pix-expires">Validade do QR Code (minutos)</label>
+            <input
+              id="pix-expires"
+              type="number"
+              min="1"
+              max="10080"
+              className="form-control form-control-sm"
+              value={settings.expires_minutes}
+              onChange={(event) => update({ expires_minutes: Number(event.target.value) })}
+            />
+          </div>
+        </div>
+
+        <div className="d-flex justify-content-between align-items-center">
+          <small className="text-muted">
+            O pagamento é confirmado em POST /api/payments/confirm (PSP, conciliação ou npm run pix:confirm).
+          </small>
+          <button className="btn btn-primary btn-sm" type="submit" disabled={saving}>
+            <FontAwesomeIcon icon={faSave} className="me-2" />
+            Salvar PIX
+          </button>
+        </div>
+      </div>
+    </form>
+  );
+};
+
+export default PixSettings;
@@ -0,0 +1,62 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { formatPrice, formatInstallment } from '../utils/format';
+import AddToCartButton from './AddToCartButton';
+
+function ProductCard({ product, rank, showDiscount = false, showAddToCart = false }) {
+  return (
+    <div className="card h-100 shadow-sm">
+      <div className="position-relative">
+        {showDiscount && product.discount > 0 && (
+          <div className="product-discount">
+            {product.discount}%
+          </div>
+        )}
+        <img 
+          src={product.image_src} 
+          alt={product.name}
+          className="card-img-top"
+          style={{ height: '200px', objectFit: 'cover' }}
+        />
+        {rank && (
+          <div className="position-count position-absolute top-0 start-0 m-2">
+            <span>{rank}º</span>
+          </div>
+        )}
+      </div>
+      <div className="card-body">
+        <h6 className="card-title">
+          <Link
+            to={`/produto/${product.slug || product.id}`}
+            className="stretched-link text-reset text-decoration-none"
+          >
+            {product.name}
+          </Link>
+        </h6>
+        {product.promotion && (
+          <span className="badge bg-danger mb-1">{product.promotion.name}</span>
+        )}
+        {product.oldprice && (
+          <div className="product-oldprice">
+            {formatPrice(product.oldprice)}
+          </div>
+        )}
+        <div className="product-price">
+          Por <span>{formatPrice(product.price)}</span>
+        </div>
+        {product.installments && (
+          <small className="text-muted">
+            ou {formatInstallment(product.installments)}
+          </small>
+        )}
+      </div>
+      {showAddToCart && (
+        <div className="card-footer bg-transparent border-0 pt-0">
+          <AddToCartButton product={product} />
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ProductCard;
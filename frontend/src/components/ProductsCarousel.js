@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import Carousel from 'react-multi-carousel';
 import 'react-multi-carousel/lib/styles.css';
 import api from '../services/api';
+import ProductCard from './ProductCard';
 
 function ProductsCarousel() {
   const [loading, setLoading] = useState(true);
@@ -44,13 +45,6 @@ function ProductsCarousel() {
     });
   }, []);
 
-  const formatPrice = (price) => {
-    return new Intl.NumberFormat('pt-BR', {
-      style: 'currency',
-      currency: 'BRL'
-    }).format(price);
-  };
-
   if (loading) {
     return (
       <div className="text-center py-5">
@@ -91,31 +85,7 @@ function ProductsCarousel() {
             itemClass="px-2"
           >
             {popularProducts.map((product, index) => (
-              <div key={product.id} className="card h-100 shadow-sm">
-                <div className="position-relative">
-                  <img 
-                    src={product.image_src} 
-                    alt={product.name}
-                    className="card-img-top"
-                    style={{ height: '200px', objectFit: 'cover' }}
-                  />
-                  <div className="position-count position-absolute top-0 start-0 m-2">
-                    <span>{index + 1}º</span>
-                  </div>
-                </div>
-                <div className="card-body">
-                  <h6 className="card-title">{product.name}</h6>
-                  <div className="product-oldprice">
-                    {formatPrice(product.oldprice)}
-                  </div>
-                  <div className="product-price">
-                    Por <span>{formatPrice(product.price)}</span>
-                  </div>
-                  <small className="text-muted">
-                    {product.count}x {formatPrice(product.price / product.count)}
-                  </small>
-                </div>
-              </div>
+              <ProductCard key={product.id} product={product} rank={index + 1} showAddToCart />
             ))}
           </Carousel>
         </div>
@@ -141,31 +111,7 @@ function ProductsCarousel() {
             itemClass="px-2"
           >
             {offerProducts.map((product) => (
-              <div key={product.id} className="card h-100 shadow-sm">
-                <div className="position-relative">
-                  <div className="product-discount">
-                    {product.discount}%
-                  </div>
-                  <img 
-                    src={product.image_src} 
-                    alt={product.name}
-                    className="card-img-top"
-                    style={{ height: '200px', objectFit: 'cover' }}
-                  />
-                </div>
-                <div className="card-body">
-                  <h6 className="card-title">{product.name}</h6>
-                  <div className="product-oldprice">
-                    {formatPrice(product.oldprice)}
-                  </div>
-                  <div className="product-price">
-                    Por <span>{formatPrice(product.price)}</span>
-                  </div>
-                  <small className="text-muted">
-                    {product.count}x {formatPrice(product.price / product.count)}
-                  </small>
-                </div>
-              </div>
+              <ProductCard key={product.id} product={product} showDiscount showAddToCart />
             ))}
           </Carousel>
         </div>
@@ -0,0 +1,348 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faTags, faSave, faPlus, faTrash, faEdit, faTimes } from '@fortawesome/free-solid-svg-icons';
+import api from '../services/api';
+import { formatPrice, formatDateTime } from '../utils/format';
+
+const EMPTY_PROMOTION = {
+  nome: '',
+  tipo_desconto: 'percentual',
+  valor: '',
+  alvo: 'categoria',
+  alvos: '',
+  inicio: '',
+  fim: '',
+  prioridade: 0,
+  ativo: true
+};
+
+const STATUS_BADGES = {
+  running: ['bg-success', 'No ar'],
+  scheduled: ['bg-info', 'Agendada'],
+  ended: ['bg-secondary', 'Encerrada'],
+  paused: ['bg-warning text-dark', 'Pausada']
+};
+
+const toText = (list) => (list || []).join(', ');
+const toList = (text) => text.split(',').map(item => item.trim()).filter(Boolean);
+
+// O campo datetime-local trabalha no fuso do navegador; a API recebe e devolve ISO
+const toLocalInput = (date) => {
+  if (!date) return '';
+  const value = new Date(date);
+  return new Date(value.getTime() - value.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+const fromLocalInput = (value) => (value ? new Date(value).toISOString() : null);
+
+const toForm = (promotion) => ({
+  ...promotion,
+  alvos: toText(promotion.alvos),
+  inicio: toLocalInput(promotion.inicio),
+  fim: toLocalInput(promotion.fim)
+});
+
+const describeDiscount = (promotion) => (
+  promotion.tipo_desconto === 'percentual' ? `${promotion.valor}%` : formatPrice(promotion.valor)
+);
+
+const describePeriod = (promotion) => {
+  if (!promotion.inicio && !promotion.fim) return 'Sem prazo';
+  if (!promotion.fim) return `A partir de ${formatDateTime(promotion.inicio)}`;
+  if (!promotion.inicio) return `Até ${formatDateTime(promotion.fim)}`;
+  return `${formatDateTime(promotion.inicio)} a ${formatDateTime(promotion.fim)}`;
+};
+
+// Campanhas de promoção: desconto por produto, categoria, marca ou loja toda, ligadas e desligadas no horário
+const PromotionsSettings = () => {
+  const [promotions, setPromotions] = useState([]);
+  const [options, setOptions] = useState({ discount_types: [], targets: [] });
+  const [form, setForm] = useState(EMPTY_PROMOTION);
+  const [editing, setEditing] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const loadPromotions = useCallback(async () => {
+    try {
+      const response = await api.get('/promotions');
+      setPromotions(response.data.promotions);
+      setOptions({ discount_types: response.data.discount_types, targets: response.data.targets });
+    } catch (error) {
+      console.error('Erro ao carregar campanhas:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadPromotions();
+  }, [loadPromotions]);
+
+  const update = (changes) => setForm(prev => ({ ...prev, ...changes }));
+
+  const targetLabel = (promotion) => {
+    if (promotion.alvo === 'todos') return 'Loja toda';
+    const label = options.targets.find(target => target.value === promotion.alvo)?.label || promotion.alvo;
+    return `${label}: ${toText(promotion.alvos)}`;
+  };
+
+  const startEditing = (promotion) => {
+    setEditing(promotion.id);
+    setForm(toForm(promotion));
+    setMessage(null);
+  };
+
+  const cancelEditing = () => {
+    setEditing(null);
+    setForm(EMPTY_PROMOTION);
+  };
+
+  const savePromotion = async (event) => {
+    event.preventDefault();
+    const payload = {
+      ...form,
+      alvos: toList(form.alvos),
+      inicio: fromLocalInput(form.inicio),
+      fim: fromLocalInput(form.fim)
+    };
+
+    try {
+      setSaving(true);
+      if (editing) {
+        await api.put(`/promotions/${editing}`, payload);
+      } else {
+        await api.post('/promotions', payload);
+      }
+      setMessage({ success: true, text: editing ? 'Campanha atualizada.' : 'Campanha cadastrada.' });
+      cancelEditing();
+      loadPromotions();
+    } catch (error) {
+      console.error('Erro ao salvar campanha:', error);
+      setMessage({ success: false, text: error.response?.data?.message || 'Erro ao salvar campanha' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const removePromotion = async (promotion) => {
+    if (!window.confirm(`Excluir a campanha "${promotion.nome}"? Os produtos voltam ao preço sem ela.`)) {
+      return;
+    }
+
+    try {
+      await api.delete(`/promotions/${promotion.id}`);
+      setMessage({ success: true, text: 'Campanha excluída.' });
+      if (editing === promotion.id) {
+        cancelEditing();
+      }
+      loadPromotions();
+    } catch (error) {
+      console.error('Erro ao excluir campanha:', error);
+      setMessage({ success: false, text: error.response?.data?.message || 'Erro ao excluir campanha' });
+    }
+  };
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <h6 className="mb-0">
+          <FontAwesomeIcon icon={faTags} className="me-2" />
+          Campanhas de promoção
+        </h6>
+      </div>
+      <div className="card-body">
+        {message && (
+          <div className={`alert ${message.success ? 'alert-success' : 'alert-danger'} py-2`}>
+            {message.text}
+          </div>
+        )}
+
+        {promotions.length === 0 ? (
+          <p className="text-muted small">Nenhuma campanha cadastrada.</p>
+        ) : (
+          <div className="table-responsive mb-3">
+            <table className="table table-sm align-middle small">
+              <thead>
+                <tr>
+                  <th>Campanha</th>
+                  <th>Desconto</th>
+                  <th>Alvo</th>
+                  <th>Período</th>
+                  <th>Prioridade</th>
+                  <th>Situação</th>
+                  <th>Produtos</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {promotions.map((promotion) => {
+                  const [badge, label] = STATUS_BADGES[promotion.status] || ['bg-secondary', promotion.status];
+                  return (
+                    <tr key={promotion.id} className={editing === promotion.id ? 'table-active' : ''}>
+                      <td>{promotion.nome}</td>
+                      <td>{describeDiscount(promotion)}</td>
+                      <td>{targetLabel(promotion)}</td>
+                      <td>{describePeriod(promotion)}</td>
+                      <td>{promotion.prioridade}</td>
+                      <td><span className={`badge ${badge}`}>{label}</span></td>
+                      <td>{promotion.produtos}</td>
+                      <td className="text-nowrap">
+                        <button
+                          type="button"
+                          className="btn btn-outline-secondary btn-sm me-1"
+                          title="Editar campanha"
+                          onClick={() => startEditing(promotion)}
+                        >
+                          <FontAwesomeIcon icon={faEdit} />
+                        </button>
+                        <button
+                          type="button"
+                          className="btn btn-outline-danger btn-sm"
+                          title="Excluir campanha"
+                          onClick={() => removePromotion(promotion)}
+                        >
+                          <FontAwesomeIcon icon={faTrash} />
+                        </button>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        <form onSubmit={savePromotion}>
+          <h6>{editing ? 'Editar campanha' : 'Nova campanha'}</h6>
+          <div className="row g-2 mb-2">
+            <div className="col-md-4">
+              <label className="form-label small mb-1" htmlFor="promotion-name">Nome</label>
+              <input
+                id="promotion-name"
+                className="form-control form-control-sm"
+                placeholder="Ex.: Black Friday"
+                value={form.nome}
+                onChange={(event) => update({ nome: event.target.value })}
+              />
+            </div>
+            <div className="col-md-3">
+              <label className="form-label small mb-1" htmlFor="promotion-type">Desconto</label>
+              <select
+                id="promotion-type"
+                className="form-select form-select-sm"
+                value={form.tipo_desconto}
+                onChange={(event) => update({ tipo_desconto: event.target.value })}
+              >
+                {options.discount_types.map(type => (
+                  <option key={type.value} value={type.value}>{type.label}</option>
+                ))}
+              </select>
+            </div>
+            <div className="col-md-2">
+              <label className="form-label small mb-1" htmlFor="promotion-value">Valor</label>
+              <input
+                id="promotion-value"
+                type="number"
+                min="0"
+                step="0.01"
+                className="form-control form-control-sm"
+                value={form.valor}
+                onChange={(event) => update({ valor: event.target.value })}
+              />
+            </div>
+            <div className="col-md-3">
+              <label className="form-label small mb-1" htmlFor="promotion-priority">Prioridade</label>
+              <input
+                id="promotion-priority"
+                type="number"
+                step="1"
+                className="form-control form-control-sm"
+                value={form.prioridade}
+                onChange={(event) => update({ prioridade: event.target.value })}
+              />
+            </div>
+          </div>
+          <div className="row g-2 mb-2">
+            <div className="col-md-3">
+              <label className="form-label small mb-1" htmlFor="promotion-target">Aplicar a</label>
+              <select
+                id="promotion-target"
+                className="form-select form-select-sm"
+                value={form.alvo}
+                onChange={(event) => update({ alvo: event.target.value })}
+              >
+                {options.targets.map(target => (
+                  <option key={target.value} value={target.value}>{target.label}</option>
+                ))}
+              </select>
+            </div>
+            <div className="col-md-9">
+              <label className="form-label small mb-1" htmlFor="promotion-targets">
+                {form.alvo === 'produto' ? 'IDs dos produtos' : 'Nomes'} (separados por vírgula)
+              </label>
+              <input
+                id="promotion-targets"
+                className="form-control form-control-sm"
+                disabled={form.alvo === 'todos'}
+                placeholder={form.alvo === 'produto' ? '12, 45, 78' : 'Eletrônicos, Informática'}
+                value={form.alvo === 'todos' ? '' : form.alvos}
+                onChange={(event) => update({ alvos: event.target.value })}
+              />
+            </div>
+          </div>
+          <div className="row g-2 mb-2 align-items-end">
+            <div className="col-md-4">
+              <label className="form-label small mb-1" htmlFor="promotion-start">Início</label>
+              <input
+                id="promotion-start"
+                type="datetime-local"
+                className="form-control form-control-sm"
+                value={form.inicio}
+                onChange={(event) => update({ inicio: event.target.value })}
+              />
+            </div>
+            <div className="col-md-4">
+              <label className="form-label small mb-1" htmlFor="promotion-end">Fim</label>
+              <input
+                id="promotion-end"
+                type="datetime-local"
+                className="form-control form-control-sm"
+                value={form.fim}
+                onChange={(event) => update({ fim: event.target.value })}
+              />
+            </div>
+            <div className="col-md-4">
+              <div className="form-check form-switch mb-1">
+                <input
+                  id="promotion-active"
+                  type="checkbox"
+                  className="form-check-input"
+                  checked={form.ativo}
+                  onChange={(event) => update({ ativo: event.target.checked })}
+                />
+                <label className="form-check-label small" htmlFor="promotion-active">Ativa</label>
+              </div>
+            </div>
+          </div>
+          <small className="text-muted d-block mb-3">
+            Sem início, a campanha vale na hora; sem fim, até ser pausada. Em cada produto vale a campanha de maior
+            prioridade (no empate, a de maior desconto), e os descontos não se somam: o cliente paga o menor entre o
+            preço cheio, a promoção do Bling e a campanha.
+          </small>
+
+          <div className="d-flex justify-content-end">
+            {editing && (
+              <button className="btn btn-outline-secondary btn-sm me-2" type="button" onClick={cancelEditing}>
+                <FontAwesomeIcon icon={faTimes} className="me-2" />
+                Cancelar
+              </button>
+            )}
+            <button className="btn btn-primary btn-sm" type="submit" disabled={saving}>
+              <FontAwesomeIcon icon={editing ? faSave : faPlus} className="me-2" />
+              {editing ? 'Salvar campanha' : 'Cadastrar campanha'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default PromotionsSettings;
@@ -0,0 +1,76 @@
+import React, { useState } from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faTruck } from '@fortawesome/free-solid-svg-icons';
+import { useCart } from '../context/CartContext';
+import { formatPrice, formatShippingDays } from '../utils/format';
+
+// Cálculo do frete por CEP na página do produto (productId) ou no carrinho (sem productId)
+const ShippingQuote = ({ productId = null, quantity = 1 }) => {
+  const { quoteShipping } = useCart();
+  const [cep, setCep] = useState('');
+  const [quote, setQuote] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const calculate = async (event) => {
+    event.preventDefault();
+    try {
+      setLoading(true);
+      setError(null);
+      setQuote(await quoteShipping(productId ? { cep, product_id: productId, quantidade: quantity } : { cep }));
+    } catch (err) {
+      console.error('Erro ao calcular frete:', err);
+      setQuote(null);
+      setError(err.response?.data?.message || 'Não foi possível calcular o frete');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const deliveries = quote ? quote.options.filter(option => option.requires_address) : [];
+
+  return (
+    <form className="small my-3" onSubmit={calculate}>
+      <label className="form-label mb-1" htmlFor={`cep-${productId || 'cart'}`}>
+        <FontAwesomeIcon icon={faTruck} className="me-2" />
+        Calcular frete
+      </label>
+      <div className="input-group input-group-sm" style={{ maxWidth: '260px' }}>
+        <input
+          id={`cep-${productId || 'cart'}`}
+          className="form-control"
+          placeholder="00000-000"
+          inputMode="numeric"
+          maxLength={9}
+          value={cep}
+          onChange={(event) => setCep(event.target.value)}
+          required
+        />
+        <button type="submit" className="btn btn-outline-secondary" disabled={loading}>
+          {loading ? 'Calculando...' : 'OK'}
+        </button>
+      </div>
+
+      {error && <div className="text-danger mt-2">{error}</div>}
+
+      {quote && (
+        <ul className="list-unstyled mt-2 mb-0">
+          {deliveries.length === 0 && <li className="text-muted">Não entregamos neste CEP.</li>}
+          {quote.options.map(option => (
+            <li key={option.value} className="d-flex justify-content-between" style={{ maxWidth: '360px' }}>
+              <span>
+                {option.label}
+                <span className="text-muted"> · {formatShippingDays(option.prazo_dias)}</span>
+              </span>
+              <strong className={option.gratis ? 'text-success' : ''}>
+                {option.gratis ? 'Grátis' : formatPrice(option.valor)}
+              </strong>
+            </li>
+          ))}
+        </ul>
+      )}
+    </form>
+  );
+};
+
+export default ShippingQuote;
@@ -0,0 +1,273 @@
+import React, { useState, useEffect } from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faTruck, faSave, faPlus, faTrash } from '@fortawesome/free-solid-svg-icons';
+import api from '../services/api';
+
+const EMPTY_RATE = {
+  service: 'padrao',
+  label: 'Entrega padrão',
+  cep_start: '',
+  cep_end: '',
+  days: 5,
+  free_above: '',
+  bands: '1:15, 5:25, 10:40',
+  extra_kg_price: ''
+};
+
+// Faixas de peso são editadas como texto "peso máximo:valor" separado por vírgula (ex.: "1:15, 5:25")
+const bandsToText = (bands) => bands.map(band => `${band.max_weight}:${band.price}`).join(', ');
+const textToBands = (text) => text.split(',')
+  .map(item => item.trim())
+  .filter(Boolean)
+  .map((item) => {
+    const [maxWeight, price] = item.split(':').map(value => value.trim());
+    return { max_weight: maxWeight, price };
+  });
+
+const toForm = (rate) => ({
+  ...rate,
+  free_above: rate.free_above ?? '',
+  extra_kg_price: rate.extra_kg_price ?? '',
+  bands: bandsToText(rate.bands)
+});
+
+// Frete por faixa de CEP e de peso, frete grátis e retirada na loja (a mesma cotação do produto, carrinho e checkout)
+const ShippingSettings = () => {
+  const [settings, setSettings] = useState(null);
+  const [rates, setRates] = useState([]);
+  const [providers, setProviders] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const applySettings = (data) => {
+    setSettings({ ...data, free_above: data.free_above ?? '' });
+    setRates(data.rates.map(toForm));
+  };
+
+  useEffect(() => {
+    api.get('/shipping/settings')
+      .then(response => {
+        applySettings(response.data.settings);
+        setProviders(response.data.providers);
+      })
+      .catch(error => console.error('Erro ao carregar configuração de frete:', error));
+  }, []);
+
+  const update = (changes) => setSettings(prev => ({ ...prev, ...changes }));
+  const updatePickup = (changes) => setSettings(prev => ({ ...prev, pickup: { ...prev.pickup, ...changes } }));
+  const updateRate = (index, changes) => setRates(prev => prev.map((rate, position) => (
+    position === index ? { ...rate, ...changes } : rate
+  )));
+
+  const saveSettings = async (event) => {
+    event.preventDefault();
+    try {
+      setSaving(true);
+      const response = await api.put('/shipping/settings', {
+        ...settings,
+        rates: rates.map(rate => ({ ...rate, bands: textToBands(rate.bands) }))
+      });
+      applySettings(response.data.settings);
+      setMessage({ success: true, text: 'Frete salvo. Ele vale para as próximas cotações.' });
+    } catch (error) {
+      console.error('Erro ao salvar configuração de frete:', error);
+      setMessage({ success: false, text: error.response?.data?.message || 'Erro ao salvar configuração de frete' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!settings) {
+    return null;
+  }
+
+  return (
+    <form className="card" onSubmit={saveSettings}>
+      <div className="card-header">
+        <h6 className="mb-0">
+          <FontAwesomeIcon icon={faTruck} className="me-2" />
+          Frete
+        </h6>
+      </div>
+      <div className="card-body">
+        {message && (
+          <div className={`alert ${message.success ? 'alert-success' : 'alert-danger'} py-2`}>
+            {message.text}
+          </div>
+        )}
+
+        <div className="row g-2 mb-3">
+          <div className="col-md-3">
+            <label className="form-label small mb-1" htmlFor="shipping-provider">Cálculo</label>
+            <select
+              id="shipping-provider"
+              className="form-select form-select-sm"
+              value={settings.provider}
+              onChange={(event) => update({ provider: event.target.value })}
+            >
+              {providers.map(provider => (
+                <option key={provider.value} value={provider.value}>{provider.label}</option>
+              ))}
+            </select>
+          </div>
+          <div className="col-md-3">
+            <label className="form-label small mb-1" htmlFor="cubic-divisor">Divisor do peso cubado</label>
+            <input
+              id="cubic-divisor"
+              type="number"
+              min="1"
+              className="form-control form-control-sm"
+              value={settings.cubic_divisor}
+              onChange={(event) => update({ cubic_divisor: Number(event.target.value) })}
+            />
+          </div>
+          <div className="col-md-3">
+            <label className="form-label small mb-1" htmlFor="default-weight">Peso sem cadastro (kg)</label>
+            <input
+              id="default-weight"
+              type="number"
+              min="0"
+              step="0.001"
+              className="form-control form-control-sm"
+              value={settings.default_weight}
+              onChange={(event) => update({ default_weight: Number(event.target.value) })}
+            />
+          </div>
+          <div className="col-md-3">
+            <label className="form-label small mb-1" htmlFor="free-above">Frete grátis a partir de (R$)</label>
+            <input
+              id="free-above"
+              type="number"
+              min="0"
+              step="0.01"
+              className="form-control form-control-sm"
+              placeholder="Desativado"
+              value={settings.free_above}
+              onChange={(event) => update({ free_above: event.target.value })}
+            />
+          </div>
+        </div>
+
+        <h6>Tabelas por faixa de CEP</h6>
+        <div className="table-responsive mb-2">
+          <table className="table table-sm align-middle small">
+            <thead>
+              <tr>
+                <th>Serviço</th>
+                <th>Nome</th>
+                <th>CEP inicial</th>
+                <th>CEP final</th>
+                <th>Prazo (dias)</th>
+                <th>Faixas (kg:R$)</th>
+                <th>Kg adicional (R$)</th>
+                <th>Grátis a partir de (R$)</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {rates.map((rate, index) => (
+                <tr key={index}>
+                  {[
+                    ['service', 'text', '90px'],
+                    ['label', 'text', '140px'],
+                    ['cep_start', 'text', '100px'],
+                    ['cep_end', 'text', '100px'],
+                    ['days', 'number', '70px'],
+                    ['bands', 'text', '170px'],
+                    ['extra_kg_price', 'number', '90px'],
+                    ['free_above', 'number', '100px']
+                  ].map(([field, type, width]) => (
+                    <td key={field}>
+                      <input
+                        type={type}
+                        min={type === 'number' ? '0' : undefined}
+                        step={type === 'number' && field !== 'days' ? '0.01' : undefined}
+                        className="form-control form-control-sm"
+                        style={{ minWidth: width }}
+                        aria-label={field}
+                        value={rate[field]}
+                        onChange={(event) => updateRate(index, { [field]: event.target.value })}
+                      />
+                    </td>
+                  ))}
+                  <td>
+                    <button
+                      type="button"
+                      className="btn btn-outline-danger btn-sm"
+                      title="Remover tabela"
+                      onClick={() => setRates(prev => prev.filter((item, position) => position !== index))}
+                    >
+                      <FontAwesomeIcon icon={faTrash} />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <button type="button" className="btn btn-outline-secondary btn-sm mb-2" onClick={() => setRates(prev => [...prev, EMPTY_RATE])}>
+          <FontAwesomeIcon icon={faPlus} className="me-2" />
+          Adicionar tabela
+        </button>
+        <small className="text-muted d-block mb-4">
+          Para cada serviço vale a primeira tabela que contém o CEP. Acima da última faixa, soma o valor por kg
+          adicional (em branco, o serviço não atende o pacote). O peso cobrado é o maior entre o real e o cubado.
+        </small>
+
+        <h6>Retirada na loja</h6>
+        <div className="row g-2 mb-3 align-items-end">
+          <div className="col-md-2">
+            <div className="form-check form-switch">
+              <input
+                id="pickup-enabled"
+                type="checkbox"
+                className="form-check-input"
+                checked={settings.pickup.enabled}
+                onChange={(event) => updatePickup({ enabled: event.target.checked })}
+              />
+              <label className="form-check-label small" htmlFor="pickup-enabled">Oferecer</label>
+            </div>
+          </div>
+          <div className="col-md-3">
+            <label className="form-label small mb-1" htmlFor="pickup-label">Nome</label>
+            <input
+              id="pickup-label"
+              className="form-control form-control-sm"
+              value={settings.pickup.label}
+              onChange={(event) => updatePickup({ label: event.target.value })}
+            />
+          </div>
+          <div className="col-md-5">
+            <label className="form-label small mb-1" htmlFor="pickup-address">Endereço de retirada</label>
+            <input
+              id="pickup-address"
+              className="form-control form-control-sm"
+              value={settings.pickup.address}
+              onChange={(event) => updatePickup({ address: event.target.value })}
+            />
+          </div>
+          <div className="col-md-2">
+            <label className="form-label small mb-1" htmlFor="pickup-days">Prazo (dias)</label>
+            <input
+              id="pickup-days"
+              type="number"
+              min="0"
+              className="form-control form-control-sm"
+              value={settings.pickup.days}
+              onChange={(event) => updatePickup({ days: Number(event.target.value) })}
+            />
+          </div>
+        </div>
+
+        <div className="d-flex justify-content-end">
+          <button className="btn btn-primary btn-sm" type="submit" disabled={saving}>
+            <FontAwesomeIcon icon={faSave} className="me-2" />
+            Salvar frete
+          </button>
+        </div>
+      </div>
+    </form>
+  );
+};
+
+export default ShippingSettings;
@@ -0,0 +1,111 @@
+import React, { useState } from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faStop, faExclamationTriangle } from '@fortawesome/free-solid-svg-icons';
+
+const STATUS_LABELS = {
+  queued: { label: 'Na fila', className: 'bg-secondary' },
+  running: { label: 'Em andamento', className: 'bg-primary' },
+  completed: { label: 'Concluída', className: 'bg-success' },
+  partial: { label: 'Parcial', className: 'bg-warning text-dark' },
+  failed: { label: 'Falhou', className: 'bg-danger' },
+  cancelled: { label: 'Cancelada', className: 'bg-secondary' }
+};
+
+const PHASE_LABELS = {
+  fetching: 'Buscando produtos no Bling',
+  saving: 'Gravando produtos',
+  reconciling: 'Verificando produtos removidos',
+  done: 'Finalizando'
+};
+
+export const isJobActive = (job) => Boolean(job) && ['queued', 'running'].includes(job.status);
+
+const SyncJobProgress = ({ job, onCancel }) => {
+  const [showErrors, setShowErrors] = useState(false);
+  const status = STATUS_LABELS[job.status] || STATUS_LABELS.queued;
+  const active = isJobActive(job);
+  const percent = job.total > 0 ? Math.round((job.processed / job.total) * 100) : 0;
+  const dryRun = Boolean(job.options?.dry_run);
+
+  return (
+    <div className="text-start small">
+      <div className="d-flex justify-content-between align-items-center mb-2">
+        <span className={`badge ${status.className}`}>{status.label}</span>
+        <span className="text-muted">
+          {dryRun ? 'Prévia' : job.trigger === 'scheduled' ? 'Automática' : 'Manual'} #{job.id}
+        </span>
+      </div>
+
+      {active && (
+        <>
+          <div className="text-muted mb-1">
+            {PHASE_LABELS[job.phase] || 'Iniciando'}
+            {job.phase === 'fetching' && ` (página ${job.pages}, ${job.fetched} produtos)`}
+          </div>
+          <div className="progress mb-2" style={{ height: '8px' }}>
+            <div
+              className={`progress-bar ${job.phase === 'saving' ? '' : 'progress-bar-striped progress-bar-animated'}`}
+              role="progressbar"
+              style={{ width: `${job.phase === 'saving' ? percent : 100}%` }}
+              aria-valuenow={percent}
+              aria-valuemin="0"
+              aria-valuemax="100"
+            ></div>
+          </div>
+        </>
+      )}
+
+      <div className="d-flex justify-content-between">
+        <span>{job.processed}/{job.total} {dryRun ? 'analisados' : 'gravados'}</span>
+        <span className="text-success">{job.created} novos</span>
+        <span className="text-primary">{job.updated} atualizados</span>
+        <span className="text-secondary">{job.deactivated} inativados</span>
+      </div>
+
+      {!active && job.message && (
+        <div className="text-muted mt-2">
+          {job.message}
+          {job.finishedAt && ` em ${new Date(job.finishedAt).toLocaleString('pt-BR')}`}
+        </div>
+      )}
+
+      {job.errorCount > 0 && (
+        <div className="mt-2">
+          <button
+            className="btn btn-link btn-sm text-danger p-0"
+            onClick={() => setShowErrors(prev => !prev)}
+          >
+            <FontAwesomeIcon icon={faExclamationTriangle} className="me-1" />
+            {job.errorCount} erro(s) {showErrors ? '▲' : '▼'}
+          </button>
+          {showErrors && (
+            <ul className="list-unstyled mt-2 mb-0" style={{ maxHeight: '160px', overflowY: 'auto' }}>
+              {job.errors.map((error, index) => (
+                <li key={index} className="text-danger">
+                  {error.productName ? `${error.productName}: ` : ''}
+                  {error.page ? `Página ${error.page}: ` : ''}
+                  {error.error}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {active && (
+        <div className="text-end mt-2">
+          <button
+            className="btn btn-outline-danger btn-sm"
+            onClick={onCancel}
+            disabled={job.cancelRequested}
+          >
+            <FontAwesomeIcon icon={faStop} className="me-2" />
+            {job.cancelRequested ? 'Cancelando...' : 'Cancelar'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SyncJobProgress;
@@ -0,0 +1,232 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faCheckDouble, faCheck, faEye } from '@fortawesome/free-solid-svg-icons';
+import api from '../services/api';
+
+const ACTIONS = [
+  { value: 'update', label: 'Alterados', className: 'bg-primary' },
+  { value: 'create', label: 'Novos', className: 'bg-success' },
+  { value: 'deactivate', label: 'A inativar', className: 'bg-secondary' },
+  { value: 'skip', label: 'Ignorados', className: 'bg-light text-dark' }
+];
+
+const FIELD_LABELS = {
+  nome: 'Nome',
+  slug: 'Slug',
+  preco: 'Preço',
+  preco_promocional: 'Preço promocional',
+  descricao: 'Descrição',
+  categoria: 'Categoria',
+  imagem: 'Imagem',
+  codigo: 'Código',
+  estoque: 'Estoque',
+  ativo: 'Ativo'
+};
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'boolean') return value ? 'Sim' : 'Não';
+  const text = String(value);
+  return text.length > 60 ? `${text.slice(0, 60)}…` : text;
+};
+
+const SyncPreview = ({ job }) => {
+  const [action, setAction] = useState('update');
+  const [page, setPage] = useState(1);
+  const [result, setResult] = useState(null);
+  const [selected, setSelected] = useState(new Set());
+  const [applying, setApplying] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const loadChanges = useCallback(async () => {
+    try {
+      const response = await api.get(`/bling/sync/jobs/${job.id}/changes`, { params: { action, page } });
+      setResult(response.data);
+    } catch (error) {
+      console.error('Erro ao carregar prévia:', error);
+    }
+  }, [job.id, action, page]);
+
+  useEffect(() => {
+    loadChanges();
+  }, [loadChanges]);
+
+  // Nova prévia: limpa a seleção
+  useEffect(() => {
+    setSelected(new Set());
+    setMessage(null);
+  }, [job.id]);
+
+  const toggle = (id) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) {
+        next.delete(id);
+      } else {
+        next.add(id);
+      }
+      return next;
+    });
+  };
+
+  const apply = async (changeIds) => {
+    const confirmation = changeIds
+      ? `Aplicar ${changeIds.length} alteração(ões) selecionada(s)?`
+      : 'Aplicar todas as alterações pendentes desta prévia?';
+    if (!window.confirm(confirmation)) {
+      return;
+    }
+
+    try {
+      setApplying(true);
+      const response = await api.post(`/bling/sync/jobs/${job.id}/apply`, changeIds ? { change_ids: changeIds } : {});
+      setMessage({ success: response.data.success, text: response.data.message });
+      setSelected(new Set());
+      loadChanges();
+    } catch (error) {
+      console.error('Erro ao aplicar prévia:', error);
+      setMessage({ success: false, text: error.response?.data?.message || 'Erro ao aplicar prévia' });
+    } finally {
+      setApplying(false);
+    }
+  };
+
+  if (!result) {
+    return null;
+  }
+
+  const { changes, summary, pagination } = result;
+  const pending = summary.create + summary.update + summary.deactivate - summary.applied;
+
+  return (
+    <div className="card mt-3">
+      <div className="card-header d-flex justify-content-between align-items-center">
+        <h6 className="mb-0">
+          <FontAwesomeIcon icon={faEye} className="me-2" />
+          Prévia da sincronização #{job.id}
+        </h6>
+        <div className="d-flex gap-2">
+          <button
+            className="btn btn-outline-primary btn-sm"
+            onClick={() => apply([...selected])}
+            disabled={applying || selected.size === 0}
+          >
+            <FontAwesomeIcon icon={faCheck} className="me-2" />
+            Aplicar selecionadas ({selected.size})
+          </button>
+          <button
+            className="btn btn-primary btn-sm"
+            onClick={() => apply(null)}
+            disabled={applying || pending <= 0}
+          >
+            <FontAwesomeIcon icon={faCheckDouble} className="me-2" />
+            Aplicar todas
+          </button>
+        </div>
+      </div>
+      <div className="card-body">
+        {message && (
+          <div className={`alert ${message.success ? 'alert-success' : 'alert-warning'} py-2`}>
+            {message.text}
+          </div>
+        )}
+
+        <ul className="nav nav-pills nav-fill mb-3">
+          {ACTIONS.map(option => (
+            <li className="nav-item" key={option.value}>
+              <button
+                className={`nav-link btn-sm ${action === option.value ? 'active' : ''}`}
+                onClick={() => { setAction(option.value); setPage(1); }}
+              >
+                {option.label} <span className="badge bg-light text-dark ms-1">{summary[option.value]}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+
+        {changes.length === 0 ? (
+          <div className="text-muted text-center small py-3">Nenhuma alteração nesta categoria</div>
+        ) : (
+          <div className="table-responsive">
+            <table className="table table-sm align-middle small mb-0">
+              <thead>
+                <tr>
+                  <th style={{ width: '32px' }}></th>
+                  <th>Produto</th>
+                  <th>Alterações</th>
+                </tr>
+              </thead>
+              <tbody>
+                {changes.map(change => (
+                  <tr key={change.id} className={change.appliedAt ? 'text-muted' : ''}>
+                    <td>
+                      {change.action !== 'skip' && (
+                        <input
+                          type="checkbox"
+                          className="form-check-input"
+                          checked={selected.has(change.id)}
+                          disabled={Boolean(change.appliedAt)}
+                          onChange={() => toggle(change.id)}
+                        />
+                      )}
+                    </td>
+                    <td>
+                      {change.nome}
+                      <div className="text-muted">Bling #{change.blingId}</div>
+                      {change.appliedAt && <span className="badge bg-success">Aplicada</span>}
+                    </td>
+                    <td>
+                      {change.reason && <div className="text-muted">{change.reason}</div>}
+                      {change.action !== 'create' && Object.entries(change.changes).map(([field, values]) => (
+                        <div key={field}>
+                          <strong>{FIELD_LABELS[field] || field}:</strong>{' '}
+                          <span className="text-danger text-decoration-line-through">{formatValue(values.old)}</span>
+                          {' → '}
+                          <span className="text-success">{formatValue(values.new)}</span>
+                        </div>
+                      ))}
+                      {change.action === 'create' && (
+                        <span>
+                          {formatValue(change.changes.preco?.new)} · estoque {formatValue(change.changes.estoque?.new)}
+                          {' · '}{formatValue(change.changes.categoria?.new)}
+                        </span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {pagination.pages > 1 && (
+          <div className="d-flex justify-content-between align-items-center mt-3">
+            <button
+              className="btn btn-outline-secondary btn-sm"
+              disabled={pagination.page <= 1}
+              onClick={() => setPage(prev => prev - 1)}
+            >
+              Anterior
+            </button>
+            <small className="text-muted">Página {pagination.page} de {pagination.pages}</small>
+            <button
+              className="btn btn-outline-secondary btn-sm"
+              disabled={pagination.page >= pagination.pages}
+              onClick={() => setPage(prev => prev + 1)}
+            >
+              Próxima
+            </button>
+          </div>
+        )}
+
+        <small className="text-muted d-block mt-2">
+          Os valores foram lidos do Bling quando a prévia foi gerada
+          {job.finishedAt && ` (${new Date(job.finishedAt).toLocaleString('pt-BR')})`}.
+          Aplicar a prévia não altera a data da última sincronização.
+        </small>
+      </div>
+    </div>
+  );
+};
+
+export default SyncPreview;
@@ -0,0 +1,234 @@
+import React, { useState, useEffect } from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faSlidersH, faSave } from '@fortawesome/free-solid-svg-icons';
+import api from '../services/api';
+
+const FIELD_LABELS = {
+  nome: 'Nome',
+  descricao: 'Descrição',
+  preco: 'Preço',
+  estoque: 'Estoque'
+};
+
+// Tags são editadas como texto separado por vírgula
+const toText = (list) => (list || []).join(', ');
+const toList = (text) => text.split(',').map(item => item.trim()).filter(Boolean);
+
+const SyncRulesSettings = () => {
+  const [rules, setRules] = useState(null);
+  const [options, setOptions] = useState(null);
+  const [categories, setCategories] = useState([]);
+  const [tags, setTags] = useState({ include: '', exclude: '' });
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    api.get('/bling/sync/rules')
+      .then(response => {
+        setRules(response.data.rules);
+        setOptions(response.data.options);
+        setTags({
+          include: toText(response.data.rules.tags.include),
+          exclude: toText(response.data.rules.tags.exclude)
+        });
+      })
+      .catch(error => console.error('Erro ao carregar regras de sincronização:', error));
+
+    api.get('/bling/categories')
+      .then(response => setCategories(response.data.categories || []))
+      .catch(error => console.error('Erro ao carregar categorias:', error));
+  }, []);
+
+  const update = (changes) => setRules(prev => ({ ...prev, ...changes }));
+
+  const categoryRule = (id) => {
+    if (rules.categories.include.includes(id)) return 'include';
+    if (rules.categories.exclude.includes(id)) return 'exclude';
+    return '';
+  };
+
+  const setCategoryRule = (id, rule) => {
+    const include = rules.categories.include.filter(item => item !== id);
+    const exclude = rules.categories.exclude.filter(item => item !== id);
+    if (rule === 'include') include.push(id);
+    if (rule === 'exclude') exclude.push(id);
+    update({ categories: { include, exclude } });
+  };
+
+  const saveRules = async (event) => {
+    event.preventDefault();
+    try {
+      setSaving(true);
+      const response = await api.put('/bling/sync/rules', {
+        ...rules,
+        tags: { include: toList(tags.include), exclude: toList(tags.exclude) }
+      });
+      setRules(response.data.rules);
+      setMessage({ success: true, text: 'Regras salvas. Elas valem a partir da próxima sincronização.' });
+    } catch (error) {
+      console.error('Erro ao salvar regras de sincronização:', error);
+      setMessage({ success: false, text: error.response?.data?.message || 'Erro ao salvar regras' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!rules || !options) {
+    return null;
+  }
+
+  return (
+    <form className="card" onSubmit={saveRules}>
+      <div className="card-header">
+        <h6 className="mb-0">
+          <FontAwesomeIcon icon={faSlidersH} className="me-2" />
+          Regras de Sincronização
+        </h6>
+      </div>
+      <div className="card-body">
+        {message && (
+          <div className={`alert ${message.success ? 'alert-success' : 'alert-danger'} py-2`}>
+            {message.text}
+          </div>
+        )}
+
+        <h6>Origem dos campos no Bling</h6>
+        <div className="row g-2 mb-4">
+          {Object.entries(options.fields).map(([field, sources]) => (
+            <div className="col-md-3" key={field}>
+              <label className="form-label small mb-1" htmlFor={`field-${field}`}>{FIELD_LABELS[field] || field}</label>
+              <select
+                id={`field-${field}`}
+                className="form-select form-select-sm"
+                value={rules.fields[field]}
+                onChange={(event) => update({ fields: { ...rules.fields, [field]: event.target.value } })}
+              >
+                {sources.map(source => (
+                  <option key={source.value} value={source.value}>{source.label}</option>
+                ))}
+              </select>
+            </div>
+          ))}
+        </div>
+
+        <div className="row g-3 mb-4">
+          <div className="col-md-6">
+            <h6>Categorias</h6>
+            {categories.length === 0 ? (
+              <small className="text-muted">Nenhuma categoria encontrada no Bling</small>
+            ) : (
+              <div className="border rounded p-2" style={{ maxHeight: 220, overflowY: 'auto' }}>
+                {categories.map(category => (
+                  <div className="d-flex justify-content-between align-items-center py-1" key={category.id}>
+                    <small>{category.descricao}</small>
+                    <select
+                      className="form-select form-select-sm w-auto"
+                      value={categoryRule(Number(category.id))}
+                      onChange={(event) => setCategoryRule(Number(category.id), event.target.value)}
+                    >
+                      <option value="">Padrão</option>
+                      <option value="include">Incluir</option>
+                      <option value="exclude">Excluir</option>
+                    </select>
+                  </div>
+                ))}
+              </div>
+            )}
+            <small className="text-muted d-block mt-1">
+              Com alguma categoria marcada como &quot;Incluir&quot;, só essas categorias entram na vitrine.
+            </small>
+          </div>
+
+          <div className="col-md-6">
+            <h6>Tags</h6>
+            <label className="form-label small mb-1" htmlFor="tags-include">Incluir somente produtos com as tags</label>
+            <input
+              id="tags-include"
+              className="form-control form-control-sm mb-2"
+              placeholder="Ex.: vitrine, destaque"
+              value={tags.include}
+              onChange={(event) => setTags(prev => ({ ...prev, include: event.target.value }))}
+            />
+            <label className="form-label small mb-1" htmlFor="tags-exclude">Excluir produtos com as tags</label>
+            <input
+              id="tags-exclude"
+              className="form-control form-control-sm mb-3"
+              placeholder="Ex.: interno, descontinuado"
+              value={tags.exclude}
+              onChange={(event) => setTags(prev => ({ ...prev, exclude: event.target.value }))}
+            />
+
+            <label className="form-label small mb-1" htmlFor="product-type">Tipo de produto</label>
+            <select
+              id="product-type"
+              className="form-select form-select-sm"
+              value={rules.product_type}
+              onChange={(event) => update({ product_type: event.target.value })}
+            >
+              {options.product_types.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <div className="row g-2 mb-3">
+          <div className="col-md-4">
+            <label className="form-label small mb-1" htmlFor="without-image">Produtos sem imagem</label>
+            <select
+              id="without-image"
+              className="form-select form-select-sm"
+              value={rules.without_image}
+              onChange={(event) => update({ without_image: event.target.value })}
+            >
+              {options.without_image.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+          <div className="col-md-5">
+            <label className="form-label small mb-1" htmlFor="placeholder-image">Imagem padrão</label>
+            <input
+              id="placeholder-image"
+              type="url"
+              className="form-control form-control-sm"
+              value={rules.placeholder_image}
+              disabled={rules.without_image !== 'placeholder'}
+              onChange={(event) => update({ placeholder_image: event.target.value })}
+            />
+          </div>
+          <div className="col-md-3">
+            <label className="form-label small mb-1" htmlFor="default-category">Categoria padrão</label>
+            <input
+              id="default-category"
+              className="form-control form-control-sm"
+              value={rules.default_category}
+              onChange={(event) => update({ default_category: event.target.value })}
+            />
+          </div>
+        </div>
+
+        <div className="d-flex justify-content-between align-items-center">
+          <div className="form-check form-switch">
+            <input
+              className="form-check-input"
+              type="checkbox"
+              id="overwrite-local"
+              checked={rules.overwrite_local_changes}
+              onChange={(event) => update({ overwrite_local_changes: event.target.checked })}
+            />
+            <label className="form-check-label" htmlFor="overwrite-local">
+              Sobrescrever nome, descrição, categoria e imagem editados na vitrine
+            </label>
+          </div>
+          <button className="btn btn-primary btn-sm" type="submit" disabled={saving}>
+            <FontAwesomeIcon icon={faSave} className="me-2" />
+            Salvar regras
+          </button>
+        </div>
+      </div>
+    </form>
+  );
+};
+
+export default SyncRulesSettings;
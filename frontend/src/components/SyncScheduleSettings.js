@@ -0,0 +1,111 @@
+import React, { useState, useEffect } from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faClock, faSave } from '@fortawesome/free-solid-svg-icons';
+import api from '../services/api';
+
+const INTERVAL_OPTIONS = [
+  { value: 15, label: 'A cada 15 minutos' },
+  { value: 30, label: 'A cada 30 minutos' },
+  { value: 60, label: 'A cada hora' },
+  { value: 360, label: 'A cada 6 horas' },
+  { value: 1440, label: 'Uma vez por dia' }
+];
+
+const SyncScheduleSettings = () => {
+  const [schedule, setSchedule] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    api.get('/bling/sync/schedule')
+      .then(response => setSchedule(response.data.schedule))
+      .catch(error => console.error('Erro ao carregar agendamento:', error));
+  }, []);
+
+  const saveSchedule = async (event) => {
+    event.preventDefault();
+    try {
+      setSaving(true);
+      const response = await api.put('/bling/sync/schedule', schedule);
+      setSchedule(response.data.schedule);
+      setMessage({ success: true, text: 'Agendamento salvo' });
+    } catch (error) {
+      console.error('Erro ao salvar agendamento:', error);
+      setMessage({ success: false, text: error.response?.data?.message || 'Erro ao salvar agendamento' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!schedule) {
+    return null;
+  }
+
+  const intervalOptions = INTERVAL_OPTIONS.some(option => option.value === schedule.interval_minutes)
+    ? INTERVAL_OPTIONS
+    : [...INTERVAL_OPTIONS, { value: schedule.interval_minutes, label: `A cada ${schedule.interval_minutes} minutos` }];
+
+  return (
+    <form className="card bg-light mt-3" onSubmit={saveSchedule}>
+      <div className="card-body">
+        <h6>
+          <FontAwesomeIcon icon={faClock} className="me-2" />
+          Sincronização Automática
+        </h6>
+        <div className="row g-2 align-items-center">
+          <div className="col-md-3">
+            <div className="form-check form-switch">
+              <input
+                className="form-check-input"
+                type="checkbox"
+                id="sync-enabled"
+                checked={schedule.enabled}
+                onChange={(event) => setSchedule(prev => ({ ...prev, enabled: event.target.checked }))}
+              />
+              <label className="form-check-label" htmlFor="sync-enabled">
+                {schedule.enabled ? 'Ativada' : 'Desativada'}
+              </label>
+            </div>
+          </div>
+          <div className="col-md-3">
+            <select
+              className="form-select form-select-sm"
+              value={schedule.interval_minutes}
+              onChange={(event) => setSchedule(prev => ({ ...prev, interval_minutes: Number(event.target.value) }))}
+            >
+              {intervalOptions.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+          <div className="col-md-3">
+            <select
+              className="form-select form-select-sm"
+              value={schedule.mode || ''}
+              onChange={(event) => setSchedule(prev => ({ ...prev, mode: event.target.value || null }))}
+            >
+              <option value="">Incremental (padrão)</option>
+              <option value="full">Completa</option>
+            </select>
+          </div>
+          <div className="col-md-3 text-end">
+            <button className="btn btn-primary btn-sm" type="submit" disabled={saving}>
+              <FontAwesomeIcon icon={faSave} className="me-2" />
+              Salvar
+            </button>
+          </div>
+        </div>
+        <small className="text-muted d-block mt-2">
+          {schedule.enabled && schedule.next_run_at
+            ? `Próxima sincronização: ${new Date(schedule.next_run_at).toLocaleString('pt-BR')}`
+            : 'A sincronização só acontece manualmente'}
+          {message && (
+            <span className={`ms-2 ${message.success ? 'text-success' : 'text-danger'}`}>{message.text}</span>
+          )}
+        </small>
+      </div>
+    </form>
+  );
+};
+
+export default SyncScheduleSettings;
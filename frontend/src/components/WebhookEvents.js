@@ -0,0 +1,184 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faBolt, faRedo, faRefresh } from '@fortawesome/free-solid-svg-icons';
+import api from '../services/api';
+
+const STATUS_OPTIONS = [
+  { value: 'failed', label: 'Com falha' },
+  { value: 'processed', label: 'Processados' },
+  { value: 'ignored', label: 'Ignorados' },
+  { value: '', label: 'Todos' }
+];
+
+const STATUS_BADGES = {
+  received: 'bg-secondary',
+  processing: 'bg-info',
+  processed: 'bg-success',
+  ignored: 'bg-light text-dark',
+  failed: 'bg-danger'
+};
+
+const WebhookEvents = () => {
+  const [status, setStatus] = useState('failed');
+  const [page, setPage] = useState(1);
+  const [result, setResult] = useState({ events: [], pagination: { page: 1, pages: 0, total: 0 } });
+  const [loading, setLoading] = useState(true);
+  const [expanded, setExpanded] = useState(null);
+  const [replaying, setReplaying] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const loadEvents = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await api.get('/bling/webhooks/events', {
+        params: { status: status || undefined, page }
+      });
+      setResult(response.data);
+    } catch (error) {
+      console.error('Erro ao carregar eventos de webhook:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [status, page]);
+
+  useEffect(() => {
+    loadEvents();
+  }, [loadEvents]);
+
+  const replay = async (event) => {
+    try {
+      setReplaying(event.id);
+      const response = await api.post(`/bling/webhooks/events/${event.id}/replay`);
+      setMessage({ success: response.data.success, text: response.data.message });
+      loadEvents();
+    } catch (error) {
+      console.error('Erro ao reprocessar evento:', error);
+      setMessage({ success: false, text: error.response?.data?.message || 'Erro ao reprocessar evento' });
+    } finally {
+      setReplaying(null);
+    }
+  };
+
+  const { events, pagination } = result;
+
+  return (
+    <div className="card">
+      <div className="card-header d-flex justify-content-between align-items-center">
+        <h6 className="mb-0">
+          <FontAwesomeIcon icon={faBolt} className="me-2" />
+          Webhooks do Bling
+        </h6>
+        <div className="d-flex gap-2">
+          <select
+            className="form-select form-select-sm"
+            value={status}
+            onChange={(event) => { setStatus(event.target.value); setPage(1); }}
+          >
+            {STATUS_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <button className="btn btn-outline-secondary btn-sm" onClick={loadEvents} title="Atualizar">
+            <FontAwesomeIcon icon={faRefresh} />
+          </button>
+        </div>
+      </div>
+      <div className="card-body">
+        {message && (
+          <div className={`alert ${message.success ? 'alert-success' : 'alert-danger'} py-2`}>
+            {message.text}
+          </div>
+        )}
+
+        {loading ? (
+          <div className="text-center py-3">
+            <div className="spinner-border spinner-border-sm text-primary" role="status"></div>
+          </div>
+        ) : events.length === 0 ? (
+          <div className="text-muted text-center small py-3">Nenhum evento encontrado</div>
+        ) : (
+          <div className="table-responsive">
+            <table className="table table-sm align-middle mb-0">
+              <thead>
+                <tr>
+                  <th>Evento</th>
+                  <th>Status</th>
+                  <th>Tentativas</th>
+                  <th>Recebido em</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {events.map(event => (
+                  <React.Fragment key={event.id}>
+                    <tr>
+                      <td>
+                        <button
+                          className="btn btn-link btn-sm p-0 text-decoration-none"
+                          onClick={() => setExpanded(expanded === event.id ? null : event.id)}
+                        >
+                          {event.event}
+                        </button>
+                        {event.error && <div className="small text-danger">{event.error}</div>}
+                      </td>
+                      <td>
+                        <span className={`badge ${STATUS_BADGES[event.status] || 'bg-secondary'}`}>
+                          {event.status}
+                        </span>
+                      </td>
+                      <td>{event.attempts}</td>
+                      <td className="small">{new Date(event.received_at).toLocaleString('pt-BR')}</td>
+                      <td className="text-end">
+                        <button
+                          className="btn btn-outline-primary btn-sm"
+                          onClick={() => replay(event)}
+                          disabled={replaying === event.id || event.status === 'processing'}
+                        >
+                          <FontAwesomeIcon icon={faRedo} className="me-1" />
+                          Reprocessar
+                        </button>
+                      </td>
+                    </tr>
+                    {expanded === event.id && (
+                      <tr>
+                        <td colSpan="5">
+                          <pre className="small bg-light p-2 mb-0">
+                            {JSON.stringify(event.payload, null, 2)}
+                          </pre>
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {pagination.pages > 1 && (
+          <div className="d-flex justify-content-between align-items-center mt-3">
+            <button
+              className="btn btn-outline-secondary btn-sm"
+              disabled={pagination.page <= 1}
+              onClick={() => setPage(prev => prev - 1)}
+            >
+              Anterior
+            </button>
+            <small className="text-muted">
+              Página {pagination.page} de {pagination.pages} ({pagination.total} eventos)
+            </small>
+            <button
+              className="btn btn-outline-secondary btn-sm"
+              disabled={pagination.page >= pagination.pages}
+              onClick={() => setPage(prev => prev + 1)}
+            >
+              Próxima
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default WebhookEvents;
@@ -0,0 +1,106 @@
+import React, { createContext, useCallback, useContext, useEffect, useState } from 'react';
+import api from '../services/api';
+
+// Token do carrinho do visitante, devolvido pela API na primeira inclusão
+const TOKEN_KEY = 'vitrine_cart_token';
+
+const EMPTY_CART = { token: null, items: [], quantidade_total: 0, subtotal: 0, has_issues: false };
+
+const CartContext = createContext(null);
+
+const cartHeaders = () => {
+  const token = localStorage.getItem(TOKEN_KEY);
+  return token ? { 'X-Cart-Token': token } : {};
+};
+
+// Estado do carrinho compartilhado entre o mini-carrinho, os botões de compra e a página do carrinho
+export const CartProvider = ({ children }) => {
+  const [cart, setCart] = useState(EMPTY_CART);
+  const [loading, setLoading] = useState(true);
+  // A API avisa cada mudança de preço uma única vez; os avisos ficam aqui até a página do carrinho mostrá-los
+  const [priceChanges, setPriceChanges] = useState({});
+
+  const applyCart = (data) => {
+    if (data.token) {
+      localStorage.setItem(TOKEN_KEY, data.token);
+    }
+
+    const changed = data.items.filter(item => item.preco_anterior !== null);
+    if (changed.length > 0) {
+      setPriceChanges(prev => changed.reduce((all, item) => ({
+        ...all,
+        [item.product_id]: {
+          name: item.name,
+          from: prev[item.product_id]?.from ?? item.preco_anterior,
+          to: item.preco_unitario
+        }
+      }), prev));
+    }
+
+    setCart(data);
+    return data;
+  };
+
+  const request = useCallback(async (method, url, data) => {
+    const response = await api.request({ method, url, data, headers: cartHeaders() });
+    return applyCart(response.data.cart);
+  }, []);
+
+  const refresh = useCallback(async () => {
+    try {
+      await request('get', '/cart');
+    } catch (error) {
+      console.error('Erro ao carregar carrinho:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [request]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const dismissPriceChanges = useCallback(() => setPriceChanges({}), []);
+
+  // Com o CEP, as opções de envio incluem a entrega cotada para ele
+  const getCheckoutOptions = useCallback(async (cep = null) => {
+    const response = await api.get('/checkout/options', { params: cep ? { cep } : {}, headers: cartHeaders() });
+    return response.data;
+  }, []);
+
+  // Frete de um produto ({ cep, product_id, quantidade }) ou, sem product_id, do carrinho
+  const quoteShipping = useCallback(async (params) => {
+    const response = await api.get('/shipping/quote', { params, headers: cartHeaders() });
+    return response.data;
+  }, []);
+
+  // O carrinho vira pedido: o próximo produto adicionado começa um carrinho novo
+  const checkout = async (data, idempotencyKey) => {
+    const response = await api.post('/checkout', data, {
+      headers: { ...cartHeaders(), 'Idempotency-Key': idempotencyKey }
+    });
+    localStorage.removeItem(TOKEN_KEY);
+    setCart(EMPTY_CART);
+    setPriceChanges({});
+    return response.data;
+  };
+
+  const value = {
+    cart,
+    loading,
+    refresh,
+    priceChanges,
+    dismissPriceChanges,
+    addItem: (productId, quantidade = 1) => request('post', '/cart/items', { product_id: productId, quantidade }),
+    updateItem: (productId, quantidade) => request('put', `/cart/items/${productId}`, { quantidade }),
+    removeItem: (productId) => request('delete', `/cart/items/${productId}`),
+    clear: () => request('delete', '/cart'),
+    getCheckoutOptions,
+    quoteShipping,
+    checkout
+  };
+
+  return <CartContext.Provider value={value}>{children}</CartContext.Provider>;
+};
+
+export const useCart = () => useContext(CartContext);
@@ -0,0 +1,151 @@
+import React, { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faClock } from '@fortawesome/free-solid-svg-icons';
+import api from '../services/api';
+import ActivityItem from '../components/ActivityItem';
+
+const TYPE_OPTIONS = [
+  { value: '', label: 'Todos os tipos' },
+  { value: 'sync', label: 'Sincronizações' },
+  { value: 'webhook', label: 'Webhooks' },
+  { value: 'order', label: 'Pedidos' },
+  { value: 'token', label: 'Autenticação' },
+  { value: 'promotion', label: 'Promoções' }
+];
+
+const STATUS_OPTIONS = [
+  { value: '', label: 'Todos os status' },
+  { value: 'success', label: 'Sucesso' },
+  { value: 'info', label: 'Informação' },
+  { value: 'warning', label: 'Alerta' },
+  { value: 'error', label: 'Erro' }
+];
+
+const ActivityLog = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [result, setResult] = useState({ logs: [], pagination: { page: 1, pages: 0, total: 0 } });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const type = searchParams.get('type') || '';
+  const status = searchParams.get('status') || '';
+
+  useEffect(() => {
+    setLoading(true);
+    api.get('/activity', { params: searchParams })
+      .then(response => {
+        setResult(response.data);
+        setError(null);
+        setLoading(false);
+      })
+      .catch(err => {
+        console.error('Erro ao carregar atividades:', err);
+        setError('Erro ao carregar atividades');
+        setLoading(false);
+      });
+  }, [searchParams]);
+
+  const updateParams = (changes) => {
+    const params = new URLSearchParams(searchParams);
+    Object.entries(changes).forEach(([key, value]) => {
+      if (value) {
+        params.set(key, value);
+      } else {
+        params.delete(key);
+      }
+    });
+    if (!('page' in changes)) {
+      params.delete('page');
+    }
+    setSearchParams(params);
+  };
+
+  const { logs, pagination } = result;
+
+  return (
+    <div className="container my-5">
+      <div className="d-flex justify-content-between align-items-center mb-4">
+        <h2>
+          <FontAwesomeIcon icon={faClock} className="me-2" />
+          Log de Atividades
+        </h2>
+        <nav aria-label="breadcrumb">
+          <ol className="breadcrumb">
+            <li className="breadcrumb-item">
+              <a href="/" className="text-decoration-none">Início</a>
+            </li>
+            <li className="breadcrumb-item">
+              <a href="/admin" className="text-decoration-none">Admin</a>
+            </li>
+            <li className="breadcrumb-item active" aria-current="page">
+              Atividades
+            </li>
+          </ol>
+        </nav>
+      </div>
+
+      <div className="d-flex gap-2 mb-3">
+        <select
+          className="form-select form-select-sm w-auto"
+          value={type}
+          onChange={(event) => updateParams({ type: event.target.value })}
+        >
+          {TYPE_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        <select
+          className="form-select form-select-sm w-auto"
+          value={status}
+          onChange={(event) => updateParams({ status: event.target.value })}
+        >
+          {STATUS_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        <small className="text-muted align-self-center ms-auto">{pagination.total} atividade(s)</small>
+      </div>
+
+      <div className="card">
+        {loading ? (
+          <div className="text-center py-5">
+            <div className="spinner-border text-primary" role="status"></div>
+          </div>
+        ) : error ? (
+          <div className="alert alert-danger text-center m-3">{error}</div>
+        ) : logs.length === 0 ? (
+          <div className="text-muted text-center py-5">Nenhuma atividade registrada</div>
+        ) : (
+          <div className="list-group list-group-flush">
+            {logs.map(activity => (
+              <ActivityItem key={activity.id} activity={activity} />
+            ))}
+          </div>
+        )}
+      </div>
+
+      {pagination.pages > 1 && (
+        <div className="d-flex justify-content-between align-items-center mt-3">
+          <button
+            className="btn btn-outline-secondary btn-sm"
+            disabled={pagination.page <= 1}
+            onClick={() => updateParams({ page: pagination.page - 1 })}
+          >
+            Anterior
+          </button>
+          <small className="text-muted">Página {pagination.page} de {pagination.pages}</small>
+          <button
+            className="btn btn-outline-secondary btn-sm"
+            disabled={pagination.page >= pagination.pages}
+            onClick={() => updateParams({ page: pagination.page + 1 })}
+          >
+            Próxima
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ActivityLog;
@@ -1,12 +1,54 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
 import { 
   faCogs, faBoxes, faShoppingCart, faSync, faTools, faClock,
   faPlus, faList, faChartBar, faCog, faArrowLeft, faExclamationTriangle
 } from '@fortawesome/free-solid-svg-icons';
+import api from '../services/api';
 import BlingIntegration from '../components/BlingIntegration';
+import SyncRulesSettings from '../components/SyncRulesSettings';
+import PromotionsSettings from '../components/PromotionsSettings';
+import PaymentMethodsSettings from '../components/PaymentMethodsSettings';
+import PaymentGatewaySettings from '../components/PaymentGatewaySettings';
+import PixSettings from '../components/PixSettings';
+import ShippingSettings from '../components/ShippingSettings';
+import WebhookEvents from '../components/WebhookEvents';
+import OrderOutbox from '../components/OrderOutbox';
+import ActivityItem from '../components/ActivityItem';
+import { formatRelativeTime } from '../utils/format';
+
+const SYNC_STATUS_BADGES = {
+  success: { label: 'OK', className: 'bg-success' },
+  warning: { label: 'Parcial', className: 'bg-warning text-dark' },
+  error: { label: 'Falhou', className: 'bg-danger' }
+};
 
 const Admin = () => {
+  const [summary, setSummary] = useState(null);
+  const [activities, setActivities] = useState([]);
+  const [orders, setOrders] = useState(null);
+
+  useEffect(() => {
+    api.get('/activity/summary')
+      .then(response => setSummary(response.data))
+      .catch(error => console.error('Erro ao carregar resumo do painel:', error));
+
+    api.get('/orders/summary')
+      .then(response => setOrders(response.data.summary))
+      .catch(error => console.error('Erro ao carregar resumo de pedidos:', error));
+
+    api.get('/activity', { params: { limit: 5 } })
+      .then(response => setActivities(response.data.logs))
+      .catch(error => console.error('Erro ao carregar atividades:', error));
+  }, []);
+
+  const products = summary?.products;
+  const lastSync = summary?.lastSync;
+  const syncBadge = lastSync
+    ? SYNC_STATUS_BADGES[lastSync.status] || SYNC_STATUS_BADGES.warning
+    : { label: 'Nunca', className: 'bg-secondary' };
+
   return (
     <div className="container my-5">
       <div className="row">
@@ -36,6 +78,54 @@ const Admin = () => {
         </div>
       </div>
 
+      <div className="row">
+        <div className="col-12 mb-4">
+          <SyncRulesSettings />
+        </div>
+      </div>
+
+      <div className="row">
+        <div className="col-12 mb-4">
+          <PromotionsSettings />
+        </div>
+      </div>
+
+      <div className="row">
+        <div className="col-12 mb-4">
+          <PaymentMethodsSettings />
+        </div>
+      </div>
+
+      <div className="row">
+        <div className="col-12 mb-4">
+          <PaymentGatewaySettings />
+        </div>
+      </div>
+
+      <div className="row">
+        <div className="col-12 mb-4">
+          <PixSettings />
+        </div>
+      </div>
+
+      <div className="row">
+        <div className="col-12 mb-4">
+          <ShippingSettings />
+        </div>
+      </div>
+
+      <div className="row">
+        <div className="col-12 mb-4">
+          <WebhookEvents />
+        </div>
+      </div>
+
+      <div className="row">
+        <div className="col-12 mb-4">
+          <OrderOutbox />
+        </div>
+      </div>
+
       <div className="row">
         <div className="col-md-4">
           <div className="card">
@@ -48,7 +138,7 @@ const Admin = () => {
             <div className="card-body">
               <div className="d-flex justify-content-between align-items-center">
                 <div>
-                  <div className="h4 mb-0">156</div>
+                  <div className="h4 mb-0">{products ? products.total : '—'}</div>
                   <small className="text-muted">Total de produtos</small>
                 </div>
                 <FontAwesomeIcon icon={faBoxes} size="2x" className="text-primary" />
@@ -56,11 +146,11 @@ const Admin = () => {
               <hr />
               <div className="row text-center">
                 <div className="col">
-                  <div className="h6 mb-0">134</div>
+                  <div className="h6 mb-0">{products ? products.ativos : '—'}</div>
                   <small className="text-success">Ativos</small>
                 </div>
                 <div className="col">
-                  <div className="h6 mb-0">22</div>
+                  <div className="h6 mb-0">{products ? products.sem_estoque : '—'}</div>
                   <small className="text-warning">Sem estoque</small>
                 </div>
               </div>
@@ -79,7 +169,7 @@ const Admin = () => {
             <div className="card-body">
               <div className="d-flex justify-content-between align-items-center">
                 <div>
-                  <div className="h4 mb-0">42</div>
+                  <div className="h4 mb-0">{orders ? orders.total : '—'}</div>
                   <small className="text-muted">Total de pedidos</small>
                 </div>
                 <FontAwesomeIcon icon={faShoppingCart} size="2x" className="text-success" />
@@ -87,14 +177,25 @@ const Admin = () => {
               <hr />
               <div className="row text-center">
                 <div className="col">
-                  <div className="h6 mb-0">38</div>
+                  <div className="h6 mb-0">{orders ? orders.concluidos : '—'}</div>
                   <small className="text-success">Concluídos</small>
                 </div>
                 <div className="col">
-                  <div className="h6 mb-0">4</div>
+                  <div className="h6 mb-0">{orders ? orders.pendentes : '—'}</div>
                   <small className="text-primary">Pendentes</small>
                 </div>
               </div>
+              <div className="text-center mt-2">
+                {orders?.falhas_bling > 0 && (
+                  <div>
+                    <Link to="/admin/pedidos?sync=failed" className="small text-danger">
+                      <FontAwesomeIcon icon={faExclamationTriangle} className="me-1" />
+                      {orders.falhas_bling} pedido(s) não enviados ao Bling
+                    </Link>
+                  </div>
+                )}
+                <Link to="/admin/pedidos" className="small">Ver pedidos</Link>
+              </div>
             </div>
           </div>
         </div>
@@ -111,7 +212,7 @@ const Admin = () => {
               <div className="d-flex justify-content-between align-items-center">
                 <div>
                   <div className="h4 mb-0">
-                    <span className="badge bg-success">OK</span>
+                    <span className={`badge ${syncBadge.className}`}>{syncBadge.label}</span>
                   </div>
                   <small className="text-muted">Status da sincronização</small>
                 </div>
@@ -121,8 +222,20 @@ const Admin = () => {
               <div className="text-center">
                 <small className="text-muted">
                   Última sincronização:<br />
-                  Hoje às 14:32
+                  {lastSync ? (
+                    <span title={new Date(lastSync.createdAt).toLocaleString('pt-BR')}>
+                      {formatRelativeTime(lastSync.createdAt)}
+                    </span>
+                  ) : 'Nenhuma sincronização registrada'}
                 </small>
+                {summary?.errorsLast24h > 0 && (
+                  <div className="mt-2">
+                    <Link to="/admin/logs?status=error" className="small text-danger">
+                      <FontAwesomeIcon icon={faExclamationTriangle} className="me-1" />
+                      {summary.errorsLast24h} erro(s) nas últimas 24h
+                    </Link>
+                  </div>
+                )}
               </div>
             </div>
           </div>
@@ -188,43 +301,21 @@ const Admin = () => {
               </h6>
             </div>
             <div className="card-body">
-              <div className="list-group list-group-flush">
-                <div className="list-group-item d-flex justify-content-between align-items-center">
-                  <div>
-                    <FontAwesomeIcon icon={faSync} className="text-success me-2" />
-                    Produtos sincronizados com Bling ERP
-                    <br />
-                    <small className="text-muted">156 produtos atualizados</small>
-                  </div>
-                  <small className="text-muted">há 2 horas</small>
+              {activities.length === 0 ? (
+                <div className="text-muted text-center small py-3">Nenhuma atividade registrada</div>
+              ) : (
+                <div className="list-group list-group-flush">
+                  {activities.map(activity => (
+                    <ActivityItem key={activity.id} activity={activity} />
+                  ))}
                 </div>
-                
-                <div className="list-group-item d-flex justify-content-between align-items-center">
-                  <div>
-                    <FontAwesomeIcon icon={faShoppingCart} className="text-primary me-2" />
-                    Novo pedido recebido
-                    <br />
-                    <small className="text-muted">Pedido #1234 - R$ 299,90</small>
-                  </div>
-                  <small className="text-muted">há 4 horas</small>
-                </div>
-                
-                <div className="list-group-item d-flex justify-content-between align-items-center">
-                  <div>
-                    <FontAwesomeIcon icon={faExclamationTriangle} className="text-warning me-2" />
-                    Produto com estoque baixo
-                    <br />
-                    <small className="text-muted">Smartphone XYZ - 2 unidades restantes</small>
-                  </div>
-                  <small className="text-muted">há 6 horas</small>
-                </div>
-              </div>
+              )}
               
               <div className="text-center mt-3">
-                <button className="btn btn-sm btn-outline-secondary">
+                <Link to="/admin/logs" className="btn btn-sm btn-outline-secondary">
                   <FontAwesomeIcon icon={faPlus} className="me-2" />
                   Ver todos os logs
-                </button>
+                </Link>
               </div>
             </div>
           </div>
@@ -0,0 +1,169 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faShoppingCart, faTrash, faArrowLeft, faExclamationTriangle } from '@fortawesome/free-solid-svg-icons';
+import { useCart } from '../context/CartContext';
+import ShippingQuote from '../components/ShippingQuote';
+import { formatPrice } from '../utils/format';
+
+const Cart = () => {
+  const { cart, loading, refresh, priceChanges, dismissPriceChanges, updateItem, removeItem, clear } = useCart();
+  const [error, setError] = useState(null);
+  const [changing, setChanging] = useState(null);
+
+  // Recarrega ao abrir a página: preços e estoque podem ter mudado desde a última visita
+  useEffect(() => {
+    refresh();
+    return dismissPriceChanges;
+  }, [refresh, dismissPriceChanges]);
+
+  const run = async (productId, action) => {
+    try {
+      setChanging(productId);
+      setError(null);
+      await action();
+    } catch (err) {
+      console.error('Erro ao atualizar carrinho:', err);
+      setError(err.response?.data?.message || 'Erro ao atualizar carrinho');
+    } finally {
+      setChanging(null);
+    }
+  };
+
+  const changedPrices = Object.entries(priceChanges)
+    .filter(([productId, change]) => change.from !== change.to
+      && cart.items.some(item => item.product_id === Number(productId)));
+
+  return (
+    <div className="container my-5">
+      <div className="d-flex justify-content-between align-items-center mb-4">
+        <h2>
+          <FontAwesomeIcon icon={faShoppingCart} className="me-2" />
+          Carrinho
+        </h2>
+        <nav aria-label="breadcrumb">
+          <ol className="breadcrumb">
+            <li className="breadcrumb-item">
+              <a href="/" className="text-decoration-none">Início</a>
+            </li>
+            <li className="breadcrumb-item active" aria-current="page">
+              Carrinho
+            </li>
+          </ol>
+        </nav>
+      </div>
+
+      {error && <div className="alert alert-danger py-2">{error}</div>}
+
+      {changedPrices.map(([productId, change]) => (
+        <div key={productId} className="alert alert-info py-2">
+          O preço de {change.name} mudou de {formatPrice(change.from)} para {formatPrice(change.to)}.
+        </div>
+      ))}
+
+      {loading ? (
+        <div className="text-center py-5">
+          <div className="spinner-border text-primary" role="status"></div>
+        </div>
+      ) : cart.items.length === 0 ? (
+        <div className="text-center py-5">
+          <p className="text-muted">Seu carrinho está vazio</p>
+          <Link to="/catalogo" className="btn btn-primary">Ver produtos</Link>
+        </div>
+      ) : (
+        <div className="row">
+          <div className="col-md-8 mb-4">
+            <div className="card">
+              <ul className="list-group list-group-flush">
+                {cart.items.map(item => (
+                  <li key={item.product_id} className="list-group-item">
+                    <div className="d-flex align-items-center">
+                      {item.image_src && (
+                        <img
+                          src={item.image_src}
+                          alt={item.name}
+                          className="me-3 rounded"
+                          style={{ width: '64px', height: '64px', objectFit: 'cover' }}
+                        />
+                      )}
+                      <div className="flex-grow-1">
+                        <Link to={`/produto/${item.slug || item.product_id}`} className="text-decoration-none">
+                          {item.name}
+                        </Link>
+                        <div className="small text-muted">{formatPrice(item.preco_unitario)} cada</div>
+                        {item.issue && (
+                          <div className="small text-danger">
+                            <FontAwesomeIcon icon={faExclamationTriangle} className="me-1" />
+                            {item.issue}
+                          </div>
+                        )}
+                      </div>
+                      <input
+                        type="number"
+                        min="1"
+                        max={Math.max(item.estoque, 1)}
+                        className="form-control form-control-sm mx-3"
+                        style={{ width: '80px' }}
+                        value={item.quantidade}
+                        disabled={changing === item.product_id}
+                        onChange={(event) => {
+                          const quantidade = Number(event.target.value);
+                          if (quantidade > 0) {
+                            run(item.product_id, () => updateItem(item.product_id, quantidade));
+                          }
+                        }}
+                        aria-label={`Quantidade de ${item.name}`}
+                      />
+                      <div className="text-end me-3" style={{ minWidth: '90px' }}>{formatPrice(item.subtotal)}</div>
+                      <button
+                        className="btn btn-outline-danger btn-sm"
+                        title="Remover"
+                        disabled={changing === item.product_id}
+                        onClick={() => run(item.product_id, () => removeItem(item.product_id))}
+                      >
+                        <FontAwesomeIcon icon={faTrash} />
+                      </button>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            </div>
+            <div className="d-flex justify-content-between mt-3">
+              <Link to="/catalogo" className="btn btn-outline-secondary btn-sm">
+                <FontAwesomeIcon icon={faArrowLeft} className="me-2" />
+                Continuar comprando
+              </Link>
+              <button className="btn btn-link btn-sm text-danger" onClick={() => run('all', clear)}>
+                Esvaziar carrinho
+              </button>
+            </div>
+          </div>
+
+          <div className="col-md-4">
+            <div className="card">
+              <div className="card-body">
+                <h6>Resumo</h6>
+                <div className="d-flex justify-content-between mb-3">
+                  <span>Subtotal ({cart.quantidade_total} item(ns))</span>
+                  <strong>{formatPrice(cart.subtotal)}</strong>
+                </div>
+                <ShippingQuote />
+                {cart.has_issues ? (
+                  <div className="alert alert-warning small py-2">
+                    Ajuste os itens indisponíveis antes de finalizar a compra.
+                  </div>
+                ) : (
+                  <Link to="/checkout" className="btn btn-success w-100">
+                    Finalizar compra
+                  </Link>
+                )}
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Cart;
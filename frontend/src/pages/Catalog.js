@@ -0,0 +1,281 @@
+import React, { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faSearch, faFilter, faTimes } from '@fortawesome/free-solid-svg-icons';
+import api from '../services/api';
+import ProductCard from '../components/ProductCard';
+import { formatPrice } from '../utils/format';
+
+const FacetList = ({ title, facets, selected, onToggle }) => {
+  if (!facets || facets.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="mb-4">
+      <h6>{title}</h6>
+      {facets.map(facet => (
+        <div className="form-check" key={facet.value}>
+          <input
+            className="form-check-input"
+            type="checkbox"
+            id={`${title}-${facet.value}`}
+            checked={selected.includes(facet.value)}
+            onChange={() => onToggle(facet.value)}
+          />
+          <label className="form-check-label d-flex justify-content-between" htmlFor={`${title}-${facet.value}`}>
+            <span>{facet.value}</span>
+            <small className="text-muted">{facet.count}</small>
+          </label>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+const Catalog = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [query, setQuery] = useState(searchParams.get('q') || '');
+  const [priceRange, setPriceRange] = useState({
+    min: searchParams.get('preco_min') || '',
+    max: searchParams.get('preco_max') || ''
+  });
+  const [result, setResult] = useState({
+    products: [],
+    pagination: { page: 1, pages: 0, total: 0 },
+    facets: { categorias: [], marcas: [], preco: {} },
+    sort_options: []
+  });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const selectedCategories = searchParams.getAll('categoria');
+  const selectedBrands = searchParams.getAll('marca');
+  const inStock = searchParams.get('em_estoque') === 'true';
+  const sort = searchParams.get('sort') || 'relevance';
+
+  useEffect(() => {
+    setLoading(true);
+    api.get('/products/search', { params: searchParams })
+      .then(response => {
+        setResult(response.data);
+        setError(null);
+        setLoading(false);
+      })
+      .catch(err => {
+        console.error('Erro ao buscar produtos:', err);
+        setError('Erro ao buscar produtos');
+        setLoading(false);
+      });
+  }, [searchParams]);
+
+  // Atualiza a query string (e portanto a busca), voltando para a primeira página
+  const updateParams = (changes) => {
+    const params = new URLSearchParams(searchParams);
+    Object.entries(changes).forEach(([key, value]) => {
+      params.delete(key);
+      [].concat(value).filter(item => item !== '' && item !== null && item !== undefined && item !== false)
+        .forEach(item => params.append(key, item));
+    });
+    if (!('page' in changes)) {
+      params.delete('page');
+    }
+    setSearchParams(params);
+  };
+
+  const toggleValue = (key, list, value) => {
+    updateParams({
+      [key]: list.includes(value) ? list.filter(item => item !== value) : [...list, value]
+    });
+  };
+
+  const handleSearch = (event) => {
+    event.preventDefault();
+    updateParams({ q: query.trim() });
+  };
+
+  const handlePriceFilter = (event) => {
+    event.preventDefault();
+    updateParams({ preco_min: priceRange.min, preco_max: priceRange.max });
+  };
+
+  const clearFilters = () => {
+    setQuery('');
+    setPriceRange({ min: '', max: '' });
+    setSearchParams(new URLSearchParams());
+  };
+
+  const { products, pagination, facets } = result;
+
+  return (
+    <div className="container my-5">
+      <div className="d-flex justify-content-between align-items-center mb-4">
+        <h2>Catálogo</h2>
+        <nav aria-label="breadcrumb">
+          <ol className="breadcrumb">
+            <li className="breadcrumb-item">
+              <a href="/" className="text-decoration-none">Início</a>
+            </li>
+            <li className="breadcrumb-item active" aria-current="page">
+              Catálogo
+            </li>
+          </ol>
+        </nav>
+      </div>
+
+      <form className="mb-4" onSubmit={handleSearch}>
+        <div className="input-group">
+          <input
+            type="search"
+            className="form-control"
+            placeholder="Buscar por nome, marca, código ou descrição"
+            value={query}
+            onChange={(event) => setQuery(event.target.value)}
+          />
+          <button className="btn btn-primary" type="submit">
+            <FontAwesomeIcon icon={faSearch} className="me-2" />
+            Buscar
+          </button>
+        </div>
+      </form>
+
+      <div className="row">
+        <aside className="col-md-3 mb-4">
+          <div className="card">
+            <div className="card-header d-flex justify-content-between align-items-center">
+              <h6 className="mb-0">
+                <FontAwesomeIcon icon={faFilter} className="me-2" />
+                Filtros
+              </h6>
+              <button className="btn btn-link btn-sm p-0" onClick={clearFilters}>
+                <FontAwesomeIcon icon={faTimes} className="me-1" />
+                Limpar
+              </button>
+            </div>
+            <div className="card-body">
+              <FacetList
+                title="Categorias"
+                facets={facets.categorias}
+                selected={selectedCategories}
+                onToggle={(value) => toggleValue('categoria', selectedCategories, value)}
+              />
+              <FacetList
+                title="Marcas"
+                facets={facets.marcas}
+                selected={selectedBrands}
+                onToggle={(value) => toggleValue('marca', selectedBrands, value)}
+              />
+
+              <form className="mb-4" onSubmit={handlePriceFilter}>
+                <h6>Preço</h6>
+                {facets.preco?.min !== null && facets.preco?.min !== undefined && (
+                  <small className="text-muted d-block mb-2">
+                    De {formatPrice(facets.preco.min)} a {formatPrice(facets.preco.max)}
+                  </small>
+                )}
+                <div className="d-flex gap-2 mb-2">
+                  <input
+                    type="number"
+                    min="0"
+                    className="form-control form-control-sm"
+                    placeholder="Mínimo"
+                    value={priceRange.min}
+                    onChange={(event) => setPriceRange(prev => ({ ...prev, min: event.target.value }))}
+                  />
+                  <input
+                    type="number"
+                    min="0"
+                    className="form-control form-control-sm"
+                    placeholder="Máximo"
+                    value={priceRange.max}
+                    onChange={(event) => setPriceRange(prev => ({ ...prev, max: event.target.value }))}
+                  />
+                </div>
+                <button className="btn btn-outline-primary btn-sm w-100" type="submit">
+                  Aplicar
+                </button>
+              </form>
+
+              <div className="form-check">
+                <input
+                  className="form-check-input"
+                  type="checkbox"
+                  id="em-estoque"
+                  checked={inStock}
+                  onChange={() => updateParams({ em_estoque: inStock ? '' : 'true' })}
+                />
+                <label className="form-check-label" htmlFor="em-estoque">
+                  Somente com estoque
+                </label>
+              </div>
+            </div>
+          </div>
+        </aside>
+
+        <section className="col-md-9">
+          <div className="d-flex justify-content-between align-items-center mb-3">
+            <small className="text-muted">
+              {pagination.total} produto(s) encontrado(s)
+            </small>
+            <select
+              className="form-select form-select-sm w-auto"
+              value={sort}
+              onChange={(event) => updateParams({ sort: event.target.value })}
+            >
+              {result.sort_options.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+
+          {loading ? (
+            <div className="text-center py-5">
+              <div className="loading"></div>
+              <p>Carregando produtos...</p>
+            </div>
+          ) : error ? (
+            <div className="alert alert-danger text-center">{error}</div>
+          ) : products.length === 0 ? (
+            <div className="alert alert-info text-center">
+              Nenhum produto encontrado para os filtros selecionados.
+            </div>
+          ) : (
+            <div className="row g-3">
+              {products.map(product => (
+                <div className="col-sm-6 col-lg-4" key={product.id}>
+                  <ProductCard product={product} showDiscount />
+                </div>
+              ))}
+            </div>
+          )}
+
+          {pagination.pages > 1 && (
+            <nav className="mt-4" aria-label="Paginação">
+              <ul className="pagination justify-content-center">
+                <li className={`page-item ${pagination.page <= 1 ? 'disabled' : ''}`}>
+                  <button className="page-link" onClick={() => updateParams({ page: pagination.page - 1 })}>
+                    Anterior
+                  </button>
+                </li>
+                {Array.from({ length: pagination.pages }, (_, index) => index + 1).map(page => (
+                  <li key={page} className={`page-item ${page === pagination.page ? 'active' : ''}`}>
+                    <button className="page-link" onClick={() => updateParams({ page })}>
+                      {page}
+                    </button>
+                  </li>
+                ))}
+                <li className={`page-item ${pagination.page >= pagination.pages ? 'disabled' : ''}`}>
+                  <button className="page-link" onClick={() => updateParams({ page: pagination.page + 1 })}>
+                    Próxima
+                  </button>
+                </li>
+              </ul>
+            </nav>
+          )}
+        </section>
+      </div>
+    </div>
+  );
+};
+
+export default Catalog;
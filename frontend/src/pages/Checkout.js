@@ -0,0 +1,411 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faLock, faCheckCircle, faUser, faTruck, faCreditCard } from '@fortawesome/free-solid-svg-icons';
+import { useCart } from '../context/CartContext';
+import PixPayment from '../components/PixPayment';
+import GatewayPayment from '../components/GatewayPayment';
+import api from '../services/api';
+import { formatPrice, formatInstallment, formatShippingDays } from '../utils/format';
+
+const EMPTY_ADDRESS = { cep: '', logradouro: '', numero: '', complemento: '', bairro: '', cidade: '', estado: '' };
+
+// O CEP fica acima das opções de envio, porque a entrega é cotada por ele
+const ADDRESS_FIELDS = [
+  ['logradouro', 'Rua', 'col-md-12'],
+  ['numero', 'Número', 'col-md-3'],
+  ['complemento', 'Complemento', 'col-md-5'],
+  ['bairro', 'Bairro', 'col-md-4'],
+  ['cidade', 'Cidade', 'col-md-8'],
+  ['estado', 'UF', 'col-md-4']
+];
+
+const Checkout = () => {
+  const { getCheckoutOptions, checkout } = useCart();
+  const [options, setOptions] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const [receipt, setReceipt] = useState(null);
+  // Mesma chave em todas as tentativas desta compra: um clique repetido não gera dois pedidos
+  const [idempotencyKey] = useState(() => `checkout-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+
+  const [cliente, setCliente] = useState({ nome: '', email: '', documento: '', telefone: '' });
+  const [endereco, setEndereco] = useState(EMPTY_ADDRESS);
+  const [envio, setEnvio] = useState('');
+  const [pagamento, setPagamento] = useState({ tipo: '', parcelas: 1 });
+  const [cardToken, setCardToken] = useState('');
+  const [installments, setInstallments] = useState([]);
+  const [observacoes, setObservacoes] = useState('');
+
+  const cepDigits = endereco.cep.replace(/\D/g, '');
+  const quoteCep = cepDigits.length === 8 ? cepDigits : null;
+
+  // Recarrega carrinho e frete a cada CEP completo
+  const loadOptions = useCallback(async () => {
+    try {
+      const data = await getCheckoutOptions(quoteCep);
+      setOptions(data);
+      setEnvio(prev => (data.shipping.some(option => option.value === prev) ? prev : data.shipping[0]?.value || ''));
+      setPagamento(prev => (prev.tipo || data.payments.length === 0 ? prev : { tipo: data.payments[0].value, parcelas: 1 }));
+      setCardToken(prev => prev || data.gateway?.test_cards?.[0]?.token || '');
+    } catch (err) {
+      console.error('Erro ao carregar checkout:', err);
+      setError('Não foi possível carregar o checkout');
+    } finally {
+      setLoading(false);
+    }
+  }, [getCheckoutOptions, quoteCep]);
+
+  useEffect(() => {
+    loadOptions();
+  }, [loadOptions]);
+
+  const shipping = options?.shipping.find(option => option.value === envio);
+  const payment = options?.payments.find(option => option.value === pagamento.tipo);
+  const cashTotal = options && shipping ? Number((options.cart.subtotal + shipping.valor).toFixed(2)) : 0;
+
+  // Parcelas e juros calculados pelo backend, com a mesma política dos cards de produto
+  useEffect(() => {
+    if (pagamento.tipo !== 'cartao_credito' || cashTotal <= 0) {
+      setInstallments([]);
+      return;
+    }
+
+    api.get('/payments/installments', { params: { valor: cashTotal } })
+      .then(response => setInstallments(response.data.installments))
+      .catch(err => console.error('Erro ao calcular parcelas:', err));
+  }, [pagamento.tipo, cashTotal]);
+
+  const installment = installments.find(row => row.count === pagamento.parcelas) || installments[0] || null;
+  const parcelas = installment ? installment.count : 1;
+  const juros = installment ? installment.interest : 0;
+  const total = cashTotal + juros;
+  const chargesCard = pagamento.tipo === 'cartao_credito' && Boolean(options?.gateway?.provider);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+
+    try {
+      setSubmitting(true);
+      setError(null);
+      const data = await checkout({
+        cliente,
+        endereco: shipping.requires_address ? endereco : null,
+        envio,
+        formaPagamento: { tipo: pagamento.tipo, parcelas },
+        cartao: chargesCard ? { token: cardToken } : undefined,
+        observacoes,
+        total_esperado: Number(total.toFixed(2))
+      }, idempotencyKey);
+      setReceipt(data);
+    } catch (err) {
+      console.error('Erro ao finalizar compra:', err);
+      setError(err.response?.data?.message || 'Não foi possível finalizar a compra');
+      // Preço ou estoque mudou: mostra o carrinho atualizado
+      if (err.response?.status === 409) {
+        loadOptions();
+      }
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (receipt) {
+    return (
+      <div className="container my-5 text-center">
+        <FontAwesomeIcon icon={faCheckCircle} size="3x" className="text-success mb-3" />
+        <h2>Pedido {receipt.orderNumber} recebido!</h2>
+        <p className="text-muted">{receipt.message}</p>
+        <p>
+          Total: <strong>{formatPrice(receipt.order.total)}</strong>
+          {receipt.order.cliente_email && <> · Enviaremos as atualizações para {receipt.order.cliente_email}</>}
+        </p>
+        {receipt.order.forma_pagamento === 'pix' && <PixPayment orderNumber={receipt.orderNumber} />}
+        {(receipt.payment || receipt.paymentError) && (
+          <GatewayPayment
+            orderNumber={receipt.orderNumber}
+            method={receipt.order.forma_pagamento}
+            initialPayment={receipt.payment}
+            initialError={receipt.paymentError}
+            testCards={options?.gateway?.test_cards}
+          />
+        )}
+        <Link to="/catalogo" className="btn btn-primary">Continuar comprando</Link>
+      </div>
+    );
+  }
+
+  if (loading) {
+    return (
+      <div className="container my-5 text-center py-5">
+        <div className="spinner-border text-primary" role="status"></div>
+      </div>
+    );
+  }
+
+  if (!options || options.cart.items.length === 0) {
+    return (
+      <div className="container my-5 text-center py-5">
+        {error && <div className="alert alert-danger py-2">{error}</div>}
+        <p className="text-muted">Seu carrinho está vazio</p>
+        <Link to="/catalogo" className="btn btn-primary">Ver produtos</Link>
+      </div>
+    );
+  }
+
+  return (
+    <div className="container my-5">
+      <div className="d-flex justify-content-between align-items-center mb-4">
+        <h2>
+          <FontAwesomeIcon icon={faLock} className="me-2" />
+          Finalizar compra
+        </h2>
+        <nav aria-label="breadcrumb">
+          <ol className="breadcrumb">
+            <li className="breadcrumb-item">
+              <a href="/" className="text-decoration-none">Início</a>
+            </li>
+            <li className="breadcrumb-item">
+              <Link to="/carrinho" className="text-decoration-none">Carrinho</Link>
+            </li>
+            <li className="breadcrumb-item active" aria-current="page">
+              Checkout
+            </li>
+          </ol>
+        </nav>
+      </div>
+
+      {error && <div className="alert alert-danger py-2">{error}</div>}
+
+      <form className="row" onSubmit={handleSubmit}>
+        <div className="col-md-8 mb-4">
+          <div className="card mb-3">
+            <div className="card-body">
+              <h6 className="mb-3">
+                <FontAwesomeIcon icon={faUser} className="me-2" />
+                Seus dados
+              </h6>
+              <div className="row g-2">
+                <div className="col-md-6">
+                  <label className="form-label small">Nome completo</label>
+                  <input
+                    className="form-control"
+                    value={cliente.nome}
+                    onChange={(event) => setCliente({ ...cliente, nome: event.target.value })}
+                    required
+                  />
+                </div>
+                <div className="col-md-6">
+                  <label className="form-label small">Email</label>
+                  <input
+                    type="email"
+                    className="form-control"
+                    value={cliente.email}
+                    onChange={(event) => setCliente({ ...cliente, email: event.target.value })}
+                    required
+                  />
+                </div>
+                <div className="col-md-6">
+                  <label className="form-label small">CPF ou CNPJ</label>
+                  <input
+                    className="form-control"
+                    value={cliente.documento}
+                    onChange={(event) => setCliente({ ...cliente, documento: event.target.value })}
+                  />
+                </div>
+                <div className="col-md-6">
+                  <label className="form-label small">Telefone</label>
+                  <input
+                    className="form-control"
+                    value={cliente.telefone}
+                    onChange={(event) => setCliente({ ...cliente, telefone: event.target.value })}
+                  />
+                </div>
+              </div>
+            </div>
+          </div>
+
+          <div className="card mb-3">
+            <div className="card-body">
+              <h6 className="mb-3">
+                <FontAwesomeIcon icon={faTruck} className="me-2" />
+                Entrega
+              </h6>
+              <div className="mb-2" style={{ maxWidth: '200px' }}>
+                <label className="form-label small" htmlFor="checkout-cep">CEP de entrega</label>
+                <input
+                  id="checkout-cep"
+                  className="form-control"
+                  placeholder="00000-000"
+                  inputMode="numeric"
+                  maxLength={9}
+                  value={endereco.cep}
+                  onChange={(event) => setEndereco({ ...endereco, cep: event.target.value })}
+                  required={shipping?.requires_address}
+                />
+              </div>
+              {options.shipping_quote?.error && (
+                <div className="text-danger small mb-2">{options.shipping_quote.error}</div>
+              )}
+              {quoteCep && !options.shipping_quote?.error && !options.shipping.some(option => option.requires_address) && (
+                <div className="alert alert-warning small py-2">Não entregamos neste CEP.</div>
+              )}
+              {options.shipping.map(option => (
+                <div key={option.value} className="form-check">
+                  <input
+                    type="radio"
+                    id={`envio-${option.value}`}
+                    className="form-check-input"
+                    checked={envio === option.value}
+                    onChange={() => setEnvio(option.value)}
+                  />
+                  <label htmlFor={`envio-${option.value}`} className="form-check-label d-flex justify-content-between">
+                    <span>
+                      {option.label}
+                      <small className="text-muted"> · {formatShippingDays(option.prazo_dias)}</small>
+                      {option.endereco && <small className="d-block text-muted">{option.endereco}</small>}
+                    </span>
+                    <span className="ms-3">{option.valor > 0 ? formatPrice(option.valor) : 'Grátis'}</span>
+                  </label>
+                </div>
+              ))}
+
+              {shipping?.requires_address && (
+                <div className="row g-2 mt-2">
+                  {ADDRESS_FIELDS.map(([field, label, className]) => (
+                    <div key={field} className={className}>
+                      <label className="form-label small">{label}</label>
+                      <input
+                        className="form-control"
+                        value={endereco[field]}
+                        maxLength={field === 'estado' ? 2 : undefined}
+                        onChange={(event) => setEndereco({ ...endereco, [field]: event.target.value })}
+                        required={field !== 'complemento'}
+                      />
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          </div>
+
+          <div className="card mb-3">
+            <div className="card-body">
+              <h6 className="mb-3">
+                <FontAwesomeIcon icon={faCreditCard} className="me-2" />
+                Pagamento
+              </h6>
+              {options.payments.length === 0 ? (
+                <div className="alert alert-warning small py-2 mb-0">
+                  Nenhuma forma de pagamento disponível no momento.
+                </div>
+              ) : options.payments.map(option => (
+                <div key={option.value} className="form-check">
+                  <input
+                    type="radio"
+                    id={`pagamento-${option.value}`}
+                    className="form-check-input"
+                    checked={pagamento.tipo === option.value}
+                    onChange={() => setPagamento({ tipo: option.value, parcelas: 1 })}
+                  />
+                  <label htmlFor={`pagamento-${option.value}`} className="form-check-label">{option.label}</label>
+                </div>
+              ))}
+
+              {installments.length > 1 && (
+                <select
+                  className="form-select form-select-sm mt-2"
+                  style={{ maxWidth: '260px' }}
+                  value={parcelas}
+                  onChange={(event) => setPagamento({ ...pagamento, parcelas: Number(event.target.value) })}
+                  aria-label="Parcelas"
+                >
+                  {installments.map(row => (
+                    <option key={row.count} value={row.count}>
+                      {formatInstallment(row)}{!row.interest_free && ` (total ${formatPrice(row.total)})`}
+                    </option>
+                  ))}
+                </select>
+              )}
+
+              {/* Gateway real: os campos do cartão vêm do SDK do provedor, que devolve o token */}
+              {chargesCard && options.gateway.test_cards && (
+                <div className="mt-2">
+                  <label className="form-label small mb-1" htmlFor="test-card">Cartão de teste (gateway simulado)</label>
+                  <select
+                    id="test-card"
+                    className="form-select form-select-sm"
+                    style={{ maxWidth: '320px' }}
+                    value={cardToken}
+                    onChange={(event) => setCardToken(event.target.value)}
+                  >
+                    {options.gateway.test_cards.map(card => (
+                      <option key={card.token} value={card.token}>{card.label}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+
+              <label className="form-label small mt-3">Observações</label>
+              <textarea
+                className="form-control"
+                rows="2"
+                value={observacoes}
+                onChange={(event) => setObservacoes(event.target.value)}
+              />
+            </div>
+          </div>
+        </div>
+
+        <div className="col-md-4">
+          <div className="card">
+            <div className="card-body">
+              <h6>Resumo</h6>
+              <ul className="list-unstyled small mb-3">
+                {options.cart.items.map(item => (
+                  <li key={item.product_id} className="d-flex justify-content-between mb-1">
+                    <span className="text-truncate me-2">{item.quantidade}x {item.name}</span>
+                    <span>{formatPrice(item.subtotal)}</span>
+                  </li>
+                ))}
+              </ul>
+              <div className="d-flex justify-content-between small">
+                <span>Subtotal</span>
+                <span>{formatPrice(options.cart.subtotal)}</span>
+              </div>
+              <div className="d-flex justify-content-between small mb-2">
+                <span>Frete</span>
+                <span>{!shipping ? 'Informe o CEP' : shipping.valor > 0 ? formatPrice(shipping.valor) : 'Grátis'}</span>
+              </div>
+              {juros > 0 && (
+                <div className="d-flex justify-content-between small mb-2">
+                  <span>Juros ({parcelas}x)</span>
+                  <span>{formatPrice(juros)}</span>
+                </div>
+              )}
+              <div className="d-flex justify-content-between fw-bold mb-3">
+                <span>Total</span>
+                <span>{formatPrice(total)}</span>
+              </div>
+              {options.cart.has_issues && (
+                <div className="alert alert-warning small py-2">
+                  Alguns itens estão indisponíveis. <Link to="/carrinho">Ajuste o carrinho</Link>.
+                </div>
+              )}
+              <button
+                type="submit"
+                className="btn btn-success w-100"
+                disabled={submitting || options.cart.has_issues || !payment || !shipping}
+              >
+                {submitting ? 'Enviando...' : 'Confirmar pedido'}
+              </button>
+            </div>
+          </div>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default Checkout;
@@ -1,7 +1,8 @@
 import React from 'react';
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
-import { faCogs } from '@fortawesome/free-solid-svg-icons';
+import { faCogs, faSearch } from '@fortawesome/free-solid-svg-icons';
 import ProductsCarousel from '../components/ProductsCarousel';
+import MiniCart from '../components/MiniCart';
 
 function Home() {
   return (
@@ -14,6 +15,15 @@ function Home() {
               <p className="lead mb-0">Os melhores produtos com os melhores preços</p>
             </div>
             <div>
+              <MiniCart />
+              <a 
+                href="/catalogo" 
+                className="btn btn-light btn-sm me-2"
+                title="Catálogo de produtos"
+              >
+                <FontAwesomeIcon icon={faSearch} className="me-2" />
+                Catálogo
+              </a>
               <a 
                 href="/admin" 
                 className="btn btn-outline-light btn-sm"
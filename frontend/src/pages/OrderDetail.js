@@ -0,0 +1,468 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faShoppingCart, faRedo, faArrowLeft, faHistory, faEdit } from '@fortawesome/free-solid-svg-icons';
+import api from '../services/api';
+import { OrderStatusBadge, BlingSyncBadge } from '../components/OrderStatusBadge';
+import { formatPrice, formatShippingDays } from '../utils/format';
+
+const STATUS_LABELS = {
+  pending: 'Aguardando pagamento',
+  paid: 'Pago',
+  invoiced: 'Faturado',
+  shipped: 'Enviado',
+  delivered: 'Entregue',
+  cancelled: 'Cancelado'
+};
+
+const SOURCE_LABELS = {
+  vitrine: 'Vitrine',
+  bling: 'Bling',
+  admin: 'Painel',
+  payment: 'Pagamento'
+};
+
+const PAYMENT_STATUS_BADGES = {
+  pending: ['bg-warning text-dark', 'Aguardando'],
+  authorized: ['bg-info text-dark', 'Autorizado'],
+  paid: ['bg-success', 'Pago'],
+  failed: ['bg-danger', 'Recusado'],
+  refunded: ['bg-secondary', 'Estornado'],
+  expired: ['bg-secondary', 'Expirado'],
+  cancelled: ['bg-danger', 'Cancelado']
+};
+
+const PAYMENT_LABELS = {
+  pix: 'PIX',
+  cartao_credito: 'Cartão de crédito',
+  boleto: 'Boleto'
+};
+
+// Pedidos gravados antes da cotação por CEP não têm envio_descricao
+const SHIPPING_LABELS = {
+  padrao: 'Entrega padrão',
+  retirada: 'Retirar na loja'
+};
+
+const OrderDetail = () => {
+  const { id } = useParams();
+  const [order, setOrder] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [resending, setResending] = useState(false);
+  const [newStatus, setNewStatus] = useState('');
+  const [note, setNote] = useState('');
+  const [customerForm, setCustomerForm] = useState(null);
+
+  useEffect(() => {
+    setLoading(true);
+    api.get(`/orders/${id}`)
+      .then(response => {
+        setOrder(response.data.order);
+        setError(null);
+        setLoading(false);
+      })
+      .catch(err => {
+        console.error('Erro ao carregar pedido:', err);
+        setError(err.response?.status === 404 ? 'Pedido não encontrado' : 'Erro ao carregar pedido');
+        setLoading(false);
+      });
+  }, [id]);
+
+  const resend = async () => {
+    try {
+      setResending(true);
+      const response = await api.post(`/orders/${id}/resend`);
+      setOrder(response.data.order);
+      setMessage({ success: true, text: response.data.message });
+    } catch (err) {
+      console.error('Erro ao reenviar pedido:', err);
+      if (err.response?.data?.order) {
+        setOrder(err.response.data.order);
+      }
+      setMessage({ success: false, text: err.response?.data?.message || 'Erro ao reenviar pedido ao Bling' });
+    } finally {
+      setResending(false);
+    }
+  };
+
+  const editCustomer = () => setCustomerForm({
+    nome: order.cliente?.nome || order.cliente_nome || '',
+    documento: order.cliente_documento || '',
+    email: order.cliente_email || '',
+    telefone: order.cliente_telefone || ''
+  });
+
+  const saveCustomer = async (event) => {
+    event.preventDefault();
+    try {
+      const response = await api.put(`/orders/${id}/customer`, customerForm);
+      setOrder(response.data.order);
+      setCustomerForm(null);
+      setMessage({ success: true, text: 'Cliente atualizado. Reenvie o pedido ao Bling para aplicar a correção.' });
+    } catch (err) {
+      console.error('Erro ao atualizar cliente:', err);
+      setMessage({ success: false, text: err.response?.data?.message || 'Erro ao atualizar cliente' });
+    }
+  };
+
+  // Captura ou estorno de uma cobrança do gateway; o pedido é recarregado porque o status pode mudar
+  const paymentAction = async (payment, action) => {
+    if (action === 'refund' && !window.confirm(`Estornar ${formatPrice(payment.paid_amount - payment.refunded_amount)} ao cliente?`)) {
+      return;
+    }
+
+    try {
+      await api.post(`/payments/${payment.id}/${action}`);
+      const response = await api.get(`/orders/${id}`);
+      setOrder(response.data.order);
+      setMessage({ success: true, text: action === 'capture' ? 'Pagamento capturado' : 'Pagamento estornado' });
+    } catch (err) {
+      console.error('Erro na cobrança:', err);
+      setMessage({ success: false, text: err.response?.data?.message || 'Erro ao atualizar a cobrança' });
+    }
+  };
+
+  const changeStatus = async (event) => {
+    event.preventDefault();
+    try {
+      const response = await api.post(`/orders/${id}/status`, { status: newStatus, note: note.trim() || null });
+      setOrder(response.data.order);
+      setNewStatus('');
+      setNote('');
+      setMessage({ success: true, text: `Status alterado para ${STATUS_LABELS[newStatus].toLowerCase()}` });
+    } catch (err) {
+      console.error('Erro ao alterar status:', err);
+      setMessage({ success: false, text: err.response?.data?.message || 'Erro ao alterar status' });
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="container my-5 text-center">
+        <div className="spinner-border text-primary" role="status"></div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="container my-5">
+        <div className="alert alert-danger text-center">{error}</div>
+        <Link to="/admin/pedidos" className="btn btn-outline-secondary btn-sm">
+          <FontAwesomeIcon icon={faArrowLeft} className="me-2" />
+          Voltar aos pedidos
+        </Link>
+      </div>
+    );
+  }
+
+  const canResend = order.origem === 'vitrine' && order.bling_sync_status !== 'synced';
+
+  return (
+    <div className="container my-5">
+      <div className="d-flex justify-content-between align-items-center mb-4">
+        <h2>
+          <FontAwesomeIcon icon={faShoppingCart} className="me-2" />
+          Pedido {order.numero_loja || order.numero}
+        </h2>
+        <nav aria-label="breadcrumb">
+          <ol className="breadcrumb">
+            <li className="breadcrumb-item">
+              <a href="/admin" className="text-decoration-none">Admin</a>
+            </li>
+            <li className="breadcrumb-item">
+              <Link to="/admin/pedidos" className="text-decoration-none">Pedidos</Link>
+            </li>
+            <li className="breadcrumb-item active" aria-current="page">
+              {order.numero_loja || order.numero}
+            </li>
+          </ol>
+        </nav>
+      </div>
+
+      {message && (
+        <div className={`alert ${message.success ? 'alert-success' : 'alert-danger'} py-2`}>
+          {message.text}
+        </div>
+      )}
+
+      <div className="row">
+        <div className="col-md-8 mb-4">
+          <div className="card mb-4">
+            <div className="card-header d-flex justify-content-between align-items-center">
+              <h6 className="mb-0">Itens</h6>
+              <OrderStatusBadge status={order.status} label={order.status_label} />
+            </div>
+            {order.items.length === 0 ? (
+              <div className="card-body text-muted small">
+                Pedido importado do Bling; os itens ficam disponíveis no Bling.
+              </div>
+            ) : (
+              <div className="table-responsive">
+                <table className="table align-middle mb-0">
+                  <thead>
+                    <tr>
+                      <th>Produto</th>
+                      <th className="text-end">Qtd.</th>
+                      <th className="text-end">Preço</th>
+                      <th className="text-end">Total</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {order.items.map(item => (
+                      <tr key={item.id}>
+                        <td>
+                          {item.nome}
+                          {item.codigo && <div><small className="text-muted">{item.codigo}</small></div>}
+                        </td>
+                        <td className="text-end">{item.quantidade}</td>
+                        <td className="text-end">{formatPrice(item.preco_unitario)}</td>
+                        <td className="text-end">{formatPrice(item.total)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                  <tfoot>
+                    {order.forma_envio && (
+                      <tr>
+                        <td colSpan="3" className="text-end">
+                          Frete ({order.envio_descricao || SHIPPING_LABELS[order.forma_envio] || order.forma_envio})
+                          {(order.prazo_entrega !== null || order.peso_envio) && (
+                            <div>
+                              <small className="text-muted">
+                                {order.prazo_entrega !== null && formatShippingDays(order.prazo_entrega)}
+                                {order.prazo_entrega !== null && order.peso_envio ? ' · ' : ''}
+                                {order.peso_envio ? `${order.peso_envio} kg` : ''}
+                              </small>
+                            </div>
+                          )}
+                        </td>
+                        <td className="text-end">{formatPrice(order.frete)}</td>
+                      </tr>
+                    )}
+                    {order.juros > 0 && (
+                      <tr>
+                        <td colSpan="3" className="text-end">Juros do parcelamento</td>
+                        <td className="text-end">{formatPrice(order.juros)}</td>
+                      </tr>
+                    )}
+                    <tr>
+                      <th colSpan="3" className="text-end">Total do pedido</th>
+                      <th className="text-end">{formatPrice(order.total)}</th>
+                    </tr>
+                  </tfoot>
+                </table>
+              </div>
+            )}
+          </div>
+
+          <div className="card">
+            <div className="card-header">
+              <h6 className="mb-0">
+                <FontAwesomeIcon icon={faHistory} className="me-2" />
+                Histórico
+              </h6>
+            </div>
+            <div className="list-group list-group-flush">
+              {order.history.map(entry => (
+                <div key={entry.id} className="list-group-item">
+                  <div className="d-flex justify-content-between">
+                    <span>
+                      {entry.from_status && <small className="text-muted">{STATUS_LABELS[entry.from_status]} → </small>}
+                      <strong>{entry.status_label}</strong>
+                    </span>
+                    <small className="text-muted">
+                      {SOURCE_LABELS[entry.source] || entry.source} · {new Date(entry.created_at).toLocaleString('pt-BR')}
+                    </small>
+                  </div>
+                  {entry.note && <small className="text-muted">{entry.note}</small>}
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+
+        <div className="col-md-4">
+          <div className="card mb-4">
+            <div className="card-header">
+              <h6 className="mb-0">Cliente</h6>
+            </div>
+            {customerForm ? (
+              <form className="card-body" onSubmit={saveCustomer}>
+                {[
+                  ['nome', 'Nome'],
+                  ['documento', 'CPF/CNPJ'],
+                  ['email', 'Email'],
+                  ['telefone', 'Telefone']
+                ].map(([field, label]) => (
+                  <div className="mb-2" key={field}>
+                    <label className="form-label small mb-1" htmlFor={`customer-${field}`}>{label}</label>
+                    <input
+                      id={`customer-${field}`}
+                      type="text"
+                      className="form-control form-control-sm"
+                      value={customerForm[field]}
+                      onChange={(event) => setCustomerForm({ ...customerForm, [field]: event.target.value })}
+                    />
+                  </div>
+                ))}
+                <div className="d-flex gap-2">
+                  <button className="btn btn-primary btn-sm" type="submit">Salvar</button>
+                  <button className="btn btn-outline-secondary btn-sm" type="button" onClick={() => setCustomerForm(null)}>
+                    Cancelar
+                  </button>
+                </div>
+              </form>
+            ) : (
+              <div className="card-body small">
+                <div className="fw-bold">{order.cliente_nome || '—'}</div>
+                {order.cliente_documento && <div>CPF/CNPJ: {order.cliente_documento}</div>}
+                {order.cliente_email && <div>{order.cliente_email}</div>}
+                {order.cliente_telefone && <div>{order.cliente_telefone}</div>}
+                {order.observacoes && <div className="mt-2 text-muted">{order.observacoes}</div>}
+                {canResend && (
+                  <button className="btn btn-link btn-sm p-0 mt-2" onClick={editCustomer}>
+                    <FontAwesomeIcon icon={faEdit} className="me-1" />
+                    Corrigir dados do cliente
+                  </button>
+                )}
+              </div>
+            )}
+          </div>
+
+          {order.forma_pagamento && (
+            <div className="card mb-4">
+              <div className="card-header">
+                <h6 className="mb-0">Pagamento: {PAYMENT_LABELS[order.forma_pagamento] || order.forma_pagamento}</h6>
+              </div>
+              <ul className="list-group list-group-flush small">
+                {order.parcelas.map((parcela, index) => (
+                  <li key={index} className="list-group-item d-flex justify-content-between">
+                    <span>Vence em {new Date(`${parcela.dataVencimento}T00:00:00`).toLocaleDateString('pt-BR')}</span>
+                    <span>{formatPrice(parcela.valor)}</span>
+                  </li>
+                ))}
+                {(order.payments || []).map(payment => {
+                  const [badgeClass, label] = PAYMENT_STATUS_BADGES[payment.status] || ['bg-secondary', payment.status];
+                  return (
+                    <li key={payment.id} className="list-group-item">
+                      <div className="d-flex justify-content-between">
+                        <span>
+                          Cobrança {PAYMENT_LABELS[payment.method] || payment.method} · {formatPrice(payment.amount)}
+                          {payment.installments > 1 && <> em {payment.installments}x</>}
+                        </span>
+                        <span className={`badge ${badgeClass}`}>{label}</span>
+                      </div>
+                      {payment.txid ? (
+                        <div className="text-muted text-truncate" title={payment.txid}>txid {payment.txid}</div>
+                      ) : (
+                        <div className="text-muted text-truncate" title={payment.provider_reference}>
+                          {payment.provider} · {payment.provider_reference}
+                          {payment.details?.last4 && <> · {payment.details.brand} final {payment.details.last4}</>}
+                        </div>
+                      )}
+                      {payment.details?.linha_digitavel && (
+                        <div className="text-muted text-truncate">{payment.details.linha_digitavel}</div>
+                      )}
+                      {payment.failure_reason && <div className="text-danger">{payment.failure_reason}</div>}
+                      {payment.needs_refund && (
+                        <div className="text-danger">Pago com o pedido cancelado: devolva o valor ao cliente</div>
+                      )}
+                      {payment.paid_at && (
+                        <div className="text-muted">
+                          Pago em {new Date(payment.paid_at).toLocaleString('pt-BR')}
+                          {payment.txid && payment.provider_reference && <> · {payment.provider_reference}</>}
+                        </div>
+                      )}
+                      {payment.refunded_amount > 0 && (
+                        <div className="text-muted">
+                          Estornado {formatPrice(payment.refunded_amount)} em {new Date(payment.refunded_at).toLocaleString('pt-BR')}
+                        </div>
+                      )}
+                      {!payment.txid && payment.status === 'authorized' && (
+                        <button className="btn btn-outline-success btn-sm mt-1" onClick={() => paymentAction(payment, 'capture')}>
+                          Capturar
+                        </button>
+                      )}
+                      {!payment.txid && payment.status === 'paid' && (
+                        <button className="btn btn-outline-danger btn-sm mt-1" onClick={() => paymentAction(payment, 'refund')}>
+                          Estornar
+                        </button>
+                      )}
+                    </li>
+                  );
+                })}
+              </ul>
+            </div>
+          )}
+
+          <div className="card mb-4">
+            <div className="card-header d-flex justify-content-between align-items-center">
+              <h6 className="mb-0">Bling</h6>
+              {order.origem === 'vitrine' && <BlingSyncBadge status={order.bling_sync_status} />}
+            </div>
+            <div className="card-body small">
+              {order.bling_id ? (
+                <div>Pedido nº {order.numero} (ID {order.bling_id})</div>
+              ) : (
+                <div className="text-muted">Pedido ainda não existe no Bling</div>
+              )}
+              {order.situacao && <div>Situação: {order.situacao}</div>}
+              {order.outbox && order.outbox.status !== 'sent' && (
+                <div className="mt-2 text-muted">
+                  {order.outbox.attempts} de {order.outbox.max_attempts} tentativa(s)
+                  {order.outbox.next_attempt_at && (
+                    <> · próxima {new Date(order.outbox.next_attempt_at).toLocaleString('pt-BR')}</>
+                  )}
+                </div>
+              )}
+              {order.bling_error && order.bling_sync_status !== 'synced' && (
+                <div className="text-danger mt-2">{order.bling_error}</div>
+              )}
+              {canResend && (
+                <button className="btn btn-outline-primary btn-sm mt-3" onClick={resend} disabled={resending}>
+                  <FontAwesomeIcon icon={faRedo} spin={resending} className="me-2" />
+                  Reenviar ao Bling
+                </button>
+              )}
+            </div>
+          </div>
+
+          {order.allowed_statuses.length > 0 && (
+            <form className="card" onSubmit={changeStatus}>
+              <div className="card-header">
+                <h6 className="mb-0">Alterar status</h6>
+              </div>
+              <div className="card-body">
+                <select
+                  className="form-select form-select-sm mb-2"
+                  value={newStatus}
+                  onChange={(event) => setNewStatus(event.target.value)}
+                  required
+                >
+                  <option value="">Selecione</option>
+                  {order.allowed_statuses.map(status => (
+                    <option key={status} value={status}>{STATUS_LABELS[status]}</option>
+                  ))}
+                </select>
+                <input
+                  type="text"
+                  className="form-control form-control-sm mb-2"
+                  placeholder="Observação (opcional)"
+                  value={note}
+                  onChange={(event) => setNote(event.target.value)}
+                />
+                <button className="btn btn-primary btn-sm" type="submit" disabled={!newStatus}>
+                  Salvar status
+                </button>
+              </div>
+            </form>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default OrderDetail;
@@ -0,0 +1,220 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faShoppingCart, faSearch } from '@fortawesome/free-solid-svg-icons';
+import api from '../services/api';
+import { OrderStatusBadge, BlingSyncBadge } from '../components/OrderStatusBadge';
+import { formatPrice } from '../utils/format';
+
+const STATUS_OPTIONS = [
+  { value: '', label: 'Todos os status' },
+  { value: 'pending', label: 'Aguardando pagamento' },
+  { value: 'paid', label: 'Pago' },
+  { value: 'invoiced', label: 'Faturado' },
+  { value: 'shipped', label: 'Enviado' },
+  { value: 'delivered', label: 'Entregue' },
+  { value: 'cancelled', label: 'Cancelado' }
+];
+
+const ORIGIN_OPTIONS = [
+  { value: '', label: 'Todas as origens' },
+  { value: 'vitrine', label: 'Vitrine' },
+  { value: 'bling', label: 'Bling' }
+];
+
+const SYNC_OPTIONS = [
+  { value: '', label: 'Qualquer envio' },
+  { value: 'failed', label: 'Precisa de revisão' },
+  { value: 'pending', label: 'Na fila' },
+  { value: 'synced', label: 'No Bling' }
+];
+
+const Orders = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [result, setResult] = useState({ orders: [], pagination: { page: 1, pages: 0, total: 0 } });
+  const [search, setSearch] = useState(searchParams.get('q') || '');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setLoading(true);
+    api.get('/orders', { params: searchParams })
+      .then(response => {
+        setResult(response.data);
+        setError(null);
+        setLoading(false);
+      })
+      .catch(err => {
+        console.error('Erro ao carregar pedidos:', err);
+        setError('Erro ao carregar pedidos');
+        setLoading(false);
+      });
+  }, [searchParams]);
+
+  const updateParams = (changes) => {
+    const params = new URLSearchParams(searchParams);
+    Object.entries(changes).forEach(([key, value]) => {
+      if (value) {
+        params.set(key, value);
+      } else {
+        params.delete(key);
+      }
+    });
+    if (!('page' in changes)) {
+      params.delete('page');
+    }
+    setSearchParams(params);
+  };
+
+  const submitSearch = (event) => {
+    event.preventDefault();
+    updateParams({ q: search.trim() });
+  };
+
+  const { orders, pagination } = result;
+
+  return (
+    <div className="container my-5">
+      <div className="d-flex justify-content-between align-items-center mb-4">
+        <h2>
+          <FontAwesomeIcon icon={faShoppingCart} className="me-2" />
+          Pedidos
+        </h2>
+        <nav aria-label="breadcrumb">
+          <ol className="breadcrumb">
+            <li className="breadcrumb-item">
+              <a href="/" className="text-decoration-none">Início</a>
+            </li>
+            <li className="breadcrumb-item">
+              <a href="/admin" className="text-decoration-none">Admin</a>
+            </li>
+            <li className="breadcrumb-item active" aria-current="page">
+              Pedidos
+            </li>
+          </ol>
+        </nav>
+      </div>
+
+      <div className="d-flex flex-wrap gap-2 mb-3">
+        <form className="input-group input-group-sm w-auto" onSubmit={submitSearch}>
+          <input
+            type="search"
+            className="form-control"
+            placeholder="Número, cliente, email ou CPF/CNPJ"
+            value={search}
+            onChange={(event) => setSearch(event.target.value)}
+          />
+          <button className="btn btn-outline-secondary" type="submit" aria-label="Buscar">
+            <FontAwesomeIcon icon={faSearch} />
+          </button>
+        </form>
+        {[
+          ['status', STATUS_OPTIONS],
+          ['origem', ORIGIN_OPTIONS],
+          ['sync', SYNC_OPTIONS]
+        ].map(([key, options]) => (
+          <select
+            key={key}
+            className="form-select form-select-sm w-auto"
+            value={searchParams.get(key) || ''}
+            onChange={(event) => updateParams({ [key]: event.target.value })}
+          >
+            {options.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        ))}
+        <input
+          type="date"
+          className="form-control form-control-sm w-auto"
+          title="A partir de"
+          value={searchParams.get('from') || ''}
+          onChange={(event) => updateParams({ from: event.target.value })}
+        />
+        <input
+          type="date"
+          className="form-control form-control-sm w-auto"
+          title="Até"
+          value={searchParams.get('to') || ''}
+          onChange={(event) => updateParams({ to: event.target.value })}
+        />
+        <small className="text-muted align-self-center ms-auto">{pagination.total} pedido(s)</small>
+      </div>
+
+      <div className="card">
+        {loading ? (
+          <div className="text-center py-5">
+            <div className="spinner-border text-primary" role="status"></div>
+          </div>
+        ) : error ? (
+          <div className="alert alert-danger text-center m-3">{error}</div>
+        ) : orders.length === 0 ? (
+          <div className="text-muted text-center py-5">Nenhum pedido encontrado</div>
+        ) : (
+          <div className="table-responsive">
+            <table className="table table-hover align-middle mb-0">
+              <thead>
+                <tr>
+                  <th>Pedido</th>
+                  <th>Cliente</th>
+                  <th>Data</th>
+                  <th className="text-end">Total</th>
+                  <th>Status</th>
+                  <th>Bling</th>
+                </tr>
+              </thead>
+              <tbody>
+                {orders.map(order => (
+                  <tr key={order.id}>
+                    <td>
+                      <Link to={`/admin/pedidos/${order.id}`} className="text-decoration-none">
+                        {order.numero_loja || order.numero}
+                      </Link>
+                      {order.numero_loja && order.numero && (
+                        <div><small className="text-muted">Bling nº {order.numero}</small></div>
+                      )}
+                    </td>
+                    <td>
+                      {order.cliente_nome || '—'}
+                      {order.cliente_email && <div><small className="text-muted">{order.cliente_email}</small></div>}
+                    </td>
+                    <td>{new Date(order.created_at).toLocaleDateString('pt-BR')}</td>
+                    <td className="text-end">{formatPrice(order.total)}</td>
+                    <td><OrderStatusBadge status={order.status} label={order.status_label} /></td>
+                    <td>
+                      {order.origem === 'vitrine'
+                        ? <BlingSyncBadge status={order.bling_sync_status} title={order.bling_error} />
+                        : <small className="text-muted">Importado</small>}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {pagination.pages > 1 && (
+        <div className="d-flex justify-content-between align-items-center mt-3">
+          <button
+            className="btn btn-outline-secondary btn-sm"
+            disabled={pagination.page <= 1}
+            onClick={() => updateParams({ page: pagination.page - 1 })}
+          >
+            Anterior
+          </button>
+          <small className="text-muted">Página {pagination.page} de {pagination.pages}</small>
+          <button
+            className="btn btn-outline-secondary btn-sm"
+            disabled={pagination.page >= pagination.pages}
+            onClick={() => updateParams({ page: pagination.page + 1 })}
+          >
+            Próxima
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Orders;
@@ -0,0 +1,202 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faArrowLeft, faCheck, faTimes } from '@fortawesome/free-solid-svg-icons';
+import ShippingQuote from '../components/ShippingQuote';
+import api from '../services/api';
+import { formatPrice, formatInstallment, formatDateTime } from '../utils/format';
+
+const formatDimensions = (dimensions) => {
+  const values = [dimensions.largura, dimensions.altura, dimensions.profundidade];
+  if (values.every(value => !value)) {
+    return null;
+  }
+  return `${values.map(value => value || 0).join(' x ')} ${dimensions.unidade}`;
+};
+
+const ProductDetail = () => {
+  const { slug } = useParams();
+  const navigate = useNavigate();
+  const [product, setProduct] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setLoading(true);
+    api.get(`/products/${encodeURIComponent(slug)}`)
+      .then(response => {
+        const data = response.data.product;
+
+        // Slug antigo ou acesso por ID: troca a URL pela canônica
+        if (data.slug && data.slug !== slug) {
+          navigate(`/produto/${data.slug}`, { replace: true });
+        }
+
+        setProduct(data);
+        setError(null);
+        setLoading(false);
+      })
+      .catch(err => {
+        console.error('Erro ao carregar produto:', err);
+        setError(err.response?.status === 404
+          ? 'Produto não encontrado'
+          : 'Erro ao carregar produto');
+        setLoading(false);
+      });
+  }, [slug, navigate]);
+
+  if (loading) {
+    return (
+      <div className="text-center py-5">
+        <div className="loading"></div>
+        <p>Carregando produto...</p>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="container my-5">
+        <div className="alert alert-danger text-center">
+          <h4>Oops! Algo deu errado</h4>
+          <p>{error}</p>
+          <a href="/catalogo" className="btn btn-outline-primary">
+            <FontAwesomeIcon icon={faArrowLeft} className="me-2" />
+            Voltar ao catálogo
+          </a>
+        </div>
+      </div>
+    );
+  }
+
+  const specs = [
+    ['Marca', product.brand],
+    ['Código', product.sku],
+    ['GTIN/EAN', product.gtin],
+    ['Peso', product.weight ? `${product.weight} kg` : null],
+    ['Dimensões', product.dimensions ? formatDimensions(product.dimensions) : null]
+  ].filter(([, value]) => value);
+
+  return (
+    <div className="container my-5">
+      <nav aria-label="breadcrumb">
+        <ol className="breadcrumb">
+          <li className="breadcrumb-item">
+            <a href="/" className="text-decoration-none">Início</a>
+          </li>
+          <li className="breadcrumb-item">
+            <a href="/catalogo" className="text-decoration-none">Catálogo</a>
+          </li>
+          {product.categories && (
+            <li className="breadcrumb-item">
+              <a
+                href={`/catalogo?categoria=${encodeURIComponent(product.categories)}`}
+                className="text-decoration-none"
+              >
+                {product.categories}
+              </a>
+            </li>
+          )}
+          <li className="breadcrumb-item active" aria-current="page">
+            {product.name}
+          </li>
+        </ol>
+      </nav>
+
+      <div className="row">
+        <div className="col-md-6 mb-4">
+          <div className="position-relative">
+            {product.discount > 0 && (
+              <div className="product-discount">
+                {product.discount}%
+              </div>
+            )}
+            <img
+              src={product.image_src}
+              alt={product.name}
+              className="img-fluid rounded shadow-sm w-100"
+            />
+          </div>
+        </div>
+
+        <div className="col-md-6">
+          <h2>{product.name}</h2>
+          {product.brand && <p className="text-muted">{product.brand}</p>}
+
+          {product.promotion && (
+            <p className="mb-2">
+              <span className="badge bg-danger">{product.promotion.name}</span>
+              {product.promotion.ends_at && (
+                <small className="text-muted ms-2">Oferta válida até {formatDateTime(product.promotion.ends_at)}</small>
+              )}
+            </p>
+          )}
+
+          {product.oldprice && (
+            <div className="product-oldprice">
+              {formatPrice(product.oldprice)}
+            </div>
+          )}
+          <div className="product-price h3">
+            Por <span>{formatPrice(product.price)}</span>
+          </div>
+          {product.installments && (
+            <details className="small">
+              <summary className="text-muted">ou {formatInstallment(product.installments)}</summary>
+              <table className="table table-sm mt-2 mb-0" style={{ maxWidth: '360px' }}>
+                <tbody>
+                  {product.installment_table.map(row => (
+                    <tr key={row.count}>
+                      <td>{formatInstallment(row)}</td>
+                      <td className="text-end text-muted">{formatPrice(row.total)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </details>
+          )}
+
+          <div className="my-3">
+            {product.available ? (
+              <span className="badge bg-success">
+                <FontAwesomeIcon icon={faCheck} className="me-2" />
+                Em estoque ({product.stock} unidades)
+              </span>
+            ) : (
+              <span className="badge bg-secondary">
+                <FontAwesomeIcon icon={faTimes} className="me-2" />
+                Indisponível
+              </span>
+            )}
+          </div>
+
+          {product.available && <ShippingQuote productId={product.id} />}
+
+          {specs.length > 0 && (
+            <table className="table table-sm mt-4">
+              <tbody>
+                {specs.map(([label, value]) => (
+                  <tr key={label}>
+                    <th scope="row" className="text-muted fw-normal">{label}</th>
+                    <td>{value}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+
+      {product.description && (
+        <div className="row mt-4">
+          <div className="col-12">
+            <h5>Descrição</h5>
+            <p style={{ whiteSpace: 'pre-line' }}>{product.description}</p>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ProductDetail;
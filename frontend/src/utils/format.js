@@ -0,0 +1,43 @@
+export const formatPrice = (price) => {
+  return new Intl.NumberFormat('pt-BR', {
+    style: 'currency',
+    currency: 'BRL'
+  }).format(price);
+};
+
+// Tempo decorrido em texto (ex.: "há 2 horas")
+export const formatRelativeTime = (date) => {
+  const seconds = Math.round((Date.now() - new Date(date).getTime()) / 1000);
+  const formatter = new Intl.RelativeTimeFormat('pt-BR', { numeric: 'auto' });
+  const units = [
+    ['day', 86400],
+    ['hour', 3600],
+    ['minute', 60]
+  ];
+
+  for (const [unit, size] of units) {
+    if (Math.abs(seconds) >= size) {
+      return formatter.format(-Math.floor(seconds / size), unit);
+    }
+  }
+
+  return 'agora mesmo';
+};
+
+// Prazo de entrega ou de retirada cotado pelo backend, em dias úteis
+export const formatShippingDays = (days) => {
+  if (days === null || days === undefined) return '';
+  if (days === 0) return 'no mesmo dia';
+  return `em até ${days} ${days === 1 ? 'dia útil' : 'dias úteis'}`;
+};
+
+// Parcela anunciada (ex.: "12x de R$ 94,50 sem juros"), no formato de utils/installments do backend
+export const formatInstallment = (installment) => (
+  `${installment.count}x de ${formatPrice(installment.value)}${installment.interest_free ? ' sem juros' : ''}`
+);
+
+// Data e hora curtas (ex.: "25/11/2026 23:59"), usadas no período das campanhas de promoção
+export const formatDateTime = (date) => new Intl.DateTimeFormat('pt-BR', {
+  dateStyle: 'short',
+  timeStyle: 'short'
+}).format(new Date(date));